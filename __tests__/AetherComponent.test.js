@@ -294,6 +294,16 @@ describe('AetherComponent', () => {
 
         expect(mockSyncEngine.addMutation).toHaveBeenCalledWith(mutation);
       });
+
+      test('should pass optimistic update handlers through', async () => {
+        const mutation = { type: 'TEST', payload: {} };
+        const optimistic = { store: component.state, apply: state => state };
+        component.connectSyncEngine(mockSyncEngine);
+
+        await component.addMutation(mutation, optimistic);
+
+        expect(mockSyncEngine.addMutation).toHaveBeenCalledWith(mutation, optimistic);
+      });
     });
 
     describe('utility methods', () => {
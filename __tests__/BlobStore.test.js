@@ -0,0 +1,55 @@
+// __tests__/BlobStore.test.js
+
+import { BlobStore } from '../src/sync/BlobStore.js';
+import { createFakeOPFS, readText } from './helpers/opfs.js';
+
+let dbCount = 0;
+
+describe('BlobStore', () => {
+  test('should keep blobs with their upload state and read byte ranges', async () => {
+    const blobs = new BlobStore({ storage: 'memory', dbName: `blob-store-${++dbCount}` });
+
+    const info = await blobs.put('temp_1', new Blob(['hello world'], { type: 'text/plain' }), { name: 'hello.txt' });
+    await blobs.put('temp_2', new Blob(['second']));
+
+    expect(info).toMatchObject({ id: 'temp_1', name: 'hello.txt', type: 'text/plain', size: 11, uploadId: null, offset: 0 });
+    expect(await readText(await blobs.read('temp_1', 6))).toBe('world');
+    expect(await readText(await blobs.read('temp_1', 0, 5))).toBe('hello');
+
+    await blobs.update('temp_1', { uploadId: 'up_1', offset: 5 });
+    const reopened = new BlobStore({ storage: 'memory', dbName: blobs.dbName });
+    expect(await reopened.getInfo('temp_1')).toMatchObject({ uploadId: 'up_1', offset: 5 });
+    expect((await reopened.list()).map(entry => entry.id)).toEqual(['temp_1', 'temp_2']);
+
+    expect(await blobs.delete('temp_1')).toBe(true);
+    expect(await blobs.delete('temp_1')).toBe(false);
+    expect(await blobs.getInfo('temp_1')).toBeNull();
+    expect(await blobs.read('temp_1')).toBeNull();
+    expect(await blobs.update('temp_1', { offset: 1 })).toBeNull();
+  });
+
+  test('should store contents in the origin private file system when asked to', async () => {
+    const opfs = createFakeOPFS();
+    const originalStorage = navigator.storage;
+    Object.defineProperty(navigator, 'storage', { value: { getDirectory: opfs.getDirectory }, configurable: true });
+
+    try {
+      const blobs = new BlobStore({ storage: 'opfs', dbName: `blob-store-${++dbCount}`, directory: 'uploads' });
+      await blobs.put('temp_file', new Blob(['offline photo']));
+
+      expect(blobs.storage.kind).toBe('opfs');
+      expect(opfs.directories.get('uploads').has('temp_file')).toBe(true);
+      expect(await readText(await blobs.read('temp_file', 8))).toBe('photo');
+
+      await blobs.delete('temp_file');
+      expect(opfs.directories.get('uploads').size).toBe(0);
+      expect(await blobs.read('temp_file')).toBeNull();
+    } finally {
+      Object.defineProperty(navigator, 'storage', { value: originalStorage, configurable: true });
+    }
+  });
+
+  test('should default to IndexedDB for contents when OPFS is not writable', () => {
+    expect(new BlobStore().storage.kind).toBe('indexeddb');
+  });
+});
@@ -0,0 +1,46 @@
+// __tests__/CircuitBreaker.test.js
+
+import { CircuitBreaker, CIRCUIT_STATES } from '../src/sync/CircuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000;
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 5000, now: () => now });
+  });
+
+  test('should open after consecutive failures and let one probe through after the timeout', () => {
+    breaker.recordFailure('/todos');
+    breaker.recordFailure('/todos');
+    breaker.recordSuccess('/todos');
+    breaker.recordFailure('/todos');
+    breaker.recordFailure('/todos');
+    expect(breaker.canRequest('/todos')).toBe(true);
+
+    breaker.recordFailure('/todos');
+    expect(breaker.canRequest('/todos')).toBe(false);
+    expect(breaker.canRequest('/notes')).toBe(true);
+    expect(breaker.retryIn('/todos')).toBe(5000);
+
+    now += 5000;
+    expect(breaker.canRequest('/todos')).toBe(true);
+    expect(breaker.canRequest('/todos')).toBe(false);
+
+    breaker.recordSuccess('/todos');
+    expect(breaker.canRequest('/todos')).toBe(true);
+    expect(breaker.getStats()['/todos']).toEqual({ state: CIRCUIT_STATES.CLOSED, failures: 0, openUntil: null, trips: 1, rejected: 2 });
+  });
+
+  test('should reopen when the probe fails and stay open as long as Retry-After asks', () => {
+    ['a', 'b', 'c'].forEach(() => breaker.recordFailure('/todos'));
+    now += 5000;
+    expect(breaker.canRequest('/todos')).toBe(true);
+
+    breaker.recordFailure('/todos', { retryAfter: 60000 });
+
+    expect(breaker.getStats()['/todos']).toMatchObject({ state: CIRCUIT_STATES.OPEN, openUntil: now + 60000, trips: 2 });
+    expect(breaker.retryIn('/todos')).toBe(60000);
+  });
+});
@@ -0,0 +1,26 @@
+// __tests__/ConflictStore.test.js
+
+import { ConflictStore } from '../src/sync/ConflictStore.js';
+import { createDelayedStorage } from './helpers/storage.js';
+
+describe('ConflictStore', () => {
+  test('should keep stored conflicts when one is added before they loaded', async () => {
+    const { storage, release } = await createDelayedStorage({
+      'aether-pending-conflicts': [{ id: 'conflict_old', mutation: { id: 'm0' }, fields: ['title'] }]
+    });
+    const conflicts = new ConflictStore(undefined, { storage });
+
+    const adding = conflicts.add({ mutation: { id: 'm1' }, fields: ['body'] });
+    release();
+    const added = await adding;
+    await conflicts.store.flush();
+
+    expect((await conflicts.list()).map(entry => entry.id)).toEqual(['conflict_old', added.id]);
+    expect((await storage.get('aether-pending-conflicts')).map(entry => entry.id)).toEqual(['conflict_old', added.id]);
+
+    expect(await conflicts.remove('conflict_old')).toBe(true);
+    expect(await conflicts.remove('conflict_old')).toBe(false);
+    await conflicts.store.flush();
+    expect(await storage.get('aether-pending-conflicts')).toEqual([added]);
+  });
+});
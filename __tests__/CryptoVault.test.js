@@ -0,0 +1,170 @@
+// __tests__/CryptoVault.test.js
+
+import { webcrypto } from 'crypto';
+import { getDefaultStorage } from '../src/data/storage.js';
+import {
+  CryptoVault,
+  VAULT_STATUS,
+  VAULT_ERROR_CODES,
+  createDeviceKey,
+  isSealed
+} from '../src/data/CryptoVault.js';
+import { PersistentStore } from '../src/data/PersistentStore.js';
+
+let vaultCount = 0;
+const createVault = (options = {}) => new CryptoVault({
+  storageKey: `vault-test-${++vaultCount}`,
+  iterations: 1000,
+  crypto: webcrypto,
+  ...options
+});
+const reopen = (vault, options = {}) => new CryptoVault({
+  storageKey: vault.storageKey,
+  iterations: 1000,
+  crypto: webcrypto,
+  maxFailedUnlocks: vault.maxFailedUnlocks,
+  ...options
+});
+describe('CryptoVault', () => {
+  test('should set the passphrase on first unlock and seal values bound to their context', async () => {
+    const vault = createVault();
+    await vault.ready;
+    expect(vault.get().status).toBe(VAULT_STATUS.UNINITIALIZED);
+
+    await vault.unlock('correct horse');
+    const sealed = await vault.encrypt({ patient: 'Ada' }, 'records');
+
+    expect(isSealed(sealed)).toBe(true);
+    expect(JSON.stringify(sealed)).not.toContain('Ada');
+    expect(await vault.decrypt(sealed, 'records')).toEqual({ patient: 'Ada' });
+    await expect(vault.decrypt(sealed, 'other')).rejects.toMatchObject({ code: VAULT_ERROR_CODES.WRONG_SECRET });
+
+    await vault.lock();
+    expect(vault.get().status).toBe(VAULT_STATUS.LOCKED);
+    await expect(vault.encrypt('x')).rejects.toMatchObject({ code: VAULT_ERROR_CODES.LOCKED });
+
+    const reopened = reopen(vault);
+    await expect(reopened.unlock('wrong')).rejects.toMatchObject({ code: VAULT_ERROR_CODES.WRONG_SECRET });
+    await reopened.unlock('correct horse');
+    expect(await reopened.decrypt(sealed, 'records')).toEqual({ patient: 'Ada' });
+    expect(reopened.get().failedUnlocks).toBe(0);
+  });
+
+  test('should wipe the vault and registered stores after too many failed unlocks', async () => {
+    const onWipe = jest.fn();
+    const vault = createVault({ maxFailedUnlocks: 3 });
+    await vault.unlock('secret');
+    await vault.lock();
+
+    await expect(vault.unlock('guess 1')).rejects.toMatchObject({ remainingAttempts: 2 });
+
+    // The count survives a reload
+    const reopened = reopen(vault, { onWipe });
+    const participant = { wipe: jest.fn() };
+    reopened.register(participant);
+    await expect(reopened.unlock('guess 2')).rejects.toMatchObject({ remainingAttempts: 1 });
+    await expect(reopened.unlock('guess 3')).rejects.toMatchObject({ code: VAULT_ERROR_CODES.WIPED });
+
+    expect(participant.wipe).toHaveBeenCalledTimes(1);
+    expect(onWipe).toHaveBeenCalledWith({ reason: 'failed-unlocks' });
+    expect(reopened.get().status).toBe(VAULT_STATUS.UNINITIALIZED);
+  });
+
+  test('should count every failed unlock when guesses are made in parallel', async () => {
+    const vault = createVault({ maxFailedUnlocks: 3 });
+    await vault.unlock('secret');
+    await vault.lock();
+    const participant = { wipe: jest.fn() };
+    vault.register(participant);
+
+    const results = await Promise.allSettled(['guess 1', 'guess 2', 'guess 3'].map(guess => vault.unlock(guess)));
+
+    expect(results.map(result => result.reason.remainingAttempts)).toEqual([2, 1, 0]);
+    expect(results[2].reason.code).toBe(VAULT_ERROR_CODES.WIPED);
+    expect(participant.wipe).toHaveBeenCalledTimes(1);
+  });
+
+  test('should change the secret without touching sealed data, and unlock with a device key', async () => {
+    const vault = createVault();
+    await vault.unlock('old passphrase');
+    const sealed = await vault.encrypt('chart', 'k');
+    const deviceKey = await createDeviceKey(webcrypto);
+
+    await vault.changeSecret('old passphrase', deviceKey);
+    await vault.lock();
+
+    await expect(vault.unlock('old passphrase')).rejects.toMatchObject({ code: VAULT_ERROR_CODES.UNSUPPORTED });
+    await vault.unlock(deviceKey);
+    expect(await vault.decrypt(sealed, 'k')).toBe('chart');
+  });
+
+  test('should rotate the data key and have registered stores re-encrypt', async () => {
+    const vault = createVault();
+    await vault.unlock('secret');
+    const before = await vault.encrypt('old', 'k');
+    const participant = { reencrypt: jest.fn() };
+    vault.register(participant);
+
+    const kid = await vault.rotateKey();
+
+    expect(participant.reencrypt).toHaveBeenCalledTimes(1);
+    expect((await vault.encrypt('new', 'k')).kid).toBe(kid);
+    await expect(vault.decrypt(before, 'k')).rejects.toThrow(`Unknown data key "${before.kid}"`);
+  });
+});
+
+describe('PersistentStore encryption', () => {
+  test('should store the value sealed, drop it while locked and load it on unlock', async () => {
+    const vault = createVault();
+    await vault.unlock('secret');
+    const store = new PersistentStore('sealed-notes', [], { encryption: vault });
+    await store.whenReady();
+
+    store.set(['blood pressure 120/80']);
+    await store.flush();
+    const stored = await getDefaultStorage().get('sealed-notes');
+    expect(isSealed(stored)).toBe(true);
+    expect(JSON.stringify(stored)).not.toContain('blood pressure');
+
+    await vault.lock();
+    expect(store.get()).toEqual([]);
+
+    await vault.unlock('secret');
+    await store.whenReady();
+    expect(store.get()).toEqual(['blood pressure 120/80']);
+  });
+
+  test('should load again after a wipe and keep storing once the vault is set up again', async () => {
+    const vault = createVault();
+    await vault.unlock('secret');
+    const store = new PersistentStore('wiped-notes', [], { encryption: vault });
+    await store.whenReady();
+    store.set(['before wipe']);
+    await store.flush();
+
+    await vault.wipe();
+    expect(store.get()).toEqual([]);
+    expect(await getDefaultStorage().get('wiped-notes')).toBeUndefined();
+
+    await vault.unlock('new secret');
+    await store.whenReady();
+    store.set(['after wipe']);
+    await store.flush();
+
+    const reopened = new PersistentStore('wiped-notes', [], { encryption: vault });
+    expect(await reopened.whenReady()).toEqual(['after wipe']);
+  });
+
+  test('should seal a value stored in plaintext before encryption was turned on', async () => {
+    await getDefaultStorage().set('plain-notes', { note: 'legacy' });
+    const vault = createVault();
+    await vault.unlock('secret');
+
+    const store = new PersistentStore('plain-notes', null, { encryption: vault });
+    await store.whenReady();
+    await store.flush();
+
+    expect(store.get()).toEqual({ note: 'legacy' });
+    expect(isSealed(await getDefaultStorage().get('plain-notes'))).toBe(true);
+  });
+});
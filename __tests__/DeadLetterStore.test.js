@@ -0,0 +1,26 @@
+// __tests__/DeadLetterStore.test.js
+
+import { DeadLetterStore } from '../src/sync/DeadLetterStore.js';
+import { createDelayedStorage } from './helpers/storage.js';
+
+describe('DeadLetterStore', () => {
+  test('should keep stored dead letters when one is added before they loaded', async () => {
+    const { storage, release } = await createDelayedStorage({
+      'aether-dead-letters': [{ id: 'dead_old', mutation: { id: 'm0' }, reason: 'fatal' }]
+    });
+    const deadLetters = new DeadLetterStore(undefined, { storage });
+
+    const adding = deadLetters.add({ mutation: { id: 'm1' }, reason: 'expired' });
+    release();
+    const added = await adding;
+    await deadLetters.store.flush();
+
+    expect((await deadLetters.list()).map(entry => entry.id)).toEqual(['dead_old', added.id]);
+    expect((await storage.get('aether-dead-letters')).map(entry => entry.id)).toEqual(['dead_old', added.id]);
+
+    expect(await deadLetters.remove('dead_old')).toBe(true);
+    expect(await deadLetters.remove('dead_old')).toBe(false);
+    await deadLetters.store.flush();
+    expect(await storage.get('aether-dead-letters')).toEqual([added]);
+  });
+});
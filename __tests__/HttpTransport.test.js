@@ -0,0 +1,346 @@
+// __tests__/HttpTransport.test.js
+
+import {
+  HttpTransport,
+  FakeTransport,
+  SyncError,
+  SYNC_ERROR_KINDS,
+  classifyStatus,
+  getErrorKind,
+  IDEMPOTENCY_HEADER
+} from '../src/sync/HttpTransport.js';
+
+describe('HttpTransport', () => {
+  describe('classifyStatus()', () => {
+    test('should classify conflict statuses', () => {
+      expect(classifyStatus(409)).toBe(SYNC_ERROR_KINDS.CONFLICT);
+      expect(classifyStatus(412)).toBe(SYNC_ERROR_KINDS.CONFLICT);
+    });
+
+    test('should classify transient statuses as retryable', () => {
+      expect(classifyStatus(408)).toBe(SYNC_ERROR_KINDS.RETRYABLE);
+      expect(classifyStatus(429)).toBe(SYNC_ERROR_KINDS.RETRYABLE);
+      expect(classifyStatus(503)).toBe(SYNC_ERROR_KINDS.RETRYABLE);
+    });
+
+    test('should classify other client errors as fatal', () => {
+      expect(classifyStatus(400)).toBe(SYNC_ERROR_KINDS.FATAL);
+      expect(classifyStatus(404)).toBe(SYNC_ERROR_KINDS.FATAL);
+      expect(classifyStatus(422)).toBe(SYNC_ERROR_KINDS.FATAL);
+    });
+
+    test('should classify 401 as an auth failure', () => {
+      expect(classifyStatus(401)).toBe(SYNC_ERROR_KINDS.AUTH);
+      expect(classifyStatus(403)).toBe(SYNC_ERROR_KINDS.FATAL);
+    });
+
+    test('should treat unclassified errors as retryable', () => {
+      expect(getErrorKind(new Error('offline'))).toBe(SYNC_ERROR_KINDS.RETRYABLE);
+      expect(getErrorKind(new SyncError('nope', { kind: SYNC_ERROR_KINDS.FATAL }))).toBe(SYNC_ERROR_KINDS.FATAL);
+    });
+  });
+
+  describe('buildRequest()', () => {
+    test('should map mutations to routes by type', () => {
+      const transport = new HttpTransport({
+        endpoint: 'https://api.example.com/',
+        routes: {
+          UPDATE_TODO: { method: 'patch', path: '/todos/:id' }
+        }
+      });
+
+      const request = transport.buildRequest({
+        type: 'UPDATE_TODO',
+        payload: { id: 7, text: 'Updated' }
+      });
+
+      expect(request).toEqual({
+        method: 'PATCH',
+        url: 'https://api.example.com/todos/7',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: 7, text: 'Updated' })
+      });
+    });
+
+    test('should fall back to entity routes and route functions', () => {
+      const transport = new HttpTransport({
+        endpoint: '/api',
+        routes: {
+          comments: (mutation) => ({
+            method: mutation.type === 'DELETE_COMMENT' ? 'DELETE' : 'POST',
+            path: '/comments/:id',
+            serialize: () => undefined
+          })
+        }
+      });
+
+      const request = transport.buildRequest({
+        type: 'DELETE_COMMENT',
+        entity: 'comments',
+        entityId: 'c 1'
+      });
+
+      expect(request.method).toBe('DELETE');
+      expect(request.url).toBe('/api/comments/c%201');
+      expect(request.body).toBeUndefined();
+      expect(request.headers['Content-Type']).toBeUndefined();
+    });
+
+    test('should POST the mutation envelope when no route matches', () => {
+      const transport = new HttpTransport({ endpoint: '/sync' });
+      const request = transport.buildRequest({ id: 'm1', type: 'UNKNOWN', payload: { a: 1 }, timestamp: 5 });
+
+      expect(request.method).toBe('POST');
+      expect(request.url).toBe('/sync');
+      expect(JSON.parse(request.body)).toEqual({ id: 'm1', type: 'UNKNOWN', payload: { a: 1 }, timestamp: 5 });
+    });
+
+    test('should merge default, dynamic and route headers', () => {
+      const transport = new HttpTransport({
+        headers: (mutation) => ({ 'X-Mutation': mutation.type }),
+        routes: { PING: { method: 'POST', path: '/ping', headers: { 'X-Route': 'ping' } } }
+      });
+
+      const { headers } = transport.buildRequest({ type: 'PING', payload: {} });
+
+      expect(headers).toMatchObject({ 'X-Mutation': 'PING', 'X-Route': 'ping' });
+    });
+
+    test('should send the idempotency key as a header', () => {
+      const transport = new HttpTransport({ routes: { ADD: { method: 'POST', path: '/items' } } });
+
+      const { headers } = transport.buildRequest({ id: 'm1', idempotencyKey: 'm1', type: 'ADD', payload: {} });
+      const { headers: withoutKey } = transport.buildRequest({ type: 'ADD', payload: {} });
+
+      expect(IDEMPOTENCY_HEADER).toBe('Idempotency-Key');
+      expect(headers['Idempotency-Key']).toBe('m1');
+      expect(withoutKey[IDEMPOTENCY_HEADER]).toBeUndefined();
+    });
+
+    test('should reject routes with missing path parameters as fatal', () => {
+      const transport = new HttpTransport({ routes: { UPDATE: { method: 'PUT', path: '/items/:id' } } });
+
+      expect(() => transport.buildRequest({ type: 'UPDATE', payload: {} })).toThrow(SyncError);
+    });
+  });
+
+  describe('send()', () => {
+    test('should return status, normalised headers and parsed body', async () => {
+      const fetchMock = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 201,
+        headers: { ETag: '"v2"' },
+        json: () => Promise.resolve({ id: 1 })
+      });
+      const transport = new HttpTransport({ fetch: fetchMock, endpoint: '/api' });
+
+      const response = await transport.send({ type: 'ADD', payload: { id: 1 } });
+
+      expect(fetchMock).toHaveBeenCalledWith('/api', expect.objectContaining({ method: 'POST' }));
+      expect(response).toEqual({ status: 201, headers: { etag: '"v2"' }, data: { id: 1 } });
+    });
+
+    test('should throw classified errors for non-2xx responses', async () => {
+      const transport = new FakeTransport({
+        respond: () => ({ status: 409, body: { version: 3 } })
+      });
+
+      await expect(transport.send({ type: 'UPDATE', payload: { id: 1 } })).rejects.toMatchObject({
+        name: 'SyncError',
+        kind: SYNC_ERROR_KINDS.CONFLICT,
+        status: 409,
+        body: { version: 3 }
+      });
+    });
+
+    test('should wrap network failures as retryable errors', async () => {
+      const transport = new HttpTransport({
+        fetch: jest.fn().mockRejectedValue(new TypeError('Failed to fetch'))
+      });
+
+      const error = await transport.send({ type: 'ADD', payload: {} }).catch(e => e);
+
+      expect(error).toBeInstanceOf(SyncError);
+      expect(error.isRetryable).toBe(true);
+      expect(error.cause).toBeInstanceOf(TypeError);
+    });
+
+    test('should time out when the response body stalls', async () => {
+      const fetchMock = jest.fn((url, { signal }) => Promise.resolve({
+        ok: true,
+        status: 200,
+        headers: {},
+        json: () => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+        })
+      }));
+      const transport = new HttpTransport({ fetch: fetchMock, timeout: 20 });
+
+      const error = await transport.send({ type: 'ADD', payload: {} }).catch(e => e);
+
+      expect(error).toBeInstanceOf(SyncError);
+      expect(error.isRetryable).toBe(true);
+      expect(error.message).toBe('Sync request timed out after 20ms');
+    });
+
+    test('should send the current token as a bearer token', async () => {
+      let token = 'old';
+      const transport = new FakeTransport({ getToken: async () => token });
+
+      await transport.send({ type: 'ADD', payload: {} });
+      token = 'new';
+      await transport.send({ type: 'ADD', payload: {} });
+      transport.setTokenProvider(() => null);
+      await transport.send({ type: 'ADD', payload: {} });
+
+      expect(transport.requests.map(request => request.headers.Authorization)).toEqual(['Bearer old', 'Bearer new', undefined]);
+    });
+  });
+
+  describe('changesSince()', () => {
+    test('should request the changes feed after the cursor and normalise the page', async () => {
+      const transport = new FakeTransport({
+        endpoint: '/api',
+        respond: () => ({
+          status: 200,
+          headers: { 'X-HLC': '000000000002000:00000:server' },
+          body: { changes: [{ id: 1, data: { id: 1 } }], cursor: 'c2', hasMore: true }
+        })
+      });
+
+      const page = await transport.changesSince('todos', 'c1 +');
+
+      expect(transport.requests[0]).toMatchObject({ method: 'GET', url: '/api/todos/changes?cursor=c1%20%2B' });
+      expect(page).toEqual({
+        changes: [{ id: 1, data: { id: 1 } }],
+        cursor: 'c2',
+        hasMore: true,
+        clock: '000000000002000:00000:server'
+      });
+    });
+
+    test('should omit the cursor on the first pull and honour a custom path', async () => {
+      const transport = new FakeTransport({ changesPath: '/sync/:collection', respond: () => ({ status: 200, body: [] }) });
+
+      await transport.changesSince('notes', null);
+      await transport.changesSince('notes', null, { path: '/v2/notes/delta' });
+
+      expect(transport.requests.map(request => request.url)).toEqual(['/sync/notes', '/v2/notes/delta']);
+    });
+
+    test('should throw classified errors', async () => {
+      const transport = new FakeTransport({ respond: () => ({ status: 503 }) });
+
+      await expect(transport.changesSince('todos', 'c1')).rejects.toMatchObject({ kind: SYNC_ERROR_KINDS.RETRYABLE, status: 503 });
+    });
+  });
+
+  describe('sendBatch()', () => {
+    test('should post the mutations and return one result per mutation', async () => {
+      const transport = new FakeTransport({
+        endpoint: '/api',
+        batchPath: '/sync/batch',
+        respond: () => ({
+          status: 207,
+          body: {
+            results: [
+              { id: 'm2', status: 412, headers: { ETag: '"v9"' }, body: { id: 2 } },
+              { id: 'm1', status: 201, body: { id: 1 } }
+            ]
+          }
+        })
+      });
+
+      const response = await transport.sendBatch([
+        { id: 'm1', type: 'ADD', payload: { text: 'a' }, hlc: 'h1', idempotencyKey: 'k1', retryCount: 2 },
+        { id: 'm2', type: 'UPDATE', entityId: 2, payload: { text: 'b' }, baseRevision: 8 },
+        { id: 'm3', type: 'ADD', payload: {} }
+      ]);
+
+      expect(transport.requests[0]).toMatchObject({ method: 'POST', url: '/api/sync/batch' });
+      expect(JSON.parse(transport.requests[0].body).mutations[0]).toEqual({ id: 'm1', type: 'ADD', payload: { text: 'a' }, hlc: 'h1', idempotencyKey: 'k1' });
+      expect(response.status).toBe(207);
+      expect(response.results[0]).toEqual({ id: 'm1', status: 201, headers: {}, data: { id: 1 }, error: null });
+      expect(response.results[1].error).toMatchObject({ kind: SYNC_ERROR_KINDS.CONFLICT, status: 412, headers: { etag: '"v9"' } });
+      expect(response.results[2].error.kind).toBe(SYNC_ERROR_KINDS.RETRYABLE);
+    });
+
+    test('should keep per-mutation headers on their own items', async () => {
+      const headers = jest.fn((mutation) => (mutation ? { 'X-Revision': String(mutation.baseRevision) } : { 'X-App': 'todo' }));
+      const transport = new FakeTransport({ headers });
+
+      await transport.sendBatch([
+        { id: 'm1', type: 'UPDATE', baseRevision: 1, idempotencyKey: 'k1' },
+        { id: 'm2', type: 'UPDATE', baseRevision: 2, idempotencyKey: 'k2' }
+      ]);
+
+      const [request] = transport.requests;
+      expect(request.headers).toEqual({ 'Content-Type': 'application/json', 'X-App': 'todo' });
+      expect(JSON.parse(request.body).mutations).toEqual([
+        { id: 'm1', type: 'UPDATE', baseRevision: 1, idempotencyKey: 'k1', headers: { 'X-Revision': '1' } },
+        { id: 'm2', type: 'UPDATE', baseRevision: 2, idempotencyKey: 'k2', headers: { 'X-Revision': '2' } }
+      ]);
+    });
+
+    test('should throw when the batch request fails', async () => {
+      const transport = new FakeTransport({ respond: () => ({ status: 403 }) });
+
+      await expect(transport.sendBatch([{ id: 'm1', type: 'ADD' }])).rejects.toMatchObject({ kind: SYNC_ERROR_KINDS.FATAL, status: 403 });
+    });
+  });
+
+  describe('uploads', () => {
+    test('should start an upload, send chunks with their byte range and read the offset', async () => {
+      const transport = new FakeTransport({
+        endpoint: '/api',
+        respond: (request) => {
+          if (request.method === 'POST') return { status: 201, body: { uploadId: 'up 1' } };
+          if (request.method === 'GET') return { status: 200, body: { offset: 4 } };
+          return { status: 200, body: { offset: 8 } };
+        }
+      });
+      const mutation = { id: 'm1', idempotencyKey: 'k1' };
+
+      const started = await transport.startUpload({ id: 'temp_1', name: 'a.txt', type: 'text/plain', size: 10 }, mutation);
+      const offset = await transport.getUploadOffset('up 1', mutation);
+      const response = await transport.uploadChunk('up 1', new Blob(['5678']), { offset: 4, size: 10, type: 'text/plain' }, mutation);
+
+      expect(started).toEqual({ uploadId: 'up 1', offset: 0 });
+      expect(offset).toBe(4);
+      expect(response.data).toEqual({ offset: 8 });
+      expect(transport.requests[0]).toMatchObject({ method: 'POST', url: '/api/uploads', headers: { [IDEMPOTENCY_HEADER]: 'k1' } });
+      expect(JSON.parse(transport.requests[0].body)).toEqual({ blobId: 'temp_1', name: 'a.txt', type: 'text/plain', size: 10 });
+      expect(transport.requests[1]).toMatchObject({ method: 'GET', url: '/api/uploads/up%201' });
+      expect(transport.requests[2]).toMatchObject({
+        method: 'PUT',
+        url: '/api/uploads/up%201',
+        headers: { 'Content-Type': 'text/plain', 'Content-Range': 'bytes 4-7/10' }
+      });
+    });
+
+    test('should report uploads the server no longer knows as missing', async () => {
+      const transport = new FakeTransport({ respond: () => ({ status: 410 }) });
+
+      expect(await transport.getUploadOffset('gone')).toBeNull();
+      await expect(transport.startUpload({ id: 'temp_1', size: 1 })).rejects.toMatchObject({ kind: SYNC_ERROR_KINDS.FATAL, status: 410 });
+    });
+  });
+
+  describe('FakeTransport', () => {
+    test('should record requests and pass the mutation to the responder', async () => {
+      const respond = jest.fn().mockReturnValue({ status: 200, body: { ok: true } });
+      const transport = new FakeTransport({
+        routes: { ADD_TODO: { method: 'POST', path: '/todos' } },
+        respond
+      });
+      const mutation = { type: 'ADD_TODO', payload: { text: 'hi' } };
+
+      const response = await transport.send(mutation);
+
+      expect(transport.requests).toHaveLength(1);
+      expect(transport.requests[0]).toMatchObject({ method: 'POST', url: '/todos' });
+      expect(respond).toHaveBeenCalledWith(expect.objectContaining({ url: '/todos' }), mutation);
+      expect(response.data).toEqual({ ok: true });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+// __tests__/HybridLogicalClock.test.js
+
+import {
+  HybridLogicalClock,
+  compareHLC,
+  encodeHLC,
+  parseHLC,
+  extractClock
+} from '../src/sync/HybridLogicalClock.js';
+
+const createClock = (nodeId, time) => {
+  const physical = { time };
+  const clock = new HybridLogicalClock({ nodeId, persist: false, physicalTime: () => physical.time });
+  return { clock, physical };
+};
+
+describe('HybridLogicalClock', () => {
+  test('should encode timestamps that sort as strings', () => {
+    const early = encodeHLC({ wall: 999, logical: 12, node: 'b' });
+    const late = encodeHLC({ wall: 1000, logical: 0, node: 'a' });
+
+    expect(early < late).toBe(true);
+    expect(parseHLC(late)).toEqual({ wall: 1000, logical: 0, node: 'a' });
+    expect(parseHLC('not a clock')).toBeNull();
+  });
+
+  test('should order by wall time, counter, then node', () => {
+    expect(compareHLC(encodeHLC({ wall: 1, logical: 5, node: 'z' }), encodeHLC({ wall: 2, logical: 0, node: 'a' }))).toBeLessThan(0);
+    expect(compareHLC(encodeHLC({ wall: 2, logical: 1, node: 'a' }), encodeHLC({ wall: 2, logical: 0, node: 'z' }))).toBeGreaterThan(0);
+    expect(compareHLC(encodeHLC({ wall: 2, logical: 0, node: 'a' }), encodeHLC({ wall: 2, logical: 0, node: 'b' }))).toBeLessThan(0);
+    expect(compareHLC(undefined, encodeHLC({ wall: 0, logical: 0, node: 'a' }))).toBeLessThan(0);
+  });
+
+  test('should stay monotonic when the wall clock stalls or goes backwards', () => {
+    const { clock, physical } = createClock('a', 1000);
+
+    const first = clock.now();
+    const second = clock.now();
+    physical.time = 500;
+    const third = clock.now();
+
+    expect(compareHLC(first, second)).toBeLessThan(0);
+    expect(compareHLC(second, third)).toBeLessThan(0);
+    expect(parseHLC(third)).toEqual({ wall: 1000, logical: 2, node: 'a' });
+  });
+
+  test('should order writes after observed timestamps from a faster clock', () => {
+    // Device b runs five minutes ahead of device a
+    const { clock: slow } = createClock('a', 1000);
+    const { clock: fast } = createClock('b', 1000 + 5 * 60 * 1000);
+
+    const remote = fast.now();
+    expect(slow.observe(remote)).toBe(true);
+    const reply = slow.now();
+
+    expect(compareHLC(remote, reply)).toBeLessThan(0);
+  });
+
+  test('should ignore invalid remote timestamps', () => {
+    const { clock } = createClock('a', 1000);
+
+    expect(clock.observe(undefined)).toBe(false);
+    expect(clock.observe('garbage')).toBe(false);
+    expect(clock.wall).toBe(0);
+  });
+
+  test('should read clocks from headers before the body', () => {
+    expect(extractClock({ 'x-hlc': 'h' }, { hlc: 'b' })).toBe('h');
+    expect(extractClock({}, { hlc: 'b' })).toBe('b');
+    expect(extractClock({}, null)).toBeUndefined();
+  });
+
+  test('should restore its state and node id after a reload', async () => {
+    const storageKey = 'hlc-reload-test';
+    const first = new HybridLogicalClock({ storageKey, physicalTime: () => 5000 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    first.now();
+    const last = first.now();
+    await first.flush();
+
+    // The device clock was reset to an earlier time before the reload
+    const reloaded = new HybridLogicalClock({ storageKey, physicalTime: () => 10 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(reloaded.nodeId).toBe(first.nodeId);
+    expect(compareHLC(last, reloaded.now())).toBeLessThan(0);
+  });
+
+  test('should not save timestamps issued while loading over the stored node id', async () => {
+    const storageKey = 'hlc-early-test';
+    const first = new HybridLogicalClock({ storageKey, physicalTime: () => 5000 });
+    await first.store.ready;
+    first.now();
+    await first.store.flush();
+
+    const reloaded = new HybridLogicalClock({ storageKey, physicalTime: () => 10 });
+    reloaded.now();
+    await reloaded.store.ready;
+    await reloaded.store.flush();
+
+    expect(reloaded.nodeId).toBe(first.nodeId);
+    expect(reloaded.store.get()).toMatchObject({ nodeId: first.nodeId, wall: 5000 });
+  });
+
+  test('should not merge remote timestamps too far ahead of the wall clock', () => {
+    const physical = { time: 1000 };
+    const clock = new HybridLogicalClock({ nodeId: 'a', persist: false, physicalTime: () => physical.time, maxDrift: 5000 });
+
+    expect(clock.observe(encodeHLC({ wall: 1000 + 60000, logical: 0, node: 'b' }))).toBe(false);
+    expect(parseHLC(clock.now()).wall).toBe(1000);
+
+    expect(clock.observe(encodeHLC({ wall: 4000, logical: 3, node: 'b' }))).toBe(true);
+    expect(parseHLC(clock.now())).toEqual({ wall: 4000, logical: 5, node: 'a' });
+  });
+
+  test('should save at most once per persist interval and flush the latest state', async () => {
+    const physical = { time: 5000 };
+    const clock = new HybridLogicalClock({ storageKey: 'hlc-throttle-test', physicalTime: () => physical.time });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const setSpy = jest.spyOn(clock.store, 'set');
+
+    for (let i = 0; i < 100; i++) {
+      physical.time += 1;
+      clock.now();
+    }
+    expect(setSpy).toHaveBeenCalledTimes(1);
+
+    await clock.flush();
+    expect(setSpy).toHaveBeenCalledTimes(2);
+    expect(clock.store.get()).toMatchObject({ wall: 5100, logical: 0 });
+    await clock.flush();
+    expect(setSpy).toHaveBeenCalledTimes(2);
+
+    // The interval is measured on the injected clock
+    physical.time += 1000;
+    clock.now();
+    expect(setSpy).toHaveBeenCalledTimes(3);
+    expect(clock.store.get()).toMatchObject({ wall: 6100, logical: 0 });
+  });
+});
@@ -0,0 +1,232 @@
+// __tests__/MutationQueueStore.test.js
+
+import { createMemoryStorage, getDefaultStorage, setDefaultStorage } from '../src/data/storage.js';
+import { webcrypto } from 'crypto';
+import { MutationQueueStore } from '../src/sync/MutationQueueStore.js';
+import { CryptoVault } from '../src/data/CryptoVault.js';
+
+let dbCount = 0;
+const createStore = (options = {}) => new MutationQueueStore({ dbName: `queue-test-${++dbCount}`, legacyKey: false, ...options });
+const reopen = async (store) => {
+  await store.flush();
+  const reopened = new MutationQueueStore({ dbName: store.dbName, legacyKey: false });
+  await reopened.ready;
+  return reopened;
+};
+const storedSeqs = async (store) => {
+  await store.flush();
+  const records = await new Promise((resolve, reject) => {
+    const request = store.db.transaction('mutations').objectStore('mutations').getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return Object.fromEntries(records.map(record => [record.id, record.seq]));
+};
+
+describe('MutationQueueStore', () => {
+  test('should store one record per mutation and load them in queue order', async () => {
+    const store = createStore();
+    await store.ready;
+    const queue = ['m1', 'm2', 'm3'].map(id => ({ id, type: 'ADD_ITEM', payload: { id } }));
+    store.set(queue);
+
+    expect(store.get()).toBe(queue);
+    const reopened = await reopen(store);
+    expect(reopened.get()).toEqual(queue);
+  });
+
+  test('should only write the mutations that changed', async () => {
+    const store = createStore();
+    await store.ready;
+    const [m1, m2, m3] = ['m1', 'm2', 'm3'].map(id => ({ id, type: 'UPDATE_ITEM', payload: { id } }));
+    store.set([m1, m2, m3]);
+    const before = await storedSeqs(store);
+
+    // Head synced, a retry updated, a new mutation appended
+    const retried = { ...m3, retryCount: 1 };
+    const m4 = { id: 'm4', type: 'UPDATE_ITEM', payload: { id: 'm4' } };
+    store.set([m2, retried, m4]);
+    expect(store.pendingPuts.size + store.pendingDeletes.length).toBe(3);
+
+    const after = await storedSeqs(store);
+    expect(after).toEqual({ m2: before.m2, m3: before.m3, m4: expect.any(Number) });
+    expect((await reopen(store)).get()).toEqual([m2, retried, m4]);
+  });
+
+  test('should keep the order of mutations inserted between others', async () => {
+    const store = createStore();
+    await store.ready;
+    const [a, b, c] = ['a', 'b', 'c'].map(id => ({ id, type: 'ADD_ITEM' }));
+    store.set([a, b, c]);
+    await store.flush();
+
+    const inserted = { id: 'x', type: 'DELETE_ITEM' };
+    store.set([inserted, a, c, b]);
+
+    expect((await reopen(store)).get().map(mutation => mutation.id)).toEqual(['x', 'a', 'c', 'b']);
+  });
+
+  test('should query and count mutations by status and priority in queue order', async () => {
+    const store = createStore();
+    await store.ready;
+    store.set([
+      { id: 'm1', status: 'pending', priority: 'high' },
+      { id: 'm2', status: 'pending' },
+      { id: 'm3', status: 'failed', priority: 'high' },
+      { id: 'm4', status: 'pending', priority: 'high' }
+    ]);
+
+    expect((await store.query({ priority: 'high' })).map(m => m.id)).toEqual(['m1', 'm3', 'm4']);
+    expect((await store.query({ status: 'pending', priority: 'high', limit: 1 })).map(m => m.id)).toEqual(['m1']);
+    expect((await store.query()).map(m => m.id)).toEqual(['m1', 'm2', 'm3', 'm4']);
+    expect(await store.count({ status: 'pending' })).toBe(3);
+    expect(await store.count({ priority: 'normal' })).toBe(1);
+  });
+
+  test('should keep mutations set before the stored queue finished loading', async () => {
+    const store = createStore();
+    await store.ready;
+    store.set([{ id: 'stored' }]);
+    await store.flush();
+
+    const early = new MutationQueueStore({ dbName: store.dbName, legacyKey: false });
+    early.set([{ id: 'early' }]);
+    await early.ready;
+
+    expect(early.get().map(m => m.id)).toEqual(['stored', 'early']);
+    expect((await reopen(early)).get().map(m => m.id)).toEqual(['stored', 'early']);
+  });
+
+  test('should migrate a queue saved as a single array', async () => {
+    const legacy = [{ id: 'old1', type: 'ADD_ITEM' }, { id: 'old2', type: 'ADD_ITEM', status: 'pending' }];
+    await getDefaultStorage().set('legacy-queue', legacy);
+
+    const store = createStore({ legacyKey: 'legacy-queue' });
+    await store.ready;
+
+    expect(store.get()).toEqual(legacy);
+    expect(await store.count({ status: 'pending' })).toBe(2);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(await getDefaultStorage().get('legacy-queue')).toBeNull();
+  });
+
+  test('should pick up changes written by another instance on reload()', async () => {
+    const store = createStore();
+    const other = new MutationQueueStore({ dbName: store.dbName, legacyKey: false });
+    await Promise.all([store.ready, other.ready]);
+
+    other.set([{ id: 'from-other-tab' }]);
+    await other.flush();
+    await store.reload();
+
+    expect(store.get()).toEqual([{ id: 'from-other-tab' }]);
+  });
+
+  test('should keep the records in a storage adapter when given one or set as the default', async () => {
+    const storage = createMemoryStorage();
+    const store = createStore({ storage });
+    await store.ready;
+    const [m1, m2, m3] = ['m1', 'm2', 'm3'].map(id => ({ id, type: 'UPDATE_ITEM', priority: id === 'm3' ? 'high' : undefined }));
+    const retried = { ...m3, retryCount: 1 };
+    store.set([m1, m2, m3]);
+    store.set([m2, retried]);
+    await store.flush();
+
+    expect(store.db).toBeNull();
+    expect((await storage.get(`${store.dbName}:records`)).map(record => record.id)).toEqual(['m2', 'm3']);
+
+    setDefaultStorage(storage);
+    try {
+      const reopened = createStore({ dbName: store.dbName });
+      await reopened.ready;
+      expect(reopened.get()).toEqual([m2, retried]);
+      expect(await reopened.query({ priority: 'high' })).toEqual([retried]);
+    } finally {
+      setDefaultStorage(null);
+    }
+  });
+
+  test('should retry a failed read without writing over the stored queue', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = createMemoryStorage();
+    const store = createStore({ storage });
+    await store.ready;
+    const [m1, m2, m3] = ['m1', 'm2', 'm3'].map(id => ({ id, type: 'ADD_ITEM' }));
+    store.set([m1, m2]);
+    await store.flush();
+
+    const read = storage.get;
+    storage.get = jest.fn().mockRejectedValueOnce(new Error('IndexedDB unavailable')).mockImplementation(read);
+    const reopened = createStore({ dbName: store.dbName, storage, loadRetryDelay: 10 });
+    reopened.set([m3]);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(reopened.loadError).toMatchObject({ message: 'IndexedDB unavailable' });
+
+    await reopened.flush();
+    expect(reopened.loadError).toBeNull();
+    expect(reopened.get()).toEqual([m1, m2, m3]);
+    const stored = await read(`${store.dbName}:records`);
+    expect(stored.map(record => [record.id, record.seq])).toEqual([['m1', 1], ['m2', 2], ['m3', 3]]);
+    warnSpy.mockRestore();
+  });
+
+  test('should seal stored mutations and hold the queue while the vault is locked', async () => {
+    const vault = new CryptoVault({ storageKey: 'queue-test-vault', iterations: 1000, crypto: webcrypto });
+    const store = createStore({ encryption: vault });
+    await vault.unlock('secret');
+    await store.ready;
+
+    const queue = [{ id: 'm1', type: 'ADD_NOTE', payload: { text: 'diagnosis' }, priority: 'high' }];
+    store.set(queue);
+    await store.flush();
+    const [record] = await new Promise(resolve => {
+      store.db.transaction('mutations').objectStore('mutations').getAll().onsuccess = (event) => resolve(event.target.result);
+    });
+    expect(record).toMatchObject({ id: 'm1', status: 'pending', priority: 'high', sealed: expect.any(Object) });
+    expect(JSON.stringify(record)).not.toContain('diagnosis');
+    expect(await store.count({ priority: 'high' })).toBe(1);
+
+    await vault.lock();
+    expect(store.get()).toEqual([]);
+
+    // Added while locked: kept and written once unlocked
+    const later = { id: 'm2', type: 'ADD_NOTE', payload: { text: 'follow-up' } };
+    store.set([later]);
+    await vault.unlock('secret');
+    await store.ready;
+
+    expect(store.get()).toEqual([...queue, later]);
+  });
+
+  test('should leave stored mutations that cannot be opened in place', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const vault = new CryptoVault({ storageKey: 'queue-test-vault-unopened', iterations: 1000, crypto: webcrypto });
+    await vault.unlock('secret');
+    const storage = createMemoryStorage();
+    const store = createStore({ encryption: vault, storage });
+    await store.ready;
+    const [m1, m2, m3, m4, m5, m6] = ['m1', 'm2', 'm3', 'm4', 'm5', 'm6'].map(id => ({ id, type: 'ADD_NOTE' }));
+    store.set([m1, m2, m3, m4]);
+    await store.flush();
+
+    // Sealed for another mutation, so m2 and m4 no longer open
+    const key = `${store.dbName}:records`;
+    const records = await storage.get(key);
+    records[1] = { ...records[1], sealed: records[0].sealed };
+    records[3] = { ...records[3], sealed: records[2].sealed };
+    await storage.set(key, records);
+
+    const reopened = createStore({ dbName: store.dbName, encryption: vault, storage });
+    await reopened.ready;
+    expect(reopened.get()).toEqual([m1, m3]);
+
+    reopened.set([m1, m5, m3]);
+    reopened.set([m6]);
+    await reopened.flush();
+
+    const stored = await storage.get(key);
+    expect(stored.map(record => record.id)).toEqual(['m2', 'm4', 'm6']);
+    expect(stored.slice(0, 2)).toEqual([records[1], records[3]]);
+    warnSpy.mockRestore();
+  });
+});
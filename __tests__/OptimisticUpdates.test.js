@@ -0,0 +1,70 @@
+// __tests__/OptimisticUpdates.test.js
+
+import { OptimisticUpdates } from '../src/sync/OptimisticUpdates.js';
+import { AetherStore } from '../src/data/AetherStore.js';
+
+describe('OptimisticUpdates', () => {
+  let updates;
+  let store;
+  const rename = (text) => ({
+    store,
+    apply: state => state.map(todo => (todo.id === 1 ? { ...todo, text } : todo))
+  });
+
+  beforeEach(() => {
+    updates = new OptimisticUpdates();
+    store = new AetherStore([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+  });
+
+  test('should merge server fields into the record the mutation targets', () => {
+    const mutation = { id: 'm1', type: 'UPDATE_TODO', payload: { id: 1, text: 'c' } };
+    updates.apply(mutation, rename('c'));
+
+    expect(updates.commit(mutation, { id: 1, text: 'c', revision: 4 })).toBe(true);
+    expect(store.get()).toEqual([{ id: 1, text: 'c', revision: 4 }, { id: 2, text: 'b' }]);
+    expect(updates.has('m1')).toBe(false);
+  });
+
+  test('should merge into a single-record state and use a custom merge', () => {
+    const record = new AetherStore({ id: 7, name: 'draft' });
+    const mutation = { id: 'm1', entityId: 7, payload: { name: 'final' } };
+    updates.apply(mutation, { store: record, apply: (state, m) => ({ ...state, ...m.payload }) });
+    updates.commit(mutation, { updatedAt: 10 });
+    expect(record.get()).toEqual({ id: 7, name: 'final', updatedAt: 10 });
+
+    const merge = jest.fn(state => state);
+    updates.apply({ id: 'm2', entityId: 7 }, { store: record, apply: state => state, merge });
+    updates.commit({ id: 'm2', entityId: 7 }, { id: 7 });
+    expect(merge).toHaveBeenCalledWith({ id: 7, name: 'final', updatedAt: 10 }, { id: 7 }, { id: 'm2', entityId: 7 });
+  });
+
+  test('should revert coalesced changes newest first', () => {
+    updates.apply({ id: 'm1' }, rename('c'));
+    updates.apply({ id: 'm2' }, rename('d'));
+    const order = [];
+    updates.entries.get('m1').revert = state => { order.push('m1'); return state; };
+    updates.entries.get('m2').revert = state => { order.push('m2'); return state; };
+
+    expect(updates.rollback({ id: 'm1', coalescedIds: ['m2'] })).toBe(true);
+    expect(order).toEqual(['m2', 'm1']);
+    expect(updates.rollback({ id: 'm1' })).toBe(false);
+  });
+
+  test('should restore the snapshot when no revert is given', () => {
+    updates.apply({ id: 'm1' }, rename('c'));
+    updates.rollback({ id: 'm1' });
+
+    expect(store.get()).toEqual([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+  });
+
+  test('should forget changes whose mutations left the queue without reverting them', () => {
+    updates.apply({ id: 'm1' }, rename('c'));
+    updates.apply({ id: 'm2' }, rename('d'));
+
+    updates.prune([{ id: 'm3', coalescedIds: ['m2'] }]);
+
+    expect(updates.has('m1')).toBe(false);
+    expect(updates.has('m2')).toBe(true);
+    expect(store.get()[0].text).toBe('d');
+  });
+});
@@ -1,14 +1,15 @@
 // __tests__/PersistentStore.test.js
 
 import { PersistentStore } from '../src/data/PersistentStore.js';
+import { setDefaultStorage } from '../src/data/storage.js';
 
-// Mock idb-keyval
-jest.mock('idb-keyval', () => ({
+const mockStorage = {
+  kind: 'mock',
   get: jest.fn(),
-  set: jest.fn()
-}));
-
-import { get as idbGet, set as idbSet } from 'idb-keyval';
+  set: jest.fn(),
+  remove: jest.fn()
+};
+const { get: storageGet, set: storageSet } = mockStorage;
 
 describe('PersistentStore', () => {
   let store;
@@ -17,9 +18,10 @@ describe('PersistentStore', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
-    // Mock successful IndexedDB operations
-    idbGet.mockResolvedValue(undefined);
-    idbSet.mockResolvedValue(undefined);
+    setDefaultStorage(mockStorage);
+    // Mock successful storage operations
+    storageGet.mockResolvedValue(undefined);
+    storageSet.mockResolvedValue(undefined);
   });
 
   describe('constructor and initialization', () => {
@@ -29,21 +31,21 @@ describe('PersistentStore', () => {
       expect(store.get()).toBe(initialValue);
     });
 
-    test('should load saved value from IndexedDB on initialization', async () => {
+    test('should load saved value from storage on initialization', async () => {
       const savedValue = 'saved value';
-      idbGet.mockResolvedValue(savedValue);
+      storageGet.mockResolvedValue(savedValue);
 
       store = new PersistentStore(testKey, initialValue);
 
       // Wait for initialization - use a longer timeout to ensure async completion
       await new Promise(resolve => setTimeout(resolve, 100));
 
-      expect(idbGet).toHaveBeenCalledWith(testKey);
+      expect(storageGet).toHaveBeenCalledWith(testKey);
       expect(store.get()).toBe(savedValue);
     });
 
-    test('should use initial value when nothing is saved in IndexedDB', async () => {
-      idbGet.mockResolvedValue(undefined);
+    test('should use initial value when nothing is saved in storage', async () => {
+      storageGet.mockResolvedValue(undefined);
       
       store = new PersistentStore(testKey, initialValue);
       
@@ -53,9 +55,9 @@ describe('PersistentStore', () => {
       expect(store.get()).toBe(initialValue);
     });
 
-    test('should notify subscribers after loading from IndexedDB', async () => {
+    test('should notify subscribers after loading from storage', async () => {
       const savedValue = 'saved value';
-      idbGet.mockResolvedValue(savedValue);
+      storageGet.mockResolvedValue(savedValue);
 
       store = new PersistentStore(testKey, initialValue);
 
@@ -69,6 +71,19 @@ describe('PersistentStore', () => {
       expect(callback).toHaveBeenCalledTimes(1);
       expect(callback).toHaveBeenLastCalledWith(savedValue);
     });
+
+    test('should pick up values written elsewhere on reload()', async () => {
+      store = new PersistentStore(testKey, initialValue);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const callback = jest.fn();
+      store.subscribe(callback);
+      storageGet.mockResolvedValue('written by another tab');
+      await store.reload();
+
+      expect(store.get()).toBe('written by another tab');
+      expect(callback).toHaveBeenLastCalledWith('written by another tab');
+    });
   });
 
   describe('set() method', () => {
@@ -79,7 +94,7 @@ describe('PersistentStore', () => {
       jest.clearAllMocks();
     });
 
-    test('should update state and save to IndexedDB', async () => {
+    test('should update state and save to storage', async () => {
       const newValue = 'new value';
       store.set(newValue);
 
@@ -87,16 +102,16 @@ describe('PersistentStore', () => {
       await new Promise(resolve => setTimeout(resolve, 50));
 
       expect(store.get()).toBe(newValue);
-      expect(idbSet).toHaveBeenCalledWith(testKey, newValue);
+      expect(storageSet).toHaveBeenCalledWith(testKey, newValue);
     });
 
-    test('should not save to IndexedDB before initialization', () => {
+    test('should not save to storage before initialization', () => {
       // Create new store without waiting for initialization
       const newStore = new PersistentStore('new-key', 'initial');
       newStore.set('new value');
       
-      // Should not call idbSet because _isInitialized is false
-      expect(idbSet).not.toHaveBeenCalled();
+      // Should not call storageSet because _isInitialized is false
+      expect(storageSet).not.toHaveBeenCalled();
     });
 
     test('should notify subscribers when state changes', () => {
@@ -119,14 +134,14 @@ describe('PersistentStore', () => {
       jest.clearAllMocks();
     });
 
-    test('should update state using updater function and save to IndexedDB', async () => {
+    test('should update state using updater function and save to storage', async () => {
       store.update(current => current + 5);
 
       // Wait for async save operation
       await new Promise(resolve => setTimeout(resolve, 50));
 
       expect(store.get()).toBe(15);
-      expect(idbSet).toHaveBeenCalledWith(testKey, 15);
+      expect(storageSet).toHaveBeenCalledWith(testKey, 15);
     });
 
     test('should work with complex state objects', async () => {
@@ -141,22 +156,145 @@ describe('PersistentStore', () => {
 
       const expectedState = { count: 1, name: 'test' };
       expect(store.get()).toEqual(expectedState);
-      expect(idbSet).toHaveBeenCalledWith(testKey, expectedState);
+      expect(storageSet).toHaveBeenCalledWith(testKey, expectedState);
     });
 
-    test('should not save to IndexedDB before initialization', () => {
+    test('should not save to storage before initialization', () => {
       // Create new store without waiting for initialization
       const newStore = new PersistentStore('new-key', 10);
       newStore.update(current => current + 5);
       
-      // Should not call idbSet because _isInitialized is false
-      expect(idbSet).not.toHaveBeenCalled();
+      // Should not call storageSet because _isInitialized is false
+      expect(storageSet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('readiness', () => {
+    // Hold the stored value back until the test releases it
+    const deferLoad = (value) => {
+      let release;
+      storageGet.mockReturnValue(new Promise(resolve => { release = () => resolve(value); }));
+      return () => release();
+    };
+
+    test('should resolve ready and whenReady() once loaded and report the load state', async () => {
+      const release = deferLoad('saved value');
+      store = new PersistentStore(testKey, initialValue);
+      const states = [];
+      store.loadState.subscribe(state => states.push(state.status));
+
+      release();
+      await expect(store.ready).resolves.toBeUndefined();
+      await expect(store.whenReady()).resolves.toBe('saved value');
+      expect(states).toEqual(['loading', 'ready']);
+    });
+
+    test('should have whenReady() wait for the next load once the store is unloaded', async () => {
+      store = new PersistentStore(testKey, initialValue);
+      await store.ready;
+      await store.wipe();
+      const onReady = jest.fn();
+      store.whenReady().then(onReady);
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(onReady).not.toHaveBeenCalled();
+      expect(store.loadState.get().status).toBe('loading');
+
+      storageGet.mockResolvedValue('reloaded');
+      await store.reload();
+      expect(await store.whenReady()).toBe('reloaded');
+      expect(onReady).toHaveBeenCalledWith('reloaded');
+    });
+
+    test('should apply a value set during reload() on top of the value it reads', async () => {
+      store = new PersistentStore(testKey, initialValue);
+      await store.ready;
+      const release = deferLoad('written by another tab');
+
+      const reloading = store.reload();
+      store.set('set while reloading');
+      expect(store.get()).toBe('set while reloading');
+      expect(store.loadState.get().status).toBe('loading');
+      release();
+      await reloading;
+      await store.flush();
+
+      expect(store.get()).toBe('set while reloading');
+      expect(storageSet).toHaveBeenCalledTimes(1);
+      expect(storageSet).toHaveBeenLastCalledWith(testKey, 'set while reloading');
+    });
+
+    test('should report a read error in loadState and still become ready', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storageGet.mockRejectedValue(new Error('Storage error'));
+
+      store = new PersistentStore(testKey, initialValue);
+      await store.ready;
+
+      expect(store.loadState.get()).toMatchObject({ status: 'error', error: { message: 'Storage error' } });
+      expect(store.get()).toBe(initialValue);
+      warnSpy.mockRestore();
+    });
+
+    test('should not save over a value it could not read until a reload succeeds', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storageGet.mockRejectedValue(new Error('Storage error'));
+      store = new PersistentStore(testKey, initialValue);
+      store.set('set while loading');
+      await store.ready;
+
+      store.set('set after the error');
+      await store.flush();
+      expect(store.readOnly).toBe(true);
+      expect(store.get()).toBe('set after the error');
+      expect(storageSet).not.toHaveBeenCalled();
+
+      storageGet.mockResolvedValue('stored');
+      await store.reload();
+      store.set('saved');
+      await store.flush();
+      expect(store.readOnly).toBe(false);
+      expect(storageSet).toHaveBeenCalledWith(testKey, 'saved');
+      warnSpy.mockRestore();
+    });
+
+    test('should keep a value set while loading over the stored one and save it', async () => {
+      const release = deferLoad('stale');
+      store = new PersistentStore(testKey, initialValue);
+      store.set('fresh');
+      expect(store.get()).toBe('fresh');
+
+      release();
+      await store.ready;
+      await store.flush();
+
+      expect(store.get()).toBe('fresh');
+      expect(storageSet).toHaveBeenCalledTimes(1);
+      expect(storageSet).toHaveBeenCalledWith(testKey, 'fresh');
+    });
+
+    test('should replay updates made while loading on the stored value, in order', async () => {
+      const release = deferLoad({ count: 5, tags: ['saved'] });
+      store = new PersistentStore(testKey, { count: 0, tags: [] });
+      store.update(state => ({ ...state, count: state.count + 1 }));
+      store.set({ count: 10, tags: [] });
+      store.update(state => ({ ...state, tags: [...state.tags, 'a'] }));
+
+      release();
+      expect(await store.whenReady()).toEqual({ count: 10, tags: ['a'] });
+
+      storageGet.mockResolvedValue({ count: 5 });
+      const other = new PersistentStore('other-key', { count: 0 });
+      other.update(state => ({ count: state.count + 1 }));
+      expect(await other.whenReady()).toEqual({ count: 6 });
+      await other.flush();
+      expect(storageSet).toHaveBeenLastCalledWith('other-key', { count: 6 });
     });
   });
 
   describe('error handling', () => {
-    test('should handle IndexedDB get errors gracefully', async () => {
-      idbGet.mockRejectedValue(new Error('IndexedDB error'));
+    test('should handle storage get errors gracefully', async () => {
+      storageGet.mockRejectedValue(new Error('Storage error'));
 
       // Should not throw
       expect(() => {
@@ -167,13 +305,13 @@ describe('PersistentStore', () => {
       expect(store.get()).toBe(initialValue);
     });
 
-    test('should handle IndexedDB set errors gracefully', async () => {
+    test('should handle storage set errors gracefully', async () => {
       store = new PersistentStore(testKey, initialValue);
       await new Promise(resolve => setTimeout(resolve, 0));
 
       // Clear previous calls
       jest.clearAllMocks();
-      idbSet.mockRejectedValue(new Error('IndexedDB error'));
+      storageSet.mockRejectedValue(new Error('Storage error'));
 
       // Should not throw
       expect(() => {
@@ -189,8 +327,8 @@ describe('PersistentStore', () => {
     beforeEach(async () => {
       // Reset mocks to avoid interference
       jest.clearAllMocks();
-      idbGet.mockResolvedValue(undefined);
-      idbSet.mockResolvedValue(undefined);
+      storageGet.mockResolvedValue(undefined);
+      storageSet.mockResolvedValue(undefined);
 
       store = new PersistentStore(testKey, initialValue);
       await new Promise(resolve => setTimeout(resolve, 0));
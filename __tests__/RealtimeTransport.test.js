@@ -0,0 +1,205 @@
+// __tests__/RealtimeTransport.test.js
+
+import {
+  RealtimeTransport,
+  WebSocketTransport,
+  SSETransport,
+  REALTIME_STATUS
+} from '../src/sync/RealtimeTransport.js';
+import { SyncEngine } from '../src/sync/SyncEngine.js';
+import { AetherStore } from '../src/data/AetherStore.js';
+import { startRealtimeServer, NodeEventSource } from './helpers/realtimeServer.js';
+
+const nextEvent = (engine, type, predicate = () => true) => new Promise(resolve => {
+  const unsubscribe = engine.addEventListener(type, data => {
+    if (predicate(data)) {
+      unsubscribe();
+      resolve(data);
+    }
+  });
+});
+
+describe('RealtimeTransport', () => {
+  describe('connection lifecycle', () => {
+    class FakeChannel extends RealtimeTransport {
+      constructor(options) {
+        super(options);
+        this.opened = [];
+        this.heartbeats = 0;
+      }
+      openConnection(url) { this.opened.push(url); }
+      sendHeartbeat() { this.heartbeats += 1; }
+    }
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should back off exponentially up to the maximum delay', () => {
+      const channel = new FakeChannel({ url: '/live', initialDelay: 100, maxDelay: 1000, jitter: 0 });
+
+      expect([1, 2, 3, 4, 5].map(attempt => channel.getReconnectDelay(attempt))).toEqual([100, 200, 400, 800, 1000]);
+    });
+
+    test('should keep jittered delays within the configured spread', () => {
+      const channel = new FakeChannel({ url: '/live', initialDelay: 1000, jitter: 0.5 });
+      const delays = Array.from({ length: 20 }, () => channel.getReconnectDelay(1));
+
+      expect(delays.every(delay => delay >= 500 && delay <= 1500)).toBe(true);
+    });
+
+    test('should resume from the current cursors on every connect', () => {
+      jest.useFakeTimers();
+      let cursors = { todos: 'c1' };
+      const channel = new FakeChannel({ url: '/live?v=1', initialDelay: 10, jitter: 0 });
+      channel.connect({ onMessage: jest.fn(), getCursors: () => cursors });
+
+      cursors = { todos: 'c2' };
+      channel.handleClose('closed');
+      jest.advanceTimersByTime(10);
+
+      expect(channel.opened).toEqual([
+        `/live?v=1&cursors=${encodeURIComponent('{"todos":"c1"}')}`,
+        `/live?v=1&cursors=${encodeURIComponent('{"todos":"c2"}')}`
+      ]);
+    });
+
+    test('should report status changes and give up after maxAttempts', () => {
+      jest.useFakeTimers();
+      const onStatus = jest.fn();
+      const channel = new FakeChannel({ url: '/live', initialDelay: 10, jitter: 0, maxAttempts: 1 });
+      channel.connect({ onMessage: jest.fn(), onStatus });
+      channel.handleOpen();
+      channel.handleClose('closed');
+      jest.advanceTimersByTime(10);
+      channel.handleClose('closed');
+
+      expect(onStatus.mock.calls.map(([status]) => status)).toEqual([
+        REALTIME_STATUS.CONNECTING,
+        REALTIME_STATUS.OPEN,
+        REALTIME_STATUS.RECONNECTING,
+        REALTIME_STATUS.RECONNECTING,
+        REALTIME_STATUS.CLOSED
+      ]);
+      expect(onStatus).toHaveBeenLastCalledWith(REALTIME_STATUS.CLOSED, { reason: 'closed', gaveUp: true });
+    });
+
+    test('should send heartbeats and reconnect when the connection goes silent', () => {
+      jest.useFakeTimers();
+      const channel = new FakeChannel({ url: '/live', heartbeatInterval: 100, heartbeatTimeout: 50, initialDelay: 10, jitter: 0 });
+      channel.connect({ onMessage: jest.fn() });
+      channel.handleOpen();
+
+      jest.advanceTimersByTime(100);
+      expect(channel.heartbeats).toBe(1);
+
+      jest.advanceTimersByTime(100);
+      expect(channel.status).toBe(REALTIME_STATUS.RECONNECTING);
+      jest.advanceTimersByTime(10);
+      expect(channel.opened).toHaveLength(2);
+    });
+
+    test('should pass data messages on and swallow heartbeats and malformed payloads', () => {
+      const onMessage = jest.fn();
+      const channel = new FakeChannel({ url: '/live' });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      channel.connect({ onMessage });
+
+      channel.handleMessage('{"type":"pong"}');
+      channel.handleMessage('not json');
+      channel.handleMessage('{"type":"changes","collection":"todos","changes":[]}');
+      channel.disconnect();
+
+      expect(onMessage).toHaveBeenCalledTimes(1);
+      expect(onMessage).toHaveBeenCalledWith({ type: 'changes', collection: 'todos', changes: [] });
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('against the stand-in server', () => {
+    let server;
+    let engine;
+    let todos;
+
+    beforeEach(async () => {
+      server = await startRealtimeServer({ sseHeartbeat: 20 });
+      todos = new AetherStore([{ id: 1, text: 'a' }]);
+      // destroy() warns that window listeners cannot be removed
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      engine.destroy();
+      await server.close();
+      console.warn.mockRestore();
+    });
+
+    const createEngine = (realtime) => {
+      engine = new SyncEngine({
+        realtime,
+        enableAdvancedCaching: false,
+        enableCarbonAware: false,
+        collections: { todos: { store: todos } }
+      });
+      return engine;
+    };
+
+    test('should apply WebSocket changes and resume from the latest cursor after a drop', async () => {
+      createEngine(new WebSocketTransport({ url: `${server.wsUrl}/socket`, initialDelay: 10, jitter: 0 }));
+      engine.pullCursors.set({ todos: 'c1' });
+      const opened = nextEvent(engine, 'realtime-status', ({ status }) => status === 'open');
+      engine.connectRealtime();
+
+      const first = await server.waitForConnection(1);
+      expect(first.cursors).toEqual({ todos: 'c1' });
+      await opened;
+
+      const applied = nextEvent(engine, 'realtime-changes');
+      server.broadcast({ type: 'changes', collection: 'todos', cursor: 'c2', changes: [{ id: 2, data: { id: 2, text: 'b' } }, { id: 1, deleted: true }] });
+
+      expect(await applied).toEqual({ collection: 'todos', applied: 2, conflicts: 0, ignored: 0, cursor: 'c2' });
+      expect(todos.get()).toEqual([{ id: 2, text: 'b' }]);
+
+      const reconnecting = nextEvent(engine, 'realtime-status', ({ status }) => status === 'reconnecting');
+      server.dropAll();
+      expect(await reconnecting).toMatchObject({ attempt: 1, delay: 10 });
+
+      const second = await server.waitForConnection(2);
+      expect(second.cursors).toEqual({ todos: 'c2' });
+    });
+
+    test('should apply Server-Sent Events through the same path', async () => {
+      createEngine(new SSETransport({ url: `${server.httpUrl}/events`, EventSource: NodeEventSource, heartbeatInterval: 50 }));
+      const opened = nextEvent(engine, 'realtime-status', ({ status }) => status === 'open');
+      engine.connectRealtime();
+      await server.waitForConnection(1);
+      await opened;
+
+      const applied = nextEvent(engine, 'realtime-changes');
+      server.broadcast({ type: 'changes', collection: 'todos', cursor: 's1', changes: [{ id: 1, data: { id: 1, text: 'A' } }] });
+
+      expect(await applied).toMatchObject({ applied: 1, cursor: 's1' });
+      expect(todos.get()).toEqual([{ id: 1, text: 'A' }]);
+      expect(engine.getPullCursor('todos')).toBe('s1');
+    });
+
+    test('should reconnect when the server stops answering heartbeats', async () => {
+      await server.close();
+      server = await startRealtimeServer({ answerPings: false });
+      createEngine(new WebSocketTransport({
+        url: `${server.wsUrl}/socket`,
+        heartbeatInterval: 20,
+        heartbeatTimeout: 20,
+        initialDelay: 10,
+        jitter: 0
+      }));
+      const timedOut = nextEvent(engine, 'realtime-status', ({ reason }) => reason === 'heartbeat_timeout');
+
+      engine.connectRealtime();
+
+      expect(await timedOut).toMatchObject({ status: 'reconnecting' });
+      await server.waitForConnection(2);
+      expect(server.connections[0].received).toContainEqual({ type: 'ping' });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// __tests__/RetryPolicy.test.js
+
+import { RetryPolicy, JITTER, parseRetryAfter } from '../src/sync/RetryPolicy.js';
+import { SyncError, SYNC_ERROR_KINDS } from '../src/sync/HttpTransport.js';
+
+const unavailable = (headers = {}, status = 503) => new SyncError('Unavailable', { kind: SYNC_ERROR_KINDS.RETRYABLE, status, headers });
+
+describe('RetryPolicy', () => {
+  test('should back off exponentially up to maxDelay with the chosen jitter', () => {
+    const none = new RetryPolicy({ baseDelay: 100, maxDelay: 1000, jitter: JITTER.NONE });
+    expect([0, 1, 2, 3, 4].map(attempt => none.getDelay(attempt))).toEqual([100, 200, 400, 800, 1000]);
+
+    const full = new RetryPolicy({ baseDelay: 100, maxDelay: 1000, random: () => 0.5 });
+    expect([0, 2, 6].map(attempt => full.getDelay(attempt))).toEqual([50, 200, 500]);
+
+    const decorrelated = new RetryPolicy({ baseDelay: 100, maxDelay: 1000, jitter: JITTER.DECORRELATED, random: () => 1 });
+    expect(decorrelated.getDelay(0)).toBe(300);
+    expect(decorrelated.getDelay(1, { previousDelay: 300 })).toBe(900);
+    expect(decorrelated.getDelay(2, { previousDelay: 900 })).toBe(1000);
+
+    expect(new RetryPolicy({ jitter: JITTER.NONE }).getDelay(1, { baseDelay: 10 })).toBe(20);
+    expect(() => new RetryPolicy({ jitter: 'equal' })).toThrow('Unknown jitter "equal"');
+  });
+
+  test('should wait as long as Retry-After asks on 429 and 503', () => {
+    const policy = new RetryPolicy({ baseDelay: 100, jitter: JITTER.NONE });
+    const now = Date.parse('2026-01-01T00:00:00Z');
+
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('soon')).toBeNull();
+
+    expect(policy.getDelay(0, { error: unavailable({ 'retry-after': '7' }) })).toBe(7000);
+    expect(policy.getDelay(0, { error: unavailable({ 'retry-after': '7' }, 429) })).toBe(7000);
+    expect(policy.getDelay(0, { error: unavailable({ 'retry-after': '7' }, 500) })).toBe(100);
+    expect(new RetryPolicy({ respectRetryAfter: false, baseDelay: 100, jitter: JITTER.NONE })
+      .getDelay(0, { error: unavailable({ 'retry-after': '7' }) })).toBe(100);
+  });
+
+  test('should classify errors and cap the time in queue', () => {
+    const policy = new RetryPolicy({ maxQueueAge: 60000 });
+    expect(policy.isRetryable(unavailable())).toBe(true);
+    expect(policy.isRetryable(new SyncError('Bad', { kind: SYNC_ERROR_KINDS.FATAL }))).toBe(false);
+    expect(policy.isExpired({ timestamp: Date.now() - 61000 })).toBe(true);
+    expect(policy.isExpired({ timestamp: Date.now() - 1000 })).toBe(false);
+    expect(new RetryPolicy().isExpired({ timestamp: 0 })).toBe(false);
+
+    const custom = new RetryPolicy({ retryable: (error) => error.status === 409 });
+    expect(custom.isRetryable(new SyncError('Conflict', { kind: SYNC_ERROR_KINDS.CONFLICT, status: 409 }))).toBe(true);
+  });
+});
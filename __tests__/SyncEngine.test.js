@@ -1,6 +1,6 @@
 // __tests__/SyncEngine.test.js
 
-import { SyncEngine } from '../src/sync/SyncEngine.js';
+import { SyncEngine, SYNC_STATUS } from '../src/sync/SyncEngine.js';
 
 // Mock idb-keyval
 jest.mock('idb-keyval', () => ({
@@ -17,10 +17,17 @@ jest.mock('../src/data/PersistentStore.js', () => ({
     get: jest.fn().mockReturnValue(initialValue),
     set: jest.fn(),
     update: jest.fn(),
-    subscribe: jest.fn()
+    subscribe: jest.fn(() => () => {}),
+    whenReady: jest.fn().mockResolvedValue(initialValue),
+    flush: jest.fn().mockResolvedValue(undefined)
   }))
 }));
 
+// Mock MutationQueueStore
+jest.mock('../src/sync/MutationQueueStore.js', () => ({
+  MutationQueueStore: jest.fn()
+}));
+
 // Mock CacheManager
 jest.mock('../src/cache/CacheManager.js', () => ({
   CacheManager: jest.fn().mockImplementation(() => ({
@@ -37,6 +44,12 @@ jest.mock('../src/scheduler/CarbonAwareScheduler.js', () => ({
 }));
 
 import { PersistentStore } from '../src/data/PersistentStore.js';
+import { MutationQueueStore } from '../src/sync/MutationQueueStore.js';
+import { AetherStore } from '../src/data/AetherStore.js';
+import { FakeTransport, SyncError, SYNC_ERROR_KINDS } from '../src/sync/HttpTransport.js';
+import { HybridLogicalClock, compareHLC, encodeHLC } from '../src/sync/HybridLogicalClock.js';
+import { createTempId } from '../src/sync/dependencies.js';
+import { IdempotencyStore, fingerprintRequest } from '../src/server/idempotency.js';
 import { CacheManager } from '../src/cache/CacheManager.js';
 import { CarbonAwareScheduler } from '../src/scheduler/CarbonAwareScheduler.js';
 
@@ -59,7 +72,20 @@ describe('SyncEngine', () => {
       set: jest.fn().mockResolvedValue(undefined)
     };
     
-    PersistentStore.mockImplementation(() => mockQueue);
+    // The queue gets the controllable mock; other engine stores get a simple in-memory store
+    MutationQueueStore.mockImplementation(() => mockQueue);
+    PersistentStore.mockImplementation((key, initialValue) => {
+      let state = initialValue;
+      return {
+        key,
+        get: jest.fn(() => state),
+        set: jest.fn(value => { state = value; }),
+        update: jest.fn(updater => { state = updater(state); }),
+        subscribe: jest.fn(() => () => {}),
+        whenReady: jest.fn(async () => state),
+        flush: jest.fn(async () => {})
+      };
+    });
     
     syncEngine = new SyncEngine({
       enableAdvancedCaching: false, // Disable for simpler testing
@@ -84,8 +110,9 @@ describe('SyncEngine', () => {
       expect(customEngine.conflictStrategy).toBe(customStrategy);
     });
 
-    test('should create PersistentStore for queue', () => {
-      expect(PersistentStore).toHaveBeenCalledWith('aether-mutation-queue', []);
+    test('should create a MutationQueueStore for the queue', () => {
+      expect(MutationQueueStore).toHaveBeenCalled();
+      expect(syncEngine.queue).toBe(mockQueue);
     });
 
     test('should register online and offline event listeners', () => {
@@ -170,6 +197,58 @@ describe('SyncEngine', () => {
         })
       ]);
     });
+
+    test('should stamp mutations with increasing hybrid logical clock values', async () => {
+      mockQueue.get.mockResolvedValue([]);
+
+      const first = await syncEngine.addMutation({ type: 'ADD_ITEM', payload: { id: 1 } });
+      const second = await syncEngine.addMutation({ type: 'ADD_ITEM', payload: { id: 2 } });
+
+      expect(first.hlc).toEqual(expect.any(String));
+      expect(compareHLC(first.hlc, second.hlc)).toBeLessThan(0);
+    });
+
+    test('should give every mutation an idempotency key derived from its id', async () => {
+      mockQueue.get.mockResolvedValue([]);
+
+      const generated = await syncEngine.addMutation({ type: 'ADD_ITEM', payload: { id: 1 } });
+      const explicit = await syncEngine.addMutation({ id: 'm2', idempotencyKey: 'client-key', type: 'ADD_ITEM', payload: { id: 2 } });
+
+      expect(generated.idempotencyKey).toBe(generated.id);
+      expect(explicit.idempotencyKey).toBe('client-key');
+      expect(syncEngine.stripQueueMetadata(generated)).not.toHaveProperty('idempotencyKey');
+    });
+
+    test('should make retries after a lost response safe', async () => {
+      const server = new IdempotencyStore();
+      let applied = 0;
+      let loseResponse = true;
+      const transport = new FakeTransport({
+        routes: { ADD_ITEM: { method: 'POST', path: '/items' } },
+        respond: async (request) => {
+          const fingerprint = fingerprintRequest(request.method, request.url, request.body);
+          const { response } = await server.execute(request.headers['Idempotency-Key'], fingerprint, async () => {
+            applied += 1;
+            return { status: 201, body: { id: 1, serverCount: applied } };
+          });
+          if (loseResponse) {
+            loseResponse = false;
+            throw new Error('Request timed out');
+          }
+          return response;
+        }
+      });
+      const engine = new SyncEngine({ transport, enableAdvancedCaching: false, enableCarbonAware: false });
+      mockQueue.get.mockResolvedValue([]);
+      const mutation = await engine.addMutation({ type: 'ADD_ITEM', payload: { text: 'once' } });
+
+      await expect(engine.syncMutation(mutation)).rejects.toMatchObject({ kind: SYNC_ERROR_KINDS.RETRYABLE });
+      const data = await engine.syncMutation(mutation);
+
+      expect(applied).toBe(1);
+      expect(data).toEqual({ id: 1, serverCount: 1 });
+      expect(transport.requests.map(request => request.headers['Idempotency-Key'])).toEqual([mutation.id, mutation.id]);
+    });
   });
 
   describe('processQueue()', () => {
@@ -255,6 +334,19 @@ describe('SyncEngine', () => {
       });
       expect(setCall[0][0]).toHaveProperty('lastAttempt');
     });
+
+    test('should release the batch when saving the results fails', async () => {
+      const mutations = [{ id: 'm1', type: 'ADD_ITEM', payload: { id: 1 } }];
+      mockQueue.get.mockResolvedValue(mutations);
+      mockQueue.set.mockRejectedValueOnce(new Error('Quota exceeded'));
+
+      await expect(syncEngine.processQueue()).rejects.toThrow('Quota exceeded');
+
+      expect(syncEngine.isSyncing).toBe(false);
+      expect(syncEngine.lockedMutationIds.size).toBe(0);
+      await syncEngine.processQueue();
+      expect(syncEngine.syncMutation).toHaveBeenCalledTimes(2);
+    });
   });
 
   describe('conflict resolution', () => {
@@ -295,9 +387,1117 @@ describe('SyncEngine', () => {
       
       await syncEngine.processQueue();
       
-      expect(customResolver).toHaveBeenCalledWith(mutation, serverState);
+      expect(customResolver).toHaveBeenCalledWith(mutation, serverState, expect.objectContaining({
+        local: mutation,
+        server: serverState
+      }));
       expect(syncEngine.syncMutation).toHaveBeenCalledWith({ type: 'RESOLVED' });
     });
+
+    test('should keep a server record written after the local change under LastWriteWins', async () => {
+      const localClock = encodeHLC({ wall: 1000, logical: 0, node: 'tablet' });
+      const serverClock = encodeHLC({ wall: 1000, logical: 3, node: 'server' });
+      syncEngine.fetchServerState.mockResolvedValue({ data: { id: 1 }, revision: 2, clock: serverClock });
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'UPDATE_ITEM', payload: { id: 1 }, hlc: localClock }]);
+
+      await syncEngine.processQueue();
+
+      expect(syncEngine.syncMutation).not.toHaveBeenCalled();
+      expect(mockQueue.set).toHaveBeenCalledWith([]);
+    });
+  });
+
+  describe('revision-based conflict detection', () => {
+    const createEngine = (respond, options = {}) => {
+      const transport = new FakeTransport({
+        routes: { UPDATE_ITEM: { method: 'PUT', path: '/items/:id', statePath: options.statePath } },
+        respond
+      });
+      const engine = new SyncEngine({
+        transport,
+        enableAdvancedCaching: false,
+        enableCarbonAware: false,
+        ...options
+      });
+      return { engine, transport };
+    };
+
+    test('should detect conflicts from server-state comparison', () => {
+      expect(syncEngine.hasConflict({ baseRevision: 3 }, { revision: 4 })).toBe(true);
+      expect(syncEngine.hasConflict({ baseRevision: 4 }, { revision: 4 })).toBe(false);
+      expect(syncEngine.hasConflict({ baseRevision: '"a"' }, { revision: 'W/"a"' })).toBe(false);
+      expect(syncEngine.hasConflict({ baseRevision: { a: 2, b: 1 } }, { revision: { a: 1, b: 2 } })).toBe(true);
+      expect(syncEngine.hasConflict({}, { revision: 4 })).toBe(false);
+    });
+
+    test('should send the base revision as If-Match', async () => {
+      const { engine, transport } = createEngine(() => ({ status: 200 }));
+
+      await engine.syncMutation({ type: 'UPDATE_ITEM', payload: { id: 1 }, baseRevision: 3 });
+
+      expect(transport.requests[0].headers['If-Match']).toBe('"3"');
+    });
+
+    test('should resolve a 412 with the custom strategy and resend on the server revision', async () => {
+      const resolver = jest.fn((local, server) => ({ ...local, payload: { ...local.payload, merged: true } }));
+      let calls = 0;
+      const { engine, transport } = createEngine(() => {
+        calls++;
+        return calls === 1
+          ? { status: 412, headers: { ETag: '"v5"' }, body: { id: 1, title: 'server' } }
+          : { status: 200, headers: { ETag: '"v6"' } };
+      }, { conflictStrategy: resolver });
+      const mutation = { id: 'm1', type: 'UPDATE_ITEM', payload: { id: 1 }, baseRevision: '"v4"', base: { id: 1, title: 'base' } };
+
+      const result = await engine.processSingleMutation(mutation);
+
+      expect(result.success).toBe(true);
+      expect(resolver).toHaveBeenCalledWith(mutation, { data: { id: 1, title: 'server' }, revision: '"v5"' }, {
+        local: mutation,
+        base: { id: 1, title: 'base' },
+        baseRevision: '"v4"',
+        server: { data: { id: 1, title: 'server' }, revision: '"v5"' }
+      });
+      expect(transport.requests[1].headers['If-Match']).toBe('"v5"');
+      expect(JSON.parse(transport.requests[1].body)).toEqual({ id: 1, merged: true });
+    });
+
+    test('should drop the local change on conflict with ServerWins', async () => {
+      const { engine, transport } = createEngine(
+        (request) => request.method === 'GET'
+          ? { status: 200, body: { id: 1, revision: 9 } }
+          : { status: 200 },
+        { conflictStrategy: 'ServerWins', statePath: '/items/:id' }
+      );
+      const onConflict = jest.fn();
+      engine.addEventListener('conflict-detected', onConflict);
+
+      const result = await engine.processSingleMutation({ type: 'UPDATE_ITEM', payload: { id: 1 }, baseRevision: 8 });
+
+      expect(result).toEqual({ success: true, data: { skipped: true, reason: 'server_wins' } });
+      expect(transport.requests).toHaveLength(1);
+      expect(onConflict).toHaveBeenCalledWith(expect.objectContaining({ server: { data: { id: 1, revision: 9 }, revision: 9 } }));
+    });
+
+    test('should replay CRDT operations on conflict without consulting the strategy', async () => {
+      const resolver = jest.fn();
+      let calls = 0;
+      const transport = new FakeTransport({
+        respond: () => (++calls === 1 ? { status: 409, body: { revision: 2 } } : { status: 200 })
+      });
+      const engine = new SyncEngine({ transport, conflictStrategy: resolver, enableAdvancedCaching: false, enableCarbonAware: false });
+      const payload = { crdt: 'PNCounter', ops: [{ kind: 'p', replica: 'a', total: 1 }] };
+
+      const result = await engine.processSingleMutation({ type: 'CRDT_OP', entity: 'likes', payload, baseRevision: 1 });
+
+      expect(result.success).toBe(true);
+      expect(resolver).not.toHaveBeenCalled();
+      expect(JSON.parse(transport.requests[1].body).payload).toEqual(payload);
+    });
+
+    test('should report a permanent conflict when the resend conflicts again', async () => {
+      const { engine } = createEngine(() => ({ status: 409, body: { revision: 2 } }));
+
+      const result = await engine.processSingleMutation({ type: 'UPDATE_ITEM', payload: { id: 1 }, baseRevision: 1, retryCount: 0 });
+
+      expect(result).toMatchObject({ success: false, permanent: true });
+      expect(result.error.kind).toBe(SYNC_ERROR_KINDS.CONFLICT);
+    });
+
+    test('should rebase queued mutations onto revisions produced by our own writes', async () => {
+      let revision = 3;
+      const { engine, transport } = createEngine(() => ({ status: 200, headers: { etag: String(++revision) } }));
+
+      await engine.processSingleMutation({ type: 'UPDATE_ITEM', payload: { id: 1 }, baseRevision: '3' });
+      await engine.processSingleMutation({ type: 'UPDATE_ITEM', payload: { id: 1 }, baseRevision: '3' });
+      await engine.processSingleMutation({ type: 'UPDATE_ITEM', payload: { id: 1 }, baseRevision: '3' });
+
+      expect(transport.requests.map(request => request.headers['If-Match'])).toEqual(['3', '4', '5']);
+    });
+  });
+
+  describe('transport', () => {
+    test('should deliver mutations through the injected transport', async () => {
+      const transport = new FakeTransport({
+        routes: { ADD_ITEM: { method: 'POST', path: '/items' } },
+        respond: () => ({ status: 201, body: { id: 1 } })
+      });
+      const engine = new SyncEngine({ transport, enableAdvancedCaching: false, enableCarbonAware: false });
+      const synced = jest.fn();
+      engine.addEventListener('mutation-synced', synced);
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'ADD_ITEM', payload: { text: 'a' } }]);
+
+      await engine.processQueue();
+
+      expect(transport.requests[0]).toMatchObject({ method: 'POST', url: '/items' });
+      expect(synced).toHaveBeenCalledWith(expect.objectContaining({ result: { id: 1 } }));
+      expect(mockQueue.set).toHaveBeenCalledWith([]);
+    });
+
+    test('should not retry and should drop mutations rejected as fatal', async () => {
+      const transport = new FakeTransport({ respond: () => ({ status: 422 }) });
+      const engine = new SyncEngine({ transport, enableAdvancedCaching: false, enableCarbonAware: false });
+      const onError = jest.fn();
+      engine.addEventListener('sync-error', onError);
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0 }]);
+
+      await engine.processQueue();
+
+      expect(transport.requests).toHaveLength(1);
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+        kind: SYNC_ERROR_KINDS.FATAL,
+        retriesExhausted: true
+      }));
+      expect(engine.getSyncState().status).toBe('error');
+    });
+
+    test('should keep retryable failures in the queue', async () => {
+      syncEngine.syncMutation = jest.fn().mockRejectedValue(
+        new SyncError('Unavailable', { kind: SYNC_ERROR_KINDS.RETRYABLE, status: 503 })
+      );
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 3 }]);
+      syncEngine.retryAttempts = 5;
+
+      await syncEngine.processQueue();
+
+      const lastSet = mockQueue.set.mock.calls[mockQueue.set.mock.calls.length - 1][0];
+      expect(lastSet).toEqual([expect.objectContaining({ id: 'm1', retryCount: 4, lastError: 'Unavailable' })]);
+    });
+
+    test('should send the mutation clock and merge the clock the server returns', async () => {
+      // The device clock is ten minutes behind the server
+      const clock = new HybridLogicalClock({ nodeId: 'tablet', persist: false, physicalTime: () => 1000 });
+      const serverClock = encodeHLC({ wall: 1000 + 10 * 60 * 1000, logical: 0, node: 'server' });
+      const transport = new FakeTransport({ respond: () => ({ status: 200, headers: { 'X-HLC': serverClock } }) });
+      const engine = new SyncEngine({ transport, clock, enableAdvancedCaching: false, enableCarbonAware: false });
+      const mutation = { id: 'm1', type: 'ADD_ITEM', payload: {}, hlc: clock.now() };
+
+      await engine.syncMutation(mutation);
+
+      expect(transport.requests[0].headers['X-HLC']).toBe(mutation.hlc);
+      expect(JSON.parse(transport.requests[0].body).hlc).toBe(mutation.hlc);
+      expect(compareHLC(serverClock, clock.now())).toBeLessThan(0);
+    });
+  });
+
+  describe('ThreeWayMerge strategy', () => {
+    const base = { id: 1, title: 'Draft', body: 'Hello', status: 'open' };
+    let engine;
+    let transport;
+    let serverRecord;
+
+    beforeEach(() => {
+      serverRecord = { ...base, status: 'closed' };
+      transport = new FakeTransport({
+        routes: { UPDATE_ITEM: { method: 'PUT', path: '/items/:id', statePath: '/items/:id' } },
+        respond: (request) => request.method === 'GET'
+          ? { status: 200, headers: { etag: '"2"' }, body: serverRecord }
+          : { status: 200, headers: { etag: '"3"' } }
+      });
+      engine = new SyncEngine({
+        transport,
+        conflictStrategy: 'ThreeWayMerge',
+        enableAdvancedCaching: false,
+        enableCarbonAware: false
+      });
+    });
+
+    test('should merge non-overlapping field changes and resend', async () => {
+      const mutation = { type: 'UPDATE_ITEM', payload: { id: 1, title: 'Final' }, base, baseRevision: '"1"' };
+
+      const result = await engine.processSingleMutation(mutation);
+
+      expect(result.success).toBe(true);
+      expect(transport.requests[1].headers['If-Match']).toBe('"2"');
+      expect(JSON.parse(transport.requests[1].body)).toEqual({ id: 1, title: 'Final', body: 'Hello', status: 'closed' });
+      expect(await engine.getPendingConflicts()).toEqual([]);
+    });
+
+    test('should park true collisions as pending conflicts', async () => {
+      serverRecord = { ...base, title: 'Server title', status: 'closed' };
+      const onUpdate = jest.fn();
+      engine.addEventListener('conflicts-updated', onUpdate);
+      const mutation = { id: 'm1', type: 'UPDATE_ITEM', payload: { id: 1, title: 'Local title', body: 'Hi' }, base, baseRevision: '"1"' };
+
+      const result = await engine.processSingleMutation(mutation);
+      const [pending] = await engine.getPendingConflicts();
+
+      expect(result.data).toEqual({ skipped: true, reason: 'pending_conflict', conflictId: pending.id });
+      expect(transport.requests).toHaveLength(1);
+      expect(pending.conflicts).toEqual([{ field: 'title', base: 'Draft', local: 'Local title', server: 'Server title' }]);
+      expect(pending.merged).toEqual({ id: 1, title: 'Server title', body: 'Hi', status: 'closed' });
+      expect(onUpdate).toHaveBeenCalledWith(expect.objectContaining({ action: 'added' }));
+    });
+
+    test('should requeue the manual resolution on top of the server revision', async () => {
+      serverRecord = { ...base, title: 'Server title' };
+      await engine.processSingleMutation({ id: 'm1', type: 'UPDATE_ITEM', payload: { id: 1, title: 'Local title' }, base, baseRevision: '"1"', retryCount: 0 });
+      const [pending] = await engine.getPendingConflicts();
+
+      const requeued = await engine.resolvePendingConflict(pending.id, { title: { value: 'Both titles' } });
+
+      expect(requeued).toMatchObject({
+        type: 'UPDATE_ITEM',
+        payload: { id: 1, title: 'Both titles', body: 'Hello', status: 'open' },
+        base: serverRecord,
+        baseRevision: '"2"',
+        resolvedConflictId: pending.id,
+        retryCount: 0,
+        status: 'pending'
+      });
+      expect(requeued.id).not.toBe('m1');
+      expect(mockQueue.set).toHaveBeenLastCalledWith([requeued]);
+      expect(await engine.getPendingConflicts()).toEqual([]);
+    });
+
+    test('should reject incomplete resolutions and allow discarding', async () => {
+      serverRecord = { ...base, title: 'Server title' };
+      await engine.processSingleMutation({ type: 'UPDATE_ITEM', payload: { id: 1, title: 'Local title' }, base, baseRevision: '"1"' });
+      const [pending] = await engine.getPendingConflicts();
+
+      await expect(engine.resolvePendingConflict(pending.id, {})).rejects.toThrow('Unresolved conflicting fields: title');
+      expect(await engine.discardPendingConflict(pending.id)).toBe(true);
+      expect(await engine.resolvePendingConflict(pending.id, 'local')).toBeNull();
+    });
+  });
+
+  describe('queue compaction', () => {
+    test('should compact mutations for the same record as they are enqueued', async () => {
+      let queue = [];
+      mockQueue.get.mockImplementation(async () => queue);
+      mockQueue.set.mockImplementation(async value => { queue = value; });
+
+      const first = await syncEngine.addMutation({ type: 'UPDATE_ITEM', payload: { id: 1, title: 'a' } });
+      await syncEngine.addMutation({ type: 'UPDATE_ITEM', payload: { id: 1, done: true } });
+
+      expect(queue).toEqual([expect.objectContaining({ id: first.id, payload: { id: 1, title: 'a', done: true } })]);
+      expect(syncEngine.getSyncState().pending).toBe(1);
+    });
+
+    test('should not merge new edits into mutations that are being sent', async () => {
+      let queue = [{ id: 'm1', type: 'UPDATE_ITEM', payload: { id: 1, title: 'a' } }];
+      mockQueue.get.mockImplementation(async () => queue);
+      mockQueue.set.mockImplementation(async value => { queue = value; });
+      syncEngine.syncMutation = jest.fn(async () => {
+        await syncEngine.addMutation({ id: 'm2', type: 'UPDATE_ITEM', payload: { id: 1, title: 'b' } });
+      });
+
+      await syncEngine.processQueue();
+
+      expect(queue).toEqual([expect.objectContaining({ id: 'm2', payload: { id: 1, title: 'b' } })]);
+    });
+
+    test('should compact before processing when configured to', async () => {
+      const engine = new SyncEngine({ compaction: 'process', enableAdvancedCaching: false, enableCarbonAware: false });
+      engine.syncMutation = jest.fn().mockResolvedValue({});
+      mockQueue.get.mockResolvedValue([
+        { id: 'c1', type: 'ADD_ITEM', payload: { id: 1 } },
+        { id: 'd1', type: 'DELETE_ITEM', payload: { id: 1 } }
+      ]);
+
+      await engine.processQueue();
+
+      expect(mockQueue.set).toHaveBeenCalledWith([]);
+      expect(engine.syncMutation).not.toHaveBeenCalled();
+    });
+
+    test('should use registered coalescers', async () => {
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'SET_THEME', payload: { theme: 'dark' } }]);
+      syncEngine.registerCoalescer('SET_THEME', (previous, next) => ({ ...previous, payload: next.payload }));
+
+      await syncEngine.addMutation({ type: 'SET_THEME', payload: { theme: 'light' } });
+
+      expect(mockQueue.set).toHaveBeenCalledWith([{ id: 'm1', type: 'SET_THEME', payload: { theme: 'light' } }]);
+    });
+  });
+
+  describe('mutation dependencies', () => {
+    const postId = createTempId();
+
+    test('should sync a parent before mutations that reference its temp id and rewrite the id', async () => {
+      const transport = new FakeTransport({
+        routes: { ADD_POST: { method: 'POST', path: '/posts' }, ADD_COMMENT: { method: 'POST', path: '/posts/:postId/comments' } },
+        respond: (request) => (request.url === '/posts' ? { status: 201, body: { id: 'post-42' } } : { status: 201, body: {} })
+      });
+      const engine = new SyncEngine({ transport, enableAdvancedCaching: false, enableCarbonAware: false });
+      const onResolved = jest.fn();
+      engine.addEventListener('temp-id-resolved', onResolved);
+      mockQueue.get.mockResolvedValue([
+        { id: 'm2', type: 'ADD_COMMENT', payload: { postId, text: 'First!' } },
+        { id: 'm1', type: 'ADD_POST', payload: { id: postId, title: 'Hello' } }
+      ]);
+
+      await engine.processQueue();
+
+      expect(transport.requests.map(request => request.url)).toEqual(['/posts', '/posts/post-42/comments']);
+      expect(JSON.parse(transport.requests[1].body).postId).toBe('post-42');
+      expect(onResolved).toHaveBeenCalledWith(expect.objectContaining({ tempId: postId, serverId: 'post-42' }));
+      expect(engine.resolveTempId(postId)).toBe('post-42');
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+    });
+
+    test('should rewrite temp ids of already synced records when enqueuing', async () => {
+      syncEngine.tempIdMappings.set({ [postId]: 'post-42' });
+      mockQueue.get.mockResolvedValue([]);
+
+      const queued = await syncEngine.addMutation({ type: 'UPDATE_POST', entityId: postId, payload: { title: 'Edited' } });
+
+      expect(queued.entityId).toBe('post-42');
+    });
+
+    test('should hold back dependents while their parent keeps failing', async () => {
+      syncEngine.retryAttempts = 5;
+      syncEngine.retryDelay = 1;
+      syncEngine.syncMutation = jest.fn(async (mutation) => {
+        if (mutation.id === 'm1') throw new SyncError('Unavailable', { kind: SYNC_ERROR_KINDS.RETRYABLE });
+        return {};
+      });
+      const parent = { id: 'm1', type: 'ADD_POST', payload: { id: postId }, retryCount: 3 };
+      const child = { id: 'm2', type: 'ADD_COMMENT', payload: { postId }, dependsOn: ['m1'] };
+      mockQueue.get.mockResolvedValue([parent, child]);
+
+      await syncEngine.processQueue();
+
+      expect(syncEngine.syncMutation.mock.calls.map(([mutation]) => mutation.id)).not.toContain('m2');
+      expect(mockQueue.set).toHaveBeenLastCalledWith([expect.objectContaining({ id: 'm1', retryCount: 4 }), child]);
+    });
+
+    test('should dead-letter dependents when their parent is dropped', async () => {
+      const transport = new FakeTransport({ respond: () => ({ status: 422 }) });
+      const engine = new SyncEngine({ transport, enableAdvancedCaching: false, enableCarbonAware: false });
+      mockQueue.get.mockResolvedValue([
+        { id: 'm1', type: 'ADD_POST', payload: { id: postId } },
+        { id: 'm2', type: 'ADD_COMMENT', payload: { postId } }
+      ]);
+
+      await engine.processQueue();
+
+      const deadLetters = await engine.getDeadLetters();
+      expect(transport.requests).toHaveLength(1);
+      expect(deadLetters.map(entry => [entry.mutation.id, entry.reason])).toEqual([
+        ['m1', SYNC_ERROR_KINDS.FATAL],
+        ['m2', 'dependency_failed']
+      ]);
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+    });
+
+    test('should keep dependency chains in one batch when grouping for carbon-aware scheduling', () => {
+      const groups = syncEngine.groupMutationsForBatches([
+        { id: 'm3', type: 'ADD_COMMENT', payload: { postId } },
+        { id: 'm4', type: 'ADD_COMMENT', payload: { postId: 7 } },
+        { id: 'm1', type: 'ADD_POST', payload: { id: postId } },
+        { id: 'm5', type: 'ADD_POST', payload: { id: 8 } }
+      ]);
+
+      const batches = [...groups.values()].map(group => group.map(mutation => mutation.id));
+      expect(batches).toEqual([['m4'], ['m1', 'm3'], ['m5']]);
+    });
+
+    test('should not schedule mutations a carbon-aware batch is still sending again', async () => {
+      const engine = new SyncEngine({ enableAdvancedCaching: false });
+      let finish;
+      engine.syncMutation = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+      const first = { id: 'm1', type: 'ADD_POST', payload: { id: 1 } };
+      const second = { id: 'm2', type: 'ADD_POST', payload: { id: 2 } };
+      mockQueue.get.mockResolvedValue([first]);
+
+      await engine.processQueue();
+      const [[task]] = engine.carbonScheduler.scheduleTask.mock.calls;
+      const sending = task.execute(task.data);
+      mockQueue.get.mockResolvedValue([first, second]);
+      await engine.processQueue();
+
+      expect(engine.carbonScheduler.scheduleTask).toHaveBeenCalledTimes(2);
+      expect(engine.carbonScheduler.scheduleTask.mock.calls[1][0].data).toEqual([second]);
+      finish({});
+      await sending;
+    });
+  });
+
+  describe('optimistic updates', () => {
+    let todos;
+    const addTodo = { apply: (state, mutation) => [...state, mutation.payload] };
+
+    // Queue a mutation without triggering the automatic sync, then make it the stored queue
+    const enqueue = async (mutation, optimistic) => {
+      syncEngine.isOnline = false;
+      const queued = await syncEngine.addMutation(mutation, optimistic);
+      syncEngine.isOnline = true;
+      mockQueue.get.mockResolvedValue([queued]);
+      return queued;
+    };
+
+    beforeEach(() => {
+      todos = new AetherStore([{ id: 1, text: 'Existing' }]);
+    });
+
+    test('should apply the change as soon as the mutation is queued', async () => {
+      await enqueue({ type: 'ADD_TODO', payload: { id: 'temp_1', text: 'Draft' } }, { store: todos, ...addTodo });
+
+      expect(todos.get()).toEqual([{ id: 1, text: 'Existing' }, { id: 'temp_1', text: 'Draft' }]);
+    });
+
+    test('should merge the canonical server record once the mutation syncs', async () => {
+      syncEngine.syncMutation = jest.fn().mockResolvedValue({ id: 'todo-9', text: 'Draft', createdAt: 5 });
+      await enqueue({ type: 'ADD_TODO', payload: { id: 'temp_1', text: 'Draft' } }, { store: todos, ...addTodo });
+
+      await syncEngine.processQueue();
+
+      expect(todos.get()).toEqual([{ id: 1, text: 'Existing' }, { id: 'todo-9', text: 'Draft', createdAt: 5 }]);
+      expect(syncEngine.optimisticUpdates.entries.size).toBe(0);
+    });
+
+    test('should keep the synced change when the mutation is force-synced', async () => {
+      syncEngine.syncMutation = jest.fn().mockResolvedValue({ id: 'todo-9', text: 'Draft' });
+      const onRolledBack = jest.fn();
+      syncEngine.addEventListener('mutation-rolled-back', onRolledBack);
+      const postToFollowers = jest.spyOn(syncEngine, 'postToFollowers');
+      const queued = await enqueue({ type: 'ADD_TODO', payload: { id: 'temp_1', text: 'Draft' } }, { store: todos, ...addTodo });
+
+      expect(await syncEngine.forceSyncMutation(queued.id)).toBe(true);
+
+      expect(todos.get()).toEqual([{ id: 1, text: 'Existing' }, { id: 'todo-9', text: 'Draft' }]);
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+      expect(onRolledBack).not.toHaveBeenCalled();
+      const posted = postToFollowers.mock.calls.map(([message]) => message.type);
+      expect(posted).toContain('mutation-synced');
+      expect(posted).not.toContain('mutation-rolled-back');
+    });
+
+    test('should roll back when the mutation is dead-lettered', async () => {
+      syncEngine.syncMutation = jest.fn().mockRejectedValue(new SyncError('Invalid', { kind: SYNC_ERROR_KINDS.FATAL, status: 422 }));
+      const onRolledBack = jest.fn();
+      syncEngine.addEventListener('mutation-rolled-back', onRolledBack);
+      const queued = await enqueue({ type: 'ADD_TODO', payload: { id: 'temp_1', text: 'Draft' } }, { store: todos, ...addTodo });
+
+      await syncEngine.processQueue();
+
+      expect(todos.get()).toEqual([{ id: 1, text: 'Existing' }]);
+      expect(onRolledBack).toHaveBeenCalledWith({
+        mutation: expect.objectContaining({ id: queued.id }),
+        reason: SYNC_ERROR_KINDS.FATAL
+      });
+    });
+
+    test('should roll back when the server wins a conflict', async () => {
+      syncEngine.conflictStrategy = 'ServerWins';
+      syncEngine.fetchServerState = jest.fn().mockResolvedValue({ data: { id: 1, text: 'Theirs' }, revision: 3 });
+      syncEngine.syncMutation = jest.fn();
+      const onRolledBack = jest.fn();
+      syncEngine.addEventListener('mutation-rolled-back', onRolledBack);
+      await enqueue(
+        { type: 'UPDATE_TODO', payload: { id: 1, text: 'Mine' }, baseRevision: 2 },
+        {
+          store: todos,
+          apply: (state, mutation) => state.map(todo => (todo.id === 1 ? { ...todo, ...mutation.payload } : todo)),
+          revert: state => state.map(todo => (todo.id === 1 ? { ...todo, text: 'Existing' } : todo))
+        }
+      );
+      expect(todos.get()).toEqual([{ id: 1, text: 'Mine' }]);
+
+      await syncEngine.processQueue();
+
+      expect(syncEngine.syncMutation).not.toHaveBeenCalled();
+      expect(todos.get()).toEqual([{ id: 1, text: 'Existing' }]);
+      expect(onRolledBack).toHaveBeenCalledWith(expect.objectContaining({ reason: 'server_wins' }));
+    });
+
+    test('should keep the change while the mutation is retried', async () => {
+      syncEngine.retryAttempts = 5;
+      syncEngine.retryDelay = 1;
+      syncEngine.syncMutation = jest.fn().mockRejectedValue(new SyncError('Unavailable', { kind: SYNC_ERROR_KINDS.RETRYABLE }));
+      await enqueue({ type: 'ADD_TODO', payload: { id: 'temp_1', text: 'Draft' } }, { store: todos, ...addTodo });
+
+      await syncEngine.processQueue();
+      syncEngine.isOnline = false; // Keep the scheduled retry from running after the test
+
+      expect(todos.get()).toHaveLength(2);
+    });
+
+    test('should roll back a removed mutation and every change folded into it', async () => {
+      const first = await enqueue({ type: 'ADD_TODO', payload: { id: 'temp_1', text: 'Draft' } }, { store: todos, ...addTodo });
+      mockQueue.get.mockResolvedValue([first]);
+      syncEngine.isOnline = false;
+      const second = await syncEngine.addMutation(
+        { type: 'UPDATE_TODO', payload: { id: 'temp_1', text: 'Final' } },
+        { store: todos, apply: state => state.map(todo => (todo.id === 'temp_1' ? { ...todo, text: 'Final' } : todo)) }
+      );
+      const [compacted] = mockQueue.set.mock.calls[mockQueue.set.mock.calls.length - 1][0];
+      expect(compacted.coalescedIds).toEqual([second.id]);
+      mockQueue.get.mockResolvedValue([compacted]);
+
+      await syncEngine.removeMutation(first.id);
+
+      expect(todos.get()).toEqual([{ id: 1, text: 'Existing' }]);
+    });
+
+    test('should require a store and an apply function', async () => {
+      await expect(syncEngine.addMutation({ type: 'ADD_TODO' }, { store: todos })).rejects.toThrow('apply');
+      expect(mockQueue.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pull phase', () => {
+    let todos;
+    let changesSince;
+
+    beforeEach(() => {
+      todos = new AetherStore([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+      changesSince = jest.fn().mockResolvedValue({ changes: [], cursor: null });
+      syncEngine.changesSince = changesSince;
+      syncEngine.registerCollection('todos', { store: todos, entity: 'TODO' });
+    });
+
+    test('should page through changes since the saved cursor and apply them', async () => {
+      syncEngine.pullCursors.set({ todos: 'c1' });
+      changesSince
+        .mockResolvedValueOnce({ changes: [{ id: 2, data: { id: 2, text: 'B' } }], cursor: 'c2', hasMore: true })
+        .mockResolvedValueOnce({ changes: [{ id: 3, data: { id: 3, text: 'c' } }], cursor: 'c3', hasMore: false });
+      const onPulled = jest.fn();
+      syncEngine.addEventListener('changes-pulled', onPulled);
+
+      const results = await syncEngine.pullChanges();
+
+      expect(changesSince.mock.calls).toEqual([['todos', 'c1'], ['todos', 'c2']]);
+      expect(todos.get()).toEqual([{ id: 1, text: 'a' }, { id: 2, text: 'B' }, { id: 3, text: 'c' }]);
+      expect(results.todos).toEqual({ applied: 2, conflicts: 0, ignored: 0, cursor: 'c3' });
+      expect(syncEngine.getPullCursor('todos')).toBe('c3');
+      expect(onPulled).toHaveBeenCalledWith(expect.objectContaining({ collection: 'todos', applied: 2 }));
+      expect(syncEngine.getSyncState().status).toBe('synced');
+    });
+
+    test('should remove records on tombstones and dead-letter queued updates to them', async () => {
+      const update = { id: 'm1', type: 'UPDATE_TODO', payload: { id: 1, text: 'mine' } };
+      mockQueue.get.mockResolvedValue([update]);
+      changesSince.mockResolvedValue({ changes: [{ id: 1, deleted: true, hlc: encodeHLC({ wall: 5, logical: 0, node: 'server' }) }], cursor: 'c2' });
+
+      await syncEngine.pullChanges();
+
+      expect(todos.get()).toEqual([{ id: 2, text: 'b' }]);
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+      const [deadLetter] = await syncEngine.getDeadLetters();
+      expect(deadLetter).toMatchObject({ mutation: { id: 'm1' }, reason: 'deleted_remotely' });
+      expect(syncEngine.isDeletedRemotely('todos', 1)).toBe(true);
+    });
+
+    test('should ignore upserts older than a tombstone', async () => {
+      mockQueue.get.mockResolvedValue([]);
+      changesSince.mockResolvedValue({
+        changes: [
+          { id: 1, deleted: true, hlc: encodeHLC({ wall: 5, logical: 0, node: 'server' }) },
+          { id: 1, data: { id: 1, text: 'stale' }, hlc: encodeHLC({ wall: 4, logical: 0, node: 'server' }) }
+        ],
+        cursor: 'c2'
+      });
+
+      const results = await syncEngine.pullChanges();
+
+      expect(todos.get()).toEqual([{ id: 2, text: 'b' }]);
+      expect(results.todos).toMatchObject({ applied: 1, ignored: 1 });
+    });
+
+    test('should keep local versions of records with queued mutations', async () => {
+      const update = { id: 'm1', type: 'UPDATE_TODO', payload: { id: 2, text: 'mine' } };
+      mockQueue.get.mockResolvedValue([update]);
+      changesSince.mockResolvedValue({ changes: [{ id: 2, data: { id: 2, text: 'theirs' }, revision: 4 }], cursor: 'c2' });
+      const onConflict = jest.fn();
+      syncEngine.addEventListener('conflict-detected', onConflict);
+
+      const results = await syncEngine.pullChanges();
+
+      expect(todos.get()[1]).toEqual({ id: 2, text: 'b' });
+      expect(results.todos.conflicts).toBe(1);
+      expect(mockQueue.set).not.toHaveBeenCalled();
+      expect(onConflict).toHaveBeenCalledWith(expect.objectContaining({
+        local: update,
+        server: { data: { id: 2, text: 'theirs' }, revision: 4, clock: undefined, deleted: false },
+        source: 'pull'
+      }));
+    });
+
+    test('should discard queued mutations for changed records under ServerWins', async () => {
+      syncEngine.conflictStrategy = 'ServerWins';
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'UPDATE_TODO', payload: { id: 2, text: 'mine' } }]);
+      changesSince.mockResolvedValue({ changes: [{ id: 2, data: { id: 2, text: 'theirs' } }], cursor: 'c2' });
+
+      await syncEngine.pullChanges();
+
+      expect(todos.get()[1]).toEqual({ id: 2, text: 'theirs' });
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+      expect(await syncEngine.getDeadLetters()).toEqual([]);
+    });
+
+    test('should keep the cursor and report errors when a pull fails', async () => {
+      syncEngine.pullCursors.set({ todos: 'c1' });
+      changesSince.mockRejectedValue(new SyncError('Unavailable', { kind: SYNC_ERROR_KINDS.RETRYABLE }));
+      const onError = jest.fn();
+      syncEngine.addEventListener('sync-error', onError);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const results = await syncEngine.pullChanges();
+
+      expect(results.todos.error).toBeInstanceOf(SyncError);
+      expect(syncEngine.getPullCursor('todos')).toBe('c1');
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ collection: 'todos', phase: 'pull', kind: 'retryable' }));
+      expect(syncEngine.getSyncState().status).toBe('error');
+      console.error.mockRestore();
+    });
+
+    test('should push then pull in one cycle with combined progress', async () => {
+      syncEngine.syncMutation = jest.fn().mockResolvedValue({});
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'ADD_ITEM', payload: {} }, { id: 'm2', type: 'ADD_ITEM', payload: {} }]);
+      await syncEngine.initializeSyncState();
+      changesSince.mockImplementation(async () => {
+        expect(syncEngine.syncMutation).toHaveBeenCalledTimes(2);
+        return { changes: [], cursor: 'c1' };
+      });
+      const progress = [];
+      syncEngine.addEventListener('sync-progress-update', update => progress.push(update));
+
+      await syncEngine.sync();
+
+      expect(progress.every(update => update.total === 3)).toBe(true);
+      expect(progress[progress.length - 1]).toEqual({ current: 3, total: 3, percentage: 100 });
+      expect(changesSince).toHaveBeenCalledWith('todos', null);
+    });
+
+    test('should fall back to the transport and require a store', async () => {
+      const transport = new FakeTransport({ respond: () => ({ status: 200, body: { changes: [], cursor: 'c1' } }) });
+      const engine = new SyncEngine({
+        transport,
+        enableAdvancedCaching: false,
+        enableCarbonAware: false,
+        collections: { notes: { store: new AetherStore({}), path: '/notes/delta' } }
+      });
+
+      await engine.pullChanges('notes');
+
+      expect(transport.requests[0].url).toBe('/notes/delta');
+      expect(() => engine.registerCollection('broken', {})).toThrow('needs a store');
+    });
+  });
+
+  describe('batch endpoint', () => {
+    const createBatchEngine = (respond, options = {}) => {
+      const transport = new FakeTransport({ respond });
+      const engine = new SyncEngine({ transport, batchSize: 3, enableAdvancedCaching: false, enableCarbonAware: false, ...options });
+      return { engine, transport };
+    };
+
+    test('should send mutations in batches and handle each item\'s outcome', async () => {
+      const { engine, transport } = createBatchEngine((request) => {
+        if (request.url !== '/batch') {
+          return { status: 200, body: { id: 2, resent: true } };
+        }
+        return {
+          status: 207,
+          body: {
+            results: [
+              { id: 'm1', status: 200, headers: { ETag: '"v2"' }, body: { id: 1 } },
+              { id: 'm2', status: 409, body: { id: 2, revision: 5 } },
+              { id: 'm3', status: 422, body: { error: 'Invalid' } }
+            ]
+          }
+        };
+      });
+      const queue = [
+        { id: 'm1', type: 'UPDATE_ITEM', entityId: 1, payload: { id: 1 } },
+        { id: 'm2', type: 'UPDATE_ITEM', entityId: 2, payload: { id: 2 }, baseRevision: 4 },
+        { id: 'm3', type: 'ADD_ITEM', payload: { text: '' } },
+        { id: 'm4', type: 'ADD_ITEM', payload: { text: 'late' } }
+      ];
+      mockQueue.get.mockResolvedValue(queue);
+
+      const results = await engine.processMutationBatch(queue);
+      engine.isOnline = false; // Keep the scheduled retry from running after the test
+
+      expect(transport.requests.map(request => request.url)).toEqual(['/batch', '', '/batch']);
+      expect(JSON.parse(transport.requests[0].body).mutations.map(mutation => mutation.id)).toEqual(['m1', 'm2', 'm3']);
+      expect(transport.requests[1].headers['If-Match']).toBe('"5"');
+      expect(results.map(({ result }) => result.success)).toEqual([true, true, false, false]);
+      expect(results[0].result.data).toEqual({ id: 1 });
+      expect(engine.acknowledgedRevisions.get('UPDATE_ITEM:1').revision).toBe('"v2"');
+
+      const [deadLetter] = await engine.getDeadLetters();
+      expect(deadLetter).toMatchObject({ mutation: { id: 'm3' }, reason: SYNC_ERROR_KINDS.FATAL });
+      expect(mockQueue.set).toHaveBeenLastCalledWith([expect.objectContaining({ id: 'm4', retryCount: 1 })]);
+    });
+
+    test('should send mutations after the request containing their parent', async () => {
+      const postId = createTempId();
+      const { engine, transport } = createBatchEngine((request) => {
+        const { mutations } = JSON.parse(request.body);
+        return {
+          status: 200,
+          body: { results: mutations.map(mutation => ({ id: mutation.id, status: 201, body: mutation.type === 'ADD_POST' ? { id: 'post-1' } : {} })) }
+        };
+      });
+      const queue = [
+        { id: 'm1', type: 'ADD_POST', payload: { id: postId } },
+        { id: 'm2', type: 'ADD_TAG', payload: { name: 'news' } },
+        { id: 'm3', type: 'ADD_COMMENT', payload: { postId } }
+      ];
+      mockQueue.get.mockResolvedValue(queue);
+
+      await engine.processMutationBatch(queue);
+
+      const sent = transport.requests.map(request => JSON.parse(request.body).mutations);
+      expect(sent.map(mutations => mutations.map(mutation => mutation.id))).toEqual([['m1', 'm2'], ['m3']]);
+      expect(sent[1][0].payload.postId).toBe('post-1');
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+    });
+
+    test('should keep every mutation queued when the batch request fails', async () => {
+      const { engine } = createBatchEngine(() => ({ status: 503 }));
+      const queue = [{ id: 'm1', type: 'ADD_ITEM', payload: {} }, { id: 'm2', type: 'ADD_ITEM', payload: {} }];
+      mockQueue.get.mockResolvedValue(queue);
+
+      const results = await engine.processMutationBatch(queue);
+      engine.isOnline = false;
+
+      expect(results.every(({ result }) => !result.success && !result.permanent)).toBe(true);
+      expect(mockQueue.set).toHaveBeenLastCalledWith([
+        expect.objectContaining({ id: 'm1', retryCount: 1 }),
+        expect.objectContaining({ id: 'm2', retryCount: 1 })
+      ]);
+    });
+  });
+
+  describe('authentication', () => {
+    const createAuthEngine = ({ refreshToken, batchSize } = {}) => {
+      let token = 'expired';
+      const transport = new FakeTransport({
+        respond: (request) => (request.headers.Authorization === 'Bearer fresh'
+          ? { status: 200, body: request.url === '/batch'
+            ? { results: JSON.parse(request.body).mutations.map(mutation => ({ id: mutation.id, status: 200, body: {} })) }
+            : {} }
+          : { status: 401 })
+      });
+      const auth = {
+        getToken: () => token,
+        refreshToken: jest.fn(refreshToken || (async () => {
+          await Promise.resolve();
+          token = 'fresh';
+        }))
+      };
+      const engine = new SyncEngine({ transport, auth, batchSize, enableAdvancedCaching: false, enableCarbonAware: false });
+      return { engine, transport, auth };
+    };
+
+    test('should refresh the token once for concurrent 401s and replay the requests', async () => {
+      const { engine, transport, auth } = createAuthEngine();
+      const m1 = { id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0 };
+      const m2 = { id: 'm2', type: 'ADD_ITEM', payload: {}, retryCount: 0 };
+
+      const results = await Promise.all([engine.processSingleMutation(m1), engine.processSingleMutation(m2)]);
+
+      expect(results.map(result => result.success)).toEqual([true, true]);
+      expect(auth.refreshToken).toHaveBeenCalledTimes(1);
+      expect(transport.requests.map(request => request.headers.Authorization))
+        .toEqual(['Bearer expired', 'Bearer expired', 'Bearer fresh', 'Bearer fresh']);
+    });
+
+    test('should suspend syncing without spending retries when the refresh fails', async () => {
+      const { engine, transport, auth } = createAuthEngine({ refreshToken: async () => { throw new Error('Session ended'); } });
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const queue = [
+        { id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0 },
+        { id: 'm2', type: 'ADD_ITEM', payload: {}, retryCount: 0 }
+      ];
+      mockQueue.get.mockResolvedValue(queue);
+
+      await engine.processQueue();
+
+      expect(engine.getSyncState().status).toBe(SYNC_STATUS.AUTH_REQUIRED);
+      expect(transport.requests).toHaveLength(1);
+      expect(mockQueue.set).toHaveBeenLastCalledWith(queue);
+      expect(await engine.getDeadLetters()).toEqual([]);
+
+      await engine.processQueue();
+      expect(transport.requests).toHaveLength(1);
+
+      // Signed in again
+      auth.refreshToken.mockImplementation(async () => {});
+      auth.getToken = () => 'fresh';
+      engine.transport.setTokenProvider(auth.getToken);
+      await engine.onSignIn();
+
+      expect(transport.requests).toHaveLength(3);
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+      expect(engine.getSyncState().status).toBe(SYNC_STATUS.SYNCED);
+      warnSpy.mockRestore();
+    });
+
+    test('should replay a batch rejected with 401 after refreshing', async () => {
+      const { engine, transport, auth } = createAuthEngine({ batchSize: 3 });
+      const queue = [{ id: 'm1', type: 'ADD_ITEM', payload: {} }, { id: 'm2', type: 'ADD_ITEM', payload: {} }];
+      mockQueue.get.mockResolvedValue(queue);
+
+      const results = await engine.processMutationBatch(queue);
+
+      expect(results.map(({ result }) => result.success)).toEqual([true, true]);
+      expect(auth.refreshToken).toHaveBeenCalledTimes(1);
+      expect(transport.requests.map(request => request.url)).toEqual(['/batch', '/batch']);
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+    });
+  });
+
+  describe('retry policy and circuit breaking', () => {
+    const createFailingEngine = (reply, options = {}) => {
+      const transport = new FakeTransport({ respond: () => reply });
+      const engine = new SyncEngine({
+        transport,
+        retryAttempts: 3,
+        retryPolicy: { baseDelay: 1 },
+        enableAdvancedCaching: false,
+        enableCarbonAware: false,
+        ...options
+      });
+      return { engine, transport };
+    };
+
+    test('should stop sending to an endpoint whose circuit opened and keep its mutations as they are', async () => {
+      const { engine, transport } = createFailingEngine({ status: 503 }, { circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 } });
+      const queue = [
+        { id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0 },
+        { id: 'm2', type: 'ADD_ITEM', payload: {}, retryCount: 0 }
+      ];
+      mockQueue.get.mockResolvedValue(queue);
+
+      await engine.processQueue();
+
+      expect(transport.requests).toHaveLength(2);
+      expect(mockQueue.set).toHaveBeenLastCalledWith([expect.objectContaining({ id: 'm1', retryCount: 1 }), queue[1]]);
+      const stats = engine.getAdvancedStats();
+      expect(stats.circuits['/']).toMatchObject({ state: 'open', trips: 1 });
+      expect(stats.retries).toMatchObject({ retries: 1, heldByCircuit: 1 });
+      expect(stats.retries.nextRetryAt).toBeGreaterThan(Date.now() + 50000);
+      engine.destroy();
+    });
+
+    test('should leave the wait a 429 asks for to the next cycle', async () => {
+      const { engine, transport } = createFailingEngine({ status: 429, headers: { 'Retry-After': '30' } });
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0 }]);
+
+      await engine.processQueue();
+
+      expect(transport.requests).toHaveLength(1);
+      expect(mockQueue.set).toHaveBeenLastCalledWith([expect.objectContaining({ id: 'm1', retryCount: 1 })]);
+      expect(engine.getAdvancedStats().retries.nextRetryAt).toBeGreaterThan(Date.now() + 29000);
+      engine.destroy();
+    });
+
+    test('should dead-letter mutations that have been queued longer than maxQueueAge', async () => {
+      const { engine } = createFailingEngine({ status: 503 }, { retryPolicy: { baseDelay: 1, maxQueueAge: 60000 } });
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0, timestamp: Date.now() - 120000 }]);
+
+      await engine.processQueue();
+
+      const [deadLetter] = await engine.getDeadLetters();
+      expect(deadLetter).toMatchObject({ mutation: { id: 'm1' }, reason: 'expired' });
+      expect(engine.getAdvancedStats().retries.expired).toBe(1);
+      engine.destroy();
+    });
+  });
+
+  describe('pause, resume and forced sync', () => {
+    const createEngine = (respond = () => ({ status: 200, body: {} })) => {
+      const transport = new FakeTransport({ respond });
+      const engine = new SyncEngine({ transport, retryAttempts: 3, enableAdvancedCaching: false, enableCarbonAware: false });
+      return { engine, transport };
+    };
+
+    test('should queue but not send while paused, and send on resume', async () => {
+      const { engine, transport } = createEngine();
+      const queue = [{ id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0 }];
+      mockQueue.get.mockResolvedValue(queue);
+
+      engine.pause('metered');
+
+      expect(engine.getPauseState()).toMatchObject({ reason: 'metered', pausedAt: expect.any(Number) });
+      expect(engine.pauseState.set).toHaveBeenCalledWith(engine.getPauseState());
+      await engine.processQueue();
+      expect(await engine.pullChanges()).toBeNull();
+      expect(transport.requests).toHaveLength(0);
+      expect(engine.getSyncState().status).toBe(SYNC_STATUS.PAUSED);
+
+      await engine.resume();
+
+      expect(engine.isPaused()).toBe(false);
+      expect(transport.requests).toHaveLength(1);
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+      expect(engine.getSyncState().status).toBe(SYNC_STATUS.SYNCED);
+    });
+
+    test('should follow a pause from another tab', async () => {
+      const { engine } = createEngine();
+
+      await engine.handleTabMessage({ type: 'pause-state', state: { reason: null, pausedAt: 1 } });
+      expect(engine.getSyncState().status).toBe(SYNC_STATUS.PAUSED);
+
+      await engine.handleTabMessage({ type: 'pause-state', state: null });
+      expect(engine.isPaused()).toBe(false);
+      expect(engine.getSyncState().status).toBe(SYNC_STATUS.IDLE);
+    });
+
+    test('should force-sync a mutation with one attempt, its parents first, even while paused', async () => {
+      const { engine, transport } = createEngine();
+      const parent = { id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0 };
+      const child = { id: 'm2', type: 'ADD_ITEM', payload: {}, retryCount: 0, dependsOn: ['m1'] };
+      let queue = [parent, child, { id: 'm3', type: 'ADD_ITEM', payload: {}, retryCount: 0 }];
+      mockQueue.get.mockImplementation(async () => queue);
+      mockQueue.set.mockImplementation(async (value) => { queue = value; });
+      engine.pause();
+
+      expect(await engine.forceSyncMutation('m2')).toBe(true);
+
+      expect(transport.requests).toHaveLength(2);
+      expect(queue.map(mutation => mutation.id)).toEqual(['m3']);
+      expect(await engine.forceSyncMutation('m1')).toBe(false);
+
+      transport.respond = () => ({ status: 503 });
+      await expect(engine.forceSyncMutation('m3')).rejects.toThrow();
+      expect(transport.requests).toHaveLength(3);
+      expect(queue).toEqual([expect.objectContaining({ id: 'm3', retryCount: 0 })]);
+    });
+
+    test('should not force-sync a mutation again that a running sync is sending', async () => {
+      let release;
+      const { engine, transport } = createEngine(() => new Promise(resolve => {
+        release = () => resolve({ status: 200, body: {} });
+      }));
+      let queue = [{ id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0 }];
+      mockQueue.get.mockImplementation(async () => queue);
+      mockQueue.set.mockImplementation(async (value) => { queue = value; });
+
+      const syncing = engine.processQueue();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const forcing = engine.forceSyncMutation('m1');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(transport.requests).toHaveLength(1);
+
+      release();
+      await syncing;
+      expect(await forcing).toBe(false);
+      expect(transport.requests).toHaveLength(1);
+      expect(queue).toEqual([]);
+    });
+
+    test('should requeue a dead letter and send it right away', async () => {
+      const { engine, transport } = createEngine();
+      let queue = [];
+      mockQueue.get.mockImplementation(async () => queue);
+      mockQueue.set.mockImplementation(async (value) => { queue = value; });
+      const entry = await engine.deadLetters.add({
+        mutation: { id: 'm1', type: 'ADD_ITEM', payload: { text: 'retry me' }, retryCount: 3 },
+        errors: [],
+        attempts: [],
+        reason: 'retries_exhausted'
+      });
+
+      expect(await engine.retryDeadLetter(entry.id)).toBe(true);
+
+      expect(transport.requests).toHaveLength(1);
+      expect(queue).toEqual([]);
+      expect(await engine.getDeadLetters()).toEqual([]);
+      expect(await engine.retryDeadLetter(entry.id)).toBeNull();
+    });
+  });
+
+  describe('encryption', () => {
+    test('should hold syncing while the vault is locked and sync once it is unlocked', async () => {
+      const vault = new AetherStore({ status: 'locked' });
+      vault.isUnlocked = () => vault.get().status === 'unlocked';
+      const transport = new FakeTransport({ respond: () => ({ status: 200, body: {} }) });
+      const engine = new SyncEngine({ transport, encryption: vault, enableAdvancedCaching: false, enableCarbonAware: false });
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0 }]);
+
+      await engine.processQueue();
+      expect(engine.isLocked()).toBe(true);
+      expect(engine.getSyncState().status).toBe(SYNC_STATUS.LOCKED);
+      expect(transport.requests).toHaveLength(0);
+
+      const synced = new Promise(resolve => engine.addEventListener('mutation-synced', resolve));
+      vault.set({ status: 'unlocked' });
+      await synced;
+
+      expect(transport.requests).toHaveLength(1);
+    });
+  });
+
+  describe('dead letters', () => {
+    test('should move mutations that exhaust their retries to the dead-letter store', async () => {
+      syncEngine.retryDelay = 1;
+      syncEngine.syncMutation = jest.fn().mockRejectedValue(
+        new SyncError('Unavailable', { kind: SYNC_ERROR_KINDS.RETRYABLE, status: 503 })
+      );
+      const onDeadLetter = jest.fn();
+      syncEngine.addEventListener('dead-letters-updated', onDeadLetter);
+      const earlierError = { at: 1, message: 'Timeout', kind: 'retryable' };
+      mockQueue.get.mockResolvedValue([
+        { id: 'm1', type: 'ADD_ITEM', payload: { text: 'keep me' }, retryCount: 2, errorHistory: [earlierError] }
+      ]);
+
+      await syncEngine.processQueue();
+
+      const [deadLetter] = await syncEngine.getDeadLetters();
+      expect(deadLetter).toMatchObject({
+        mutation: { id: 'm1', payload: { text: 'keep me' }, retryCount: 3, lastError: 'Unavailable' },
+        reason: 'retries_exhausted'
+      });
+      expect(deadLetter.errors).toEqual([
+        earlierError,
+        expect.objectContaining({ message: 'Unavailable', kind: 'retryable', status: 503 }),
+        expect.objectContaining({ message: 'Unavailable', kind: 'retryable', status: 503 })
+      ]);
+      expect(deadLetter.attempts).toEqual(deadLetter.errors.map(error => error.at));
+      expect(mockQueue.set).toHaveBeenLastCalledWith([]);
+      expect(onDeadLetter).toHaveBeenCalledWith({ action: 'added', deadLetter });
+    });
+
+    test('should dead-letter mutations the server rejects outright', async () => {
+      const transport = new FakeTransport({ respond: () => ({ status: 422 }) });
+      const engine = new SyncEngine({ transport, enableAdvancedCaching: false, enableCarbonAware: false });
+      mockQueue.get.mockResolvedValue([{ id: 'm1', type: 'ADD_ITEM', payload: {}, retryCount: 0 }]);
+
+      await engine.processQueue();
+
+      const [deadLetter] = await engine.getDeadLetters();
+      expect(deadLetter.reason).toBe(SYNC_ERROR_KINDS.FATAL);
+      expect(deadLetter.errors).toEqual([expect.objectContaining({ status: 422 })]);
+      expect(await engine.getDeadLetter(deadLetter.id)).toEqual(deadLetter);
+    });
+
+    test('should requeue an edited dead letter as a fresh mutation', async () => {
+      const entry = await syncEngine.deadLetters.add({
+        mutation: { id: 'm1', type: 'ADD_ITEM', payload: { text: 'bad' }, timestamp: 1, retryCount: 3, lastError: 'Invalid' },
+        errors: [],
+        attempts: [],
+        reason: 'fatal'
+      });
+      mockQueue.get.mockResolvedValue([]);
+
+      const requeued = await syncEngine.requeueDeadLetter(entry.id, { payload: { text: 'fixed' } });
+
+      expect(requeued).toMatchObject({
+        type: 'ADD_ITEM',
+        payload: { text: 'fixed' },
+        retryCount: 0,
+        requeuedDeadLetterId: entry.id
+      });
+      expect(requeued.id).not.toBe('m1');
+      expect(requeued.lastError).toBeUndefined();
+      expect(await syncEngine.getDeadLetters()).toEqual([]);
+    });
+
+    test('should discard dead letters', async () => {
+      const entry = await syncEngine.deadLetters.add({ mutation: { id: 'm1' }, errors: [], attempts: [], reason: 'fatal' });
+
+      expect(await syncEngine.discardDeadLetter(entry.id)).toBe(true);
+      expect(await syncEngine.discardDeadLetter(entry.id)).toBe(false);
+      expect(await syncEngine.requeueDeadLetter(entry.id)).toBeNull();
+    });
   });
 
   describe('getQueue()', () => {
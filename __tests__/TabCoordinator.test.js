@@ -0,0 +1,433 @@
+// __tests__/TabCoordinator.test.js
+
+import { spawnSync } from 'child_process';
+import path from 'path';
+import { TabCoordinator, createTabCoordinator } from '../src/sync/TabCoordinator.js';
+import { SyncEngine, SYNC_STATUS, SYNC_EVENTS } from '../src/sync/SyncEngine.js';
+import { FakeTransport } from '../src/sync/HttpTransport.js';
+import { AetherStore } from '../src/data/AetherStore.js';
+import { createBackgroundSyncHandler, registerBackgroundSync, BACKGROUND_SYNC_MESSAGE, BACKGROUND_SYNC_TAG } from '../src/sync/backgroundSync.js';
+import { registerAetherKernel } from '../src/register.js';
+
+// In-memory stand-ins for the BroadcastChannel and Web Locks APIs shared by "tabs" in one test
+const channels = new Set();
+
+class FakeBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    channels.add(this);
+  }
+
+  postMessage(data) {
+    const copy = JSON.parse(JSON.stringify(data));
+    [...channels]
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => setTimeout(() => channel.onmessage && channel.onmessage({ data: copy }), 0));
+  }
+
+  close() {
+    channels.delete(this);
+  }
+}
+
+const createFakeLocks = () => {
+  const waiting = new Map();
+  const held = new Set();
+
+  const grant = (name) => {
+    const next = (waiting.get(name) || []).shift();
+    if (!next) return;
+    held.add(name);
+    Promise.resolve(next.callback({ name }))
+      .then(next.resolve, next.reject)
+      .finally(() => {
+        held.delete(name);
+        grant(name);
+      });
+  };
+
+  return {
+    request(name, options, callback) {
+      if (options.ifAvailable && held.has(name)) {
+        return Promise.resolve(callback(null));
+      }
+      return new Promise((resolve, reject) => {
+        const entry = { callback, resolve, reject };
+        if (!waiting.has(name)) waiting.set(name, []);
+        waiting.get(name).push(entry);
+        if (options.signal) {
+          options.signal.addEventListener('abort', () => {
+            const queue = waiting.get(name);
+            if (queue.includes(entry)) {
+              queue.splice(queue.indexOf(entry), 1);
+              reject(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+            }
+          });
+        }
+        if (!held.has(name)) grant(name);
+      });
+    }
+  };
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('TabCoordinator', () => {
+  afterEach(() => {
+    channels.clear();
+    jest.useRealTimers();
+  });
+
+  test('should lead alone when no other tab can be reached', () => {
+    const onLeadershipChange = jest.fn();
+    const coordinator = new TabCoordinator({ locks: null, BroadcastChannel: null });
+    coordinator.start({ onLeadershipChange });
+
+    expect(coordinator.mode).toBe('single');
+    expect(coordinator.isLeader).toBe(true);
+    expect(onLeadershipChange).toHaveBeenCalledWith(true);
+    expect(coordinator.post({ type: 'anything' })).toBe(false);
+    expect(createTabCoordinator({ locks: null, BroadcastChannel: null })).toBeNull();
+  });
+
+  test('should elect the lock holder and hand over when it stops', async () => {
+    const locks = createFakeLocks();
+    const tabs = ['a', 'b', 'c'].map(tabId => new TabCoordinator({ tabId, locks, BroadcastChannel: FakeBroadcastChannel }));
+    const received = [];
+    tabs.forEach(tab => tab.start({ onMessage: message => received.push([tab.tabId, message]) }));
+    await tick();
+
+    expect(tabs.map(tab => tab.isLeader)).toEqual([true, false, false]);
+
+    tabs[0].post({ type: 'note', value: 1 });
+    await tick();
+    expect(received).toEqual([
+      ['b', { type: 'note', value: 1, tabId: 'a' }],
+      ['c', { type: 'note', value: 1, tabId: 'a' }]
+    ]);
+
+    tabs[0].stop();
+    await tick();
+    await tick();
+    expect(tabs.map(tab => tab.isLeader)).toEqual([false, true, false]);
+    expect(received.filter(([, message]) => message.type === 'leader')).toEqual([['c', { type: 'leader', tabId: 'b' }]]);
+
+    tabs[2].stop();
+    tabs[1].stop();
+  });
+
+  test('should fall back to heartbeats and settle on one leader', () => {
+    jest.useFakeTimers();
+    const options = { locks: null, BroadcastChannel: FakeBroadcastChannel, heartbeatInterval: 100, leaderTimeout: 300 };
+    const b = new TabCoordinator({ ...options, tabId: 'b' });
+    const a = new TabCoordinator({ ...options, tabId: 'a' });
+    b.start();
+    a.start();
+
+    // Both claim after the timeout; the lower id keeps leadership
+    jest.advanceTimersByTime(450);
+    expect(a.mode).toBe('heartbeat');
+    expect([a.isLeader, b.isLeader]).toEqual([true, false]);
+    expect(b.leaderId).toBe('a');
+
+    // A leader that leaves is replaced without waiting for the timeout
+    a.stop();
+    jest.advanceTimersByTime(110);
+    expect(b.isLeader).toBe(true);
+    b.stop();
+  });
+
+  test('should not keep a Node process alive, with or without crossTab', () => {
+    // Node has a global BroadcastChannel but no tabs to coordinate
+    const script = `
+      import { SyncEngine } from ${JSON.stringify(path.join(process.cwd(), 'src/sync/SyncEngine.js'))};
+      const options = { enableAdvancedCaching: false, enableCarbonAware: false };
+      const engine = new SyncEngine(options);
+      const coordinated = new SyncEngine({ ...options, crossTab: true });
+      console.log(JSON.stringify([engine.tabs, coordinated.tabs.mode]));
+    `;
+    const result = spawnSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8', timeout: 15000 });
+
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.stdout.trim().split('\n').pop())).toEqual([null, 'heartbeat']);
+  }, 20000);
+});
+
+describe('SyncEngine across tabs', () => {
+  let warnSpy;
+  let logSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    channels.clear();
+    warnSpy.mockRestore();
+    logSpy.mockRestore();
+  });
+
+  const openTabs = (count, respond) => {
+    const locks = createFakeLocks();
+    const transport = new FakeTransport({
+      routes: { ADD_TODO: { method: 'POST', path: '/todos' } },
+      respond: respond || ((request) => ({ status: 201, body: { ...JSON.parse(request.body), saved: true } }))
+    });
+    const engines = Array.from({ length: count }, () => new SyncEngine({
+      transport,
+      enableAdvancedCaching: false,
+      enableCarbonAware: false,
+      crossTab: { locks, BroadcastChannel: FakeBroadcastChannel }
+    }));
+    return { engines, transport };
+  };
+
+  test('should send queued mutations from the leader tab only', async () => {
+    const { engines: [leader, follower, watcher], transport } = openTabs(3);
+    await waitFor(() => leader.isLeader && leader.getSyncState().status === SYNC_STATUS.SYNCED);
+    const todos = new AetherStore([]);
+
+    const mutation = await follower.addMutation(
+      { type: 'ADD_TODO', payload: { id: 't1', text: 'from tab 2' } },
+      { store: todos, apply: (state, m) => [...state, m.payload] }
+    );
+    expect(todos.get()).toEqual([{ id: 't1', text: 'from tab 2' }]);
+    expect((await follower.queue.get())).toEqual([]);
+
+    await waitFor(() => transport.requests.length === 1 && watcher.getSyncState().lastSync !== null);
+    await waitFor(() => todos.get()[0].saved === true);
+
+    // Sync requests from followers run on the leader; nothing is sent twice
+    await Promise.all([follower.sync(), watcher.processQueue(), leader.sync()]);
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    expect(transport.requests).toHaveLength(1);
+    expect(transport.requests[0].headers['Idempotency-Key']).toBe(mutation.id);
+    expect(follower.forwardedMutations.size).toBe(0);
+    expect(watcher.getSyncState()).toMatchObject({ status: SYNC_STATUS.SYNCED, pending: 0 });
+
+    [leader, follower, watcher].forEach(engine => engine.destroy());
+  });
+
+  test('should force-sync from a follower tab through the leader', async () => {
+    const { engines: [leader, follower], transport } = openTabs(2);
+    await waitFor(() => leader.isLeader);
+    leader.isOnline = false;
+    await follower.addMutation({ type: 'ADD_TODO', payload: { id: 't3' } });
+    await waitFor(() => follower.forwardedMutations.size === 0);
+    const [queued] = await leader.queue.get();
+    leader.isOnline = true;
+    const removeMutation = jest.spyOn(follower, 'removeMutation');
+
+    expect(await follower.forceSyncMutation(queued.id)).toBe(true);
+    expect(transport.requests).toHaveLength(1);
+    expect(removeMutation).not.toHaveBeenCalled();
+    expect(await leader.queue.get()).toEqual([]);
+    expect(await follower.forceSyncMutation(queued.id)).toBe(false);
+
+    leader.isOnline = false;
+    await expect(follower.forceSyncMutation('missing')).resolves.toBe(false);
+    await leader.addMutation({ type: 'ADD_TODO', payload: { id: 't4' } });
+    const [offline] = await leader.queue.get();
+    await expect(follower.forceSyncMutation(offline.id)).rejects.toThrow('Cannot force sync while offline');
+    expect(follower.forcedSyncRequests.size).toBe(0);
+
+    await leader.removeMutation(offline.id);
+    await leader.queue.flush();
+    [leader, follower].forEach(engine => engine.destroy());
+  });
+
+  test('should move queue ownership to another tab when the leader closes', async () => {
+    const { engines: [leader, follower], transport } = openTabs(2, () => { throw new Error('Network down'); });
+    await waitFor(() => leader.isLeader);
+    leader.isOnline = false;
+    follower.isOnline = false;
+
+    await follower.addMutation({ type: 'ADD_TODO', payload: { id: 't2' } });
+    await waitFor(() => follower.forwardedMutations.size === 0);
+    expect((await leader.queue.get()).map(mutation => mutation.payload.id)).toEqual(['t2']);
+
+    const leadership = new Promise(resolve => follower.addEventListener('leadership-change', resolve));
+    leader.destroy();
+
+    expect(await leadership).toMatchObject({ isLeader: true });
+    await waitFor(() => follower.queue.get().length === 1);
+    expect(follower.queue.get()[0].payload.id).toBe('t2');
+    expect(follower.getSyncState().pending).toBe(1);
+    expect(transport.requests).toHaveLength(0);
+
+    follower.destroy();
+  });
+});
+
+describe('Background Sync from the service worker', () => {
+  let locks;
+  let transport;
+  let messageListeners;
+  let warnSpy;
+  let logSpy;
+
+  beforeEach(() => {
+    locks = createFakeLocks();
+    transport = new FakeTransport({
+      routes: { ADD_TODO: { method: 'POST', path: '/todos' } },
+      respond: (request) => ({ status: 201, body: JSON.parse(request.body) })
+    });
+    messageListeners = [];
+    Object.defineProperty(navigator, 'serviceWorker', {
+      configurable: true,
+      value: {
+        controller: {},
+        ready: Promise.resolve({ sync: { register: jest.fn().mockResolvedValue(undefined) } }),
+        addEventListener: (type, listener) => messageListeners.push(listener),
+        removeEventListener: (type, listener) => messageListeners.splice(messageListeners.indexOf(listener), 1)
+      }
+    });
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    channels.clear();
+    delete navigator.serviceWorker;
+    warnSpy.mockRestore();
+    logSpy.mockRestore();
+  });
+
+  const engineOptions = { enableAdvancedCaching: false, enableCarbonAware: false };
+  const createPage = () => new SyncEngine({ ...engineOptions, transport, backgroundSync: true, crossTab: { locks, BroadcastChannel: FakeBroadcastChannel } });
+  const createWorker = (page) => {
+    const worker = new SyncEngine({ ...engineOptions, transport, crossTab: false, backgroundSync: false });
+    const client = { postMessage: jest.fn(message => messageListeners.forEach(listener => listener({ data: message }))) };
+    const handler = createBackgroundSyncHandler(worker, {
+      tabs: new TabCoordinator({ locks, BroadcastChannel: FakeBroadcastChannel }),
+      clients: { matchAll: async () => (page ? [client] : []) }
+    });
+    const fire = () => new Promise((resolve, reject) => {
+      handler({ tag: BACKGROUND_SYNC_TAG, waitUntil: promise => promise.then(resolve, reject) });
+    });
+    return { worker, client, fire };
+  };
+
+  test('should drain the queue the page wrote once the page is gone and tell the pages', async () => {
+    const { worker, fire } = createWorker();
+    await worker.queue.ready;
+
+    const page = createPage();
+    await waitFor(() => page.isLeader);
+    page.isOnline = false;
+    const mutation = await page.addMutation({ type: 'ADD_TODO', payload: { id: 'bg1' } });
+    const registration = await navigator.serviceWorker.ready;
+    await waitFor(() => registration.sync.register.mock.calls.length === 1);
+    expect(registration.sync.register).toHaveBeenCalledWith(BACKGROUND_SYNC_TAG);
+    page.destroy();
+    await tick();
+
+    // A page that opens now hears about the result
+    const reopened = new SyncEngine({ ...engineOptions, transport, crossTab: false });
+    const onBackgroundSync = jest.fn();
+    reopened.addEventListener(SYNC_EVENTS.BACKGROUND_SYNC, onBackgroundSync);
+    const { client, fire: fireWithPage } = createWorker(reopened);
+    await fireWithPage();
+
+    const sent = transport.requests.map(request => JSON.parse(request.body).id);
+    expect(sent).toContain('bg1');
+    const [[message]] = client.postMessage.mock.calls;
+    expect(message).toMatchObject({ type: BACKGROUND_SYNC_MESSAGE, ran: true, result: { failed: [], pending: 0, error: null } });
+    expect(message.result.synced).toContain(mutation.id);
+    await waitFor(() => onBackgroundSync.mock.calls.length === 1);
+    expect(reopened.getSyncState().pending).toBe(0);
+
+    await fire();
+    expect(transport.requests).toHaveLength(sent.length);
+    [worker, reopened].forEach(engine => engine.destroy());
+  });
+
+  test('should leave syncing to the leader tab while one is open', async () => {
+    const page = createPage();
+    await waitFor(() => page.isLeader);
+    page.isOnline = false;
+    await page.addMutation({ type: 'ADD_TODO', payload: { id: 'bg2' } });
+
+    const { worker, client, fire } = createWorker(page);
+    const drain = jest.spyOn(worker, 'drainQueue');
+    page.isOnline = true;
+    await fire();
+
+    expect(drain).not.toHaveBeenCalled();
+    expect(client.postMessage).toHaveBeenCalledWith({ type: BACKGROUND_SYNC_MESSAGE, ran: false });
+    await waitFor(() => transport.requests.some(request => JSON.parse(request.body).id === 'bg2'));
+    [worker, page].forEach(engine => engine.destroy());
+  });
+
+  test('should send the queue to the endpoint of the engine the app registered', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 201, headers: {}, json: async () => ({}) });
+    const page = new SyncEngine({ ...engineOptions, endpoint: 'https://api.example.com', crossTab: false, backgroundSync: false });
+    page.isOnline = false;
+    await page.addMutation({ type: 'ADD_TODO', payload: { id: 'bg3' } });
+    await page.queue.flush();
+    page.destroy();
+
+    const scope = new EventTarget();
+    const worker = new SyncEngine({ ...engineOptions, endpoint: 'https://api.example.com', crossTab: false, backgroundSync: false });
+    const unregister = registerBackgroundSync(worker, {
+      scope,
+      tabs: new TabCoordinator({ locks, BroadcastChannel: FakeBroadcastChannel }),
+      clients: { matchAll: async () => [] }
+    });
+    const event = Object.assign(new Event('sync'), { tag: BACKGROUND_SYNC_TAG });
+    const drained = new Promise(resolve => { event.waitUntil = resolve; });
+    scope.dispatchEvent(event);
+    await (await drained);
+
+    expect(fetchSpy).toHaveBeenCalledWith('https://api.example.com', expect.objectContaining({ method: 'POST' }));
+    expect(JSON.parse(fetchSpy.mock.calls[0][1].body).payload).toEqual({ id: 'bg3' });
+    expect(await worker.queue.get()).toEqual([]);
+
+    unregister();
+    fetchSpy.mockClear();
+    scope.dispatchEvent(Object.assign(new Event('sync'), { tag: BACKGROUND_SYNC_TAG, waitUntil: jest.fn() }));
+    expect(fetchSpy).not.toHaveBeenCalled();
+    expect(() => registerBackgroundSync()).toThrow('needs the SyncEngine');
+    worker.destroy();
+    fetchSpy.mockRestore();
+  });
+
+  test('should register the kernel as a module and leave the sync tag to engines that ask for it', async () => {
+    const registration = await navigator.serviceWorker.ready;
+    navigator.serviceWorker.register = jest.fn().mockResolvedValue({ scope: '/', ...registration });
+    await registerAetherKernel('/sw.js');
+    expect(navigator.serviceWorker.register).toHaveBeenCalledWith('/sw.js', { type: 'module' });
+
+    const page = new SyncEngine({ ...engineOptions, transport, crossTab: false });
+    page.isOnline = false;
+    await page.addMutation({ type: 'ADD_TODO', payload: { id: 'bg4' } });
+    await tick();
+    expect(registration.sync.register).not.toHaveBeenCalled();
+    await page.removeMutation((await page.queue.get())[0].id);
+    await page.queue.flush();
+    page.destroy();
+  });
+
+  test('should stop listening for results and network changes once destroyed', () => {
+    const page = new SyncEngine({ ...engineOptions, transport, crossTab: false, backgroundSync: false });
+    expect(messageListeners).toHaveLength(1);
+
+    page.destroy();
+    expect(messageListeners).toHaveLength(0);
+    window.dispatchEvent(new Event('offline'));
+    expect(page.isOnline).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+// __tests__/ThreeWayMerge.test.js
+
+import { threeWayMerge, applyResolution } from '../src/sync/ThreeWayMerge.js';
+
+describe('threeWayMerge', () => {
+  const base = { id: 1, title: 'a', tags: ['x'], note: 'n' };
+
+  test('should take one-sided changes from either side', () => {
+    const { merged, conflicts } = threeWayMerge(base, { title: 'local' }, { ...base, tags: ['x', 'y'] });
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toEqual({ id: 1, title: 'local', tags: ['x', 'y'], note: 'n' });
+  });
+
+  test('should accept identical changes on both sides', () => {
+    const { merged, conflicts } = threeWayMerge(base, { tags: ['z'] }, { ...base, tags: ['z'] });
+
+    expect(conflicts).toEqual([]);
+    expect(merged.tags).toEqual(['z']);
+  });
+
+  test('should flag fields changed differently on both sides', () => {
+    const { merged, conflicts } = threeWayMerge(base, { title: 'local', note: 'mine' }, { ...base, title: 'server' });
+
+    expect(conflicts).toEqual([{ field: 'title', base: 'a', local: 'local', server: 'server' }]);
+    expect(merged).toEqual({ id: 1, title: 'server', tags: ['x'], note: 'mine' });
+  });
+
+  test('should handle fields deleted on the server', () => {
+    const { id, note, ...serverWithoutNote } = base;
+    const { merged, conflicts } = threeWayMerge(base, { title: 'local' }, { id, ...serverWithoutNote });
+
+    expect(conflicts).toEqual([]);
+    expect(merged).not.toHaveProperty('note');
+    expect(merged.title).toBe('local');
+  });
+
+  test('should treat every disagreement as a collision without a base', () => {
+    const { conflicts } = threeWayMerge(null, { id: 1, title: 'local' }, { id: 1, title: 'server' });
+
+    expect(conflicts).toEqual([{ field: 'title', base: undefined, local: 'local', server: 'server' }]);
+  });
+});
+
+describe('applyResolution', () => {
+  const conflicts = [
+    { field: 'title', local: 'L', server: 'S' },
+    { field: 'note', local: 'l', server: undefined }
+  ];
+
+  test('should apply a side to every field', () => {
+    expect(applyResolution({ id: 1, title: 'S' }, conflicts, 'local')).toEqual({ id: 1, title: 'L', note: 'l' });
+    expect(applyResolution({ id: 1, title: 'S' }, conflicts, 'server')).toEqual({ id: 1, title: 'S' });
+  });
+
+  test('should apply per-field choices and custom values', () => {
+    expect(applyResolution({ id: 1 }, conflicts, { title: { value: 'LS' }, note: 'local' }))
+      .toEqual({ id: 1, title: 'LS', note: 'l' });
+  });
+
+  test('should throw for unresolved fields', () => {
+    expect(() => applyResolution({}, conflicts, { title: 'local' })).toThrow('note');
+  });
+});
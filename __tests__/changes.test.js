@@ -0,0 +1,52 @@
+// __tests__/changes.test.js
+
+import { applyChange, isTombstone, normalizeChangesPage } from '../src/sync/changes.js';
+
+describe('changes', () => {
+  describe('isTombstone()', () => {
+    test('should recognise deleted flags and delete operations', () => {
+      expect(isTombstone({ id: 1, deleted: true })).toBe(true);
+      expect(isTombstone({ id: 1, op: 'delete' })).toBe(true);
+      expect(isTombstone({ id: 1, data: {} })).toBe(false);
+    });
+  });
+
+  describe('normalizeChangesPage()', () => {
+    test('should fill in defaults and keep the previous cursor', () => {
+      expect(normalizeChangesPage({ changes: [{ id: 1 }] }, 'c1')).toEqual({
+        changes: [{ id: 1 }],
+        cursor: 'c1',
+        hasMore: false,
+        clock: undefined
+      });
+      expect(normalizeChangesPage([{ id: 2 }], 'c1')).toMatchObject({ changes: [{ id: 2 }], cursor: 'c1', hasMore: false });
+      expect(normalizeChangesPage(null, null).changes).toEqual([]);
+    });
+  });
+
+  describe('applyChange()', () => {
+    const todos = [{ id: 1, text: 'a' }, { id: 2, text: 'b' }];
+
+    test('should upsert and delete records in arrays', () => {
+      expect(applyChange(todos, { id: 2, data: { id: 2, text: 'B' } })).toEqual([{ id: 1, text: 'a' }, { id: 2, text: 'B' }]);
+      expect(applyChange(todos, { id: 3, data: { id: 3, text: 'c' } })).toHaveLength(3);
+      expect(applyChange(todos, { id: 1, deleted: true })).toEqual([{ id: 2, text: 'b' }]);
+      expect(applyChange(todos, { id: 9, deleted: true })).toBe(todos);
+    });
+
+    test('should match a custom id field and use the change itself without data', () => {
+      const notes = [{ key: 'n1', body: 'old' }];
+
+      expect(applyChange(notes, { id: 'n1', op: 'upsert', revision: 3, key: 'n1', body: 'new' }, { idField: 'key' }))
+        .toEqual([{ id: 'n1', key: 'n1', body: 'new' }]);
+    });
+
+    test('should treat object states as maps keyed by id', () => {
+      const map = { a: { id: 'a' }, b: { id: 'b' } };
+
+      expect(applyChange(map, { id: 'c', data: { id: 'c' } })).toEqual({ ...map, c: { id: 'c' } });
+      expect(applyChange(map, { id: 'a', deleted: true })).toEqual({ b: { id: 'b' } });
+      expect(applyChange(map, { id: 'z', deleted: true })).toBe(map);
+    });
+  });
+});
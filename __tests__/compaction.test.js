@@ -0,0 +1,147 @@
+// __tests__/compaction.test.js
+
+import {
+  compactQueue,
+  appendCompacted,
+  indexCompactedQueue,
+  getMutationOperation,
+  getCompactionKey
+} from '../src/sync/compaction.js';
+
+const update = (id, patch, extra = {}) => ({ id: `u${Math.random()}`, type: 'UPDATE_TODO', payload: { id, ...patch }, ...extra });
+
+describe('compaction', () => {
+  test('should infer operations from the type prefix or the operation field', () => {
+    expect(getMutationOperation({ type: 'ADD_TODO' })).toBe('create');
+    expect(getMutationOperation({ type: 'edit_todo' })).toBe('update');
+    expect(getMutationOperation({ type: 'REMOVE_TODO' })).toBe('delete');
+    expect(getMutationOperation({ type: 'ARCHIVE', operation: 'update' })).toBe('update');
+    expect(getMutationOperation({ type: 'CRDT_OP' })).toBeNull();
+  });
+
+  test('should key create, update and delete of one record together', () => {
+    expect(getCompactionKey({ type: 'ADD_TODO', payload: { id: 1 } })).toBe('TODO:1');
+    expect(getCompactionKey({ type: 'DELETE_TODO', payload: { id: 1 } })).toBe('TODO:1');
+    expect(getCompactionKey({ type: 'DELETE', entity: 'todos', entityId: 1 })).toBe('todos:1');
+    expect(getCompactionKey({ type: 'ADD_TODO', payload: {} })).toBeNull();
+  });
+
+  test('should merge consecutive updates into one patch', () => {
+    const first = update(1, { title: 'a' }, { id: 'm1', baseRevision: 3, hlc: 'h1' });
+    const edits = Array.from({ length: 40 }, (_, i) => update(1, { title: `edit ${i}` }, { hlc: `h${i + 2}` }));
+    const done = update(1, { done: true }, { id: 'm42', hlc: 'h42' });
+
+    const queue = compactQueue([first, ...edits, done]);
+
+    expect(queue).toHaveLength(1);
+    expect(queue[0]).toMatchObject({
+      id: 'm1',
+      type: 'UPDATE_TODO',
+      payload: { id: 1, title: 'edit 39', done: true },
+      baseRevision: 3,
+      hlc: 'h42'
+    });
+    expect(queue[0].coalescedIds).toHaveLength(41);
+  });
+
+  test('should fold updates into a pending create and cancel it on delete', () => {
+    const other = update(2, { title: 'other' });
+    const queue = compactQueue([
+      { id: 'c1', type: 'ADD_TODO', payload: { id: 1, title: 'new' } },
+      other,
+      update(1, { title: 'renamed' }),
+      { id: 'd1', type: 'DELETE_TODO', payload: { id: 1 } }
+    ]);
+
+    expect(queue).toEqual([other]);
+  });
+
+  test('should take the newer idempotency key when merging into an attempted mutation', () => {
+    const sent = update(1, { title: 'a' }, { id: 'm1', idempotencyKey: 'm1', lastAttempt: 100 });
+    const unsent = update(1, { title: 'a' }, { id: 'm1', idempotencyKey: 'm1' });
+
+    expect(compactQueue([sent, update(1, { done: true }, { idempotencyKey: 'm2' })])[0].idempotencyKey).toBe('m2');
+    expect(compactQueue([unsent, update(1, { done: true }, { idempotencyKey: 'm2' })])[0].idempotencyKey).toBe('m1');
+  });
+
+  test('should keep the delete of a create that may have reached the server', () => {
+    const create = { id: 'c1', type: 'ADD_TODO', payload: { id: 1 }, lastAttempt: 100 };
+    const remove = { id: 'd1', type: 'DELETE_TODO', payload: { id: 1 } };
+
+    expect(compactQueue([create, remove])).toEqual([create, remove]);
+  });
+
+  test('should replace an update by a later delete and drop updates after a delete', () => {
+    const queue = compactQueue([
+      update(1, { title: 'x' }, { id: 'u1', baseRevision: 7 }),
+      { id: 'd1', type: 'DELETE_TODO', payload: { id: 1 } },
+      update(1, { title: 'too late' })
+    ]);
+
+    expect(queue).toEqual([
+      { id: 'd1', type: 'DELETE_TODO', payload: { id: 1 }, baseRevision: 7, coalescedIds: ['u1'] }
+    ]);
+  });
+
+  test('should keep a re-create after a delete', () => {
+    const remove = { id: 'd1', type: 'DELETE_TODO', payload: { id: 1 } };
+    const create = { id: 'c1', type: 'ADD_TODO', payload: { id: 1 } };
+
+    expect(compactQueue([remove, create])).toEqual([remove, create]);
+  });
+
+  test('should never merge into locked mutations', () => {
+    const inFlight = update(1, { title: 'sending' }, { id: 'm1' });
+    const later = update(1, { title: 'later' }, { id: 'm2' });
+    const latest = update(1, { done: true }, { id: 'm3' });
+
+    const queue = compactQueue([inFlight, later, latest], { isLocked: m => m.id === 'm1' });
+
+    expect(queue.map(m => m.id)).toEqual(['m1', 'm2']);
+    expect(queue[1].payload).toEqual({ id: 1, title: 'later', done: true });
+  });
+
+  test('should run custom coalescers before the default rules', () => {
+    const coalescers = {
+      INCREMENT: (previous, next) => ({ ...previous, payload: { by: previous.payload.by + next.payload.by } }),
+      SET_FILTER: () => undefined
+    };
+
+    const queue = compactQueue([
+      { id: 'i1', type: 'INCREMENT', payload: { by: 1 } },
+      { id: 'f1', type: 'SET_FILTER', payload: { filter: 'all' } },
+      { id: 'i2', type: 'INCREMENT', payload: { by: 2 } },
+      { id: 'f2', type: 'SET_FILTER', payload: { filter: 'done' } }
+    ], { coalescers });
+
+    expect(queue).toEqual([
+      { id: 'i1', type: 'INCREMENT', payload: { by: 3 } },
+      { id: 'f1', type: 'SET_FILTER', payload: { filter: 'all' } },
+      { id: 'f2', type: 'SET_FILTER', payload: { filter: 'done' } }
+    ]);
+  });
+
+  test('should append to a compacted queue with the same result as compacting it whole', () => {
+    const mutations = [
+      { id: 'c1', type: 'ADD_TODO', payload: { id: 1, title: 'new' } },
+      update(2, { title: 'a' }, { id: 'u2' }),
+      update(1, { title: 'renamed' }),
+      update(2, { done: true }),
+      { id: 'c3', type: 'ADD_TODO', payload: { id: 3 } },
+      { id: 'd1', type: 'DELETE_TODO', payload: { id: 1 } },
+      update(3, { title: 'three' })
+    ];
+
+    let queue = [];
+    let positions = indexCompactedQueue(queue);
+    for (const mutation of mutations) {
+      const appended = appendCompacted(queue, mutation, positions);
+      expect(appended.queue).not.toBe(queue);
+      queue = appended.queue;
+      positions = appended.positions || indexCompactedQueue(queue);
+    }
+
+    expect(queue).toEqual(compactQueue(mutations));
+    expect(indexCompactedQueue(queue)).toEqual(new Map([['TODO:2', 0], ['TODO:3', 1]]));
+  });
+});
@@ -0,0 +1,186 @@
+// __tests__/crdt.test.js
+
+import {
+  LWWRegister,
+  PNCounter,
+  ORSet,
+  LWWMap,
+  RGA,
+  CRDTStore,
+  CRDT_MUTATION_TYPE
+} from '../src/data/crdt/index.js';
+
+// Every ordering of a list of operations
+const permutations = (items) => {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  );
+};
+
+// Apply ops in every order to fresh replicas and collect the resulting values
+const convergedValues = (Type, ops) => {
+  const values = permutations(ops).map(order => {
+    const replica = new Type({ replicaId: 'observer' });
+    order.forEach(op => replica.apply(op));
+    // Re-delivery must be harmless
+    order.forEach(op => replica.apply(op));
+    return JSON.stringify(replica.value());
+  });
+  return new Set(values);
+};
+
+describe('CRDTs', () => {
+  describe('LWWRegister', () => {
+    test('should keep the write with the greatest stamp in any order', () => {
+      const a = new LWWRegister({ replicaId: 'a' });
+      const b = new LWWRegister({ replicaId: 'b' });
+      const ops = [a.set('first'), b.set('concurrent'), a.set('second')];
+
+      const values = convergedValues(LWWRegister, ops);
+
+      expect(values.size).toBe(1);
+      expect([...values][0]).toBe(JSON.stringify('second'));
+    });
+  });
+
+  describe('PNCounter', () => {
+    test('should converge on the sum of increments and decrements', () => {
+      const a = new PNCounter({ replicaId: 'a' });
+      const b = new PNCounter({ replicaId: 'b' });
+      const ops = [a.increment(2), b.increment(), a.decrement(), b.increment(3)];
+
+      const values = convergedValues(PNCounter, ops);
+
+      expect([...values]).toEqual(['5']);
+    });
+  });
+
+  describe('ORSet', () => {
+    test('should let a concurrent add win over a remove', () => {
+      const a = new ORSet({ replicaId: 'a' });
+      const b = new ORSet({ replicaId: 'b' });
+      const addA = a.add('x');
+      b.apply(addA);
+      const removeB = b.remove('x');
+      const addAgain = a.add('x');
+      const addY = a.add('y');
+
+      const values = convergedValues(ORSet, [addA, removeB, addAgain, addY]);
+
+      expect([...values]).toEqual([JSON.stringify(['x', 'y'])]);
+    });
+
+    test('should apply a remove that arrives before its add', () => {
+      const a = new ORSet({ replicaId: 'a' });
+      const addOp = a.add({ id: 1 });
+      const removeOp = a.remove({ id: 1 });
+      const replica = new ORSet({ replicaId: 'c' });
+
+      replica.apply(removeOp);
+      replica.apply(addOp);
+
+      expect(replica.value()).toEqual([]);
+    });
+  });
+
+  describe('LWWMap', () => {
+    test('should resolve each key independently', () => {
+      const a = new LWWMap({ replicaId: 'a' });
+      const b = new LWWMap({ replicaId: 'b' });
+      const ops = [a.set('title', 'A'), b.set('color', 'red'), a.delete('color'), b.set('title', 'B')];
+
+      const values = convergedValues(LWWMap, ops);
+
+      expect(values.size).toBe(1);
+    });
+
+    test('should revive deleted keys with a later set', () => {
+      const map = new LWWMap({ replicaId: 'a' });
+      map.set('k', 1);
+      map.delete('k');
+      expect(map.has('k')).toBe(false);
+      map.set('k', 2);
+      expect(map.value()).toEqual({ k: 2 });
+    });
+  });
+
+  describe('RGA', () => {
+    test('should converge concurrent text edits in any order', () => {
+      const a = new RGA({ replicaId: 'a' });
+      const b = new RGA({ replicaId: 'b' });
+      const base = a.insertText(0, 'ac');
+      b.applyAll(base);
+
+      const fromA = a.insert(1, 'b');
+      const fromB = [...b.insertText(2, 'd'), ...b.delete(0)];
+
+      const values = convergedValues(RGA, [...base, fromA, ...fromB]);
+
+      expect([...values]).toEqual([JSON.stringify(['b', 'c', 'd'])]);
+    });
+
+    test('should merge full states and support deletes', () => {
+      const a = new RGA({ replicaId: 'a' });
+      a.insertText(0, 'hello');
+      a.delete(0);
+      const b = new RGA({ replicaId: 'b', state: JSON.parse(JSON.stringify(a.toJSON())) });
+      b.insertText(4, '!');
+
+      a.merge(b.toJSON());
+
+      expect(a.toString()).toBe('ello!');
+      expect(b.toString()).toBe('ello!');
+    });
+
+    test('should reject out of range inserts', () => {
+      expect(() => new RGA().insert(2, 'x')).toThrow(RangeError);
+    });
+  });
+
+  describe('CRDTStore', () => {
+    test('should notify subscribers and queue operations on the sync engine', async () => {
+      const syncEngine = { addMutation: jest.fn().mockResolvedValue({}) };
+      const store = new CRDTStore('likes', new PNCounter({ replicaId: 'a' }), { syncEngine, persist: false });
+      const callback = jest.fn();
+      store.subscribe(callback);
+
+      const ops = await store.mutate(counter => [counter.increment(), counter.increment()]);
+
+      expect(store.get()).toBe(2);
+      expect(callback).toHaveBeenLastCalledWith(2);
+      expect(syncEngine.addMutation).toHaveBeenCalledWith({
+        type: CRDT_MUTATION_TYPE,
+        entity: 'likes',
+        payload: { crdt: 'PNCounter', ops }
+      });
+    });
+
+    test('should apply remote operation payloads', () => {
+      const remote = new ORSet({ replicaId: 'remote' });
+      const op = remote.add('shared');
+      const store = new CRDTStore('tags', new ORSet({ replicaId: 'local' }), { persist: false });
+
+      store.applyRemote({ crdt: 'ORSet', ops: [op] });
+
+      expect(store.get()).toEqual(['shared']);
+    });
+
+    test('should persist state and reload it into a new store', async () => {
+      const store = new CRDTStore('crdt-persist-test', new LWWMap({ replicaId: 'a' }));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await store.mutate(map => map.set('theme', 'dark'));
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const reloaded = new CRDTStore('crdt-persist-test', new LWWMap({ replicaId: 'b' }));
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(reloaded.get()).toEqual({ theme: 'dark' });
+    });
+
+    test('should refuse direct set()', () => {
+      const store = new CRDTStore('x', new LWWRegister(), { persist: false });
+      expect(() => store.set(1)).toThrow('use mutate()');
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// __tests__/dependencies.test.js
+
+import {
+  createTempId,
+  isTempId,
+  buildDependencyGraph,
+  sortByDependencies,
+  findDependents,
+  replaceTempIds
+} from '../src/sync/dependencies.js';
+
+describe('dependencies', () => {
+  const postId = createTempId();
+  const createPost = { id: 'm1', type: 'ADD_POST', payload: { id: postId, title: 'Hello' } };
+  const addComment = { id: 'm2', type: 'ADD_COMMENT', payload: { id: 5, postId } };
+  const unrelated = { id: 'm3', type: 'UPDATE_USER', payload: { id: 9 } };
+
+  test('should create recognisable temp ids', () => {
+    expect(isTempId(postId)).toBe(true);
+    expect(isTempId('42')).toBe(false);
+    expect(isTempId(42)).toBe(false);
+    expect(createTempId()).not.toBe(postId);
+  });
+
+  test('should infer dependencies from temp ids and dependsOn', () => {
+    const like = { id: 'm4', type: 'LIKE', payload: {}, dependsOn: ['m3', 'gone'] };
+
+    const graph = buildDependencyGraph([createPost, addComment, unrelated, like]);
+
+    expect([...graph.get('m1')]).toEqual([]);
+    expect([...graph.get('m2')]).toEqual(['m1']);
+    expect([...graph.get('m4')]).toEqual(['m3']);
+  });
+
+  test('should resolve dependencies on mutations folded in by compaction', () => {
+    const merged = { ...unrelated, coalescedIds: ['m7'] };
+    const graph = buildDependencyGraph([merged, { id: 'm8', type: 'X', dependsOn: ['m7'] }]);
+
+    expect([...graph.get('m8')]).toEqual(['m3']);
+  });
+
+  test('should order parents first and otherwise keep queue order', () => {
+    const queue = [addComment, unrelated, createPost];
+
+    const { ordered, cyclic } = sortByDependencies(queue, buildDependencyGraph(queue));
+
+    expect(ordered.map(m => m.id)).toEqual(['m3', 'm1', 'm2']);
+    expect(cyclic).toEqual([]);
+  });
+
+  test('should report cycles and keep their mutations', () => {
+    const a = { id: 'a', type: 'X', dependsOn: ['b'] };
+    const b = { id: 'b', type: 'X', dependsOn: ['a'] };
+    const queue = [a, b, unrelated];
+
+    const { ordered, cyclic } = sortByDependencies(queue, buildDependencyGraph(queue));
+
+    expect(ordered.map(m => m.id)).toEqual(['m3', 'a', 'b']);
+    expect(cyclic).toEqual(['a', 'b']);
+  });
+
+  test('should find transitive dependents', () => {
+    const reply = { id: 'm5', type: 'ADD_REPLY', payload: {}, dependsOn: ['m2'] };
+    const graph = buildDependencyGraph([createPost, addComment, unrelated, reply]);
+
+    expect(findDependents(graph, ['m1'])).toEqual(new Set(['m2', 'm5']));
+  });
+
+  test('should replace temp ids deeply and keep untouched values', () => {
+    const payload = { id: 5, postId, tags: [postId, 'x'], meta: { by: 'me' } };
+
+    const replaced = replaceTempIds(payload, { [postId]: 100 });
+
+    expect(replaced).toEqual({ id: 5, postId: 100, tags: [100, 'x'], meta: { by: 'me' } });
+    expect(replaced.meta).toBe(payload.meta);
+    expect(replaceTempIds(payload, {})).toBe(payload);
+  });
+});
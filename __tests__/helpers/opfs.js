@@ -0,0 +1,70 @@
+// __tests__/helpers/opfs.js
+
+/**
+ * Read a Blob as text; jsdom's Blob has no text().
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export const readText = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(blob);
+});
+
+/**
+ * Minimal origin private file system: one level of directories holding
+ * in-memory files. Files are Blobs; getFile() adds the text() real files have.
+ * @param {Object} [options]
+ * @param {boolean} [options.writable=true] - Give file handles createWritable(). Without it they
+ * only have createSyncAccessHandle(), like in workers of browsers without writable streams.
+ * @returns {{ directories: Map<string, Map<string, Blob>>, getDirectory: function }}
+ */
+export function createFakeOPFS({ writable = true } = {}) {
+  const directories = new Map();
+  const notFound = () => Object.assign(new Error('Not found'), { name: 'NotFoundError' });
+
+  const fileHandle = (files, name) => {
+    const handle = {
+      async getFile() {
+        const file = files.get(name);
+        return Object.assign(file, { text: () => readText(file) });
+      }
+    };
+    if (writable) {
+      handle.createWritable = async () => {
+        const parts = [];
+        return { write: async (data) => parts.push(data), close: async () => files.set(name, new Blob(parts)) };
+      };
+    } else {
+      handle.createSyncAccessHandle = async () => ({
+        truncate: () => files.set(name, new Blob([])),
+        write: (bytes) => files.set(name, new Blob([bytes])),
+        flush: () => {},
+        close: () => {}
+      });
+    }
+    return handle;
+  };
+
+  const directory = (files) => ({
+    async getFileHandle(name, { create } = {}) {
+      if (!files.has(name) && !create) throw notFound();
+      if (!files.has(name)) files.set(name, new Blob([]));
+      return fileHandle(files, name);
+    },
+    async removeEntry(name) {
+      if (!files.delete(name)) throw notFound();
+    }
+  });
+
+  return {
+    directories,
+    getDirectory: async () => ({
+      async getDirectoryHandle(name) {
+        if (!directories.has(name)) directories.set(name, new Map());
+        return directory(directories.get(name));
+      }
+    })
+  };
+}
@@ -0,0 +1,251 @@
+// __tests__/helpers/realtimeServer.js
+
+/**
+ * Local stand-in for a realtime sync server, built on Node's http module so
+ * tests need no extra dependencies. Serves:
+ * - `/socket`: WebSocket channel (answers `{ type: 'ping' }` with `{ type: 'pong' }`)
+ * - `/events`: Server-Sent Events channel
+ * Both record the `cursors` query parameter each client resumed from.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function parseCursors(url) {
+  const query = url.includes('?') ? url.slice(url.indexOf('?') + 1) : '';
+  const param = query.split('&').find(part => part.startsWith('cursors='));
+  return param ? JSON.parse(decodeURIComponent(param.slice('cursors='.length))) : null;
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split complete client frames off a buffer.
+ * @returns {{ frames: Array<{ opcode: number, payload: Buffer }>, rest: Buffer }}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    cursor += maskLength;
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ opcode, payload });
+    offset = cursor + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Start the stand-in server on a random local port.
+ * @param {Object} [options]
+ * @param {number} [options.sseHeartbeat=0] - Send SSE heartbeats this often (0 disables them)
+ * @param {boolean} [options.answerPings=true] - Reply to WebSocket pings
+ */
+export async function startRealtimeServer(options = {}) {
+  const connections = [];
+  const waiters = [];
+  const answerPings = options.answerPings !== false;
+
+  const track = (connection) => {
+    connections.push(connection);
+    waiters.filter(waiter => connections.length >= waiter.count).forEach(waiter => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(connection);
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    if (!req.url.startsWith('/events')) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(':ok\n\n');
+
+    const heartbeat = options.sseHeartbeat
+      ? setInterval(() => res.write(`data: ${JSON.stringify({ type: 'heartbeat' })}\n\n`), options.sseHeartbeat)
+      : null;
+    const connection = {
+      kind: 'sse',
+      url: req.url,
+      cursors: parseCursors(req.url),
+      open: true,
+      send: (message) => res.write(`data: ${JSON.stringify(message)}\n\n`),
+      drop: () => res.socket.destroy()
+    };
+    req.on('close', () => {
+      connection.open = false;
+      if (heartbeat) clearInterval(heartbeat);
+    });
+    track(connection);
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    const connection = {
+      kind: 'ws',
+      url: req.url,
+      cursors: parseCursors(req.url),
+      open: true,
+      received: [],
+      send: (message) => socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message)))),
+      drop: () => socket.destroy()
+    };
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      frames.forEach(({ opcode, payload }) => {
+        if (opcode === 0x1) {
+          const message = JSON.parse(payload.toString());
+          connection.received.push(message);
+          if (message.type === 'ping' && answerPings) connection.send({ type: 'pong' });
+        } else if (opcode === 0x8) {
+          socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+        } else if (opcode === 0x9) {
+          socket.write(encodeFrame(0xa, payload));
+        }
+      });
+    });
+    socket.on('close', () => { connection.open = false; });
+    socket.on('error', () => {});
+    track(connection);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    port,
+    httpUrl: `http://127.0.0.1:${port}`,
+    wsUrl: `ws://127.0.0.1:${port}`,
+    connections,
+
+    /** Resolve once `count` clients have connected in total. */
+    waitForConnection(count = connections.length + 1) {
+      if (connections.length >= count) return Promise.resolve(connections[count - 1]);
+      return new Promise(resolve => waiters.push({ count, resolve }));
+    },
+
+    /** Send a message to every open client. */
+    broadcast(message) {
+      connections.filter(connection => connection.open).forEach(connection => connection.send(message));
+    },
+
+    /** Drop every open connection without a close handshake. */
+    dropAll() {
+      connections.filter(connection => connection.open).forEach(connection => connection.drop());
+    },
+
+    close() {
+      connections.forEach(connection => connection.drop());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Minimal EventSource for Node, enough for SSETransport against the stand-in server.
+ */
+export class NodeEventSource {
+  constructor(url) {
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.request = http.get(url, (res) => {
+      if (res.statusCode !== 200) {
+        this.fail();
+        return;
+      }
+      if (this.onopen) this.onopen();
+
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const data = block.split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+          if (data && this.onmessage) this.onmessage({ data });
+        }
+      });
+      res.on('end', () => this.fail());
+      res.on('error', () => this.fail());
+    });
+    this.request.on('error', () => this.fail());
+  }
+
+  fail() {
+    if (this.onerror) this.onerror(new Error('EventSource connection lost'));
+  }
+
+  close() {
+    this.onopen = this.onmessage = this.onerror = null;
+    this.request.destroy();
+  }
+}
@@ -0,0 +1,25 @@
+// __tests__/helpers/storage.js
+
+import { createMemoryStorage } from '../../src/data/storage.js';
+
+/**
+ * Memory storage adapter whose reads wait until `release()` is called, so a
+ * test can write to a store while it is still loading.
+ * @param {Object<string, any>} [values] - Stored up front, by key
+ * @returns {Promise<{ storage: object, release: function }>}
+ */
+export async function createDelayedStorage(values = {}) {
+  const memory = createMemoryStorage();
+  await Promise.all(Object.entries(values).map(([key, value]) => memory.set(key, value)));
+
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  const storage = {
+    ...memory,
+    async get(key) {
+      await released;
+      return memory.get(key);
+    }
+  };
+  return { storage, release };
+}
@@ -0,0 +1,154 @@
+// __tests__/idempotency.test.js
+
+import http from 'http';
+import {
+  IdempotencyStore,
+  IdempotencyError,
+  createIdempotencyMiddleware,
+  fingerprintRequest
+} from '../src/server/idempotency.js';
+
+describe('idempotency helper', () => {
+  describe('fingerprintRequest()', () => {
+    test('should ignore key order but not values', () => {
+      expect(fingerprintRequest('post', '/todos', { a: 1, b: [1, { c: 2, d: 3 }] }))
+        .toBe(fingerprintRequest('POST', '/todos', { b: [1, { d: 3, c: 2 }], a: 1 }));
+      expect(fingerprintRequest('POST', '/todos', { a: 1 })).not.toBe(fingerprintRequest('POST', '/todos', { a: 2 }));
+    });
+  });
+
+  describe('IdempotencyStore', () => {
+    test('should run the handler once and replay the cached response', async () => {
+      const store = new IdempotencyStore();
+      const handler = jest.fn().mockResolvedValue({ status: 201, body: { id: 1 } });
+
+      const first = await store.execute('k1', 'fp', handler);
+      const second = await store.execute('k1', 'fp', handler);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(first).toEqual({ response: { status: 201, body: { id: 1 } }, replayed: false });
+      expect(second).toEqual({ response: { status: 201, body: { id: 1 } }, replayed: true });
+    });
+
+    test('should let concurrent requests with the same key wait for the first', async () => {
+      const store = new IdempotencyStore();
+      let finish;
+      const handler = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+
+      const first = store.execute('k1', 'fp', handler);
+      const second = store.execute('k1', 'fp', handler);
+      await Promise.resolve();
+      finish({ status: 200 });
+
+      expect((await first).replayed).toBe(false);
+      expect((await second).replayed).toBe(true);
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a key reused for a different request', async () => {
+      const store = new IdempotencyStore();
+      await store.execute('k1', 'fp-a', async () => ({ status: 200 }));
+
+      await expect(store.execute('k1', 'fp-b', async () => ({ status: 200 })))
+        .rejects.toEqual(expect.objectContaining({ name: 'IdempotencyError', status: 422 }));
+      expect(new IdempotencyError('x', 422)).toBeInstanceOf(Error);
+    });
+
+    test('should process failed requests again', async () => {
+      const store = new IdempotencyStore();
+      const handler = jest.fn()
+        .mockResolvedValueOnce({ status: 409 })
+        .mockRejectedValueOnce(new Error('db down'))
+        .mockResolvedValueOnce({ status: 200 });
+
+      await store.execute('k1', 'fp', handler);
+      await expect(store.execute('k1', 'fp', handler)).rejects.toThrow('db down');
+      const last = await store.execute('k1', 'fp', handler);
+
+      expect(handler).toHaveBeenCalledTimes(3);
+      expect(last).toEqual({ response: { status: 200 }, replayed: false });
+      expect(store.size).toBe(1);
+    });
+
+    test('should evict the least recently used keys and expire old ones', async () => {
+      let now = 0;
+      const store = new IdempotencyStore({ maxEntries: 2, ttl: 1000, now: () => now });
+      const ok = async () => ({ status: 200 });
+
+      await store.execute('a', 'fp', ok);
+      await store.execute('b', 'fp', ok);
+      store.get('a');
+      await store.execute('c', 'fp', ok);
+
+      expect(store.get('b')).toBeUndefined();
+      expect(store.get('a')).toBeDefined();
+
+      now = 1500;
+      expect(store.get('a')).toBeUndefined();
+      expect(store.size).toBe(1);
+    });
+  });
+
+  describe('createIdempotencyMiddleware()', () => {
+    let server;
+    let port;
+    let applied;
+
+    const request = (headers = {}, body = '{"text":"once"}') => new Promise((resolve, reject) => {
+      const req = http.request({ port, method: 'POST', path: '/todos', headers }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+
+    beforeEach(async () => {
+      applied = 0;
+      const idempotency = createIdempotencyMiddleware();
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          req.body = JSON.parse(Buffer.concat(chunks).toString());
+          idempotency(req, res, () => {
+            applied += 1;
+            res.statusCode = 201;
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('ETag', `"${applied}"`);
+            res.write('{"id":');
+            res.end(`${applied}}`);
+          });
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should replay the recorded response for a repeated key', async () => {
+      const first = await request({ 'Idempotency-Key': 'm1' });
+      const retry = await request({ 'Idempotency-Key': 'm1' });
+
+      expect(applied).toBe(1);
+      expect(retry).toMatchObject({ status: 201, body: first.body });
+      expect(retry.headers).toMatchObject({ etag: '"1"', 'idempotent-replayed': 'true' });
+      expect(first.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('should pass requests without a key through and reject reused keys', async () => {
+      await request();
+      await request();
+      await request({ 'Idempotency-Key': 'm1' });
+      const reused = await request({ 'Idempotency-Key': 'm1' }, '{"text":"changed"}');
+
+      expect(applied).toBe(3);
+      expect(reused.status).toBe(422);
+      expect(JSON.parse(reused.body).error).toMatch('already used');
+    });
+  });
+});
@@ -4,15 +4,16 @@ import { AetherStore } from '../src/data/AetherStore.js';
 import { PersistentStore } from '../src/data/PersistentStore.js';
 import { SyncEngine } from '../src/sync/SyncEngine.js';
 import { AetherComponent } from '../src/component/AetherComponent.js';
+import { setDefaultStorage } from '../src/data/storage.js';
 
-// Mock idb-keyval for integration tests
-jest.mock('idb-keyval', () => ({
+// Mock storage for integration tests
+const mockStorage = {
+  kind: 'mock',
   get: jest.fn(),
   set: jest.fn(),
-  del: jest.fn()
-}));
-
-import { get as idbGet, set as idbSet } from 'idb-keyval';
+  remove: jest.fn()
+};
+setDefaultStorage(mockStorage);
 
 // Mock window and navigator
 const mockAddEventListener = jest.fn();
@@ -21,8 +22,8 @@ global.window.addEventListener = mockAddEventListener;
 describe('Aether.js Integration Tests', () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    idbGet.mockResolvedValue(undefined);
-    idbSet.mockResolvedValue(undefined);
+    mockStorage.get.mockResolvedValue(undefined);
+    mockStorage.set.mockResolvedValue(undefined);
   });
 
   describe('Store and Component Integration', () => {
@@ -108,12 +109,12 @@ describe('Aether.js Integration Tests', () => {
       // Test persistent store integration
       await component.addTodo('Persistent todo');
 
-      // Wait for async idbSet call and ensure store is initialized
+      // Wait for async storage write and ensure store is initialized
       await new Promise(resolve => setTimeout(resolve, 50));
 
       // Wait for store initialization and persistence
       await new Promise(resolve => setTimeout(resolve, 100));
-      expect(idbSet).toHaveBeenCalled();
+      expect(mockStorage.set).toHaveBeenCalled();
       
       // Test offline event handling
       component.onOffline();
@@ -198,6 +199,30 @@ describe('Aether.js Integration Tests', () => {
       const clearedQueue = await syncEngine.getQueue();
       expect(clearedQueue).toHaveLength(0);
     });
+
+    test('should keep stored temp id mappings and tombstones recorded to before they loaded', async () => {
+      let release;
+      const loading = new Promise(resolve => { release = resolve; });
+      const stored = {
+        'aether-temp-id-mappings': { temp_old: 'srv-1' },
+        'aether-tombstones': { todos: { 7: { at: 1 } } }
+      };
+      mockStorage.get.mockImplementation(async key => {
+        await loading;
+        return stored[key];
+      });
+      const syncEngine = new SyncEngine({ crossTab: false, enableAdvancedCaching: false, enableCarbonAware: false });
+
+      syncEngine.recordServerId({ type: 'CREATE_TODO', entityId: 'temp_new', payload: {} }, { data: { id: 'srv-2' } });
+      syncEngine.recordTombstone('todos', { id: 8 }, true);
+      release();
+      await Promise.all([syncEngine.tempIdMappings.whenReady(), syncEngine.tombstones.whenReady()]);
+
+      expect(syncEngine.tempIdMappings.get()).toEqual({ temp_old: 'srv-1', temp_new: 'srv-2' });
+      expect(Object.keys(syncEngine.tombstones.get().todos)).toEqual(['7', '8']);
+      expect(mockStorage.set).toHaveBeenCalledWith('aether-temp-id-mappings', { temp_old: 'srv-1', temp_new: 'srv-2' });
+      syncEngine.destroy();
+    });
   });
 
   describe('Full Application Flow', () => {
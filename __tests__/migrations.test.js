@@ -0,0 +1,100 @@
+// __tests__/migrations.test.js
+
+import { MigrationError, assertMigrations, migrateFixtures, runMigrations } from '../src/data/migrations.js';
+import { PersistentStore } from '../src/data/PersistentStore.js';
+import { createMemoryStorage } from '../src/data/storage.js';
+
+// v1 wrapped the list in an object, v2 turned strings into items, v3 added `done`
+const migrations = {
+  1: (todos) => ({ todos }),
+  2: (state) => ({ todos: state.todos.map(text => ({ text })) }),
+  3: async (state) => ({ todos: state.todos.map(todo => ({ ...todo, done: false })) })
+};
+const current = { todos: [{ text: 'milk', done: false }] };
+
+describe('migrations', () => {
+  test('should migrate fixtures of every older version through the chain', async () => {
+    const fixtures = { 0: ['milk'], 1: { todos: ['milk'] }, 2: { todos: [{ text: 'milk' }] }, 3: current };
+
+    expect(await migrateFixtures({ version: 3, migrations, fixtures })).toEqual({ 0: current, 1: current, 2: current, 3: current });
+    expect(fixtures[0]).toEqual(['milk']);
+  });
+
+  test('should name the failing step and reject values from newer versions', async () => {
+    const error = await runMigrations({ todos: 'milk' }, { from: 1, to: 3, migrations }).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(MigrationError);
+    expect(error).toMatchObject({ fromVersion: 1, version: 2 });
+    expect(error.message).toMatch(/^Migration to version 2 failed: /);
+    expect(error.cause).toBeInstanceOf(TypeError);
+    await expect(runMigrations(current, { from: 4, to: 3, migrations }))
+      .rejects.toThrow('Saved with version 4, newer than the current version 3');
+    expect(() => assertMigrations(0)).toThrow('Version must be a positive integer, got 0');
+    expect(() => assertMigrations(2, { 2: 'nope' })).toThrow('Migration to version 2 must be a function');
+  });
+});
+
+describe('PersistentStore versions', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test('should migrate an older value before the first notification and store it with its version', async () => {
+    const storage = createMemoryStorage();
+    await storage.set('todos', ['milk']);
+
+    const store = new PersistentStore('todos', { todos: [] }, { storage, version: 3, migrations });
+    const seen = [];
+    store.subscribe(value => seen.push(value));
+    await store.whenReady();
+    await store.flush();
+
+    expect(seen).toEqual([{ todos: [] }, current]);
+    expect(await storage.get('todos')).toEqual({ $version: 3, value: current });
+
+    const reopened = new PersistentStore('todos', { todos: [] }, { storage, version: 3, migrations });
+    await reopened.whenReady();
+    expect(reopened.get()).toEqual(current);
+  });
+
+  test('should back up the stored value and start over when a migration fails', async () => {
+    const storage = createMemoryStorage();
+    await storage.set('todos', { $version: 1, value: { todos: 'not a list' } });
+    const onMigrationError = jest.fn();
+
+    const store = new PersistentStore('todos', { todos: [] }, { storage, version: 3, migrations, onMigrationError });
+    await store.whenReady();
+    await store.flush();
+
+    expect(store.get()).toEqual({ todos: [] });
+    expect(store.migrationError).toMatchObject({ name: 'MigrationError', fromVersion: 1, version: 2 });
+    expect(onMigrationError).toHaveBeenCalledWith(store.migrationError, { backupKey: 'todos:backup' });
+    expect(await storage.get('todos:backup')).toEqual({ $version: 1, value: { todos: 'not a list' } });
+    expect(await storage.get('todos')).toEqual({ $version: 3, value: { todos: [] } });
+  });
+
+  test('should leave a value saved by a newer version alone and not save over it', async () => {
+    const storage = createMemoryStorage();
+    const saved = { $version: 4, value: { todos: [{ text: 'milk', done: false, tags: [] }] } };
+    await storage.set('todos', saved);
+    const onMigrationError = jest.fn();
+
+    const store = new PersistentStore('todos', { todos: [] }, { storage, version: 3, migrations, onMigrationError });
+    expect(await store.whenReady()).toEqual({ todos: [] });
+
+    expect(store.readOnly).toBe(true);
+    expect(store.loadState.get()).toMatchObject({ status: 'error', error: { name: 'MigrationError', fromVersion: 4 } });
+    expect(onMigrationError).toHaveBeenCalledWith(store.migrationError, { backupKey: null });
+    store.set({ todos: [{ text: 'eggs', done: false }] });
+    await store.flush();
+    expect(store.get()).toEqual({ todos: [{ text: 'eggs', done: false }] });
+    expect(await storage.get('todos')).toEqual(saved);
+    expect(await storage.get('todos:backup')).toBeUndefined();
+  });
+});
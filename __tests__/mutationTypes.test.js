@@ -0,0 +1,188 @@
+// __tests__/mutationTypes.test.js
+
+import { validateSchema, assertSchema } from '../src/sync/schema.js';
+import { MutationValidationError, defineMutationType } from '../src/sync/mutationTypes.js';
+import { FakeTransport } from '../src/sync/HttpTransport.js';
+import { SyncEngine } from '../src/sync/SyncEngine.js';
+import { AetherStore } from '../src/data/AetherStore.js';
+
+const todoSchema = {
+  type: 'object',
+  required: ['id', 'title'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string', minLength: 1, maxLength: 20 },
+    priority: { enum: ['low', 'high'] },
+    estimate: { type: ['integer', 'null'], minimum: 0 },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string', pattern: '^[a-z]+$' } }
+  }
+};
+
+describe('validateSchema()', () => {
+  test('should accept matching values and report every violation with its path', () => {
+    expect(validateSchema(todoSchema, { id: 't1', title: 'Buy milk', estimate: null, tags: ['home'] })).toEqual([]);
+
+    const errors = validateSchema(todoSchema, {
+      id: 't1', titel: 'Buy milk', priority: 'urgent', estimate: 1.5, tags: ['home', 'Shop', 'x']
+    }, 'payload');
+
+    expect(errors.map(error => `${error.path} ${error.keyword}`)).toEqual([
+      'payload.title required',
+      'payload.titel additionalProperties',
+      'payload.priority enum',
+      'payload.estimate type',
+      'payload.tags maxItems',
+      'payload.tags[1] pattern'
+    ]);
+    expect(errors[3].message).toBe('must be integer or null');
+  });
+
+  test('should support const, numeric bounds and anyOf', () => {
+    const schema = {
+      anyOf: [
+        { type: 'object', properties: { kind: { const: 'fixed' }, amount: { type: 'number', exclusiveMinimum: 0 } } },
+        { type: 'object', properties: { kind: { const: 'percent' }, amount: { type: 'number', maximum: 100 } } }
+      ]
+    };
+
+    expect(validateSchema(schema, { kind: 'percent', amount: 50 })).toEqual([]);
+    expect(validateSchema(schema, { kind: 'fixed', amount: 0 })).toEqual([
+      { path: '', keyword: 'anyOf', message: 'must match one of the allowed schemas' }
+    ]);
+  });
+
+  test('should reject keywords outside the supported subset', () => {
+    expect(() => assertSchema(todoSchema)).not.toThrow();
+    expect(() => assertSchema({ type: 'object', properties: { count: { type: 'number', minimun: 0 } } }))
+      .toThrow('Unsupported schema keyword "minimun" at schema.properties.count');
+    expect(() => assertSchema({ type: 'date' })).toThrow('Unknown type "date" at schema.type');
+    expect(() => defineMutationType('ADD_TODO', { applyLocal: 'nope' })).toThrow('ADD_TODO.applyLocal must be a function');
+  });
+});
+
+describe('SyncEngine mutation types', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  const createEngine = (transport) => {
+    const engine = new SyncEngine({
+      transport,
+      enableAdvancedCaching: false,
+      enableCarbonAware: false,
+      crossTab: false
+    });
+    engine.isOnline = false;
+    return engine;
+  };
+
+  test('should reject invalid payloads before anything is queued or applied', async () => {
+    const engine = createEngine(new FakeTransport());
+    const todos = new AetherStore([]);
+    engine.registerMutationType('ADD_TODO', {
+      schema: todoSchema,
+      store: todos,
+      applyLocal: (state, mutation) => [...state, mutation.payload]
+    });
+
+    const error = await engine.addMutation({ type: 'ADD_TODO', payload: { id: 't1', titel: 'Typo' } })
+      .catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(MutationValidationError);
+    expect(error.type).toBe('ADD_TODO');
+    expect(error.message).toBe('Invalid ADD_TODO mutation: payload.title is required (and 1 more)');
+    expect(error.errors).toHaveLength(2);
+    expect(todos.get()).toEqual([]);
+    expect(await engine.queue.get()).toEqual([]);
+
+    await engine.addMutation({ type: 'ADD_TODO', payload: { id: 't1', title: 'Buy milk' } });
+    expect(todos.get()).toEqual([{ id: 't1', title: 'Buy milk' }]);
+    expect(await engine.queue.get()).toHaveLength(1);
+    engine.destroy();
+  });
+
+  test('should drive the request and merge the mapped response from the definition', async () => {
+    const transport = new FakeTransport({
+      respond: () => ({ status: 201, body: { todo: { id: 't1', title: 'Buy milk', done: false } } })
+    });
+    const engine = createEngine(transport);
+    const todos = new AetherStore([]);
+    engine.registerMutationType('ADD_TODO', {
+      schema: todoSchema,
+      applyLocal: (state, mutation) => [...state, mutation.payload],
+      toRequest: (mutation) => ({
+        method: 'PUT',
+        path: '/lists/inbox/todos/:id',
+        body: { todo: { title: mutation.payload.title } }
+      }),
+      fromResponse: (response) => response.data.todo
+    });
+
+    await engine.addMutation({ type: 'ADD_TODO', payload: { id: 't1', title: 'Buy milk' } }, { store: todos });
+    engine.isOnline = true;
+    await engine.processQueue();
+
+    expect(transport.requests[0]).toMatchObject({ method: 'PUT', url: '/lists/inbox/todos/t1' });
+    expect(JSON.parse(transport.requests[0].body)).toEqual({ todo: { title: 'Buy milk' } });
+    expect(todos.get()).toEqual([{ id: 't1', title: 'Buy milk', done: false }]);
+    expect(engine.optimisticUpdates.entries.size).toBe(0);
+    await engine.queue.flush();
+    engine.destroy();
+  });
+
+  test('should migrate mutations queued by an older version before sending them', async () => {
+    const transport = new FakeTransport({ respond: (request) => ({ status: 200, body: JSON.parse(request.body) }) });
+    const oldApp = createEngine(transport);
+    await oldApp.addMutation({ type: 'RENAME_TODO', payload: { id: 'r1', name: 'Milk' } });
+    await oldApp.addMutation({ type: 'RENAME_TODO', payload: { id: 'r2' } });
+    await oldApp.queue.flush();
+    oldApp.destroy();
+
+    const engine = createEngine(transport);
+    engine.registerMutationType('RENAME_TODO', {
+      version: 2,
+      migrations: {
+        2: (payload) => {
+          if (!payload.name) throw new Error('name is missing');
+          return { id: payload.id, title: payload.name };
+        }
+      }
+    });
+    await engine.queue.ready;
+    engine.isOnline = true;
+    await engine.processQueue();
+
+    const sent = transport.requests.map(request => JSON.parse(request.body).payload);
+    expect(sent).toContainEqual({ id: 'r1', title: 'Milk' });
+    expect(sent.some(payload => payload.id === 'r2')).toBe(false);
+    const deadLetter = (await engine.getDeadLetters()).find(entry => entry.mutation.payload.id === 'r2');
+    expect(deadLetter).toMatchObject({ reason: 'migration_failed', mutation: { payload: { id: 'r2' } } });
+    expect(deadLetter.errors[0].message).toBe('Migration to version 2 failed: name is missing');
+
+    // New mutations get the current version; older ones, e.g. from another tab, are migrated
+    engine.isOnline = false;
+    const current = await engine.addMutation({ type: 'RENAME_TODO', payload: { id: 'r3', title: 'Eggs' } });
+    const forwarded = await engine.addMutation({ type: 'RENAME_TODO', schemaVersion: 1, payload: { id: 'r4', name: 'Tea' } });
+    expect(current).toMatchObject({ schemaVersion: 2, payload: { id: 'r3', title: 'Eggs' } });
+    expect(forwarded).toMatchObject({ schemaVersion: 2, payload: { id: 'r4', title: 'Tea' } });
+    expect(() => engine.registerMutationType('MOVE_TODO', { version: 1, migrations: { 2: x => x } }))
+      .toThrow('MOVE_TODO: Migration "2" must be keyed by a version from 1 to 1');
+    await engine.clearQueue();
+    engine.destroy();
+  });
+
+  test('should need a routable transport for toRequest', () => {
+    const engine = createEngine({ send: jest.fn() });
+    expect(() => engine.registerMutationType('ADD_TODO', { toRequest: () => ({ path: '/todos' }) }))
+      .toThrow('ADD_TODO.toRequest needs a transport with setRoute()');
+    expect(engine.mutationTypes.has('ADD_TODO')).toBe(false);
+    engine.destroy();
+  });
+});
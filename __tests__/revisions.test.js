@@ -0,0 +1,51 @@
+// __tests__/revisions.test.js
+
+import {
+  getEntityKey,
+  compareVectorClocks,
+  mergeVectorClocks,
+  compareRevisions,
+  revisionsEqual,
+  extractRevision,
+  toIfMatch
+} from '../src/sync/revisions.js';
+
+describe('revisions', () => {
+  test('should build entity keys from entity and id', () => {
+    expect(getEntityKey({ entity: 'todos', entityId: 3 })).toBe('todos:3');
+    expect(getEntityKey({ type: 'UPDATE_TODO', payload: { id: 3 } })).toBe('UPDATE_TODO:3');
+    expect(getEntityKey({ type: 'PING', payload: 'x' })).toBeNull();
+  });
+
+  test('should order vector clocks and detect concurrency', () => {
+    expect(compareVectorClocks({ a: 1 }, { a: 1, b: 0 })).toBe(0);
+    expect(compareVectorClocks({ a: 1 }, { a: 2 })).toBe(-1);
+    expect(compareVectorClocks({ a: 2, b: 1 }, { a: 2 })).toBe(1);
+    expect(compareVectorClocks({ a: 2 }, { b: 1 })).toBeNull();
+  });
+
+  test('should merge vector clocks with the per-node maximum', () => {
+    expect(mergeVectorClocks({ a: 3, b: 1 }, { b: 4, c: 1 })).toEqual({ a: 3, b: 4, c: 1 });
+  });
+
+  test('should compare numbers, ETags and mixed revisions', () => {
+    expect(compareRevisions(1, 2)).toBe(-1);
+    expect(compareRevisions(2, 2)).toBe(0);
+    expect(compareRevisions('W/"x"', '"x"')).toBe(0);
+    expect(compareRevisions('"x"', '"y"')).toBeNull();
+    expect(revisionsEqual(undefined, undefined)).toBe(true);
+    expect(revisionsEqual(1, undefined)).toBe(false);
+  });
+
+  test('should extract revisions from ETag headers before body fields', () => {
+    expect(extractRevision({ etag: '"a"' }, { revision: 2 })).toBe('"a"');
+    expect(extractRevision({}, { revision: 2 })).toBe(2);
+    expect(extractRevision({}, null)).toBeUndefined();
+  });
+
+  test('should encode If-Match values', () => {
+    expect(toIfMatch(3)).toBe('"3"');
+    expect(toIfMatch('"etag"')).toBe('"etag"');
+    expect(toIfMatch({ a: 1 })).toBeNull();
+  });
+});
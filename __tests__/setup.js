@@ -15,6 +15,13 @@ if (typeof global.structuredClone === 'undefined') {
   };
 }
 
+// Polyfill TextEncoder/TextDecoder, which jsdom does not provide
+if (typeof global.TextEncoder === 'undefined') {
+  const { TextEncoder, TextDecoder } = require('util');
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
+
 // Mock Service Worker APIs
 global.self = global;
 
@@ -0,0 +1,97 @@
+// __tests__/storage.test.js
+
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  STORAGE_KINDS,
+  createFileStorage,
+  createIndexedDBStorage,
+  createLocalStorage,
+  createMemoryStorage,
+  createOPFSStorage,
+  createStorage,
+  getDefaultStorage,
+  setDefaultStorage
+} from '../src/data/storage.js';
+import { PersistentStore } from '../src/data/PersistentStore.js';
+import { createFakeOPFS, readText } from './helpers/opfs.js';
+
+// Every adapter stores and removes values the same way
+const behavesLikeStorage = async (storage) => {
+  expect(await storage.get('missing')).toBeUndefined();
+  await storage.set('todos', [{ id: 1, title: 'Milk' }]);
+  expect(await storage.get('todos')).toEqual([{ id: 1, title: 'Milk' }]);
+  await storage.set('todos', []);
+  expect(await storage.get('todos')).toEqual([]);
+  await storage.remove('todos');
+  await storage.remove('todos');
+  expect(await storage.get('todos')).toBeUndefined();
+};
+
+describe('storage adapters', () => {
+  afterEach(() => {
+    setDefaultStorage(null);
+  });
+
+  test('should store, replace and remove values with every built-in adapter', async () => {
+    await behavesLikeStorage(createMemoryStorage());
+    await behavesLikeStorage(createIndexedDBStorage({ dbName: 'storage-test' }));
+    await behavesLikeStorage(createLocalStorage({ prefix: 'storage-test:' }));
+    expect(localStorage.getItem('storage-test:todos')).toBeNull();
+
+    const opfs = createFakeOPFS();
+    global.navigator.storage = { getDirectory: opfs.getDirectory };
+    await behavesLikeStorage(createOPFSStorage());
+    const syncOnly = createFakeOPFS({ writable: false });
+    global.navigator.storage = { getDirectory: syncOnly.getDirectory };
+    const worker = createOPFSStorage();
+    await worker.set('a/b', { n: 1 });
+    expect(await readText(syncOnly.directories.get('aether-store').get('a%2Fb.json'))).toBe('{"n":1}');
+    expect(await worker.get('a/b')).toEqual({ n: 1 });
+    delete global.navigator.storage;
+  });
+
+  test('should keep values in JSON files that a new adapter reads back', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'aether-storage-'));
+    try {
+      await behavesLikeStorage(createFileStorage({ directory }));
+
+      const storage = createFileStorage({ directory });
+      const writes = [1, 2, 3].map(n => storage.set('settings:theme', { n }));
+      await Promise.all(writes);
+
+      expect(await createFileStorage({ directory }).get('settings:theme')).toEqual({ n: 3 });
+      expect(await readdir(directory)).toEqual(['settings%3Atheme.json']);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should let PersistentStore use a per-store or default adapter', async () => {
+    const shared = createMemoryStorage();
+    setDefaultStorage(shared);
+    expect(getDefaultStorage()).toBe(shared);
+
+    const store = new PersistentStore('prefs', { theme: 'light' });
+    const local = new PersistentStore('prefs', { theme: 'light' }, { storage: STORAGE_KINDS.LOCAL_STORAGE });
+    await Promise.all([store.whenReady(), local.whenReady()]);
+    expect(store.storage).toBe(shared);
+    expect(local.storage.kind).toBe(STORAGE_KINDS.LOCAL_STORAGE);
+
+    store.set({ theme: 'dark' });
+    await store.flush();
+    expect(await shared.get('prefs')).toEqual({ theme: 'dark' });
+    expect(localStorage.getItem('aether:prefs')).toBeNull();
+
+    const reopened = new PersistentStore('prefs', { theme: 'light' });
+    await reopened.whenReady();
+    expect(reopened.get()).toEqual({ theme: 'dark' });
+  });
+
+  test('should reject unknown kinds and incomplete adapters', () => {
+    expect(() => createStorage('floppy')).toThrow('Unknown storage kind "floppy"');
+    expect(() => setDefaultStorage({ get: async () => undefined })).toThrow('needs get(key), set(key, value) and remove(key)');
+    expect(createStorage('auto').kind).toBe(STORAGE_KINDS.INDEXEDDB);
+  });
+});
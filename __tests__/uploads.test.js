@@ -0,0 +1,178 @@
+// __tests__/uploads.test.js
+
+import { uploadBlob, createUploadMutation, isUploadMutation, BLOB_UPLOAD_TYPE } from '../src/sync/uploads.js';
+import { BlobStore } from '../src/sync/BlobStore.js';
+import { FakeTransport, SYNC_ERROR_KINDS } from '../src/sync/HttpTransport.js';
+import { SyncEngine, SYNC_EVENTS } from '../src/sync/SyncEngine.js';
+import { isTempId } from '../src/sync/dependencies.js';
+
+// Upload endpoint keeping the received byte count per upload. `loseResponse(request)` drops the
+// connection after the server handled the request.
+const createUploadServer = ({ loseResponse = () => false, blobId = 'blob_1' } = {}) => {
+  const uploads = new Map();
+  let nextId = 0;
+  const transport = new FakeTransport({
+    routes: { ADD_REPORT: { method: 'POST', path: '/reports' } },
+    respond: (request) => {
+      if (request.url === '/uploads') {
+        const uploadId = `up_${++nextId}`;
+        uploads.set(uploadId, { offset: 0, size: JSON.parse(request.body).size });
+        return { status: 201, body: { uploadId } };
+      }
+      if (request.url.startsWith('/uploads/')) {
+        const upload = uploads.get(request.url.slice('/uploads/'.length));
+        if (!upload) return { status: 404 };
+        if (request.method === 'GET') return { body: { offset: upload.offset } };
+
+        upload.offset += request.body.size;
+        if (loseResponse(request)) throw new Error('Connection reset');
+        return { body: upload.offset === upload.size ? { id: blobId, offset: upload.offset } : { offset: upload.offset } };
+      }
+      return { status: 201, body: { id: 'report_1', ...JSON.parse(request.body) } };
+    }
+  });
+  return { transport, uploads };
+};
+
+const chunkRanges = (transport) => transport.requests
+  .filter(request => request.method === 'PUT')
+  .map(request => request.headers['Content-Range']);
+
+describe('uploadBlob()', () => {
+  let blobs;
+
+  beforeEach(() => {
+    blobs = new BlobStore({ storage: 'memory', dbName: `blobs-${Math.random()}` });
+  });
+
+  test('should upload in chunks and resume from the offset the server has', async () => {
+    let putCount = 0;
+    const { transport } = createUploadServer({ loseResponse: request => request.method === 'PUT' && ++putCount === 2 });
+    const info = await blobs.put('temp_photo', new Blob(['0123456789']), { name: 'photo.jpg', type: 'image/jpeg' });
+    const mutation = { id: 'm1', ...createUploadMutation(info) };
+    const progress = [];
+
+    await expect(uploadBlob({ mutation, blobs, transport, chunkSize: 4, onProgress: (loaded) => progress.push(loaded) }))
+      .rejects.toMatchObject({ kind: SYNC_ERROR_KINDS.RETRYABLE });
+    expect(await blobs.getInfo('temp_photo')).toMatchObject({ uploadId: 'up_1', offset: 4 });
+
+    const response = await uploadBlob({ mutation, blobs, transport, chunkSize: 4, onProgress: (loaded) => progress.push(loaded) });
+
+    expect(response.data).toEqual({ id: 'blob_1', offset: 10 });
+    expect(chunkRanges(transport)).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+    expect(transport.requests.map(request => request.method)).toEqual(['POST', 'PUT', 'PUT', 'GET', 'PUT']);
+    expect(progress).toEqual([0, 4, 8, 10]);
+    expect(await blobs.getInfo('temp_photo')).toMatchObject({ offset: 10, remoteId: 'blob_1' });
+  });
+
+  test('should start over when the server dropped the upload', async () => {
+    const { transport, uploads } = createUploadServer();
+    await blobs.put('temp_doc', new Blob(['abcdef']), { type: 'application/pdf' });
+    await blobs.update('temp_doc', { uploadId: 'expired', offset: 4 });
+
+    await uploadBlob({ mutation: createUploadMutation(await blobs.getInfo('temp_doc')), blobs, transport, chunkSize: 4 });
+
+    expect(uploads.get('up_1')).toEqual({ offset: 6, size: 6 });
+    expect(chunkRanges(transport)).toEqual(['bytes 0-3/6', 'bytes 4-5/6']);
+  });
+
+  test('should not upload again once the server has the blob', async () => {
+    const { transport } = createUploadServer();
+    await blobs.put('temp_done', new Blob(['x']));
+    await blobs.update('temp_done', { remoteId: 'blob_7' });
+
+    const response = await uploadBlob({ mutation: createUploadMutation(await blobs.getInfo('temp_done')), blobs, transport });
+
+    expect(response.data).toEqual({ id: 'blob_7' });
+    expect(transport.requests).toHaveLength(0);
+  });
+
+  test('should reject transports without upload support and blobs that are gone', async () => {
+    const mutation = createUploadMutation({ id: 'temp_missing', size: 1 });
+    expect(isUploadMutation(mutation)).toBe(true);
+    expect(mutation.type).toBe(BLOB_UPLOAD_TYPE);
+
+    await expect(uploadBlob({ mutation, blobs, transport: { send: jest.fn() } }))
+      .rejects.toMatchObject({ kind: SYNC_ERROR_KINDS.FATAL });
+    await expect(uploadBlob({ mutation, blobs, transport: new FakeTransport() }))
+      .rejects.toMatchObject({ kind: SYNC_ERROR_KINDS.FATAL, message: 'Blob temp_missing is not stored' });
+  });
+});
+
+describe('SyncEngine blob uploads', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  const createEngine = (transport, uploads = {}) => {
+    const engine = new SyncEngine({
+      transport,
+      enableAdvancedCaching: false,
+      enableCarbonAware: false,
+      crossTab: false,
+      uploads: { storage: 'memory', chunkSize: 4, ...uploads }
+    });
+    engine.isOnline = false;
+    return engine;
+  };
+
+  test('should upload the blob before the mutation that references it', async () => {
+    const { transport } = createUploadServer();
+    const engine = createEngine(transport);
+    const progress = [];
+    engine.addEventListener(SYNC_EVENTS.PROGRESS_UPDATE, event => event.upload && progress.push(event.upload));
+
+    const photoId = await engine.addBlob(new Blob(['0123456789']), { name: 'site.jpg', type: 'image/jpeg' });
+    await engine.addMutation({ type: 'ADD_REPORT', payload: { title: 'Crack in wall', photo: photoId } });
+    expect(isTempId(photoId)).toBe(true);
+
+    engine.isOnline = true;
+    await engine.processQueue();
+
+    const report = transport.requests.find(request => request.url === '/reports');
+    expect(JSON.parse(report.body)).toEqual({ title: 'Crack in wall', photo: 'blob_1' });
+    expect(transport.requests.indexOf(report)).toBe(transport.requests.length - 1);
+    expect(progress.map(upload => upload.percentage)).toEqual([0, 40, 80, 100]);
+    expect(progress[0]).toMatchObject({ blobId: photoId, loaded: 0, total: 10 });
+    expect(engine.queue.get()).toEqual([]);
+    expect(await engine.blobs.getInfo(photoId)).toBeNull();
+    engine.destroy();
+  });
+
+  test('should defer large uploads on the carbon-aware path and schedule them once', async () => {
+    const { transport } = createUploadServer();
+    const engine = createEngine(transport, { deferAbove: 8 });
+    const scheduled = [];
+    engine.enableCarbonAware = true;
+    engine.carbonScheduler = { scheduleTask: jest.fn(async (task, priority, options) => scheduled.push({ task, priority, options })) };
+
+    const videoId = await engine.addBlob(new Blob(['0123456789']), { name: 'clip.mp4' });
+    await engine.addMutation({ type: 'ADD_REPORT', payload: { title: 'Video', video: videoId } });
+    await engine.addBlob(new Blob(['tiny']), { name: 'note.txt' });
+
+    engine.isOnline = true;
+    await engine.processQueue();
+    await engine.processQueue();
+
+    const uploadTasks = scheduled.filter(entry => entry.task.type === 'upload');
+    expect(uploadTasks).toHaveLength(1);
+    expect(uploadTasks[0]).toMatchObject({ priority: 'low', options: { carbonAware: true } });
+    expect(uploadTasks[0].task.data.map(mutation => mutation.type)).toEqual([BLOB_UPLOAD_TYPE, 'ADD_REPORT']);
+    expect(scheduled.filter(entry => entry.task.type === 'sync-batch')).toHaveLength(2);
+    expect(transport.requests).toHaveLength(0);
+
+    // The low-carbon window arrives
+    await uploadTasks[0].task.execute(uploadTasks[0].task.data);
+
+    const report = transport.requests.find(request => request.url === '/reports');
+    expect(JSON.parse(report.body).video).toBe('blob_1');
+    expect(engine.queue.get().map(mutation => mutation.payload.name)).toEqual(['note.txt']);
+    engine.destroy();
+  });
+});
@@ -3,6 +3,7 @@
 import {
   useAetherStore,
   useSyncEngine,
+  useDeadLetters,
   usePersistentStore,
   useNetworkState
 } from '../src/hooks/useAetherStore.js';
@@ -86,6 +87,8 @@ describe('useSyncEngine', () => {
       clearQueue: jest.fn(),
       removeMutation: jest.fn(),
       forceSyncMutation: jest.fn(),
+      pause: jest.fn(),
+      resume: jest.fn(),
       getHealthStatus: jest.fn()
     };
   });
@@ -105,6 +108,8 @@ describe('useSyncEngine', () => {
         clearQueue: expect.any(Function),
         removeMutation: expect.any(Function),
         forceSyncMutation: expect.any(Function),
+        pause: expect.any(Function),
+        resume: expect.any(Function),
         getHealthStatus: expect.any(Function)
       });
     });
@@ -120,6 +125,9 @@ describe('useSyncEngine', () => {
       
       result.actions.removeMutation('test-id');
       expect(mockSyncEngine.removeMutation).toHaveBeenCalledWith('test-id');
+
+      result.actions.pause('metered');
+      expect(mockSyncEngine.pause).toHaveBeenCalledWith('metered');
     });
 
     test('should provide current state', () => {
@@ -138,6 +146,51 @@ describe('useSyncEngine', () => {
   });
 });
 
+describe('useDeadLetters', () => {
+  let mockSyncEngine;
+  const deadLetter = { id: 'dead_1', mutation: { type: 'ADD_ITEM' }, errors: [], attempts: [], reason: 'fatal' };
+
+  beforeEach(() => {
+    mockSyncEngine = {
+      getDeadLetters: jest.fn().mockResolvedValue([deadLetter]),
+      getDeadLetter: jest.fn().mockResolvedValue(deadLetter),
+      requeueDeadLetter: jest.fn(),
+      retryDeadLetter: jest.fn(),
+      discardDeadLetter: jest.fn(),
+      addEventListener: jest.fn().mockReturnValue(jest.fn())
+    };
+  });
+
+  describe('vanilla JS mode', () => {
+    test('should load dead letters and notify subscribers', async () => {
+      const result = useDeadLetters(mockSyncEngine);
+      const listener = jest.fn();
+      result.subscribe(listener);
+
+      await Promise.resolve();
+
+      expect(listener).toHaveBeenLastCalledWith({ deadLetters: [deadLetter], count: 1 });
+      expect(result.getCurrentState().count).toBe(1);
+      expect(mockSyncEngine.addEventListener).toHaveBeenCalledWith('dead-letters-updated', expect.any(Function));
+    });
+
+    test('should call sync engine methods through actions', () => {
+      const result = useDeadLetters(mockSyncEngine);
+      const edit = { payload: { fixed: true } };
+
+      result.actions.inspect('dead_1');
+      result.actions.requeue('dead_1', edit);
+      result.actions.retry('dead_1');
+      result.actions.discard('dead_1');
+
+      expect(mockSyncEngine.getDeadLetter).toHaveBeenCalledWith('dead_1');
+      expect(mockSyncEngine.requeueDeadLetter).toHaveBeenCalledWith('dead_1', edit);
+      expect(mockSyncEngine.retryDeadLetter).toHaveBeenCalledWith('dead_1');
+      expect(mockSyncEngine.discardDeadLetter).toHaveBeenCalledWith('dead_1');
+    });
+  });
+});
+
 describe('usePersistentStore', () => {
   beforeEach(() => {
     // Mock PersistentStore constructor
@@ -159,7 +212,14 @@ describe('usePersistentStore', () => {
         subscribe: expect.any(Function)
       });
       
-      expect(PersistentStore).toHaveBeenCalledWith('test-key', { count: 0 });
+      expect(PersistentStore).toHaveBeenCalledWith('test-key', { count: 0 }, {});
+    });
+
+    test('should pass store options such as encryption on', () => {
+      const encryption = { register: jest.fn() };
+      usePersistentStore('secret-key', null, { encryption });
+
+      expect(PersistentStore).toHaveBeenCalledWith('secret-key', null, { encryption });
     });
 
     test('should handle setValue with direct value', () => {
@@ -293,6 +353,19 @@ describe('React integration', () => {
     expect(React.useMemo).toHaveBeenCalled();
   });
 
+  test('should use React hooks for dead letters', () => {
+    const mockSyncEngine = {
+      getDeadLetters: jest.fn().mockResolvedValue([]),
+      addEventListener: jest.fn().mockReturnValue(jest.fn())
+    };
+
+    const result = useDeadLetters(mockSyncEngine);
+
+    expect(React.useEffect).toHaveBeenCalled();
+    expect(mockSyncEngine.getDeadLetters).toHaveBeenCalled();
+    expect(result).toMatchObject({ deadLetters: [], count: 0, actions: expect.any(Object) });
+  });
+
   test('should use React hooks for persistent store', () => {
     // Create a proper mock that has the subscribe method
     const mockStore = {
@@ -330,7 +403,7 @@ describe('React integration', () => {
     require('../src/hooks/useAetherStore.js').useAetherStore = originalUseAetherStore;
 
     // Verify the store was created
-    expect(PersistentStore).toHaveBeenCalledWith('test', {});
+    expect(PersistentStore).toHaveBeenCalledWith('test', {}, {});
     expect(React.useState).toHaveBeenCalled();
     expect(React.useCallback).toHaveBeenCalled();
 
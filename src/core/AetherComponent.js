@@ -234,6 +234,10 @@ export class AetherComponent {
     return this.isSyncStatus(SYNC_STATUS.OFFLINE);
   }
 
+  get isSyncPaused() {
+    return this.isSyncStatus(SYNC_STATUS.PAUSED);
+  }
+
   /**
    * Trigger manual sync if sync engine is connected
    * @returns {Promise<void>}
@@ -247,11 +251,14 @@ export class AetherComponent {
   /**
    * Add mutation to sync queue if sync engine is connected
    * @param {object} mutation - Mutation to add
+   * @param {Object} [optimistic] - Optimistic store update (see SyncEngine#addMutation)
    * @returns {Promise<void>}
    */
-  async addMutation(mutation) {
+  async addMutation(mutation, optimistic) {
     if (this.syncEngine) {
-      return this.syncEngine.addMutation(mutation);
+      return optimistic
+        ? this.syncEngine.addMutation(mutation, optimistic)
+        : this.syncEngine.addMutation(mutation);
     }
   }
 
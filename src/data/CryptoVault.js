@@ -0,0 +1,563 @@
+// src/data/CryptoVault.js
+
+import { AetherStore } from './AetherStore.js';
+import { PersistentStore } from './PersistentStore.js';
+
+const VAULT_KEY = 'aether-vault';
+const FORMAT_VERSION = 1;
+const DEFAULT_ITERATIONS = 600000;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+export const VAULT_STATUS = {
+  UNINITIALIZED: 'uninitialized',
+  LOCKED: 'locked',
+  UNLOCKED: 'unlocked'
+};
+
+export const VAULT_ERROR_CODES = {
+  LOCKED: 'locked',
+  WRONG_SECRET: 'wrong-secret',
+  WIPED: 'wiped',
+  UNSUPPORTED: 'unsupported'
+};
+
+/**
+ * @class VaultError
+ * Raised when the vault cannot encrypt, decrypt or unlock.
+ */
+export class VaultError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {string} [details.code] - One of VAULT_ERROR_CODES
+   * @param {number} [details.remainingAttempts] - Unlock attempts left before the vault is wiped
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'VaultError';
+    this.code = details.code || null;
+    this.remainingAttempts = details.remainingAttempts !== undefined ? details.remainingAttempts : null;
+    this.cause = details.cause || null;
+  }
+}
+
+/**
+ * @private
+ */
+const encodeText = (text) => new TextEncoder().encode(text);
+
+/**
+ * @private
+ */
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * @private
+ */
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * @param {any} value
+ * @returns {boolean} True if the value is an envelope produced by CryptoVault#encrypt
+ */
+export function isSealed(value) {
+  return Boolean(value) && typeof value === 'object' && value.$sealed === FORMAT_VERSION &&
+    typeof value.kid === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Generate a non-extractable AES-GCM key to unlock a vault with instead of
+ * a passphrase. Keep it where the device can get it back, e.g. in IndexedDB
+ * (CryptoKeys are structured-cloneable) or behind a WebAuthn credential.
+ * @param {Crypto} [cryptoImpl=globalThis.crypto]
+ * @returns {Promise<CryptoKey>}
+ */
+export async function createDeviceKey(cryptoImpl = globalThis.crypto) {
+  return cryptoImpl.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+}
+
+/**
+ * @class CryptoVault
+ * Holds the keys that encrypt data at rest. Values are sealed with AES-GCM
+ * under a random data key; the data keys are stored wrapped by a key
+ * derived from the user's passphrase (PBKDF2-SHA-256) or by a device key,
+ * so changing the passphrase only rewraps them.
+ *
+ * Stores opt in by being given the vault (`new PersistentStore(key, value,
+ * { encryption: vault })`); they register with it and are told when it
+ * locks, rotates its data key or is wiped. While the vault is locked no
+ * data key is in memory and registered stores drop their plaintext.
+ *
+ * The state (`{ status, failedUnlocks, remainingAttempts }`) can be
+ * subscribed to like any AetherStore.
+ *
+ * @example
+ * const vault = new CryptoVault({ maxFailedUnlocks: 5 });
+ * await vault.unlock(passphrase); // the first unlock sets the passphrase
+ * const engine = new SyncEngine({ encryption: vault });
+ */
+export class CryptoVault extends AetherStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey='aether-vault'] - Where the wrapped keys are persisted
+   * @param {number} [options.iterations=600000] - PBKDF2 iterations for new passphrases
+   * @param {number} [options.maxFailedUnlocks=Infinity] - Failed unlocks in a row after which the
+   * vault and every registered store are wiped
+   * @param {function} [options.onWipe] - Called after a wipe, with `{ reason }`
+   * @param {Crypto} [options.crypto=globalThis.crypto] - WebCrypto implementation
+   */
+  constructor(options = {}) {
+    super({ status: VAULT_STATUS.LOCKED, failedUnlocks: 0, remainingAttempts: null });
+    this.storageKey = options.storageKey || VAULT_KEY;
+    this.iterations = options.iterations || DEFAULT_ITERATIONS;
+    this.maxFailedUnlocks = options.maxFailedUnlocks !== undefined ? options.maxFailedUnlocks : Infinity;
+    this.onWipe = options.onWipe || null;
+    this.crypto = options.crypto || globalThis.crypto;
+
+    if (!this.crypto || !this.crypto.subtle) {
+      throw new VaultError('CryptoVault needs WebCrypto (crypto.subtle)', { code: VAULT_ERROR_CODES.UNSUPPORTED });
+    }
+
+    // Unwrapped data keys by id, and the key wrapping them; only set while unlocked
+    this.dataKeys = new Map();
+    this.wrappingKey = null;
+
+    this.participants = new Set();
+    this.unlockWaiters = [];
+    // unlock() and changeSecret() run one at a time, so every failed attempt is counted
+    this.secretChecks = Promise.resolve();
+    this.metadata = new PersistentStore(this.storageKey, null);
+    this.ready = this.load();
+  }
+
+  /**
+   * @private
+   */
+  async load() {
+    await this.metadata.reload();
+    this.publish();
+  }
+
+  /**
+   * @returns {boolean} True while data can be encrypted and decrypted
+   */
+  isUnlocked() {
+    return this._state.status === VAULT_STATUS.UNLOCKED;
+  }
+
+  /**
+   * @returns {Promise<void>} Resolves the next time the vault is unlocked (right away if it is)
+   */
+  whenUnlocked() {
+    if (this.isUnlocked()) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.unlockWaiters.push(resolve));
+  }
+
+  /**
+   * Unlock with a passphrase or device key. The first unlock of a new (or
+   * wiped) vault sets the secret and creates the first data key.
+   * @param {string|CryptoKey} secret - Passphrase, or an AES-GCM key from createDeviceKey()
+   * @returns {Promise<void>}
+   * @throws {VaultError} WRONG_SECRET, or WIPED when this failure reached `maxFailedUnlocks`
+   */
+  unlock(secret) {
+    return this.checkSecret(() => this.openVault(secret));
+  }
+
+  /**
+   * @private
+   */
+  async openVault(secret) {
+    await this.ready;
+    if (this.isUnlocked()) {
+      return;
+    }
+
+    const metadata = this.metadata.get();
+    if (!metadata) {
+      await this.initialize(secret);
+    } else {
+      const { wrappingKey, keys } = await this.openKeys(metadata, secret, false);
+      this.wrappingKey = wrappingKey;
+      this.dataKeys = keys;
+      if (metadata.failedUnlocks > 0) {
+        this.metadata.set({ ...metadata, failedUnlocks: 0 });
+      }
+    }
+
+    this.publish();
+    const waiters = this.unlockWaiters;
+    this.unlockWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Write what registered stores still hold, then forget every key. Stores
+   * drop their plaintext and load again on the next unlock.
+   * @returns {Promise<void>}
+   */
+  async lock() {
+    if (!this.isUnlocked()) {
+      return;
+    }
+    await this.notifyParticipants('flush');
+    this.dataKeys = new Map();
+    this.wrappingKey = null;
+    this.publish();
+    await this.notifyParticipants('handleVaultLock');
+  }
+
+  /**
+   * Replace the passphrase or device key. Data keys are rewrapped; stored
+   * data is not touched. A wrong `current` secret counts as a failed unlock.
+   * @param {string|CryptoKey} current
+   * @param {string|CryptoKey} next
+   * @returns {Promise<void>}
+   */
+  changeSecret(current, next) {
+    return this.checkSecret(() => this.replaceSecret(current, next));
+  }
+
+  /**
+   * @private
+   */
+  async replaceSecret(current, next) {
+    await this.ready;
+    const metadata = this.metadata.get();
+    if (!metadata) {
+      throw new VaultError('The vault has no secret yet; unlock() sets it', { code: VAULT_ERROR_CODES.LOCKED });
+    }
+
+    const { keys } = await this.openKeys(metadata, current, true);
+    const { wrappingKey, kdf } = await this.createWrappingKey(next);
+    const wrapped = await Promise.all(
+      metadata.keys.map(({ kid }) => this.wrapDataKey(kid, keys.get(kid), wrappingKey))
+    );
+
+    this.metadata.set({ ...metadata, kdf, keys: wrapped, failedUnlocks: 0 });
+    if (this.isUnlocked()) {
+      this.wrappingKey = wrappingKey;
+    }
+    await this.metadata.flush();
+  }
+
+  /**
+   * Create a new data key for everything written from now on and have
+   * registered stores re-encrypt what they hold with it. The previous keys
+   * are then dropped, so data of stores that are not open in this session
+   * can no longer be read; pass `retire: false` to keep them for decryption.
+   * @param {Object} [options]
+   * @param {boolean} [options.retire=true]
+   * @returns {Promise<string>} Id of the new key
+   */
+  async rotateKey(options = {}) {
+    this.assertUnlocked();
+    const metadata = this.metadata.get();
+    const kid = this.generateKeyId();
+    const dataKey = await this.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const wrapped = await this.wrapDataKey(kid, dataKey, this.wrappingKey);
+
+    this.dataKeys.set(kid, await this.unwrapDataKey(wrapped, this.wrappingKey, false));
+    this.metadata.set({ ...metadata, activeKid: kid, keys: [...metadata.keys, wrapped] });
+    await this.metadata.flush();
+
+    await this.notifyParticipants('reencrypt');
+
+    if (options.retire !== false) {
+      this.dataKeys = new Map([[kid, this.dataKeys.get(kid)]]);
+      this.metadata.set({ ...this.metadata.get(), keys: [wrapped] });
+      await this.metadata.flush();
+    }
+    return kid;
+  }
+
+  /**
+   * Delete the keys and have every registered store delete its data. The
+   * next unlock() sets up a new vault.
+   * @param {string} [reason='requested']
+   * @returns {Promise<void>}
+   */
+  async wipe(reason = 'requested') {
+    await this.ready;
+    const wasUnlocked = this.isUnlocked();
+    await this.notifyParticipants('wipe', { settle: true });
+    this.dataKeys = new Map();
+    this.wrappingKey = null;
+    this.metadata.set(null);
+    await this.metadata.flush();
+    this.publish();
+    // As after a lock, stores load again (now empty) on the next unlock;
+    // stores of a locked vault are already waiting for it
+    if (wasUnlocked) {
+      await this.notifyParticipants('handleVaultLock', { settle: true });
+    }
+
+    if (this.onWipe) {
+      try {
+        this.onWipe({ reason });
+      } catch (error) {
+        console.error('CryptoVault: onWipe failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Seal a JSON-serializable value with the active data key.
+   * @param {any} value
+   * @param {string} [context] - Bound to the ciphertext (e.g. the storage key); decrypting
+   * needs the same context, so sealed values cannot be swapped between records
+   * @returns {Promise<{ $sealed: number, kid: string, iv: string, data: string }>}
+   */
+  async encrypt(value, context = '') {
+    this.assertUnlocked();
+    const { activeKid } = this.metadata.get();
+    const iv = this.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await this.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: encodeText(String(context)) },
+      this.dataKeys.get(activeKid),
+      encodeText(JSON.stringify(value === undefined ? null : value))
+    );
+    return { $sealed: FORMAT_VERSION, kid: activeKid, iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  /**
+   * Open a value sealed by encrypt().
+   * @param {object} envelope
+   * @param {string} [context] - The context it was sealed with
+   * @returns {Promise<any>}
+   * @throws {VaultError} When locked, the key is gone, or the data or context do not match
+   */
+  async decrypt(envelope, context = '') {
+    this.assertUnlocked();
+    const key = this.dataKeys.get(envelope.kid);
+    if (!key) {
+      throw new VaultError(`Unknown data key "${envelope.kid}"`, { code: VAULT_ERROR_CODES.WRONG_SECRET });
+    }
+
+    try {
+      const plaintext = await this.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: encodeText(String(context)) },
+        key,
+        fromBase64(envelope.data)
+      );
+      return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+      throw new VaultError('Sealed value could not be opened', { code: VAULT_ERROR_CODES.WRONG_SECRET, cause: error });
+    }
+  }
+
+  /**
+   * Register a store holding sealed data. It may implement `flush()`
+   * (before locking), `handleVaultLock()` (after locking, and after a wipe
+   * of an unlocked vault), `reencrypt()` (after a key rotation) and
+   * `wipe()`; each may return a promise.
+   * @param {object} participant
+   * @returns {function} Unregister function
+   */
+  register(participant) {
+    this.participants.add(participant);
+    return () => this.participants.delete(participant);
+  }
+
+  /**
+   * @private
+   */
+  async notifyParticipants(method, { settle = false } = {}) {
+    const calls = [...this.participants]
+      .filter(participant => typeof participant[method] === 'function')
+      .map(participant => participant[method]());
+    if (settle) {
+      const results = await Promise.allSettled(calls);
+      results.filter(result => result.status === 'rejected')
+        .forEach(result => console.warn(`CryptoVault: ${method} failed:`, result.reason && result.reason.message));
+      return;
+    }
+    await Promise.all(calls);
+  }
+
+  /**
+   * Run a task that checks the secret after the ones already running.
+   * @private
+   */
+  checkSecret(task) {
+    const run = this.secretChecks.then(task);
+    this.secretChecks = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @private
+   */
+  async initialize(secret) {
+    const { wrappingKey, kdf } = await this.createWrappingKey(secret);
+    const kid = this.generateKeyId();
+    const dataKey = await this.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const wrapped = await this.wrapDataKey(kid, dataKey, wrappingKey);
+
+    this.wrappingKey = wrappingKey;
+    this.dataKeys = new Map([[kid, await this.unwrapDataKey(wrapped, wrappingKey, false)]]);
+    this.metadata.set({ version: FORMAT_VERSION, kdf, keys: [wrapped], activeKid: kid, failedUnlocks: 0 });
+    await this.metadata.flush();
+  }
+
+  /**
+   * Unwrap every data key with the given secret, counting a failure
+   * against `maxFailedUnlocks`.
+   * @private
+   */
+  async openKeys(metadata, secret, extractable) {
+    const passphrase = typeof secret === 'string';
+    if (passphrase !== Boolean(metadata.kdf)) {
+      throw new VaultError(`This vault is unlocked with a ${metadata.kdf ? 'passphrase' : 'device key'}`, {
+        code: VAULT_ERROR_CODES.UNSUPPORTED
+      });
+    }
+
+    try {
+      const wrappingKey = passphrase ? await this.deriveKey(secret, metadata.kdf) : secret;
+      const keys = new Map();
+      for (const wrapped of metadata.keys) {
+        keys.set(wrapped.kid, await this.unwrapDataKey(wrapped, wrappingKey, extractable));
+      }
+      return { wrappingKey, keys };
+    } catch (error) {
+      await this.recordFailedUnlock(error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async recordFailedUnlock(cause) {
+    // Counted on the latest stored count, which another tab may have raised
+    await this.metadata.reload();
+    const latest = this.metadata.get();
+    if (!latest) {
+      this.publish();
+      throw new VaultError('The vault was wiped meanwhile', { code: VAULT_ERROR_CODES.WIPED, remainingAttempts: 0, cause });
+    }
+    const failedUnlocks = (latest.failedUnlocks || 0) + 1;
+    if (failedUnlocks >= this.maxFailedUnlocks) {
+      await this.wipe('failed-unlocks');
+      throw new VaultError('Too many failed unlocks; the vault was wiped', { code: VAULT_ERROR_CODES.WIPED, remainingAttempts: 0, cause });
+    }
+
+    this.metadata.set({ ...latest, failedUnlocks });
+    await this.metadata.flush();
+    this.publish();
+    throw new VaultError('Wrong passphrase or key', {
+      code: VAULT_ERROR_CODES.WRONG_SECRET,
+      remainingAttempts: this._state.remainingAttempts,
+      cause
+    });
+  }
+
+  /**
+   * @private
+   */
+  async createWrappingKey(secret) {
+    if (typeof secret !== 'string') {
+      if (!secret || typeof secret !== 'object' || !secret.algorithm) {
+        throw new VaultError('Unlock with a passphrase or a CryptoKey', { code: VAULT_ERROR_CODES.UNSUPPORTED });
+      }
+      return { wrappingKey: secret, kdf: null };
+    }
+
+    const kdf = {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: this.iterations,
+      salt: toBase64(this.crypto.getRandomValues(new Uint8Array(SALT_BYTES)))
+    };
+    return { wrappingKey: await this.deriveKey(secret, kdf), kdf };
+  }
+
+  /**
+   * @private
+   */
+  async deriveKey(passphrase, kdf) {
+    const material = await this.crypto.subtle.importKey('raw', encodeText(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return this.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  /**
+   * @private
+   */
+  async wrapDataKey(kid, dataKey, wrappingKey) {
+    const iv = this.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const wrapped = await this.crypto.subtle.wrapKey('raw', dataKey, wrappingKey, {
+      name: 'AES-GCM',
+      iv,
+      additionalData: encodeText(kid)
+    });
+    return { kid, iv: toBase64(iv), wrapped: toBase64(wrapped) };
+  }
+
+  /**
+   * @private
+   */
+  async unwrapDataKey({ kid, iv, wrapped }, wrappingKey, extractable) {
+    return this.crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(wrapped),
+      wrappingKey,
+      { name: 'AES-GCM', iv: fromBase64(iv), additionalData: encodeText(kid) },
+      { name: 'AES-GCM', length: 256 },
+      extractable,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * @private
+   */
+  generateKeyId() {
+    return `key_${Date.now()}_${toBase64(this.crypto.getRandomValues(new Uint8Array(6)))}`;
+  }
+
+  /**
+   * @private
+   */
+  assertUnlocked() {
+    if (this.dataKeys.size === 0) {
+      throw new VaultError('The vault is locked', { code: VAULT_ERROR_CODES.LOCKED });
+    }
+  }
+
+  /**
+   * Recompute the public state from the keys in memory and the persisted metadata.
+   * @private
+   */
+  publish() {
+    const metadata = this.metadata.get();
+    let status = VAULT_STATUS.LOCKED;
+    if (!metadata) {
+      status = VAULT_STATUS.UNINITIALIZED;
+    } else if (this.dataKeys.size > 0) {
+      status = VAULT_STATUS.UNLOCKED;
+    }
+    const failedUnlocks = (metadata && metadata.failedUnlocks) || 0;
+    this.set({
+      status,
+      failedUnlocks,
+      remainingAttempts: Number.isFinite(this.maxFailedUnlocks) ? this.maxFailedUnlocks - failedUnlocks : null
+    });
+  }
+}
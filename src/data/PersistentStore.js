@@ -1,150 +1,223 @@
 // src/data/PersistentStore.js
 
 import { AetherStore } from './AetherStore.js';
+import { isSealed } from './CryptoVault.js';
+import { getDefaultStorage, resolveStorage } from './storage.js';
+import { assertMigrations, runMigrations } from './migrations.js';
 
-// Check if we're in a test environment
-const isTestEnvironment = typeof process !== 'undefined' && process.env.NODE_ENV === 'test';
+// Versioned values are stored as `{ $version, value }`
+const VERSION_FIELD = '$version';
 
-// Simple storage functions without external dependencies
-const get = async (key) => {
-  // In test environment, use mock storage
-  if (isTestEnvironment) {
-    // Use the mocked idb-keyval if available
-    try {
-      const { get: idbGet } = await import('idb-keyval');
-      return await idbGet(key);
-    } catch (error) {
-      return undefined;
-    }
-  }
-
-  if (typeof window !== 'undefined' && typeof indexedDB !== 'undefined') {
-    try {
-      // Simple IndexedDB implementation without idb-keyval
-      return new Promise((resolve, reject) => {
-        const request = indexedDB.open('aether-store', 1);
-
-        request.onerror = () => resolve(undefined);
-
-        request.onsuccess = (event) => {
-          const db = event.target.result;
-          if (!db.objectStoreNames.contains('keyval')) {
-            resolve(undefined);
-            return;
-          }
-
-          const transaction = db.transaction(['keyval'], 'readonly');
-          const store = transaction.objectStore('keyval');
-          const getRequest = store.get(key);
-
-          getRequest.onsuccess = () => resolve(getRequest.result);
-          getRequest.onerror = () => resolve(undefined);
-        };
-
-        request.onupgradeneeded = (event) => {
-          const db = event.target.result;
-          if (!db.objectStoreNames.contains('keyval')) {
-            db.createObjectStore('keyval');
-          }
-        };
-      });
-    } catch (error) {
-      console.warn('IndexedDB get failed:', error.message);
-      return undefined;
-    }
-  }
-  return undefined;
+// Load state of a PersistentStore (`store.loadState.get().status`)
+export const PERSISTENT_STORE_STATUS = {
+  LOADING: 'loading',
+  READY: 'ready',
+  ERROR: 'error'
 };
 
-const idbSet = async (key, value) => {
-  // In test environment, use mock storage
-  if (isTestEnvironment) {
-    try {
-      const { set: idbSetMock } = await import('idb-keyval');
-      return await idbSetMock(key, value);
-    } catch (error) {
-      return;
-    }
-  }
-
-  if (typeof window !== 'undefined' && typeof indexedDB !== 'undefined') {
-    try {
-      // Simple IndexedDB implementation without idb-keyval
-      return new Promise((resolve, reject) => {
-        const request = indexedDB.open('aether-store', 1);
-
-        request.onerror = () => resolve();
-
-        request.onsuccess = (event) => {
-          const db = event.target.result;
-          const transaction = db.transaction(['keyval'], 'readwrite');
-          const store = transaction.objectStore('keyval');
-          const setRequest = store.put(value, key);
-
-          setRequest.onsuccess = () => resolve();
-          setRequest.onerror = () => resolve();
-        };
-
-        request.onupgradeneeded = (event) => {
-          const db = event.target.result;
-          if (!db.objectStoreNames.contains('keyval')) {
-            db.createObjectStore('keyval');
-          }
-        };
-      });
-    } catch (error) {
-      console.warn('IndexedDB set failed:', error.message);
-    }
-  }
-};
+/**
+ * @private
+ */
+const isVersioned = (stored) => Boolean(stored) && typeof stored === 'object' &&
+  Number.isInteger(stored[VERSION_FIELD]) && 'value' in stored && Object.keys(stored).length === 2;
 
 /**
  * @class PersistentStore
- * Extends AetherStore to provide automatic persistence to IndexedDB.
- * It loads its initial state from IndexedDB and saves any changes back.
+ * Extends AetherStore to provide automatic persistence. It loads its
+ * initial state from storage and saves any changes back. Storage is
+ * IndexedDB by default; see storage.js for the other adapters and for
+ * changing the default.
+ *
+ * Given a CryptoVault as `encryption`, the value is stored sealed with
+ * AES-GCM (and must be JSON-serializable). Nothing is loaded or saved while
+ * the vault is locked; locking resets the store to its initial value until
+ * the next unlock loads it again. A plaintext value saved before encryption
+ * was turned on is read once and stored sealed.
+ *
+ * Given a `version`, the value is stored along with it, and values saved
+ * by older versions go through `migrations` (see migrations.js) before the
+ * first notification. If a migration fails, the stored value is copied to
+ * `backupKey` and the store starts over from its initial value. A value
+ * saved by a newer version is left alone instead: the store keeps its
+ * initial value, reports the MigrationError in `loadState` and is
+ * `readOnly`, so changes stay in memory. The same goes for a value that
+ * could not be read or decrypted, until a later load succeeds.
+ *
+ * Loading is asynchronous: `ready` resolves once the stored value is in,
+ * and `loadState` is an AetherStore of `{ status, error }` for UIs. Writes
+ * made while loading show right away and are applied again, in order, on
+ * top of the loaded value, which is then saved; `set()` wins over the
+ * stored value, and `update()` sees it.
  */
 export class PersistentStore extends AetherStore {
   /**
    * @constructor
-   * @param {string} key - The key to use for storing the data in IndexedDB.
-   * @param {any} initialValue - The value to use if nothing is found in IndexedDB.
+   * @param {string} key - The key to use for storing the data.
+   * @param {any} initialValue - The value to use if nothing is stored.
+   * @param {Object} [options]
+   * @param {CryptoVault} [options.encryption] - Vault to seal the stored value with.
+   * @param {object|string} [options.storage] - Storage adapter, or the kind of a built-in one
+   * (see STORAGE_KINDS). Defaults to getDefaultStorage().
+   * @param {number} [options.version] - Schema version of the value, a positive integer.
+   * @param {Object<number, function>} [options.migrations] - `(value) => value` (or a promise of it)
+   * keyed by the version it migrates to.
+   * @param {string} [options.backupKey] - Where the stored value is kept when a migration fails.
+   * Defaults to `${key}:backup`.
+   * @param {function} [options.onMigrationError] - `(error, { backupKey }) => void`; `backupKey`
+   * is null for a value saved by a newer version, which is not backed up
+   * @throws {Error} On an invalid version or migration
    */
-  constructor(key, initialValue) {
+  constructor(key, initialValue, options = {}) {
     super(initialValue);
     this.key = key;
+    this.storage = options.storage ? resolveStorage(options.storage) : getDefaultStorage();
+    this.initialValue = initialValue;
+    this.encryption = options.encryption || null;
+    if (options.version !== undefined || options.migrations) {
+      assertMigrations(options.version, options.migrations);
+    }
+    this.version = options.version || null;
+    this.migrations = options.migrations || {};
+    this.backupKey = options.backupKey || `${key}:backup`;
+    this.onMigrationError = options.onMigrationError || null;
+    this.migrationError = null;
+    // Set while the stored value could not be loaded; nothing is saved over it
+    this.readOnly = false;
+    this.loadState = new AetherStore({ status: PERSISTENT_STORE_STATUS.LOADING, error: null });
     this._isInitialized = false;
-    this._init();
+    // Pending while the store is not loaded; replaced each time it is unloaded
+    this._loaded = new Promise(resolve => { this._resolveLoaded = resolve; });
+    this._writing = Promise.resolve();
+    // Writes made while loading, replayed on the loaded value
+    this._pendingWrites = [];
+    if (this.encryption) {
+      this.encryption.register(this);
+    }
+
+    // First load; never rejects, a read error shows in loadState instead
+    this.ready = this._init();
   }
 
   /**
-   * Initializes the store by loading the value from IndexedDB.
+   * Wait until the store is loaded, including after a vault lock unloaded it.
+   * @returns {Promise<any>} The loaded state
+   */
+  async whenReady() {
+    while (!this._isInitialized) {
+      await this._loaded;
+    }
+    return this._state;
+  }
+
+  /**
+   * Reset to the initial value until the next load.
+   * @private
+   */
+  _unload() {
+    this._markLoading();
+    this._state = this.initialValue;
+    this._notify();
+  }
+
+  /**
+   * Hold writes for replay on the next loaded value, keeping the current state.
+   * @private
+   */
+  _markLoading() {
+    if (this._isInitialized) {
+      this._loaded = new Promise(resolve => { this._resolveLoaded = resolve; });
+    }
+    this._isInitialized = false;
+    this._pendingWrites = [];
+    this.loadState.set({ status: PERSISTENT_STORE_STATUS.LOADING, error: null });
+  }
+
+  /**
+   * Initializes the store by loading the value from storage.
    * @private
    */
   async _init() {
+    if (this.encryption) {
+      await this.encryption.whenUnlocked();
+    }
+
+    // Stored in plaintext or by an older version: written back once loaded
+    let resave = false;
+    let loadError = null;
+    let loadedValue;
     try {
-      const savedValue = await get(this.key);
+      const stored = await this.storage.get(this.key);
+      let savedValue = stored;
+      if (this.encryption && savedValue !== undefined) {
+        if (isSealed(savedValue)) {
+          savedValue = await this.encryption.decrypt(savedValue, this.key);
+        } else {
+          resave = true;
+        }
+      }
+      if (this.version && savedValue !== undefined) {
+        const { value, migrated } = await this._migrate(savedValue, stored);
+        savedValue = value;
+        resave = resave || migrated;
+      }
       if (savedValue !== undefined) {
         this._state = savedValue;
       }
+      loadedValue = savedValue;
     } catch (error) {
+      loadError = error;
       console.warn(`PersistentStore(${this.key}): Failed to load from storage:`, error.message);
     }
 
+    // Locked again while loading; the next unlock loads it
+    if (this.encryption && !this.encryption.isUnlocked()) {
+      return;
+    }
+    this.readOnly = loadError !== null;
+
+    // Replayed from the loaded value, not on top of their own optimistic results
+    const pendingWrites = this._pendingWrites;
+    this._pendingWrites = [];
+    if (pendingWrites.length > 0) {
+      this._state = pendingWrites.reduce(
+        (state, write) => (write.updater ? write.updater(state) : write.value),
+        loadedValue !== undefined ? loadedValue : this.initialValue
+      );
+    }
+
     this._isInitialized = true;
+    if (resave || pendingWrites.length > 0) {
+      this._save(this._state);
+    }
+    this.loadState.set({
+      status: loadError ? PERSISTENT_STORE_STATUS.ERROR : PERSISTENT_STORE_STATUS.READY,
+      error: loadError
+    });
+    this._resolveLoaded();
     this._notify(); // Notify subscribers with the loaded state
   }
 
   /**
-   * Updates the store's state and saves it to IndexedDB.
+   * Re-reads the stored value, picking up writes made by another tab.
+   * Writes made while it reads are applied on top of the value it reads.
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    this._markLoading();
+    await this._init();
+  }
+
+  /**
+   * Updates the store's state and saves it to storage.
    * @override
    * @param {any} newState - The new state.
    */
   set(newState) {
     super.set(newState);
     if (this._isInitialized) {
-      idbSet(this.key, newState).catch(error => {
-        console.warn(`PersistentStore(${this.key}): Failed to save to IndexedDB:`, error.message);
-      });
+      this._save(newState);
+    } else {
+      this._pendingWrites.push({ value: newState });
     }
   }
 
@@ -155,11 +228,102 @@ export class PersistentStore extends AetherStore {
    * and returns the new state.
    */
   update(updater) {
-    super.update(updater);
     if (this._isInitialized) {
-      idbSet(this.key, this._state).catch(error => {
-        console.warn(`PersistentStore(${this.key}): Failed to save to IndexedDB:`, error.message);
-      });
+      this.set(updater(this._state));
+    } else {
+      // Queued as the updater, not its result, to run again on the loaded value
+      super.set(updater(this._state));
+      this._pendingWrites.push({ updater });
+    }
+  }
+
+  /**
+   * Wait until every change made so far is written.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this._writing;
+  }
+
+  /**
+   * Drop the plaintext when the vault locks and wait for the next unlock.
+   * @private
+   */
+  handleVaultLock() {
+    this._unload();
+    this._init();
+  }
+
+  /**
+   * Store the value again, sealed with the vault's new data key.
+   * @private
+   */
+  reencrypt() {
+    if (this._isInitialized) {
+      this._save(this._state);
+    }
+    return this.flush();
+  }
+
+  /**
+   * Delete the stored value when the vault is wiped.
+   * @private
+   */
+  async wipe() {
+    this._unload();
+    await this.flush();
+    await this.storage.remove(this.key);
+  }
+
+  /**
+   * Bring a loaded value up to the current version. On failure the stored
+   * value is backed up as it was (still sealed if encrypted) and replaced
+   * by the initial value.
+   * @private
+   * @returns {Promise<{value: any, migrated: boolean}>}
+   * @throws {MigrationError} If the value was saved by a newer version
+   */
+  async _migrate(saved, stored) {
+    const from = isVersioned(saved) ? saved[VERSION_FIELD] : 0;
+    const value = isVersioned(saved) ? saved.value : saved;
+    if (from === this.version) {
+      return { value, migrated: false };
+    }
+
+    try {
+      return { value: await runMigrations(value, { from, to: this.version, migrations: this.migrations }), migrated: true };
+    } catch (error) {
+      this.migrationError = error;
+      // Saved by newer code, e.g. in a tab that was updated first
+      if (from > this.version) {
+        if (this.onMigrationError) {
+          this.onMigrationError(error, { backupKey: null });
+        }
+        throw error;
+      }
+      console.warn(`PersistentStore(${this.key}): ${error.message}; starting over, the stored value is in "${this.backupKey}"`);
+      await this.storage.set(this.backupKey, stored);
+      if (this.onMigrationError) {
+        this.onMigrationError(error, { backupKey: this.backupKey });
+      }
+      return { value: this.initialValue, migrated: true };
+    }
+  }
+
+  /**
+   * Sealed writes are chained so they land in the order they were made.
+   * @private
+   */
+  _save(value) {
+    if (this.readOnly) {
+      return;
     }
+    const stored = this.version ? { [VERSION_FIELD]: this.version, value } : value;
+    const write = this.encryption
+      ? this._writing.then(async () => this.storage.set(this.key, await this.encryption.encrypt(stored, this.key)))
+      : this.storage.set(this.key, stored);
+    this._writing = write.catch(error => {
+      console.warn(`PersistentStore(${this.key}): Failed to save to storage:`, error.message);
+    });
   }
 }
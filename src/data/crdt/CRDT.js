@@ -0,0 +1,159 @@
+// src/data/crdt/CRDT.js
+
+/**
+ * Generate a random replica id for CRDTs created without one.
+ * @private
+ */
+export function generateReplicaId() {
+  return `replica_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * @class LamportClock
+ * Default logical clock for CRDT operations. Stamps are `{ c, r }`
+ * (counter and replica id) and are totally ordered by counter, then
+ * replica id, so every replica sorts concurrent operations identically.
+ *
+ * Any clock exposing `now()`, `observe(stamp)`, `compare(a, b)` and
+ * `toId(stamp)` can be passed to a CRDT instead.
+ */
+export class LamportClock {
+  /**
+   * @param {string} replicaId - Id of the local replica
+   */
+  constructor(replicaId) {
+    this.replicaId = replicaId;
+    this.counter = 0;
+  }
+
+  /**
+   * @returns {{ c: number, r: string }} A stamp greater than every stamp seen so far
+   */
+  now() {
+    this.counter += 1;
+    return { c: this.counter, r: this.replicaId };
+  }
+
+  /**
+   * Advance the clock past a stamp received from another replica.
+   * @param {{ c: number }} stamp
+   */
+  observe(stamp) {
+    if (stamp && stamp.c > this.counter) {
+      this.counter = stamp.c;
+    }
+  }
+
+  /**
+   * @returns {number} Negative, zero or positive like Array#sort comparators
+   */
+  compare(a, b) {
+    if (a.c !== b.c) return a.c - b.c;
+    if (a.r === b.r) return 0;
+    return a.r < b.r ? -1 : 1;
+  }
+
+  /**
+   * @returns {string} Unique string id for a stamp
+   */
+  toId(stamp) {
+    return `${stamp.c}@${stamp.r}`;
+  }
+}
+
+/**
+ * @class CRDT
+ * Base class for the operation-based CRDTs. Local mutator methods apply the
+ * change and return the operation(s) to replicate; `apply()` integrates
+ * operations from any replica. Applying is idempotent and commutative, so
+ * replicas converge whatever order operations arrive in. State is plain JSON
+ * so it can be persisted and merged with `merge()`.
+ */
+export class CRDT {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.replicaId] - Id of the local replica
+   * @param {Object} [options.clock] - Logical clock (defaults to a LamportClock)
+   * @param {Object} [options.state] - Previously serialized state to start from
+   */
+  constructor(options = {}) {
+    this.replicaId = options.replicaId || generateReplicaId();
+    this.clock = options.clock || new LamportClock(this.replicaId);
+    this.state = this.createState();
+    if (options.state) {
+      this.merge(options.state);
+    }
+  }
+
+  /**
+   * Name used to identify the CRDT type in replicated operations.
+   */
+  get typeName() {
+    return this.constructor.typeName;
+  }
+
+  /**
+   * @abstract
+   * @returns {Object} Empty state
+   */
+  createState() {
+    return {};
+  }
+
+  /**
+   * @abstract
+   * @param {Object} op - Operation from any replica
+   */
+  apply(op) {
+    throw new Error(`${this.typeName} does not implement apply()`);
+  }
+
+  /**
+   * @abstract
+   * @param {Object} state - Serialized state from another replica
+   */
+  merge(state) {
+    throw new Error(`${this.typeName} does not implement merge()`);
+  }
+
+  /**
+   * @abstract
+   * @returns {any} The current user-facing value
+   */
+  value() {
+    return undefined;
+  }
+
+  /**
+   * @returns {Object} Serializable state
+   */
+  toJSON() {
+    return this.state;
+  }
+
+  /**
+   * Apply a batch of operations.
+   * @param {Array<Object>} ops
+   */
+  applyAll(ops) {
+    ops.forEach(op => this.apply(op));
+  }
+
+  /**
+   * Create a stamp for a local operation.
+   * @protected
+   */
+  stamp() {
+    return this.clock.now();
+  }
+
+  /**
+   * Record a stamp seen on an incoming operation.
+   * @protected
+   */
+  observe(stamp) {
+    if (stamp) {
+      this.clock.observe(stamp);
+    }
+  }
+}
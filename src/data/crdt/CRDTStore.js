@@ -0,0 +1,144 @@
+// src/data/crdt/CRDTStore.js
+
+import { AetherStore } from '../AetherStore.js';
+import { PersistentStore } from '../PersistentStore.js';
+
+/**
+ * Mutation type used to replicate CRDT operations through the SyncEngine.
+ */
+export const CRDT_MUTATION_TYPE = 'CRDT_OP';
+
+/**
+ * @class CRDTStore
+ * AetherStore whose value is derived from a CRDT. Local changes go through
+ * `mutate()`, which applies them, persists the CRDT state and queues the
+ * resulting operations on a SyncEngine as one `CRDT_OP` mutation:
+ * `{ type: 'CRDT_OP', entity: key, payload: { crdt, ops } }`.
+ * Operations from other replicas are integrated with `applyRemote()`.
+ *
+ * @example
+ * const todos = new CRDTStore('shared-todos', new RGA({ replicaId }), { syncEngine });
+ * todos.subscribe(items => render(items));
+ * await todos.mutate(list => list.insert(0, { text: 'Buy milk' }));
+ */
+export class CRDTStore extends AetherStore {
+  /**
+   * @param {string} key - Collection name, also used as the persistence key
+   * @param {import('./CRDT.js').CRDT} crdt - The CRDT instance backing the store
+   * @param {Object} [options]
+   * @param {Object} [options.syncEngine] - SyncEngine that replicates local operations
+   * @param {boolean} [options.persist=true] - Persist CRDT state with a PersistentStore
+   */
+  constructor(key, crdt, options = {}) {
+    super(crdt.value());
+    this.key = key;
+    this.crdt = crdt;
+    this.syncEngine = options.syncEngine || null;
+    this.persisted = null;
+    this._loaded = false;
+    this._unsaved = false;
+
+    if (options.persist !== false) {
+      this.persisted = new PersistentStore(`aether-crdt:${key}`, null);
+      this._loadPersisted();
+    }
+  }
+
+  /**
+   * Merge the persisted state once the PersistentStore has loaded, keeping
+   * any operations applied in the meantime, and save the result.
+   * @private
+   */
+  _loadPersisted() {
+    this.persisted.whenReady().then(savedState => {
+      this._loaded = true;
+      if (savedState) {
+        this.crdt.merge(savedState);
+        this._refresh();
+      }
+      if (savedState || this._unsaved) {
+        this._persist();
+      }
+    });
+  }
+
+  /**
+   * Recompute the store value from the CRDT and notify subscribers.
+   * @private
+   */
+  _refresh() {
+    this._state = this.crdt.value();
+    this._notify();
+  }
+
+  /**
+   * Save the CRDT state. Skipped until the persisted state has been merged,
+   * as a write made while loading would replace it.
+   * @private
+   */
+  _persist() {
+    if (this.persisted && !this._loaded) {
+      this._unsaved = true;
+    } else if (this.persisted) {
+      this._unsaved = false;
+      this.persisted.set(JSON.parse(JSON.stringify(this.crdt.toJSON())));
+    }
+  }
+
+  /**
+   * Perform local changes on the CRDT.
+   * @param {function} mutator - Receives the CRDT and returns the operation(s)
+   * its mutator methods produced
+   * @returns {Promise<Array<Object>>} The operations that were applied
+   */
+  async mutate(mutator) {
+    const result = mutator(this.crdt);
+    const ops = [].concat(result === undefined ? [] : result).flat().filter(Boolean);
+
+    this._refresh();
+    this._persist();
+
+    if (ops.length > 0 && this.syncEngine) {
+      await this.syncEngine.addMutation({
+        type: CRDT_MUTATION_TYPE,
+        entity: this.key,
+        payload: { crdt: this.crdt.typeName, ops }
+      });
+    }
+
+    return ops;
+  }
+
+  /**
+   * Integrate operations received from other replicas. Accepts an op, an
+   * array of ops, or a `CRDT_OP` payload `{ crdt, ops }`.
+   * @param {Object|Array<Object>} opsOrPayload
+   */
+  applyRemote(opsOrPayload) {
+    const ops = Array.isArray(opsOrPayload)
+      ? opsOrPayload
+      : (opsOrPayload && Array.isArray(opsOrPayload.ops) ? opsOrPayload.ops : [opsOrPayload]);
+
+    this.crdt.applyAll(ops.filter(Boolean));
+    this._refresh();
+    this._persist();
+  }
+
+  /**
+   * Merge a full state snapshot from another replica.
+   * @param {Object} state - Serialized CRDT state
+   */
+  mergeState(state) {
+    this.crdt.merge(state);
+    this._refresh();
+    this._persist();
+  }
+
+  /**
+   * CRDT stores are changed through mutate() so every change is replicated.
+   * @override
+   */
+  set() {
+    throw new Error(`CRDTStore(${this.key}): use mutate() instead of set()`);
+  }
+}
@@ -0,0 +1,96 @@
+// src/data/crdt/LWWMap.js
+
+import { CRDT } from './CRDT.js';
+
+/**
+ * @class LWWMap
+ * Map whose keys are independent last-writer-wins registers. Deletes are
+ * writes of a tombstone, so a later set revives the key and an earlier one
+ * does not.
+ *
+ * @example
+ * const settings = new LWWMap({ replicaId: 'desktop' });
+ * const op = settings.set('theme', 'dark');
+ */
+export class LWWMap extends CRDT {
+  static get typeName() {
+    return 'LWWMap';
+  }
+
+  createState() {
+    return { entries: {} };
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   * @returns {Object} Operation to replicate
+   */
+  set(key, value) {
+    const op = { kind: 'set', key, value, ts: this.stamp() };
+    this.apply(op);
+    return op;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Object} Operation to replicate
+   */
+  delete(key) {
+    const op = { kind: 'delete', key, ts: this.stamp() };
+    this.apply(op);
+    return op;
+  }
+
+  apply(op) {
+    if (op.kind !== 'set' && op.kind !== 'delete') return;
+    this.observe(op.ts);
+    const current = this.state.entries[op.key];
+    if (current && this.clock.compare(op.ts, current.ts) <= 0) return;
+
+    this.state.entries[op.key] = op.kind === 'set'
+      ? { value: op.value, ts: op.ts, deleted: false }
+      : { value: null, ts: op.ts, deleted: true };
+  }
+
+  merge(state) {
+    if (!state) return;
+    Object.keys(state.entries || {}).forEach(key => {
+      const entry = state.entries[key];
+      this.apply(entry.deleted
+        ? { kind: 'delete', key, ts: entry.ts }
+        : { kind: 'set', key, value: entry.value, ts: entry.ts });
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {any} The value, or undefined if absent or deleted
+   */
+  get(key) {
+    const entry = this.state.entries[key];
+    return entry && !entry.deleted ? entry.value : undefined;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) {
+    const entry = this.state.entries[key];
+    return Boolean(entry && !entry.deleted);
+  }
+
+  /**
+   * @returns {Object} Plain object of the live entries
+   */
+  value() {
+    const result = {};
+    Object.keys(this.state.entries).sort().forEach(key => {
+      if (!this.state.entries[key].deleted) {
+        result[key] = this.state.entries[key].value;
+      }
+    });
+    return result;
+  }
+}
@@ -0,0 +1,51 @@
+// src/data/crdt/LWWRegister.js
+
+import { CRDT } from './CRDT.js';
+
+/**
+ * @class LWWRegister
+ * Last-writer-wins register holding a single value. The write with the
+ * greatest stamp wins; ties are impossible because stamps include the
+ * replica id.
+ *
+ * @example
+ * const title = new LWWRegister({ replicaId: 'tablet-1' });
+ * const op = title.set('Inspection report');
+ */
+export class LWWRegister extends CRDT {
+  static get typeName() {
+    return 'LWWRegister';
+  }
+
+  createState() {
+    return { value: null, ts: null };
+  }
+
+  /**
+   * @param {any} value
+   * @returns {Object} Operation to replicate
+   */
+  set(value) {
+    const op = { kind: 'set', value, ts: this.stamp() };
+    this.apply(op);
+    return op;
+  }
+
+  apply(op) {
+    if (op.kind !== 'set') return;
+    this.observe(op.ts);
+    if (this.state.ts === null || this.clock.compare(op.ts, this.state.ts) > 0) {
+      this.state = { value: op.value, ts: op.ts };
+    }
+  }
+
+  merge(state) {
+    if (state && state.ts) {
+      this.apply({ kind: 'set', value: state.value, ts: state.ts });
+    }
+  }
+
+  value() {
+    return this.state.value;
+  }
+}
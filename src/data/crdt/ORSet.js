@@ -0,0 +1,109 @@
+// src/data/crdt/ORSet.js
+
+import { CRDT } from './CRDT.js';
+
+const keyOf = (value) => JSON.stringify(value);
+
+/**
+ * @class ORSet
+ * Observed-remove set. Every add is tagged uniquely; a remove only deletes
+ * the tags its replica had observed, so a concurrent add of the same value
+ * survives (add wins). Removed tags are kept as tombstones so a remove that
+ * arrives before its add still takes effect.
+ *
+ * @example
+ * const tags = new ORSet({ replicaId: 'laptop' });
+ * const op = tags.add('urgent');
+ */
+export class ORSet extends CRDT {
+  static get typeName() {
+    return 'ORSet';
+  }
+
+  createState() {
+    return { elements: {}, tombstones: [] };
+  }
+
+  /**
+   * @param {any} value - JSON-serializable value
+   * @returns {Object} Operation to replicate
+   */
+  add(value) {
+    const op = { kind: 'add', value, tag: this.clock.toId(this.stamp()) };
+    this.apply(op);
+    return op;
+  }
+
+  /**
+   * @param {any} value
+   * @returns {Object|null} Operation to replicate, or null if the value is absent
+   */
+  remove(value) {
+    const element = this.state.elements[keyOf(value)];
+    if (!element) return null;
+    const op = { kind: 'remove', value, tags: [...element.tags] };
+    this.apply(op);
+    return op;
+  }
+
+  apply(op) {
+    const key = keyOf(op.value);
+
+    if (op.kind === 'add') {
+      if (this.state.tombstones.includes(op.tag)) return;
+      const element = this.state.elements[key] || { value: op.value, tags: [] };
+      if (!element.tags.includes(op.tag)) {
+        element.tags = [...element.tags, op.tag].sort();
+      }
+      this.state.elements[key] = element;
+    } else if (op.kind === 'remove') {
+      op.tags.forEach(tag => {
+        if (!this.state.tombstones.includes(tag)) {
+          this.state.tombstones.push(tag);
+        }
+      });
+      this.state.tombstones.sort();
+      const element = this.state.elements[key];
+      if (element) {
+        element.tags = element.tags.filter(tag => !op.tags.includes(tag));
+        if (element.tags.length === 0) {
+          delete this.state.elements[key];
+        }
+      }
+    }
+  }
+
+  merge(state) {
+    if (!state) return;
+    Object.keys(state.elements || {}).forEach(key => {
+      const element = state.elements[key];
+      element.tags.forEach(tag => this.apply({ kind: 'add', value: element.value, tag }));
+    });
+    (state.tombstones || []).forEach(tag => {
+      Object.keys(this.state.elements).forEach(key => {
+        if (this.state.elements[key].tags.includes(tag)) {
+          this.apply({ kind: 'remove', value: this.state.elements[key].value, tags: [tag] });
+        }
+      });
+      if (!this.state.tombstones.includes(tag)) {
+        this.state.tombstones.push(tag);
+      }
+    });
+    this.state.tombstones.sort();
+  }
+
+  /**
+   * @param {any} value
+   * @returns {boolean}
+   */
+  has(value) {
+    return Boolean(this.state.elements[keyOf(value)]);
+  }
+
+  /**
+   * @returns {Array} Members, in a replica-independent order
+   */
+  value() {
+    return Object.keys(this.state.elements).sort().map(key => this.state.elements[key].value);
+  }
+}
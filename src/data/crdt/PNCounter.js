@@ -0,0 +1,65 @@
+// src/data/crdt/PNCounter.js
+
+import { CRDT } from './CRDT.js';
+
+const sum = (totals) => Object.keys(totals).reduce((total, replica) => total + totals[replica], 0);
+
+/**
+ * @class PNCounter
+ * Counter supporting increments and decrements. Each replica only grows
+ * its own positive and negative totals; operations carry the new total so
+ * applying them is a per-replica maximum and therefore idempotent.
+ *
+ * @example
+ * const likes = new PNCounter({ replicaId: 'phone' });
+ * const op = likes.increment();
+ */
+export class PNCounter extends CRDT {
+  static get typeName() {
+    return 'PNCounter';
+  }
+
+  createState() {
+    return { p: {}, n: {} };
+  }
+
+  /**
+   * @param {number} [amount=1]
+   * @returns {Object} Operation to replicate
+   */
+  increment(amount = 1) {
+    if (amount < 0) return this.decrement(-amount);
+    const total = (this.state.p[this.replicaId] || 0) + amount;
+    const op = { kind: 'p', replica: this.replicaId, total };
+    this.apply(op);
+    return op;
+  }
+
+  /**
+   * @param {number} [amount=1]
+   * @returns {Object} Operation to replicate
+   */
+  decrement(amount = 1) {
+    if (amount < 0) return this.increment(-amount);
+    const total = (this.state.n[this.replicaId] || 0) + amount;
+    const op = { kind: 'n', replica: this.replicaId, total };
+    this.apply(op);
+    return op;
+  }
+
+  apply(op) {
+    if (op.kind !== 'p' && op.kind !== 'n') return;
+    const totals = this.state[op.kind];
+    totals[op.replica] = Math.max(totals[op.replica] || 0, op.total);
+  }
+
+  merge(state) {
+    if (!state) return;
+    Object.keys(state.p || {}).forEach(replica => this.apply({ kind: 'p', replica, total: state.p[replica] }));
+    Object.keys(state.n || {}).forEach(replica => this.apply({ kind: 'n', replica, total: state.n[replica] }));
+  }
+
+  value() {
+    return sum(this.state.p) - sum(this.state.n);
+  }
+}
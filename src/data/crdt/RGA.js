@@ -0,0 +1,185 @@
+// src/data/crdt/RGA.js
+
+import { CRDT } from './CRDT.js';
+
+/**
+ * @class RGA
+ * Replicated growable array, usable as a list or as collaborative text.
+ * Every element remembers the element it was inserted after; siblings
+ * inserted after the same element are ordered newest first, which gives
+ * every replica the same sequence. Deleted elements stay as tombstones so
+ * later inserts can still anchor to them. Inserts whose anchor has not
+ * arrived yet are held back until it does.
+ *
+ * @example
+ * const doc = new RGA({ replicaId: 'editor-1' });
+ * const ops = doc.insertText(0, 'Hello');
+ * doc.toString(); // 'Hello'
+ */
+export class RGA extends CRDT {
+  static get typeName() {
+    return 'RGA';
+  }
+
+  createState() {
+    return { nodes: {}, tombstones: [], pending: [] };
+  }
+
+  /**
+   * Visible (non-deleted) nodes in document order.
+   * @private
+   */
+  visibleNodes() {
+    return this.orderedNodes().filter(node => !node.deleted);
+  }
+
+  /**
+   * All nodes, including tombstones, in document order.
+   * @private
+   */
+  orderedNodes() {
+    const children = new Map();
+    Object.keys(this.state.nodes).forEach(id => {
+      const node = this.state.nodes[id];
+      const parent = node.after || null;
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(node);
+    });
+    children.forEach(siblings => siblings.sort((a, b) => this.clock.compare(b.ts, a.ts)));
+
+    const ordered = [];
+    const stack = [...(children.get(null) || [])].reverse();
+    while (stack.length > 0) {
+      const node = stack.pop();
+      ordered.push(node);
+      const nodeChildren = children.get(node.id) || [];
+      for (let i = nodeChildren.length - 1; i >= 0; i--) {
+        stack.push(nodeChildren[i]);
+      }
+    }
+    return ordered;
+  }
+
+  /**
+   * Insert a value at a position.
+   * @param {number} index - Position among visible elements
+   * @param {any} value
+   * @returns {Object} Operation to replicate
+   */
+  insert(index, value) {
+    return this.insertAll(index, [value])[0];
+  }
+
+  /**
+   * Insert several values at a position, keeping their order.
+   * @param {number} index - Position among visible elements
+   * @param {Array} values
+   * @returns {Array<Object>} Operations to replicate
+   */
+  insertAll(index, values) {
+    const visible = this.visibleNodes();
+    if (index < 0 || index > visible.length) {
+      throw new RangeError(`Index ${index} is out of bounds for length ${visible.length}`);
+    }
+
+    let after = index === 0 ? null : visible[index - 1].id;
+    return values.map(value => {
+      const op = { kind: 'insert', after, value, ts: this.stamp() };
+      this.apply(op);
+      after = this.clock.toId(op.ts);
+      return op;
+    });
+  }
+
+  /**
+   * Delete visible elements.
+   * @param {number} index - Position of the first element to delete
+   * @param {number} [count=1] - Number of elements to delete
+   * @returns {Array<Object>} Operations to replicate
+   */
+  delete(index, count = 1) {
+    const targets = this.visibleNodes().slice(index, index + count);
+    return targets.map(node => {
+      const op = { kind: 'delete', id: node.id };
+      this.apply(op);
+      return op;
+    });
+  }
+
+  /**
+   * Insert a string character by character.
+   * @param {number} index
+   * @param {string} text
+   * @returns {Array<Object>} Operations to replicate
+   */
+  insertText(index, text) {
+    return this.insertAll(index, Array.from(text));
+  }
+
+  apply(op) {
+    if (op.kind === 'insert') {
+      this.observe(op.ts);
+      const id = this.clock.toId(op.ts);
+      if (this.state.nodes[id]) return;
+
+      if (op.after && !this.state.nodes[op.after]) {
+        if (!this.state.pending.some(pending => this.clock.toId(pending.ts) === id)) {
+          this.state.pending.push(op);
+        }
+        return;
+      }
+
+      this.state.nodes[id] = {
+        id,
+        after: op.after || null,
+        value: op.value,
+        ts: op.ts,
+        deleted: this.state.tombstones.includes(id)
+      };
+      this.flushPending(id);
+    } else if (op.kind === 'delete') {
+      const node = this.state.nodes[op.id];
+      if (node) {
+        node.deleted = true;
+      }
+      if (!this.state.tombstones.includes(op.id)) {
+        this.state.tombstones.push(op.id);
+      }
+    }
+  }
+
+  /**
+   * Apply held-back inserts that were waiting for an anchor.
+   * @private
+   */
+  flushPending(anchorId) {
+    const ready = this.state.pending.filter(op => op.after === anchorId);
+    if (ready.length === 0) return;
+    this.state.pending = this.state.pending.filter(op => op.after !== anchorId);
+    ready.forEach(op => this.apply(op));
+  }
+
+  merge(state) {
+    if (!state) return;
+    (state.tombstones || []).forEach(id => this.apply({ kind: 'delete', id }));
+    Object.keys(state.nodes || {}).forEach(id => {
+      const node = state.nodes[id];
+      this.apply({ kind: 'insert', after: node.after, value: node.value, ts: node.ts });
+    });
+    (state.pending || []).forEach(op => this.apply(op));
+  }
+
+  /**
+   * @returns {Array} Visible values in order
+   */
+  value() {
+    return this.visibleNodes().map(node => node.value);
+  }
+
+  /**
+   * @returns {string} Visible values joined as text
+   */
+  toString() {
+    return this.value().join('');
+  }
+}
@@ -0,0 +1,22 @@
+// src/data/crdt/index.js
+
+import { LWWRegister } from './LWWRegister.js';
+import { PNCounter } from './PNCounter.js';
+import { ORSet } from './ORSet.js';
+import { LWWMap } from './LWWMap.js';
+import { RGA } from './RGA.js';
+
+export { CRDT, LamportClock } from './CRDT.js';
+export { LWWRegister, PNCounter, ORSet, LWWMap, RGA };
+export { CRDTStore, CRDT_MUTATION_TYPE } from './CRDTStore.js';
+
+/**
+ * Built-in CRDT types keyed by their type name.
+ */
+export const CRDT_TYPES = {
+  LWWRegister,
+  PNCounter,
+  ORSet,
+  LWWMap,
+  RGA
+};
@@ -0,0 +1,116 @@
+// src/data/migrations.js
+
+/**
+ * Schema versions for persisted values (PersistentStore) and queued
+ * mutations (SyncEngine). `migrations` maps a version to the function that
+ * turns a value of the previous version into one of that version:
+ * `{ 2: (v1) => v2, 3: (v2) => v3 }`. Values saved before versioning was
+ * turned on count as version 0, and versions without a migration keep the
+ * value as it is.
+ */
+
+/**
+ * @class MigrationError
+ * Raised when a value cannot be brought up to the current version.
+ */
+export class MigrationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.fromVersion] - Version the value was saved with
+   * @param {number} [details.version] - Version whose migration failed
+   * @param {Error} [details.cause] - Error thrown by the migration
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.fromVersion = details.fromVersion !== undefined ? details.fromVersion : null;
+    this.version = details.version !== undefined ? details.version : null;
+    this.cause = details.cause || null;
+  }
+}
+
+/**
+ * Check a version and its migrations.
+ * @param {number} version - Current version, a positive integer
+ * @param {Object<number, function>} [migrations]
+ * @throws {Error} On an invalid version or migration
+ */
+export function assertMigrations(version, migrations = {}) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Version must be a positive integer, got ${version}`);
+  }
+  Object.entries(migrations).forEach(([key, migrate]) => {
+    const target = Number(key);
+    if (!Number.isInteger(target) || target < 1 || target > version) {
+      throw new Error(`Migration "${key}" must be keyed by a version from 1 to ${version}`);
+    }
+    if (typeof migrate !== 'function') {
+      throw new Error(`Migration to version ${key} must be a function`);
+    }
+  });
+}
+
+/**
+ * Bring a value saved with version `from` up to version `to`, one version
+ * at a time.
+ * @param {any} value
+ * @param {Object} options
+ * @param {number} options.from - Version the value was saved with
+ * @param {number} options.to - Current version
+ * @param {Object<number, function>} [options.migrations] - `(value, context) => value`, or a promise of it
+ * @param {any} [options.context] - Second argument of every migration
+ * @returns {Promise<any>} The migrated value
+ * @throws {MigrationError} If a migration throws, or the value was saved by a newer version
+ */
+export async function runMigrations(value, options) {
+  const { from, to, migrations = {}, context } = options;
+  if (from > to) {
+    throw new MigrationError(`Saved with version ${from}, newer than the current version ${to}`, {
+      fromVersion: from,
+      version: from
+    });
+  }
+
+  let migrated = value;
+  for (let version = from + 1; version <= to; version++) {
+    const migrate = migrations[version];
+    if (!migrate) continue;
+    try {
+      migrated = await migrate(migrated, context);
+    } catch (error) {
+      throw new MigrationError(`Migration to version ${version} failed: ${error && error.message}`, {
+        fromVersion: from,
+        version,
+        cause: error
+      });
+    }
+  }
+  return migrated;
+}
+
+/**
+ * Test helper for migration chains: migrate values saved by older versions
+ * (fixtures, keyed by the version that saved them) to `version`, the way a
+ * store would when loading them. Fixtures are cloned first, so they can be
+ * shared between tests.
+ *
+ * @example
+ * expect(await migrateFixtures({ version: 3, migrations, fixtures: { 0: ['milk'], 2: { items: ['milk'] } } }))
+ *   .toEqual({ 0: expected, 2: expected });
+ *
+ * @param {Object} options
+ * @param {number} options.version - Current version
+ * @param {Object<number, function>} options.migrations
+ * @param {Object<number, any>} options.fixtures
+ * @returns {Promise<Object<number, any>>} Migrated values keyed like the fixtures
+ * @throws {MigrationError} Naming the fixture's version and the failing step
+ */
+export async function migrateFixtures({ version, migrations, fixtures }) {
+  assertMigrations(version, migrations);
+  const results = {};
+  for (const [from, value] of Object.entries(fixtures)) {
+    results[from] = await runMigrations(structuredClone(value), { from: Number(from), to: version, migrations });
+  }
+  return results;
+}
@@ -0,0 +1,368 @@
+// src/data/storage.js
+
+/**
+ * Storage adapters used by PersistentStore. An adapter is any object with
+ * `get(key)` (resolving to `undefined` when nothing is stored), `set(key,
+ * value)` and `remove(key)`, all returning promises, plus a `kind` naming
+ * it. Pick one per store (`new PersistentStore(key, value, { storage })`)
+ * or for every store created afterwards with setDefaultStorage().
+ */
+
+export const STORAGE_KINDS = {
+  INDEXEDDB: 'indexeddb',
+  LOCAL_STORAGE: 'localstorage',
+  MEMORY: 'memory',
+  FILE: 'file',
+  OPFS: 'opfs'
+};
+
+const DEFAULT_DB_NAME = 'aether-store';
+const DEFAULT_STORE_NAME = 'keyval';
+const DEFAULT_PREFIX = 'aether:';
+const DEFAULT_DIRECTORY = 'aether-store';
+
+let defaultStorage = null;
+let warnedAboutMemory = false;
+
+/**
+ * @private
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * @private
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * File name for a key; keys may hold any character.
+ * @private
+ */
+const fileNameFor = (key) => `${encodeURIComponent(key)}.json`;
+
+/**
+ * @private
+ */
+const parseStored = (text) => (text === null || text === undefined || text === '' ? undefined : JSON.parse(text));
+
+/**
+ * Values in an IndexedDB object store, stored as structured clones. Works
+ * wherever `indexedDB` exists, including service workers.
+ * @param {Object} [options]
+ * @param {string} [options.dbName='aether-store']
+ * @param {string} [options.storeName='keyval']
+ * @returns {object} Storage adapter
+ */
+export function createIndexedDBStorage(options = {}) {
+  const dbName = options.dbName || DEFAULT_DB_NAME;
+  const storeName = options.storeName || DEFAULT_STORE_NAME;
+  let opening = null;
+
+  const getDatabase = () => {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(storeName)) {
+            request.result.createObjectStore(storeName);
+          }
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let another tab upgrade the database; the next call reopens it
+          db.onversionchange = () => {
+            db.close();
+            opening = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        opening = null;
+        throw error;
+      });
+    }
+    return opening;
+  };
+
+  return {
+    kind: STORAGE_KINDS.INDEXEDDB,
+    async get(key) {
+      const transaction = (await getDatabase()).transaction(storeName, 'readonly');
+      return requestToPromise(transaction.objectStore(storeName).get(key));
+    },
+    async set(key, value) {
+      const transaction = (await getDatabase()).transaction(storeName, 'readwrite');
+      transaction.objectStore(storeName).put(value, key);
+      await transactionDone(transaction);
+    },
+    async remove(key) {
+      const transaction = (await getDatabase()).transaction(storeName, 'readwrite');
+      transaction.objectStore(storeName).delete(key);
+      await transactionDone(transaction);
+    }
+  };
+}
+
+/**
+ * Values as JSON in `localStorage` (or any Web Storage object), under a
+ * key prefix. Synchronous and limited to a few megabytes, so best for small
+ * settings.
+ * @param {Object} [options]
+ * @param {string} [options.prefix='aether:']
+ * @param {Storage} [options.storage=globalThis.localStorage]
+ * @returns {object} Storage adapter
+ */
+export function createLocalStorage(options = {}) {
+  const prefix = options.prefix !== undefined ? options.prefix : DEFAULT_PREFIX;
+  const storage = options.storage || globalThis.localStorage;
+
+  return {
+    kind: STORAGE_KINDS.LOCAL_STORAGE,
+    async get(key) {
+      return parseStored(storage.getItem(prefix + key));
+    },
+    async set(key, value) {
+      storage.setItem(prefix + key, JSON.stringify(value));
+    },
+    async remove(key) {
+      storage.removeItem(prefix + key);
+    }
+  };
+}
+
+/**
+ * Values in memory only; nothing survives a reload. Values are cloned on
+ * the way in and out like they would be by IndexedDB.
+ * @returns {object} Storage adapter
+ */
+export function createMemoryStorage() {
+  const values = new Map();
+  const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+  return {
+    kind: STORAGE_KINDS.MEMORY,
+    async get(key) {
+      return clone(values.get(key));
+    },
+    async set(key, value) {
+      values.set(key, clone(value));
+    },
+    async remove(key) {
+      values.delete(key);
+    }
+  };
+}
+
+/**
+ * Values as JSON files in a directory, one per key, for Node and
+ * server-side rendering. Writes go to a temporary file that is renamed over
+ * the old one, so a crash never leaves half a file.
+ * @param {Object} [options]
+ * @param {string} [options.directory='aether-store'] - Created if missing; relative to the working directory
+ * @returns {object} Storage adapter
+ */
+export function createFileStorage(options = {}) {
+  const directory = options.directory || DEFAULT_DIRECTORY;
+  // Writes to the same key run one after another
+  const writes = new Map();
+  let modules = null;
+
+  const load = async () => {
+    if (!modules) {
+      modules = Promise.all([import('fs/promises'), import('path')]).then(async ([fs, path]) => {
+        await fs.mkdir(directory, { recursive: true });
+        return { fs, path };
+      });
+    }
+    return modules;
+  };
+
+  const queueWrite = (key, write) => {
+    const previous = writes.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(write);
+    writes.set(key, next);
+    next.finally(() => {
+      if (writes.get(key) === next) writes.delete(key);
+    }).catch(() => {});
+    return next;
+  };
+
+  return {
+    kind: STORAGE_KINDS.FILE,
+    directory,
+    async get(key) {
+      const { fs, path } = await load();
+      await writes.get(key);
+      try {
+        return parseStored(await fs.readFile(path.join(directory, fileNameFor(key)), 'utf8'));
+      } catch (error) {
+        if (error && error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+    },
+    set(key, value) {
+      return queueWrite(key, async () => {
+        const { fs, path } = await load();
+        const file = path.join(directory, fileNameFor(key));
+        const temporary = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify(value === undefined ? null : value), 'utf8');
+        await fs.rename(temporary, file);
+      });
+    },
+    remove(key) {
+      return queueWrite(key, async () => {
+        const { fs, path } = await load();
+        await fs.rm(path.join(directory, fileNameFor(key)), { force: true });
+      });
+    }
+  };
+}
+
+/**
+ * Values as JSON files in the origin private file system, one per key.
+ * Uses writable streams where available and sync access handles in
+ * workers that only have those.
+ * @param {Object} [options]
+ * @param {string} [options.directory='aether-store'] - Directory under the OPFS root
+ * @returns {object} Storage adapter
+ */
+export function createOPFSStorage(options = {}) {
+  const directoryName = options.directory || DEFAULT_DIRECTORY;
+  let directory = null;
+
+  const getDirectory = async () => {
+    if (!directory) {
+      const root = await navigator.storage.getDirectory();
+      directory = await root.getDirectoryHandle(directoryName, { create: true });
+    }
+    return directory;
+  };
+
+  return {
+    kind: STORAGE_KINDS.OPFS,
+    async get(key) {
+      try {
+        const handle = await (await getDirectory()).getFileHandle(fileNameFor(key));
+        return parseStored(await (await handle.getFile()).text());
+      } catch (error) {
+        if (error && error.name === 'NotFoundError') return undefined;
+        throw error;
+      }
+    },
+    async set(key, value) {
+      const handle = await (await getDirectory()).getFileHandle(fileNameFor(key), { create: true });
+      const text = JSON.stringify(value === undefined ? null : value);
+
+      if (typeof handle.createWritable === 'function') {
+        const writable = await handle.createWritable();
+        await writable.write(text);
+        await writable.close();
+        return;
+      }
+      const access = await handle.createSyncAccessHandle();
+      try {
+        const bytes = new TextEncoder().encode(text);
+        access.truncate(0);
+        access.write(bytes, { at: 0 });
+        access.flush();
+      } finally {
+        access.close();
+      }
+    },
+    async remove(key) {
+      try {
+        await (await getDirectory()).removeEntry(fileNameFor(key));
+      } catch (error) {
+        if (!error || error.name !== 'NotFoundError') throw error;
+      }
+    }
+  };
+}
+
+/**
+ * The best storage available here: IndexedDB, then localStorage, then
+ * memory. Node has neither, so without an explicit adapter (e.g.
+ * `createFileStorage()`) nothing is durable there; a warning says so once.
+ * @private
+ */
+function createAutoStorage() {
+  if (typeof indexedDB !== 'undefined') {
+    return createIndexedDBStorage();
+  }
+  if (typeof localStorage !== 'undefined') {
+    return createLocalStorage();
+  }
+  if (!warnedAboutMemory) {
+    warnedAboutMemory = true;
+    console.warn('PersistentStore: no IndexedDB or localStorage here, values are kept in memory only. ' +
+      'Call setDefaultStorage(createFileStorage({ directory })) to persist them.');
+  }
+  return createMemoryStorage();
+}
+
+/**
+ * Build an adapter by kind.
+ * @param {string} kind - One of STORAGE_KINDS, or 'auto'
+ * @param {Object} [options] - Options of the matching create function
+ * @returns {object} Storage adapter
+ */
+export function createStorage(kind, options = {}) {
+  switch (kind) {
+    case 'auto':
+      return createAutoStorage();
+    case STORAGE_KINDS.INDEXEDDB:
+      return createIndexedDBStorage(options);
+    case STORAGE_KINDS.LOCAL_STORAGE:
+      return createLocalStorage(options);
+    case STORAGE_KINDS.MEMORY:
+      return createMemoryStorage();
+    case STORAGE_KINDS.FILE:
+      return createFileStorage(options);
+    case STORAGE_KINDS.OPFS:
+      return createOPFSStorage(options);
+    default:
+      throw new Error(`Unknown storage kind "${kind}"`);
+  }
+}
+
+/**
+ * Accept an adapter or the kind of one.
+ * @param {object|string} storage
+ * @returns {object} Storage adapter
+ */
+export function resolveStorage(storage) {
+  if (typeof storage === 'string') {
+    return createStorage(storage);
+  }
+  if (!storage || ['get', 'set', 'remove'].some(method => typeof storage[method] !== 'function')) {
+    throw new Error('A storage adapter needs get(key), set(key, value) and remove(key)');
+  }
+  return storage;
+}
+
+/**
+ * Storage for stores created without a `storage` option. Stores that
+ * already exist keep theirs.
+ * @param {object|string|null} storage - Adapter, kind, or null to go back to automatic selection
+ */
+export function setDefaultStorage(storage) {
+  defaultStorage = storage === null ? null : resolveStorage(storage);
+}
+
+/**
+ * @returns {object} The default storage adapter, chosen on first use unless set
+ */
+export function getDefaultStorage() {
+  if (!defaultStorage) {
+    defaultStorage = createAutoStorage();
+  }
+  return defaultStorage;
+}
@@ -122,6 +122,8 @@ export function useSyncEngine(syncEngine) {
     clearQueue: () => syncEngine.clearQueue(),
     removeMutation: (id) => syncEngine.removeMutation(id),
     forceSyncMutation: (id) => syncEngine.forceSyncMutation(id),
+    pause: (reason) => syncEngine.pause(reason),
+    resume: () => syncEngine.resume(),
     getHealthStatus: () => syncEngine.getHealthStatus()
   }), [syncEngine]);
 
@@ -212,6 +214,8 @@ function useSyncEngineVanilla(syncEngine) {
     clearQueue: () => syncEngine.clearQueue(),
     removeMutation: (id) => syncEngine.removeMutation(id),
     forceSyncMutation: (id) => syncEngine.forceSyncMutation(id),
+    pause: (reason) => syncEngine.pause(reason),
+    resume: () => syncEngine.resume(),
     getHealthStatus: () => syncEngine.getHealthStatus()
   };
 
@@ -229,6 +233,104 @@ function useSyncEngineVanilla(syncEngine) {
   };
 }
 
+/**
+ * Hook for inspecting and recovering dead-lettered mutations
+ * @param {SyncEngine} syncEngine - The sync engine instance
+ * @returns {object} Dead letters and recovery actions
+ */
+export function useDeadLetters(syncEngine) {
+  if (typeof React === 'undefined') {
+    return useDeadLettersVanilla(syncEngine);
+  }
+
+  const [deadLetters, setDeadLetters] = React.useState([]);
+
+  React.useEffect(() => {
+    const refresh = () => syncEngine.getDeadLetters().then(setDeadLetters);
+    refresh();
+
+    return syncEngine.addEventListener('dead-letters-updated', refresh);
+  }, [syncEngine]);
+
+  const actions = React.useMemo(() => ({
+    inspect: (id) => syncEngine.getDeadLetter(id),
+    requeue: (id, edit) => syncEngine.requeueDeadLetter(id, edit),
+    retry: (id) => syncEngine.retryDeadLetter(id),
+    discard: (id) => syncEngine.discardDeadLetter(id)
+  }), [syncEngine]);
+
+  return {
+    deadLetters,
+    count: deadLetters.length,
+    actions
+  };
+}
+
+/**
+ * Vanilla JavaScript version of useDeadLetters
+ */
+function useDeadLettersVanilla(syncEngine) {
+  let deadLetters = [];
+  let listeners = [];
+
+  const getCurrentState = () => ({
+    deadLetters,
+    count: deadLetters.length
+  });
+
+  function notifyListeners() {
+    listeners.forEach(listener => {
+      try {
+        listener(getCurrentState());
+      } catch (error) {
+        console.error('Error in useDeadLetters listener:', error);
+      }
+    });
+  }
+
+  const refresh = () => syncEngine.getDeadLetters().then(entries => {
+    deadLetters = entries;
+    notifyListeners();
+    return entries;
+  });
+
+  // Load initial dead letters and follow updates
+  refresh();
+  const unsubscribeDeadLetters = syncEngine.addEventListener('dead-letters-updated', refresh);
+
+  const subscribe = (callback) => {
+    listeners.push(callback);
+
+    // Immediately call with current state
+    callback(getCurrentState());
+
+    return () => {
+      const index = listeners.indexOf(callback);
+      if (index > -1) {
+        listeners.splice(index, 1);
+      }
+
+      if (listeners.length === 0) {
+        unsubscribeDeadLetters();
+      }
+    };
+  };
+
+  const actions = {
+    inspect: (id) => syncEngine.getDeadLetter(id),
+    requeue: (id, edit) => syncEngine.requeueDeadLetter(id, edit),
+    retry: (id) => syncEngine.retryDeadLetter(id),
+    discard: (id) => syncEngine.discardDeadLetter(id),
+    refresh
+  };
+
+  return {
+    subscribe,
+    actions,
+    getCurrentState
+  };
+}
+
 /**
  * Hook for creating and managing a persistent store
  * @param {string} key - Storage key
@@ -243,7 +345,7 @@ export function usePersistentStore(key, initialValue, options = {}) {
 
   const [store] = React.useState(() => {
     const { PersistentStore } = require('../data/PersistentStore.js');
-    return new PersistentStore(key, initialValue);
+    return new PersistentStore(key, initialValue, options);
   });
 
   const value = useAetherStore(store);
@@ -264,7 +366,7 @@ export function usePersistentStore(key, initialValue, options = {}) {
  */
 function usePersistentStoreVanilla(key, initialValue, options = {}) {
   const { PersistentStore } = require('../data/PersistentStore.js');
-  const store = new PersistentStore(key, initialValue);
+  const store = new PersistentStore(key, initialValue, options);
 
   const setValue = (newValue) => {
     if (typeof newValue === 'function') {
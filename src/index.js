@@ -5,9 +5,40 @@
 // Core data management (100% tested and working)
 export { AetherStore } from './data/AetherStore.js';
 export { AetherStore as RezilientStore } from './data/AetherStore.js';
-export { PersistentStore } from './data/PersistentStore.js';
+export { PersistentStore, PERSISTENT_STORE_STATUS } from './data/PersistentStore.js';
 export { PersistentStore as RezilientPersistentStore } from './data/PersistentStore.js';
 
+// Encryption at rest for persisted stores and the mutation queue
+export {
+  CryptoVault,
+  VaultError,
+  VAULT_STATUS,
+  VAULT_ERROR_CODES,
+  createDeviceKey,
+  isSealed
+} from './data/CryptoVault.js';
+
+// Storage adapters for PersistentStore (IndexedDB, localStorage, memory, files, OPFS)
+export {
+  STORAGE_KINDS,
+  createStorage,
+  createIndexedDBStorage,
+  createLocalStorage,
+  createMemoryStorage,
+  createFileStorage,
+  createOPFSStorage,
+  setDefaultStorage,
+  getDefaultStorage
+} from './data/storage.js';
+
+// Schema versions and migrations for persisted stores and queued mutations
+export {
+  MigrationError,
+  assertMigrations,
+  runMigrations,
+  migrateFixtures
+} from './data/migrations.js';
+
 // Primary Rezilient exports (recommended - use these!)
 export { AetherStore as RezStore } from './data/AetherStore.js';
 export { PersistentStore as RezPersistentStore } from './data/PersistentStore.js';
@@ -15,6 +46,20 @@ export { PersistentStore as RezPersistentStore } from './data/PersistentStore.js
 // Main Rezilient exports (primary interface)
 export { AetherStore as RezilientStoreMain } from './data/AetherStore.js';
 
+// Conflict-free replicated data types for offline collaboration
+export {
+  CRDT,
+  LamportClock,
+  LWWRegister,
+  PNCounter,
+  ORSet,
+  LWWMap,
+  RGA,
+  CRDTStore,
+  CRDT_TYPES,
+  CRDT_MUTATION_TYPE
+} from './data/crdt/index.js';
+
 // Offline-first sync engine (76% test coverage, production-ready)
 export {
   SyncEngine,
@@ -22,6 +67,103 @@ export {
   SYNC_EVENTS
 } from './sync/SyncEngine.js';
 
+// Sync transports and classified sync errors
+export {
+  HttpTransport,
+  FakeTransport,
+  SyncError,
+  SYNC_ERROR_KINDS,
+  classifyStatus,
+  createFetchTransport,
+  IDEMPOTENCY_HEADER
+} from './sync/HttpTransport.js';
+
+// Retry timing and per-endpoint circuit breaking
+export { RetryPolicy, JITTER, parseRetryAfter } from './sync/RetryPolicy.js';
+export { CircuitBreaker, CIRCUIT_STATES } from './sync/CircuitBreaker.js';
+
+// Revision helpers for conflict detection
+export {
+  getEntityKey,
+  compareRevisions,
+  compareVectorClocks,
+  mergeVectorClocks
+} from './sync/revisions.js';
+
+// Hybrid logical clocks for ordering writes across devices
+export {
+  HybridLogicalClock,
+  compareHLC,
+  encodeHLC,
+  parseHLC,
+  HLC_HEADER
+} from './sync/HybridLogicalClock.js';
+
+// Field-level merging and manual conflict resolution
+export { threeWayMerge, applyResolution } from './sync/ThreeWayMerge.js';
+export { ConflictStore } from './sync/ConflictStore.js';
+export { DeadLetterStore } from './sync/DeadLetterStore.js';
+export { OptimisticUpdates } from './sync/OptimisticUpdates.js';
+
+// Queue compaction rules
+export {
+  compactQueue,
+  appendCompacted,
+  indexCompactedQueue,
+  getMutationOperation,
+  getCompactionKey,
+  MUTATION_OPERATIONS
+} from './sync/compaction.js';
+
+// Causal ordering of queued mutations
+export {
+  createTempId,
+  isTempId,
+  buildDependencyGraph,
+  sortByDependencies
+} from './sync/dependencies.js';
+
+// Pull phase helpers
+export { applyChange, isTombstone, normalizeChangesPage } from './sync/changes.js';
+
+// Realtime push channels
+export {
+  RealtimeTransport,
+  WebSocketTransport,
+  SSETransport,
+  REALTIME_STATUS
+} from './sync/RealtimeTransport.js';
+
+// Per-record IndexedDB storage for the mutation queue
+export { MutationQueueStore } from './sync/MutationQueueStore.js';
+
+// Resumable blob uploads through the queue
+export { BlobStore } from './sync/BlobStore.js';
+export {
+  uploadBlob,
+  createUploadMutation,
+  isUploadMutation,
+  BLOB_UPLOAD_TYPE
+} from './sync/uploads.js';
+
+// Typed mutations: payload schemas, local reducers and request mapping
+export {
+  MutationValidationError,
+  defineMutationType,
+  validateMutation
+} from './sync/mutationTypes.js';
+export { validateSchema, assertSchema } from './sync/schema.js';
+
+// Cross-tab leader election for the shared queue
+export { TabCoordinator, createTabCoordinator } from './sync/TabCoordinator.js';
+export {
+  BACKGROUND_SYNC_TAG,
+  BACKGROUND_SYNC_MESSAGE,
+  requestBackgroundSync,
+  createBackgroundSyncHandler,
+  registerBackgroundSync
+} from './sync/backgroundSync.js';
+
 // Component architecture (83% test coverage, production-ready)
 export { AetherComponent } from './component/AetherComponent.js';
 export { AetherComponent as RezilientComponent } from './component/AetherComponent.js';
@@ -33,6 +175,7 @@ export {
   useAetherStore as useRezilientStore,
   useAetherStore as useRezStore,
   useSyncEngine,
+  useDeadLetters,
   usePersistentStore,
   usePersistentStore as useRezilientPersistentStore,
   usePersistentStore as useRezPersistentStore,
@@ -77,7 +220,8 @@ export {
 // Utility constants
 export const CONFLICT_STRATEGIES = {
   LAST_WRITE_WINS: 'LastWriteWins',
-  SERVER_WINS: 'ServerWins'
+  SERVER_WINS: 'ServerWins',
+  THREE_WAY_MERGE: 'ThreeWayMerge'
 };
 
 // Framework version and info
@@ -1,8 +1,9 @@
 // src/kernel.js
 
-import { SyncEngine } from './sync/SyncEngine.js';
-
-const syncEngine = new SyncEngine();
+// Background Sync needs the app's sync config, so nothing is drained until the
+// app's service worker script passes its engine:
+//   registerBackgroundSync(new SyncEngine({ ...appSyncOptions, crossTab: false }));
+export { registerBackgroundSync } from './sync/backgroundSync.js';
 
 self.addEventListener('install', (event) => {
   console.log('Aether.js Kernel installed.');
@@ -14,17 +15,6 @@ self.addEventListener('activate', (event) => {
   event.waitUntil(self.clients.claim());
 });
 
-/**
- * Listen for the 'sync' event, which is triggered by the browser
- * when the network connection is restored, even if the app tab is closed.
- */
-self.addEventListener('sync', (event) => {
-  if (event.tag === 'aether-sync') {
-    console.log('Aether.js Kernel: Background sync event received.');
-    event.waitUntil(syncEngine.processQueue());
-  }
-});
-
 /**
  * This is a placeholder for the fetch handler, which is a core part of a
  * service worker's caching strategy. In a full implementation, this would
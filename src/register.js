@@ -3,23 +3,17 @@
 /**
  * Registers the Aether.js Service Worker Kernel.
  * This function should be called once in the application's entry point.
+ * The kernel is an ES module, so it is registered with `type: 'module'`.
+ * Background Syncs are requested by engines created with `backgroundSync: true`,
+ * once the service worker handles them (see registerBackgroundSync()).
  * @param {string} kernelPath - The path to the service worker kernel file.
  * Defaults to '/kernel.js'.
  */
 export async function registerAetherKernel(kernelPath = '/kernel.js') {
   if ('serviceWorker' in navigator) {
     try {
-      const registration = await navigator.serviceWorker.register(kernelPath);
+      const registration = await navigator.serviceWorker.register(kernelPath, { type: 'module' });
       console.log('Aether.js Kernel registered with scope:', registration.scope);
-
-      // Check for background sync capabilities
-      if ('sync' in registration) {
-        // Request a background sync registration.
-        // This allows the browser to run our sync process
-        // even if the user navigates away or closes the tab.
-        await registration.sync.register('aether-sync');
-        console.log('Aether.js background sync registered.');
-      }
     } catch (error) {
       console.error('Aether.js Kernel registration failed:', error);
     }
@@ -0,0 +1,276 @@
+// src/server/idempotency.js
+
+import { IDEMPOTENCY_HEADER } from '../sync/HttpTransport.js';
+
+/**
+ * Server-side deduplication of mutation requests by idempotency key.
+ *
+ * The SyncEngine sends every mutation with an `Idempotency-Key` header that
+ * stays the same across retries. A server that records the response it gave
+ * for each key can answer a retry (for example after the client timed out
+ * waiting for the first response) with that response instead of applying
+ * the mutation a second time.
+ *
+ * No dependencies beyond Node itself; the middleware works with `http`,
+ * Connect and Express.
+ */
+
+/**
+ * Raised when a key is reused for a different request.
+ */
+export class IdempotencyError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - HTTP status to answer with
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'IdempotencyError';
+    this.status = status;
+  }
+}
+
+/**
+ * JSON with object keys sorted, so equal bodies produce equal fingerprints.
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return value === undefined ? 'null' : JSON.stringify(value);
+}
+
+/**
+ * Fingerprint of a request, used to detect a key reused for a different request.
+ * @param {string} method
+ * @param {string} url
+ * @param {any} body - Parsed body (or raw string)
+ * @returns {string}
+ */
+export function fingerprintRequest(method, url, body) {
+  return `${String(method).toUpperCase()} ${url} ${stableStringify(body)}`;
+}
+
+/**
+ * @class IdempotencyStore
+ * Bounded in-memory store of seen keys and the responses given for them.
+ * The least recently used keys are evicted once `maxEntries` is reached, and
+ * keys expire after `ttl`. Only successful responses are cached by default:
+ * a request rejected with a conflict or a server error can be retried with
+ * the same key and is processed again.
+ *
+ * Share one store per process; deployments with several server instances
+ * need a shared store with the same `execute` contract.
+ */
+export class IdempotencyStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=10000] - Keys remembered at most
+   * @param {number} [options.ttl=86400000] - How long a key is remembered, in milliseconds
+   * @param {function} [options.shouldCache] - `(response) => boolean`; defaults to 2xx statuses
+   * @param {function} [options.now=Date.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 10000;
+    this.ttl = options.ttl !== undefined ? options.ttl : 24 * 60 * 60 * 1000;
+    this.shouldCache = options.shouldCache
+      || (response => Boolean(response) && response.status >= 200 && response.status < 300);
+    this.now = options.now || Date.now;
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of keys currently remembered (including requests in progress).
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * The live entry for a key, refreshed as most recently used.
+   * @param {string} key
+   * @returns {{ fingerprint: string, response?: object, pending?: Promise, storedAt: number }|undefined}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (!entry.pending && this.now() - entry.storedAt > this.ttl) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Forget a key.
+   * @param {string} key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Run `handler` once per key. A repeated key gets the cached response;
+   * a key whose first request is still running waits for it.
+   * @param {string} key - Idempotency key sent by the client
+   * @param {string} fingerprint - See `fingerprintRequest`
+   * @param {function} handler - `() => Promise<{ status, headers?, body? }>`
+   * @returns {Promise<{ response: object, replayed: boolean }>}
+   * @throws {IdempotencyError} If the key was used for a different request
+   */
+  async execute(key, fingerprint, handler) {
+    const existing = this.get(key);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        throw new IdempotencyError(`Idempotency key "${key}" was already used for a different request`, 422);
+      }
+      if (existing.pending) {
+        const response = await existing.pending;
+        return { response, replayed: true };
+      }
+      return { response: existing.response, replayed: true };
+    }
+
+    const entry = { fingerprint, storedAt: this.now() };
+    entry.pending = Promise.resolve().then(handler);
+    this.set(key, entry);
+
+    let response;
+    try {
+      response = await entry.pending;
+    } catch (error) {
+      this.removeEntry(key, entry);
+      throw error;
+    }
+
+    if (this.shouldCache(response)) {
+      entry.pending = null;
+      entry.response = response;
+      entry.storedAt = this.now();
+    } else {
+      this.removeEntry(key, entry);
+    }
+    return { response, replayed: false };
+  }
+
+  /**
+   * @private
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      if (oldest !== key) this.entries.delete(oldest);
+    }
+  }
+
+  /**
+   * Remove an entry unless the key was reused for a newer one in the meantime.
+   * @private
+   */
+  removeEntry(key, entry) {
+    if (this.entries.get(key) === entry) {
+      this.entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Headers worth replaying; hop-by-hop and length headers are recomputed by Node.
+ * @private
+ */
+function replayableHeaders(headers) {
+  const skipped = ['connection', 'content-length', 'date', 'keep-alive', 'transfer-encoding'];
+  return Object.fromEntries(
+    Object.entries(headers || {}).filter(([name]) => !skipped.includes(name.toLowerCase()))
+  );
+}
+
+/**
+ * Connect/Express style middleware that dedupes requests carrying an
+ * `Idempotency-Key` header. The first request for a key is passed on and
+ * its response (status, headers and body written through `res.write` /
+ * `res.end`) is recorded; repeats are answered from the store with an
+ * `Idempotent-Replayed: true` header. Requests without the header pass
+ * straight through.
+ *
+ * Mount it after the body parser so the fingerprint covers the parsed body.
+ *
+ * @example
+ * const idempotency = createIdempotencyMiddleware({ maxEntries: 50000 });
+ * app.post('/todos', express.json(), idempotency, createTodo);
+ *
+ * @param {Object} [options] - IdempotencyStore options plus:
+ * @param {IdempotencyStore} [options.store] - Store to use instead of a new one
+ * @param {string} [options.header='Idempotency-Key'] - Header carrying the key
+ * @returns {function} `(req, res, next) => void`
+ */
+export function createIdempotencyMiddleware(options = {}) {
+  const store = options.store || new IdempotencyStore(options);
+  const header = (options.header || IDEMPOTENCY_HEADER).toLowerCase();
+
+  const middleware = (req, res, next) => {
+    const key = req.headers[header];
+    if (!key) {
+      next();
+      return;
+    }
+
+    const fingerprint = fingerprintRequest(req.method, req.originalUrl || req.url, req.body);
+    const handler = () => new Promise((resolve, reject) => {
+      const chunks = [];
+      const write = res.write;
+      const end = res.end;
+
+      res.write = function (chunk, ...rest) {
+        if (chunk) chunks.push(Buffer.from(chunk));
+        return write.call(this, chunk, ...rest);
+      };
+      res.end = function (chunk, ...rest) {
+        if (chunk && typeof chunk !== 'function') chunks.push(Buffer.from(chunk));
+        resolve({
+          status: res.statusCode,
+          headers: replayableHeaders(res.getHeaders()),
+          body: Buffer.concat(chunks)
+        });
+        return end.call(this, chunk, ...rest);
+      };
+      res.on('close', () => reject(new Error('Connection closed before the response was sent')));
+
+      next();
+    });
+
+    store.execute(key, fingerprint, handler).then(({ response, replayed }) => {
+      if (!replayed) {
+        return;
+      }
+      res.statusCode = response.status;
+      Object.entries(response.headers).forEach(([name, value]) => res.setHeader(name, value));
+      res.setHeader('Idempotent-Replayed', 'true');
+      res.end(response.body);
+    }, error => {
+      if (res.writableEnded || res.destroyed) {
+        return;
+      }
+      res.statusCode = error instanceof IdempotencyError ? error.status : 500;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: error.message }));
+    });
+  };
+
+  middleware.store = store;
+  return middleware;
+}
@@ -0,0 +1,8 @@
+// src/server/index.js - Node helpers for servers that sync with REZILIENT.js clients
+
+export {
+  IdempotencyStore,
+  IdempotencyError,
+  createIdempotencyMiddleware,
+  fingerprintRequest
+} from './idempotency.js';
@@ -0,0 +1,291 @@
+// src/sync/BlobStore.js
+
+const DB_NAME = 'aether-blobs';
+const DB_VERSION = 1;
+const INFO_STORE = 'info';
+const DATA_STORE = 'data';
+
+// OPFS directory holding one file per blob
+const OPFS_DIRECTORY = 'aether-blobs';
+
+/**
+ * @private
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * @private
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * @private
+ */
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(INFO_STORE, { keyPath: 'id' });
+      request.result.createObjectStore(DATA_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @private
+ * @returns {boolean} True if the origin private file system can be written from this context
+ */
+function hasOPFS() {
+  return typeof navigator !== 'undefined' && Boolean(navigator.storage) &&
+    typeof navigator.storage.getDirectory === 'function' &&
+    typeof FileSystemFileHandle !== 'undefined' &&
+    typeof FileSystemFileHandle.prototype.createWritable === 'function';
+}
+
+/**
+ * Blob contents in memory; used without IndexedDB or OPFS, and in tests.
+ * @private
+ */
+function createMemoryStorage() {
+  const blobs = new Map();
+  return {
+    kind: 'memory',
+    write: async (id, blob) => { blobs.set(id, blob); },
+    read: async (id) => blobs.get(id) || null,
+    remove: async (id) => { blobs.delete(id); }
+  };
+}
+
+/**
+ * Blob contents as values of an IndexedDB object store.
+ * @private
+ */
+function createIndexedDBStorage(getDatabase) {
+  return {
+    kind: 'indexeddb',
+    async write(id, blob) {
+      const transaction = (await getDatabase()).transaction(DATA_STORE, 'readwrite');
+      transaction.objectStore(DATA_STORE).put(blob, id);
+      await transactionDone(transaction);
+    },
+    async read(id) {
+      const transaction = (await getDatabase()).transaction(DATA_STORE, 'readonly');
+      const blob = await requestToPromise(transaction.objectStore(DATA_STORE).get(id));
+      return blob || null;
+    },
+    async remove(id) {
+      const transaction = (await getDatabase()).transaction(DATA_STORE, 'readwrite');
+      transaction.objectStore(DATA_STORE).delete(id);
+      await transactionDone(transaction);
+    }
+  };
+}
+
+/**
+ * Blob contents as files in the origin private file system.
+ * @private
+ */
+function createOPFSStorage(directoryName) {
+  let directory = null;
+  const getDirectory = async () => {
+    if (!directory) {
+      const root = await navigator.storage.getDirectory();
+      directory = await root.getDirectoryHandle(directoryName, { create: true });
+    }
+    return directory;
+  };
+
+  return {
+    kind: 'opfs',
+    async write(id, blob) {
+      const handle = await (await getDirectory()).getFileHandle(id, { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(blob);
+      await writable.close();
+    },
+    async read(id) {
+      try {
+        const handle = await (await getDirectory()).getFileHandle(id);
+        return await handle.getFile();
+      } catch (error) {
+        if (error && error.name === 'NotFoundError') return null;
+        throw error;
+      }
+    },
+    async remove(id) {
+      try {
+        await (await getDirectory()).removeEntry(id);
+      } catch (error) {
+        if (!error || error.name !== 'NotFoundError') throw error;
+      }
+    }
+  };
+}
+
+/**
+ * @class BlobStore
+ * Files and blobs waiting to be uploaded, together with the state of their
+ * upload so an interrupted upload resumes where it stopped, even after a
+ * reload. Each blob has an info record
+ * `{ id, name, type, size, createdAt, uploadId, offset, remoteId }`:
+ * `uploadId` names the server-side upload, `offset` counts the bytes the
+ * server acknowledged and `remoteId` is the id the finished upload got.
+ *
+ * Info records live in IndexedDB. Contents go to the origin private file
+ * system (OPFS) where it can be written, otherwise to IndexedDB. Without
+ * either (for example in Node) everything stays in memory.
+ */
+export class BlobStore {
+  /**
+   * @param {Object} [options]
+   * @param {'auto'|'opfs'|'indexeddb'|'memory'} [options.storage='auto'] - Where blob contents are kept
+   * @param {string} [options.dbName='aether-blobs'] - IndexedDB database name
+   * @param {string} [options.directory='aether-blobs'] - OPFS directory name
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || DB_NAME;
+    this.db = null;
+    this.opening = null;
+    this.info = typeof indexedDB !== 'undefined' ? null : new Map();
+
+    const storage = options.storage || 'auto';
+    const getDatabase = () => this.getDatabase();
+    if (storage === 'opfs' || (storage === 'auto' && hasOPFS())) {
+      this.storage = createOPFSStorage(options.directory || OPFS_DIRECTORY);
+    } else if (storage === 'indexeddb' || (storage === 'auto' && typeof indexedDB !== 'undefined')) {
+      this.storage = createIndexedDBStorage(getDatabase);
+    } else {
+      this.storage = createMemoryStorage();
+    }
+  }
+
+  /**
+   * Store a blob for upload.
+   * @param {string} id - Blob id
+   * @param {Blob} blob - File or blob contents
+   * @param {Object} [details]
+   * @param {string} [details.name] - File name (defaults to `blob.name`)
+   * @param {string} [details.type] - MIME type (defaults to `blob.type`)
+   * @returns {Promise<object>} The info record
+   */
+  async put(id, blob, details = {}) {
+    const info = {
+      id,
+      name: details.name || blob.name || id,
+      type: details.type || blob.type || 'application/octet-stream',
+      size: blob.size,
+      createdAt: Date.now(),
+      uploadId: null,
+      offset: 0,
+      remoteId: null
+    };
+    await this.storage.write(id, blob);
+    await this.writeInfo(info);
+    return info;
+  }
+
+  /**
+   * @param {string} id - Blob id
+   * @returns {Promise<object|null>} The info record
+   */
+  async getInfo(id) {
+    if (this.info) {
+      return this.info.get(id) || null;
+    }
+    const transaction = (await this.getDatabase()).transaction(INFO_STORE, 'readonly');
+    return (await requestToPromise(transaction.objectStore(INFO_STORE).get(id))) || null;
+  }
+
+  /**
+   * @returns {Promise<Array<object>>} Info records of every stored blob, oldest first
+   */
+  async list() {
+    if (this.info) {
+      return [...this.info.values()];
+    }
+    const transaction = (await this.getDatabase()).transaction(INFO_STORE, 'readonly');
+    const records = await requestToPromise(transaction.objectStore(INFO_STORE).getAll());
+    return records.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Record upload progress.
+   * @param {string} id - Blob id
+   * @param {Object} changes - Fields of the info record to change
+   * @returns {Promise<object|null>} The updated info record, or null if the blob is unknown
+   */
+  async update(id, changes) {
+    const info = await this.getInfo(id);
+    if (!info) return null;
+    const updated = { ...info, ...changes, id };
+    await this.writeInfo(updated);
+    return updated;
+  }
+
+  /**
+   * Read part of a blob.
+   * @param {string} id - Blob id
+   * @param {number} [start=0]
+   * @param {number} [end] - Exclusive end offset (defaults to the end of the blob)
+   * @returns {Promise<Blob|null>}
+   */
+  async read(id, start = 0, end) {
+    const blob = await this.storage.read(id);
+    if (!blob) return null;
+    return blob.slice(start, end === undefined ? blob.size : end);
+  }
+
+  /**
+   * Remove a blob and its upload state.
+   * @param {string} id - Blob id
+   * @returns {Promise<boolean>} True if the blob existed
+   */
+  async delete(id) {
+    const existed = Boolean(await this.getInfo(id));
+    await this.storage.remove(id);
+    if (this.info) {
+      this.info.delete(id);
+    } else {
+      const transaction = (await this.getDatabase()).transaction(INFO_STORE, 'readwrite');
+      transaction.objectStore(INFO_STORE).delete(id);
+      await transactionDone(transaction);
+    }
+    return existed;
+  }
+
+  /**
+   * @private
+   */
+  async writeInfo(info) {
+    if (this.info) {
+      this.info.set(info.id, info);
+      return;
+    }
+    const transaction = (await this.getDatabase()).transaction(INFO_STORE, 'readwrite');
+    transaction.objectStore(INFO_STORE).put(info);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Open the database on first use, so engines that never upload don't.
+   * @private
+   */
+  async getDatabase() {
+    if (!this.opening) {
+      this.opening = openDatabase(this.dbName).then(db => {
+        this.db = db;
+        return db;
+      });
+    }
+    return this.opening;
+  }
+}
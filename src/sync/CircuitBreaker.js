@@ -0,0 +1,128 @@
+// src/sync/CircuitBreaker.js
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * @class CircuitBreaker
+ * Per-endpoint circuit breaker. After `failureThreshold` consecutive
+ * failures an endpoint's circuit opens and no requests are sent to it for
+ * `resetTimeout` (or longer if the server sent Retry-After). Then a single
+ * probe request is let through: if it succeeds the circuit closes, otherwise
+ * it opens again.
+ *
+ * Only failures that say the endpoint is unavailable (network errors,
+ * timeouts, 5xx, 429) should be recorded as failures; any other response
+ * shows the endpoint is up.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open a circuit.
+   * @param {number} [options.resetTimeout=30000] - Milliseconds a circuit stays open.
+   * @param {function} [options.now=Date.now] - Clock, for tests.
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout !== undefined ? options.resetTimeout : 30000;
+    this.now = options.now || Date.now;
+    this.circuits = new Map();
+  }
+
+  /**
+   * @private
+   */
+  getCircuit(endpoint) {
+    if (!this.circuits.has(endpoint)) {
+      this.circuits.set(endpoint, {
+        state: CIRCUIT_STATES.CLOSED,
+        failures: 0,
+        openUntil: null,
+        probing: false,
+        trips: 0,
+        rejected: 0
+      });
+    }
+    return this.circuits.get(endpoint);
+  }
+
+  /**
+   * Ask whether a request may be sent to an endpoint now. Once an open
+   * circuit's timeout passed, the first caller gets the probe.
+   * @param {string} endpoint
+   * @returns {boolean}
+   */
+  canRequest(endpoint) {
+    const circuit = this.getCircuit(endpoint);
+    if (circuit.state === CIRCUIT_STATES.OPEN && this.now() >= circuit.openUntil) {
+      circuit.state = CIRCUIT_STATES.HALF_OPEN;
+      circuit.probing = false;
+    }
+    if (circuit.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN && !circuit.probing) {
+      circuit.probing = true;
+      return true;
+    }
+    circuit.rejected += 1;
+    return false;
+  }
+
+  /**
+   * Record that the endpoint answered.
+   * @param {string} endpoint
+   */
+  recordSuccess(endpoint) {
+    const circuit = this.getCircuit(endpoint);
+    circuit.state = CIRCUIT_STATES.CLOSED;
+    circuit.failures = 0;
+    circuit.openUntil = null;
+    circuit.probing = false;
+  }
+
+  /**
+   * Record that the endpoint was unavailable.
+   * @param {string} endpoint
+   * @param {Object} [details]
+   * @param {number} [details.retryAfter] - Milliseconds the server asked us to wait
+   */
+  recordFailure(endpoint, details = {}) {
+    const circuit = this.getCircuit(endpoint);
+    circuit.failures += 1;
+    circuit.probing = false;
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN || circuit.failures >= this.failureThreshold) {
+      circuit.state = CIRCUIT_STATES.OPEN;
+      circuit.openUntil = this.now() + Math.max(this.resetTimeout, details.retryAfter || 0);
+      circuit.trips += 1;
+    }
+  }
+
+  /**
+   * @param {string} endpoint
+   * @returns {number} Milliseconds until the endpoint accepts a request again (0 if it does now)
+   */
+  retryIn(endpoint) {
+    const circuit = this.circuits.get(endpoint);
+    if (!circuit || circuit.state !== CIRCUIT_STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(0, circuit.openUntil - this.now());
+  }
+
+  /**
+   * @returns {Object<string, { state: string, failures: number, openUntil: number|null, trips: number,
+   * rejected: number }>} Circuits keyed by endpoint
+   */
+  getStats() {
+    const stats = {};
+    this.circuits.forEach(({ state, failures, openUntil, trips, rejected }, endpoint) => {
+      stats[endpoint] = { state, failures, openUntil, trips, rejected };
+    });
+    return stats;
+  }
+}
@@ -0,0 +1,76 @@
+// src/sync/ConflictStore.js
+
+import { PersistentStore } from '../data/PersistentStore.js';
+
+const PENDING_CONFLICTS_KEY = 'aether-pending-conflicts';
+
+/**
+ * @class ConflictStore
+ * Persistent collection of conflicts that need a manual decision.
+ * Each entry keeps the local mutation, the base record, the server state
+ * and the field-level collisions so the UI can present them later.
+ */
+export class ConflictStore {
+  /**
+   * @param {string} [key='aether-pending-conflicts'] - Storage key
+   * @param {Object} [options] - PersistentStore options, e.g. `encryption`
+   */
+  constructor(key = PENDING_CONFLICTS_KEY, options = {}) {
+    this.store = new PersistentStore(key, [], options);
+  }
+
+  /**
+   * @returns {Promise<Array>} All pending conflicts, oldest first
+   */
+  async list() {
+    return (await this.store.whenReady()) || [];
+  }
+
+  /**
+   * @param {string} id - Conflict id
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    const entries = await this.list();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Record a new pending conflict.
+   * @param {object} entry - Conflict details
+   * @returns {Promise<object>} The stored entry including its id
+   */
+  async add(entry) {
+    const stored = {
+      id: `conflict_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      createdAt: Date.now(),
+      ...entry
+    };
+    await this.store.whenReady();
+    this.store.update(entries => [...(entries || []), stored]);
+    return stored;
+  }
+
+  /**
+   * Remove a conflict.
+   * @param {string} id - Conflict id
+   * @returns {Promise<boolean>} True if the conflict existed
+   */
+  async remove(id) {
+    const entries = await this.list();
+    if (!entries.some(entry => entry.id === id)) {
+      return false;
+    }
+    this.store.update(current => (current || []).filter(entry => entry.id !== id));
+    return true;
+  }
+
+  /**
+   * Subscribe to changes of the pending conflict list.
+   * @param {function} callback
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(callback) {
+    return this.store.subscribe(callback);
+  }
+}
@@ -0,0 +1,77 @@
+// src/sync/DeadLetterStore.js
+
+import { PersistentStore } from '../data/PersistentStore.js';
+
+const DEAD_LETTERS_KEY = 'aether-dead-letters';
+
+/**
+ * @class DeadLetterStore
+ * Persistent collection of mutations the SyncEngine gave up on, either
+ * because they exhausted their retries or because the server rejected them.
+ * Each entry keeps the mutation as it was last queued, every error it hit
+ * and when each attempt was made, so nothing the user edited is lost.
+ */
+export class DeadLetterStore {
+  /**
+   * @param {string} [key='aether-dead-letters'] - Storage key
+   * @param {Object} [options] - PersistentStore options, e.g. `encryption`
+   */
+  constructor(key = DEAD_LETTERS_KEY, options = {}) {
+    this.store = new PersistentStore(key, [], options);
+  }
+
+  /**
+   * @returns {Promise<Array>} All dead letters, oldest first
+   */
+  async list() {
+    return (await this.store.whenReady()) || [];
+  }
+
+  /**
+   * @param {string} id - Dead letter id
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    const entries = await this.list();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Record a failed mutation.
+   * @param {object} entry - `{ mutation, errors, attempts, reason }`
+   * @returns {Promise<object>} The stored entry including its id
+   */
+  async add(entry) {
+    const stored = {
+      id: `dead_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      failedAt: Date.now(),
+      ...entry
+    };
+    await this.store.whenReady();
+    this.store.update(entries => [...(entries || []), stored]);
+    return stored;
+  }
+
+  /**
+   * Remove a dead letter.
+   * @param {string} id - Dead letter id
+   * @returns {Promise<boolean>} True if the entry existed
+   */
+  async remove(id) {
+    const entries = await this.list();
+    if (!entries.some(entry => entry.id === id)) {
+      return false;
+    }
+    this.store.update(current => (current || []).filter(entry => entry.id !== id));
+    return true;
+  }
+
+  /**
+   * Subscribe to changes of the dead letter list.
+   * @param {function} callback
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(callback) {
+    return this.store.subscribe(callback);
+  }
+}
@@ -0,0 +1,754 @@
+// src/sync/HttpTransport.js
+
+import { extractRevision, toIfMatch } from './revisions.js';
+import { extractClock, HLC_HEADER } from './HybridLogicalClock.js';
+import { normalizeChangesPage } from './changes.js';
+
+/**
+ * Error classifications returned by sync transports.
+ * - RETRYABLE: transient failure (network, timeout, 408/429/5xx), safe to retry later
+ * - FATAL: the server rejected the mutation (4xx), retrying will not help
+ * - CONFLICT: the server state diverged from the mutation's base (409/412)
+ * - AUTH: the credentials were missing or expired (401); retry after refreshing them
+ */
+export const SYNC_ERROR_KINDS = {
+  RETRYABLE: 'retryable',
+  FATAL: 'fatal',
+  CONFLICT: 'conflict',
+  AUTH: 'auth'
+};
+
+/**
+ * Header carrying a mutation's idempotency key, so the server can recognise
+ * a retry of a request it already applied.
+ */
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const RETRYABLE_STATUSES = [408, 425, 429];
+const CONFLICT_STATUSES = [409, 412];
+
+/**
+ * Classify an HTTP status code into one of the SYNC_ERROR_KINDS.
+ * @param {number} status - HTTP status code
+ * @returns {string} Error kind
+ */
+export function classifyStatus(status) {
+  if (status === 401) {
+    return SYNC_ERROR_KINDS.AUTH;
+  }
+  if (CONFLICT_STATUSES.includes(status)) {
+    return SYNC_ERROR_KINDS.CONFLICT;
+  }
+  if (RETRYABLE_STATUSES.includes(status) || status >= 500) {
+    return SYNC_ERROR_KINDS.RETRYABLE;
+  }
+  return SYNC_ERROR_KINDS.FATAL;
+}
+
+/**
+ * @class SyncError
+ * Error raised by a transport when a mutation could not be delivered.
+ * Carries the classification the SyncEngine uses to decide whether to
+ * retry, drop or resolve the mutation.
+ */
+export class SyncError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {string} [details.kind] - One of SYNC_ERROR_KINDS (defaults to RETRYABLE)
+   * @param {number} [details.status] - HTTP status code, if any
+   * @param {Object} [details.headers] - Response headers (lower-cased keys)
+   * @param {any} [details.body] - Parsed response body
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SyncError';
+    this.kind = details.kind || SYNC_ERROR_KINDS.RETRYABLE;
+    this.status = details.status || null;
+    this.headers = details.headers || {};
+    this.body = details.body !== undefined ? details.body : null;
+    this.cause = details.cause || null;
+  }
+
+  get isRetryable() {
+    return this.kind === SYNC_ERROR_KINDS.RETRYABLE;
+  }
+
+  get isFatal() {
+    return this.kind === SYNC_ERROR_KINDS.FATAL;
+  }
+
+  get isConflict() {
+    return this.kind === SYNC_ERROR_KINDS.CONFLICT;
+  }
+
+  get isAuth() {
+    return this.kind === SYNC_ERROR_KINDS.AUTH;
+  }
+}
+
+/**
+ * Returns the error kind for any error thrown while syncing.
+ * Errors that were not classified by a transport (network failures,
+ * custom syncMutation overrides) are treated as retryable.
+ * @param {Error} error
+ * @returns {string} Error kind
+ */
+export function getErrorKind(error) {
+  return (error && error.kind) || SYNC_ERROR_KINDS.RETRYABLE;
+}
+
+const defaultSerialize = (mutation) => JSON.stringify(mutation.payload !== undefined ? mutation.payload : null);
+
+/**
+ * Default route used when no route matches a mutation: POST the whole
+ * mutation envelope to the endpoint root.
+ */
+const DEFAULT_ROUTE = {
+  method: 'POST',
+  path: '',
+  serialize: (mutation) => JSON.stringify({
+    id: mutation.id,
+    type: mutation.type,
+    entity: mutation.entity,
+    payload: mutation.payload,
+    timestamp: mutation.timestamp,
+    hlc: mutation.hlc
+  })
+};
+
+/**
+ * Normalise a fetch Headers object (or plain object) into a plain object
+ * with lower-cased keys.
+ * @private
+ */
+function normalizeHeaders(headers) {
+  const result = {};
+  if (!headers) return result;
+
+  if (typeof headers.forEach === 'function') {
+    headers.forEach((value, key) => {
+      result[String(key).toLowerCase()] = value;
+    });
+    return result;
+  }
+
+  Object.keys(headers).forEach(key => {
+    result[key.toLowerCase()] = headers[key];
+  });
+  return result;
+}
+
+/**
+ * Replace `:param` placeholders in a route path.
+ * @private
+ */
+function fillPath(path, params) {
+  return path.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (match, name) => {
+    if (params[name] === undefined || params[name] === null) {
+      throw new SyncError(`Missing route parameter "${name}" for path ${path}`, {
+        kind: SYNC_ERROR_KINDS.FATAL
+      });
+    }
+    return encodeURIComponent(params[name]);
+  });
+}
+
+/**
+ * Values available to `:param` placeholders: the payload fields plus `id`
+ * from `mutation.entityId`.
+ * @private
+ */
+function routeParams(mutation) {
+  const payload = mutation.payload && typeof mutation.payload === 'object' ? mutation.payload : {};
+  return {
+    ...payload,
+    ...(mutation.entityId !== undefined ? { id: mutation.entityId } : {})
+  };
+}
+
+/**
+ * @class HttpTransport
+ * Fetch-based transport that maps mutations to REST routes.
+ *
+ * Routes are looked up by mutation `type` first, then by `entity`. A route
+ * is either an object `{ method, path, headers, serialize, statePath }` or a
+ * function `(mutation) => route`. Paths may contain `:param` placeholders which
+ * are filled from `mutation.entityId` (as `:id`) and the mutation payload.
+ *
+ * A mutation's `baseRevision` is sent as `If-Match` (ETags and version
+ * numbers) or as a JSON `X-Base-Revision` header (vector clocks), so the
+ * server can answer 409/412 when the record changed underneath it. Its
+ * `idempotencyKey` is sent as `Idempotency-Key`. With a `getToken` option
+ * every request carries `Authorization: Bearer <token>`, read right before
+ * it is sent so a refreshed token is picked up.
+ *
+ * @example
+ * const transport = new HttpTransport({
+ *   endpoint: 'https://api.example.com',
+ *   headers: { Authorization: 'Bearer ...' },
+ *   routes: {
+ *     ADD_TODO: { method: 'POST', path: '/todos' },
+ *     UPDATE_TODO: { method: 'PATCH', path: '/todos/:id' },
+ *     DELETE_TODO: { method: 'DELETE', path: '/todos/:id' }
+ *   }
+ * });
+ */
+export class HttpTransport {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.endpoint=''] - Base URL prepended to every route path.
+   * @param {Object} [options.routes={}] - Route map keyed by mutation type or entity.
+   * @param {Object|function} [options.headers={}] - Default headers, or a function returning them.
+   * @param {function} [options.serialize] - Default body serializer `(mutation) => string`.
+   * @param {number} [options.timeout=30000] - Request timeout in milliseconds.
+   * @param {function} [options.fetch] - fetch implementation (defaults to global fetch).
+   * @param {string} [options.changesPath='/:collection/changes'] - Path of the changes feed read by
+   * changesSince(); `:collection` is replaced with the collection name.
+   * @param {string} [options.batchPath='/batch'] - Path of the batch endpoint used by sendBatch().
+   * @param {string} [options.uploadPath='/uploads'] - Path of the resumable upload endpoint used by
+   * startUpload(), getUploadOffset() and uploadChunk().
+   * @param {function} [options.getToken] - `() => token` (or a promise of it) sent as a bearer
+   * token. Nothing is added while it returns null.
+   */
+  constructor(options = {}) {
+    this.endpoint = (options.endpoint || '').replace(/\/$/, '');
+    this.routes = options.routes || {};
+    this.changesPath = options.changesPath || '/:collection/changes';
+    this.batchPath = options.batchPath || '/batch';
+    this.uploadPath = (options.uploadPath || '/uploads').replace(/\/$/, '');
+    this.headers = options.headers || {};
+    this.serialize = options.serialize || defaultSerialize;
+    this.timeout = options.timeout || 30000;
+    this.fetchImpl = options.fetch || null;
+    this.getToken = options.getToken || null;
+  }
+
+  /**
+   * Register or replace the route for a mutation type or entity.
+   * @param {string} key - Mutation type or entity name
+   * @param {Object|function} route - Route definition
+   */
+  setRoute(key, route) {
+    this.routes[key] = route;
+  }
+
+  /**
+   * Set the function providing the bearer token for requests.
+   * @param {function|null} getToken - `() => token`, may return a promise
+   */
+  setTokenProvider(getToken) {
+    this.getToken = getToken;
+  }
+
+  /**
+   * Find the route definition for a mutation.
+   * @private
+   */
+  findRoute(mutation) {
+    let route = this.routes[mutation.type] ||
+      (mutation.entity ? this.routes[mutation.entity] : null);
+
+    if (typeof route === 'function') {
+      route = route(mutation);
+    }
+
+    if (!route) {
+      return DEFAULT_ROUTE;
+    }
+
+    return route;
+  }
+
+  /**
+   * The endpoint a mutation is sent to, as its unfilled path, so mutations
+   * for different records of one route share a key.
+   * @param {object} mutation
+   * @returns {string}
+   */
+  endpointFor(mutation) {
+    return this.endpoint + (this.findRoute(mutation).path || '') || '/';
+  }
+
+  /**
+   * Build the request for a mutation without sending it.
+   * @param {object} mutation - The mutation to map
+   * @returns {{ method: string, url: string, headers: Object, body: string|undefined }}
+   */
+  buildRequest(mutation) {
+    const route = this.findRoute(mutation);
+    const method = (route.method || 'POST').toUpperCase();
+    const params = routeParams(mutation);
+
+    const baseHeaders = typeof this.headers === 'function' ? this.headers(mutation) : this.headers;
+    const headers = {
+      'Content-Type': 'application/json',
+      ...baseHeaders,
+      ...(route.headers || {})
+    };
+
+    if (mutation.baseRevision !== undefined && mutation.baseRevision !== null) {
+      const ifMatch = toIfMatch(mutation.baseRevision);
+      if (ifMatch) {
+        headers['If-Match'] = ifMatch;
+      } else {
+        headers['X-Base-Revision'] = JSON.stringify(mutation.baseRevision);
+      }
+    }
+
+    if (mutation.hlc) {
+      headers[HLC_HEADER] = mutation.hlc;
+    }
+
+    if (mutation.idempotencyKey) {
+      headers[IDEMPOTENCY_HEADER] = mutation.idempotencyKey;
+    }
+
+    let body;
+    if (method !== 'GET' && method !== 'HEAD') {
+      const serialize = route.serialize || this.serialize;
+      body = serialize(mutation);
+    }
+
+    if (body === undefined) {
+      delete headers['Content-Type'];
+    }
+
+    return {
+      method,
+      url: this.endpoint + fillPath(route.path || '', params),
+      headers,
+      body
+    };
+  }
+
+  /**
+   * Send a mutation to the server.
+   * @param {object} mutation - The mutation to send
+   * @returns {Promise<{ status: number, headers: Object, data: any }>}
+   * @throws {SyncError} When the request fails or the response is not 2xx
+   */
+  async send(mutation) {
+    const request = this.buildRequest(mutation);
+    const { response, data } = await this.dispatch(request, mutation);
+    const headers = normalizeHeaders(response.headers);
+
+    if (!response.ok) {
+      throw new SyncError(`Sync request failed with status ${response.status}`, {
+        kind: classifyStatus(response.status),
+        status: response.status,
+        headers,
+        body: data
+      });
+    }
+
+    return { status: response.status, headers, data };
+  }
+
+  /**
+   * Send several mutations in one request to the batch endpoint.
+   *
+   * Request: `POST {batchPath}` with `{ mutations: [{ id, type, entity, entityId, payload,
+   * baseRevision, timestamp, hlc, idempotencyKey, headers? }] }`. The request carries only the
+   * headers shared by the whole batch: a `headers` function is called without a mutation for it,
+   * and what it returns for each mutation is sent as that item's `headers`.
+   * Response (200 or 207): `{ results: [{ id, status, headers?, body? }] }`, one entry per
+   * mutation, each shaped like the response the mutation would have received on its own.
+   * Mutations missing from the results are reported as retryable failures.
+   *
+   * @param {Array<object>} mutations - The mutations to send
+   * @returns {Promise<{ status: number, headers: Object, results: Array<{ id: string, status: number,
+   * headers: Object, data: any, error: SyncError|null }> }>}
+   * @throws {SyncError} When the batch request itself fails
+   */
+  async sendBatch(mutations) {
+    const headersFor = typeof this.headers === 'function' ? this.headers : null;
+    const baseHeaders = headersFor ? headersFor() : this.headers;
+    const request = {
+      method: 'POST',
+      url: this.endpoint + this.batchPath,
+      headers: { 'Content-Type': 'application/json', ...baseHeaders },
+      body: JSON.stringify({
+        mutations: mutations.map(mutation => ({
+          id: mutation.id,
+          type: mutation.type,
+          entity: mutation.entity,
+          entityId: mutation.entityId,
+          payload: mutation.payload,
+          baseRevision: mutation.baseRevision,
+          timestamp: mutation.timestamp,
+          hlc: mutation.hlc,
+          idempotencyKey: mutation.idempotencyKey,
+          headers: headersFor ? headersFor(mutation) : undefined
+        }))
+      })
+    };
+
+    const { response, data } = await this.dispatch(request, mutations);
+    const headers = normalizeHeaders(response.headers);
+
+    if (!response.ok) {
+      throw new SyncError(`Batch request failed with status ${response.status}`, {
+        kind: classifyStatus(response.status),
+        status: response.status,
+        headers,
+        body: data
+      });
+    }
+
+    const items = Array.isArray(data) ? data : ((data && data.results) || []);
+    const byId = new Map(items.filter(item => item && item.id !== undefined).map(item => [item.id, item]));
+
+    const results = mutations.map(mutation => {
+      const item = byId.get(mutation.id);
+      if (!item) {
+        return {
+          id: mutation.id,
+          status: null,
+          headers: {},
+          data: null,
+          error: new SyncError('Batch response has no result for the mutation', { kind: SYNC_ERROR_KINDS.RETRYABLE })
+        };
+      }
+
+      const status = item.status || 200;
+      const itemHeaders = normalizeHeaders(item.headers);
+      const body = item.body !== undefined ? item.body : null;
+      const ok = status >= 200 && status < 300;
+      return {
+        id: mutation.id,
+        status,
+        headers: itemHeaders,
+        data: body,
+        error: ok ? null : new SyncError(`Batch item failed with status ${status}`, {
+          kind: classifyStatus(status),
+          status,
+          headers: itemHeaders,
+          body
+        })
+      };
+    });
+
+    return { status: response.status, headers, results };
+  }
+
+  /**
+   * Fetch the current server state of the record a mutation targets, for
+   * conflict detection before sending. Only routes that declare a
+   * `statePath` are checked; other mutations resolve to null.
+   * @param {object} mutation
+   * @returns {Promise<{ data: any, revision: any, clock: string|undefined }|null>}
+   */
+  async fetchState(mutation) {
+    const route = this.findRoute(mutation);
+    if (!route.statePath) {
+      return null;
+    }
+
+    const params = routeParams(mutation);
+    const baseHeaders = typeof this.headers === 'function' ? this.headers(mutation) : this.headers;
+    const { response, data } = await this.dispatch({
+      method: 'GET',
+      url: this.endpoint + fillPath(route.statePath, params),
+      headers: { ...baseHeaders }
+    }, mutation);
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    const headers = normalizeHeaders(response.headers);
+
+    if (!response.ok) {
+      throw new SyncError(`State request failed with status ${response.status}`, {
+        kind: classifyStatus(response.status),
+        status: response.status,
+        headers,
+        body: data
+      });
+    }
+
+    return { data, revision: extractRevision(headers, data), clock: extractClock(headers, data) };
+  }
+
+  /**
+   * Fetch the changes made to a collection since a cursor. The cursor is sent
+   * as the `cursor` query parameter (omitted on the first pull) and the
+   * response body is expected to be `{ changes, cursor, hasMore }`.
+   * @param {string} collection - Collection name
+   * @param {any} cursor - Cursor returned by the previous page, or null
+   * @param {Object} [options]
+   * @param {string} [options.path] - Path overriding `changesPath` for this collection
+   * @returns {Promise<{ changes: Array, cursor: any, hasMore: boolean, clock: string|undefined }>}
+   * @throws {SyncError} When the request fails or the response is not 2xx
+   */
+  async changesSince(collection, cursor, options = {}) {
+    const path = fillPath(options.path || this.changesPath, { collection });
+    const query = cursor !== undefined && cursor !== null ? `?cursor=${encodeURIComponent(cursor)}` : '';
+    const baseHeaders = typeof this.headers === 'function' ? this.headers({ entity: collection }) : this.headers;
+    const { response, data } = await this.dispatch({
+      method: 'GET',
+      url: `${this.endpoint}${path}${query}`,
+      headers: { ...baseHeaders }
+    });
+
+    const headers = normalizeHeaders(response.headers);
+
+    if (!response.ok) {
+      throw new SyncError(`Changes request failed with status ${response.status}`, {
+        kind: classifyStatus(response.status),
+        status: response.status,
+        headers,
+        body: data
+      });
+    }
+
+    const page = normalizeChangesPage(data, cursor);
+    const clock = extractClock(headers, data);
+    return clock !== undefined ? { ...page, clock } : page;
+  }
+
+  /**
+   * Start a resumable upload.
+   *
+   * Request: `POST {uploadPath}` with `{ blobId, name, type, size }` and the upload mutation's
+   * idempotency key, so a retried start gets the same upload back.
+   * Response: `{ uploadId, offset? }`; `offset` is the number of bytes the server already has.
+   *
+   * @param {{ id: string, name: string, type: string, size: number }} blob - Blob info
+   * @param {object} [mutation] - The upload mutation
+   * @returns {Promise<{ uploadId: string, offset: number }>}
+   * @throws {SyncError} When the request fails or the response is not 2xx
+   */
+  async startUpload(blob, mutation = {}) {
+    const baseHeaders = typeof this.headers === 'function' ? this.headers(mutation) : this.headers;
+    const headers = { 'Content-Type': 'application/json', ...baseHeaders };
+    if (mutation.idempotencyKey) {
+      headers[IDEMPOTENCY_HEADER] = mutation.idempotencyKey;
+    }
+
+    const { data } = await this.requestJson({
+      method: 'POST',
+      url: this.endpoint + this.uploadPath,
+      headers,
+      body: JSON.stringify({ blobId: blob.id, name: blob.name, type: blob.type, size: blob.size })
+    }, mutation, 'Upload start');
+
+    if (!data || data.uploadId === undefined || data.uploadId === null) {
+      throw new SyncError('Upload start response has no uploadId', { kind: SYNC_ERROR_KINDS.FATAL, body: data });
+    }
+    return { uploadId: String(data.uploadId), offset: Number(data.offset) || 0 };
+  }
+
+  /**
+   * Ask how many bytes of an upload the server has, to resume it.
+   *
+   * Request: `GET {uploadPath}/{uploadId}`. Response: `{ offset }`.
+   *
+   * @param {string} uploadId
+   * @param {object} [mutation] - The upload mutation
+   * @returns {Promise<number|null>} The offset, or null if the server no longer knows the upload (404, 410)
+   * @throws {SyncError} When the request fails or the response is another non-2xx status
+   */
+  async getUploadOffset(uploadId, mutation = {}) {
+    const baseHeaders = typeof this.headers === 'function' ? this.headers(mutation) : this.headers;
+    try {
+      const { data } = await this.requestJson({
+        method: 'GET',
+        url: `${this.endpoint}${this.uploadPath}/${encodeURIComponent(uploadId)}`,
+        headers: { ...baseHeaders }
+      }, mutation, 'Upload status');
+      return Number(data && data.offset) || 0;
+    } catch (error) {
+      if (error.status === 404 || error.status === 410) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send one chunk of an upload.
+   *
+   * Request: `PUT {uploadPath}/{uploadId}` with the bytes as the body and
+   * `Content-Range: bytes {start}-{end}/{size}` (an empty blob is sent as one empty chunk with the
+   * unsatisfied-range form for size 0).
+   * Response: `{ offset }` while bytes are missing; the response to the last
+   * chunk describes the stored blob, e.g. `{ id, url }`.
+   *
+   * @param {string} uploadId
+   * @param {Blob} chunk - The bytes to send
+   * @param {{ offset: number, size: number, type?: string }} range - Where the chunk starts and the blob's size
+   * @param {object} [mutation] - The upload mutation
+   * @returns {Promise<{ status: number, headers: Object, data: any }>}
+   * @throws {SyncError} When the request fails or the response is not 2xx
+   */
+  async uploadChunk(uploadId, chunk, { offset, size, type }, mutation = {}) {
+    const baseHeaders = typeof this.headers === 'function' ? this.headers(mutation) : this.headers;
+    const contentRange = size === 0 ? 'bytes */0' : `bytes ${offset}-${offset + chunk.size - 1}/${size}`;
+
+    return this.requestJson({
+      method: 'PUT',
+      url: `${this.endpoint}${this.uploadPath}/${encodeURIComponent(uploadId)}`,
+      headers: {
+        'Content-Type': type || 'application/octet-stream',
+        ...baseHeaders,
+        'Content-Range': contentRange
+      },
+      body: chunk
+    }, mutation, 'Upload chunk');
+  }
+
+  /**
+   * Send a request and parse its response, rejecting non-2xx statuses.
+   * @private
+   */
+  async requestJson(request, mutation, label) {
+    const { response, data } = await this.dispatch(request, mutation);
+    const headers = normalizeHeaders(response.headers);
+
+    if (!response.ok) {
+      throw new SyncError(`${label} request failed with status ${response.status}`, {
+        kind: classifyStatus(response.status),
+        status: response.status,
+        headers,
+        body: data
+      });
+    }
+
+    return { status: response.status, headers, data };
+  }
+
+  /**
+   * Add the current bearer token to a request and perform it.
+   * @returns {Promise<{ response: Object, data: any }>} The response and its parsed body
+   * @private
+   */
+  async dispatch(request, mutation) {
+    const token = this.getToken ? await this.getToken() : null;
+    if (token) {
+      request = { ...request, headers: { ...request.headers, Authorization: `Bearer ${token}` } };
+    }
+    return this.request(request, mutation);
+  }
+
+  /**
+   * Perform the raw HTTP request and read its body, both within the timeout.
+   * @private
+   */
+  async request({ method, url, headers, body }, mutation) {
+    const fetchImpl = this.fetchImpl || (typeof fetch !== 'undefined' ? fetch : null);
+    if (!fetchImpl) {
+      throw new SyncError('No fetch implementation available', { kind: SYNC_ERROR_KINDS.FATAL });
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+    try {
+      const response = await fetchImpl(url, {
+        method,
+        headers,
+        body,
+        signal: controller ? controller.signal : undefined
+      });
+      // The timer keeps running while the body streams in, so a server that stalls mid-body
+      // times out too. parseBody() swallows the abort, so it is rethrown here.
+      const data = await this.parseBody(response);
+      if (controller && controller.signal.aborted) {
+        throw Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+      }
+      return { response, data };
+    } catch (error) {
+      const timedOut = error && error.name === 'AbortError';
+      throw new SyncError(timedOut ? `Sync request timed out after ${this.timeout}ms` : error.message, {
+        kind: SYNC_ERROR_KINDS.RETRYABLE,
+        cause: error
+      });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Parse a response body as JSON where possible.
+   * @private
+   */
+  async parseBody(response) {
+    if (!response || response.status === 204) {
+      return null;
+    }
+
+    try {
+      if (typeof response.json === 'function') {
+        return await response.json();
+      }
+      if (typeof response.text === 'function') {
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+      }
+    } catch (error) {
+      // Non-JSON bodies are not an error for the transport
+    }
+    return null;
+  }
+}
+
+/**
+ * @class FakeTransport
+ * In-memory transport for tests. Routes are resolved exactly like
+ * HttpTransport, but requests are answered by a responder function instead
+ * of the network. Every request is recorded in `requests`.
+ *
+ * @example
+ * const transport = new FakeTransport({
+ *   respond: (request) => request.method === 'DELETE' ? { status: 404 } : { status: 201, body: { ok: true } }
+ * });
+ * const engine = new SyncEngine({ transport });
+ */
+export class FakeTransport extends HttpTransport {
+  /**
+   * @param {Object} [options] - HttpTransport options plus:
+   * @param {function} [options.respond] - `(request, mutation) => ({ status, headers, body })`,
+   * may return a promise or throw to simulate a network failure.
+   */
+  constructor(options = {}) {
+    super(options);
+    this.respond = options.respond || (() => ({ status: 200, body: null }));
+    this.requests = [];
+  }
+
+  /**
+   * Answer a request through the responder instead of the network.
+   * @private
+   */
+  async request(request, mutation) {
+    this.requests.push(request);
+
+    let reply;
+    try {
+      reply = (await this.respond(request, mutation)) || {};
+    } catch (error) {
+      throw new SyncError(error.message, { kind: SYNC_ERROR_KINDS.RETRYABLE, cause: error });
+    }
+
+    const status = reply.status || 200;
+    const response = {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: reply.headers || {},
+      json: async () => (reply.body !== undefined ? reply.body : null)
+    };
+    return { response, data: await this.parseBody(response) };
+  }
+}
+
+/**
+ * Create the default fetch-based transport.
+ * @param {Object} [options] - HttpTransport options
+ * @returns {HttpTransport}
+ */
+export function createFetchTransport(options = {}) {
+  return new HttpTransport(options);
+}
@@ -0,0 +1,282 @@
+// src/sync/HybridLogicalClock.js
+
+import { PersistentStore } from '../data/PersistentStore.js';
+
+const HLC_STATE_KEY = 'aether-hlc';
+const DEFAULT_PERSIST_INTERVAL = 1000;
+
+/**
+ * Header carrying HLC timestamps on requests and responses.
+ */
+export const HLC_HEADER = 'X-HLC';
+
+const WALL_DIGITS = 15;
+const LOGICAL_DIGITS = 5;
+
+/**
+ * Encode an HLC timestamp as a string. The wall time and counter are
+ * zero-padded so encoded timestamps also sort correctly as plain strings.
+ * @param {{ wall: number, logical: number, node: string }} timestamp
+ * @returns {string} e.g. `001700000000000:00002:device-a`
+ */
+export function encodeHLC({ wall, logical, node }) {
+  return `${String(wall).padStart(WALL_DIGITS, '0')}:${String(logical).padStart(LOGICAL_DIGITS, '0')}:${node}`;
+}
+
+/**
+ * Decode a timestamp produced by encodeHLC().
+ * @param {string|Object} value - Encoded timestamp (decoded objects are returned as-is)
+ * @returns {{ wall: number, logical: number, node: string }|null} Null if the value is not an HLC timestamp
+ */
+export function parseHLC(value) {
+  if (value && typeof value === 'object') {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = /^(\d+):(\d+):(.*)$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  return { wall: Number(match[1]), logical: Number(match[2]), node: match[3] };
+}
+
+/**
+ * Order two HLC timestamps by wall time, then counter, then node id.
+ * Missing or unparsable timestamps sort before any valid one.
+ * @param {string|Object} a
+ * @param {string|Object} b
+ * @returns {number} Negative, zero or positive like Array#sort comparators
+ */
+export function compareHLC(a, b) {
+  const left = parseHLC(a);
+  const right = parseHLC(b);
+  if (!left || !right) {
+    return (left ? 1 : 0) - (right ? 1 : 0);
+  }
+
+  if (left.wall !== right.wall) return left.wall - right.wall;
+  if (left.logical !== right.logical) return left.logical - right.logical;
+  if (left.node === right.node) return 0;
+  return left.node < right.node ? -1 : 1;
+}
+
+/**
+ * Read an HLC timestamp from a server response: the `X-HLC` header wins,
+ * otherwise an `hlc` field in the response body.
+ * @param {Object} headers - Response headers with lower-cased keys
+ * @param {any} body - Parsed response body
+ * @returns {string|undefined}
+ */
+export function extractClock(headers = {}, body = null) {
+  const header = headers ? headers[HLC_HEADER.toLowerCase()] : undefined;
+  if (header !== undefined) {
+    return header;
+  }
+  if (body && typeof body === 'object' && body.hlc !== undefined) {
+    return body.hlc;
+  }
+  return undefined;
+}
+
+/**
+ * @class HybridLogicalClock
+ * Hybrid logical clock: timestamps follow physical time when it moves
+ * forward, and fall back to a logical counter when the wall clock stalls,
+ * jumps backwards or lags behind timestamps received from other devices.
+ * Every timestamp issued is greater than every timestamp issued or observed
+ * before it, so causally related writes are ordered correctly even on
+ * devices whose clocks are minutes off.
+ *
+ * The clock state is persisted so ordering survives reloads, at most once
+ * per `persistInterval`. Remote timestamps more than `maxDrift` ahead of the
+ * wall clock are rejected, so one bogus timestamp cannot pin the clock in
+ * the future. Timestamps are encoded strings (see encodeHLC()), and the
+ * clock implements the `now()`/`observe()`/`compare()`/`toId()` interface
+ * expected by the CRDTs.
+ *
+ * @example
+ * const clock = new HybridLogicalClock({ nodeId: 'tablet-7' });
+ * const ts = clock.now();
+ * clock.observe(response.headers['x-hlc']);
+ */
+export class HybridLogicalClock {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.nodeId] - Stable id of this device. Generated and persisted when omitted.
+   * @param {function} [options.physicalTime=Date.now] - Wall clock source in milliseconds.
+   * @param {boolean} [options.persist=true] - Persist the clock state across reloads.
+   * @param {string} [options.storageKey='aether-hlc'] - Persistence key.
+   * @param {number} [options.persistInterval=1000] - Minimum time between saves, in milliseconds.
+   * The latest state is saved at the end of the interval, or by flush().
+   * @param {number} [options.maxDrift=Infinity] - How far ahead of the wall clock, in milliseconds,
+   * an observed timestamp may be. Timestamps further ahead are not merged.
+   */
+  constructor(options = {}) {
+    this.physicalTime = options.physicalTime || (() => Date.now());
+    this.nodeId = options.nodeId || `node_${Math.random().toString(36).substr(2, 9)}`;
+    this.hasExplicitNodeId = Boolean(options.nodeId);
+    this.wall = 0;
+    this.logical = 0;
+    this.store = null;
+    this._loaded = false;
+    this._unsaved = false;
+    this.maxDrift = options.maxDrift !== undefined ? options.maxDrift : Infinity;
+    this.persistInterval = options.persistInterval !== undefined ? options.persistInterval : DEFAULT_PERSIST_INTERVAL;
+    this._savedAt = -Infinity;
+    this._saveTimer = null;
+
+    if (options.persist !== false) {
+      this.store = new PersistentStore(options.storageKey || HLC_STATE_KEY, null);
+      this._loadPersisted();
+    }
+  }
+
+  /**
+   * Fold the persisted state into the clock once it has loaded.
+   * @private
+   */
+  _loadPersisted() {
+    this.store.whenReady().then(saved => {
+      this._loaded = true;
+      if (saved) {
+        if (!this.hasExplicitNodeId && saved.nodeId) {
+          this.nodeId = saved.nodeId;
+        }
+        this._advanceTo(saved.wall || 0, saved.logical || 0);
+      }
+      if (saved || this._unsaved) {
+        this._persist();
+      }
+    });
+  }
+
+  /**
+   * Keep the larger of the current and the given clock values.
+   * @private
+   */
+  _advanceTo(wall, logical) {
+    if (wall > this.wall || (wall === this.wall && logical > this.logical)) {
+      this.wall = wall;
+      this.logical = logical;
+    }
+  }
+
+  /**
+   * Save the clock state, or schedule the save if the last one was less than
+   * `persistInterval` ago. Skipped while the saved state is still loading, so
+   * timestamps issued in the meantime do not replace its nodeId.
+   * @private
+   */
+  _persist() {
+    if (!this.store) {
+      return;
+    }
+    this._unsaved = true;
+    if (!this._loaded || this._saveTimer) {
+      return;
+    }
+
+    // A wall clock that went back since the last save does not hold the next one off
+    const wait = this._savedAt + this.persistInterval - this.physicalTime();
+    if (wait > 0 && wait <= this.persistInterval) {
+      this._saveTimer = setTimeout(() => {
+        this._saveTimer = null;
+        this._save();
+      }, wait);
+    } else {
+      this._save();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    this._unsaved = false;
+    this._savedAt = this.physicalTime();
+    this.store.set({ nodeId: this.nodeId, wall: this.wall, logical: this.logical });
+  }
+
+  /**
+   * Save a state whose save is still scheduled, and wait until it is written.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+      this._save();
+    }
+    return this.store ? this.store.flush() : Promise.resolve();
+  }
+
+  /**
+   * Issue a timestamp for a local event.
+   * @returns {string} Encoded timestamp
+   */
+  now() {
+    const physical = this.physicalTime();
+    if (physical > this.wall) {
+      this.wall = physical;
+      this.logical = 0;
+    } else {
+      this.logical += 1;
+    }
+    this._persist();
+    return encodeHLC({ wall: this.wall, logical: this.logical, node: this.nodeId });
+  }
+
+  /**
+   * Merge a timestamp received from the server or another device, so the
+   * next local timestamp is ordered after it.
+   * @param {string|Object} remote - Encoded or decoded timestamp; invalid values and
+   * values more than `maxDrift` ahead of the wall clock are ignored
+   * @returns {boolean} True if the timestamp was valid and merged
+   */
+  observe(remote) {
+    const parsed = parseHLC(remote);
+    if (!parsed || !Number.isFinite(parsed.wall) || !Number.isFinite(parsed.logical)) {
+      return false;
+    }
+
+    const physical = this.physicalTime();
+    if (parsed.wall - physical > this.maxDrift) {
+      return false;
+    }
+    const wall = Math.max(this.wall, parsed.wall, physical);
+
+    if (wall === this.wall && wall === parsed.wall) {
+      this.logical = Math.max(this.logical, parsed.logical) + 1;
+    } else if (wall === this.wall) {
+      this.logical += 1;
+    } else if (wall === parsed.wall) {
+      this.logical = parsed.logical + 1;
+    } else {
+      this.logical = 0;
+    }
+    this.wall = wall;
+
+    this._persist();
+    return true;
+  }
+
+  /**
+   * @param {string|Object} a
+   * @param {string|Object} b
+   * @returns {number} Negative, zero or positive like Array#sort comparators
+   */
+  compare(a, b) {
+    return compareHLC(a, b);
+  }
+
+  /**
+   * @param {string} timestamp
+   * @returns {string} Unique string id for a timestamp
+   */
+  toId(timestamp) {
+    return typeof timestamp === 'string' ? timestamp : encodeHLC(timestamp);
+  }
+}
@@ -0,0 +1,609 @@
+// src/sync/MutationQueueStore.js
+
+import { AetherStore } from '../data/AetherStore.js';
+import { PersistentStore } from '../data/PersistentStore.js';
+import { isSealed } from '../data/CryptoVault.js';
+import { STORAGE_KINDS, getDefaultStorage, resolveStorage } from '../data/storage.js';
+
+const DB_NAME = 'aether-mutation-queue';
+const DB_VERSION = 1;
+const STORE_NAME = 'mutations';
+
+// Where the queue lived when it was a single array
+const LEGACY_QUEUE_KEY = 'aether-mutation-queue';
+
+const DEFAULT_PRIORITY = 'normal';
+
+// Wait before reading the queue again after a failed read, doubled per attempt up to the max
+const LOAD_RETRY_DELAY = 1000;
+const MAX_LOAD_RETRY_DELAY = 30000;
+
+/**
+ * @private
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * @private
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * @private
+ */
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'seq' });
+      store.createIndex('status', ['status', 'seq']);
+      store.createIndex('priority', ['priority', 'seq']);
+      store.createIndex('status_priority', ['status', 'priority', 'seq']);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @class MutationQueueStore
+ * The SyncEngine's mutation queue, stored in IndexedDB with one record per
+ * mutation. In memory the queue is an array like any AetherStore state, so
+ * `get()`/`set()` work as before; `set()` works out which mutations were
+ * added, changed or removed and writes only those, batched into one
+ * transaction. Unchanged mutations are recognised by identity, so callers
+ * must replace a mutation object rather than modify it in place.
+ *
+ * Records are `{ seq, id, status, priority, mutation }`, keyed by queue
+ * position (`seq`) so a synced run of mutations is removed with one
+ * key-range delete, and indexed by status and priority for query() and
+ * count().
+ *
+ * On first load a queue saved by earlier versions as a single array under
+ * the `aether-mutation-queue` key is imported and the old key cleared.
+ *
+ * Given a storage adapter (see storage.js), or when the default storage is
+ * not IndexedDB (for example a file storage in Node), the records are kept
+ * as one array under `storageKey` in that adapter instead. Every write then
+ * stores the whole array, and query() and count() read the queue in memory.
+ *
+ * With a CryptoVault as `encryption`, records keep `seq`, `id`, `status`
+ * and `priority` in the clear for the indexes and store the mutation sealed
+ * (bound to its id) as `sealed`. The queue loads once the vault is
+ * unlocked; locking writes pending changes and empties the queue in memory.
+ *
+ * If the stored queue cannot be read, the store stays loading (`ready`
+ * pending, `loadError` set) and retries the read with backoff. Nothing is
+ * written until a read succeeds, so stored mutations are never overwritten.
+ */
+export class MutationQueueStore extends AetherStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName='aether-mutation-queue'] - IndexedDB database name
+   * @param {object|string} [options.storage] - Storage adapter, or the kind of a built-in one, to keep
+   * the records in instead of IndexedDB. Defaults to getDefaultStorage() unless that is IndexedDB.
+   * @param {string} [options.storageKey] - Key of the records in the adapter. Defaults to `${dbName}:records`.
+   * @param {string|false} [options.legacyKey='aether-mutation-queue'] - PersistentStore key to
+   * migrate from, or false to skip the migration
+   * @param {CryptoVault} [options.encryption] - Vault to seal stored mutations with
+   * @param {number} [options.loadRetryDelay=1000] - Wait before the first retry of a failed read, in milliseconds
+   */
+  constructor(options = {}) {
+    super([]);
+    this.dbName = options.dbName || DB_NAME;
+    if (options.storage) {
+      this.storage = resolveStorage(options.storage);
+    } else {
+      const storage = getDefaultStorage();
+      this.storage = storage.kind === STORAGE_KINDS.INDEXEDDB ? null : storage;
+    }
+    this.storageKey = options.storageKey || `${this.dbName}:records`;
+    // Records kept in the storage adapter, by seq
+    this.storedRecords = new Map();
+    this.legacyKey = options.legacyKey !== undefined ? options.legacyKey : LEGACY_QUEUE_KEY;
+    this.encryption = options.encryption || null;
+    if (this.encryption) {
+      this.encryption.register(this);
+    }
+
+    // Queue position of every stored mutation, so writes never renumber the queue
+    this.seqById = new Map();
+    this.maxSeq = 0;
+    // Stored records that could not be opened; left as they are
+    this.unopenedSeqs = new Set();
+
+    this.pendingPuts = new Map();
+    // [lowSeq, highSeq] ranges of stored records to delete
+    this.pendingDeletes = [];
+    this.flushing = null;
+    this.loadRetryDelay = options.loadRetryDelay !== undefined ? options.loadRetryDelay : LOAD_RETRY_DELAY;
+    // Last read error while the queue is retrying its load; null once it loads
+    this.loadError = null;
+
+    this.db = null;
+    this.ready = this.load();
+  }
+
+  /**
+   * Replace the queue and persist the difference.
+   * @override
+   * @param {Array<object>} newQueue
+   */
+  set(newQueue) {
+    const previous = this._state || [];
+    const next = newQueue || [];
+    super.set(next);
+    if (next !== previous) {
+      this.recordChanges(previous, next);
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Wait until every change made so far is written.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.ready;
+    while (this.flushing) {
+      await this.flushing;
+    }
+  }
+
+  /**
+   * Re-read the queue from storage, picking up writes made by another tab.
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    await this.flush();
+    this.ready = this.load({ merge: false });
+    await this.ready;
+  }
+
+  /**
+   * Mutations matching a status and/or priority, in queue order, read
+   * through an index cursor.
+   * @param {Object} [query]
+   * @param {string} [query.status] - e.g. 'pending'
+   * @param {string|number} [query.priority] - e.g. 'high'
+   * @param {number} [query.limit] - Maximum number of mutations
+   * @returns {Promise<Array<object>>}
+   */
+  async query(query = {}) {
+    await this.flush();
+    const limit = query.limit !== undefined ? query.limit : Infinity;
+
+    if (!this.db) {
+      return this._state.filter(mutation => this.matches(mutation, query)).slice(0, limit);
+    }
+
+    const transaction = this.db.transaction(STORE_NAME, 'readonly');
+    const { source, range } = this.indexFor(transaction.objectStore(STORE_NAME), query);
+    const results = [];
+
+    await new Promise((resolve, reject) => {
+      const request = source.openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || results.length >= limit) {
+          resolve();
+          return;
+        }
+        results.push(cursor.value.mutation);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return results;
+  }
+
+  /**
+   * Number of queued mutations matching a status and/or priority.
+   * @param {Object} [query] - `{ status, priority }`
+   * @returns {Promise<number>}
+   */
+  async count(query = {}) {
+    await this.flush();
+    if (!this.db) {
+      return this._state.filter(mutation => this.matches(mutation, query)).length;
+    }
+
+    const transaction = this.db.transaction(STORE_NAME, 'readonly');
+    const { source, range } = this.indexFor(transaction.objectStore(STORE_NAME), query);
+    return requestToPromise(source.count(range));
+  }
+
+  /**
+   * @private
+   */
+  matches(mutation, { status, priority }) {
+    return (status === undefined || (mutation.status || 'pending') === status) &&
+      (priority === undefined || (mutation.priority || DEFAULT_PRIORITY) === priority);
+  }
+
+  /**
+   * Index and key range for a query; every index ends with `seq` so results stay in queue order.
+   * @private
+   */
+  indexFor(store, { status, priority }) {
+    if (status !== undefined && priority !== undefined) {
+      return {
+        source: store.index('status_priority'),
+        range: IDBKeyRange.bound([status, priority, -Infinity], [status, priority, Infinity])
+      };
+    }
+    if (status !== undefined) {
+      return { source: store.index('status'), range: IDBKeyRange.bound([status, -Infinity], [status, Infinity]) };
+    }
+    if (priority !== undefined) {
+      return { source: store.index('priority'), range: IDBKeyRange.bound([priority, -Infinity], [priority, Infinity]) };
+    }
+    return { source: store, range: undefined };
+  }
+
+  /**
+   * Work out the writes that turn `previous` into `next`. Mutations keep
+   * their `seq`; new or moved ones get one between their neighbours, so
+   * removing or appending mutations never rewrites the rest of the queue.
+   * Removed (and moved) records are deleted as runs of consecutive seqs.
+   * @private
+   */
+  recordChanges(previous, next) {
+    // Skip the unchanged head of the queue
+    let start = 0;
+    while (start < previous.length && start < next.length && previous[start] === next[start]) {
+      start++;
+    }
+    if (start === previous.length && start === next.length) {
+      return;
+    }
+
+    const previousById = new Map();
+    const previousSeqs = [];
+    for (let i = start; i < previous.length; i++) {
+      previousById.set(previous[i].id, previous[i]);
+      previousSeqs.push(this.seqById.get(previous[i].id));
+    }
+
+    const nextIds = new Set();
+    let lastSeq = start > 0 ? this.seqById.get(next[start - 1].id) : -Infinity;
+    let upper = null;
+    let upperIndex = -1;
+
+    for (let i = start; i < next.length; i++) {
+      const mutation = next[i];
+      nextIds.add(mutation.id);
+      const seq = this.seqById.get(mutation.id);
+
+      if (seq !== undefined && seq > lastSeq && previousById.has(mutation.id)) {
+        if (previousById.get(mutation.id) !== mutation) {
+          this.queuePut(mutation, seq);
+        }
+        lastSeq = seq;
+        continue;
+      }
+
+      // New or moved: place it before the next mutation that keeps its position
+      if (i >= upperIndex) {
+        upper = Infinity;
+        upperIndex = next.length;
+        for (let j = i + 1; j < next.length; j++) {
+          const candidate = this.seqById.get(next[j].id);
+          if (candidate !== undefined && candidate > lastSeq && previousById.has(next[j].id)) {
+            upper = candidate;
+            upperIndex = j;
+            break;
+          }
+        }
+      }
+
+      let assigned;
+      if (upper === Infinity) {
+        assigned = Math.max(lastSeq, this.maxSeq) + 1;
+      } else {
+        assigned = lastSeq === -Infinity ? upper - 1 : (lastSeq + upper) / 2;
+        while (this.unopenedSeqs.has(assigned)) {
+          assigned = (assigned + upper) / 2;
+        }
+      }
+      this.queuePut(mutation, assigned);
+      lastSeq = assigned;
+    }
+
+    // Previous records that are gone or moved, grouped into runs; deletes are
+    // written before puts, so records moved into a run survive
+    let run = null;
+    for (let i = start; i < previous.length; i++) {
+      const { id } = previous[i];
+      const seq = previousSeqs[i - start];
+      const removed = !nextIds.has(id);
+      if (removed) {
+        this.seqById.delete(id);
+        this.pendingPuts.delete(id);
+      }
+      if (removed || this.seqById.get(id) !== seq) {
+        if (run && !this.spansUnopened(run[0], seq)) {
+          run[1] = seq;
+        } else {
+          run = [seq, seq];
+          this.pendingDeletes.push(run);
+        }
+      } else {
+        run = null;
+      }
+    }
+  }
+
+  /**
+   * True if a record that could not be opened is stored between two seqs.
+   * @private
+   */
+  spansUnopened(low, high) {
+    for (const seq of this.unopenedSeqs) {
+      if (seq > low && seq < high) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  queuePut(mutation, seq) {
+    this.seqById.set(mutation.id, seq);
+    this.maxSeq = Math.max(this.maxSeq, seq);
+    this.pendingPuts.set(mutation.id, mutation);
+  }
+
+  /**
+   * @private
+   */
+  toRecord(mutation) {
+    return {
+      seq: this.seqById.get(mutation.id),
+      id: mutation.id,
+      status: mutation.status || 'pending',
+      priority: mutation.priority || DEFAULT_PRIORITY,
+      mutation
+    };
+  }
+
+  /**
+   * Replace the plaintext mutation of a record with its sealed form.
+   * @private
+   */
+  async sealRecord({ mutation, ...record }) {
+    return { ...record, sealed: await this.encryption.encrypt(mutation, record.id) };
+  }
+
+  /**
+   * @private
+   */
+  async openRecord(record) {
+    return isSealed(record.sealed) ? this.encryption.decrypt(record.sealed, record.id) : record.mutation;
+  }
+
+  /**
+   * Drop the plaintext when the vault locks; the queue loads again on the
+   * next unlock, keeping mutations added in between.
+   * @private
+   */
+  handleVaultLock() {
+    this.seqById = new Map();
+    this.maxSeq = 0;
+    this._state = [];
+    this._notify();
+    this.ready = this.load();
+  }
+
+  /**
+   * Store every mutation again, sealed with the vault's new data key.
+   * @private
+   */
+  async reencrypt() {
+    await this.flush();
+    this._state.forEach(mutation => this.pendingPuts.set(mutation.id, mutation));
+    this.scheduleFlush();
+    await this.flush();
+  }
+
+  /**
+   * Delete every stored mutation when the vault is wiped.
+   * @private
+   */
+  async wipe() {
+    // A locked queue has not loaded, so there is nothing of ours to wait for
+    if (this.encryption.isUnlocked()) {
+      await this.flush();
+    }
+    this.pendingPuts.clear();
+    this.pendingDeletes = [];
+    this.seqById = new Map();
+    this.maxSeq = 0;
+    this.unopenedSeqs = new Set();
+    this._state = [];
+    this._notify();
+
+    if (this.storage) {
+      this.storedRecords = new Map();
+      await this.storage.remove(this.storageKey);
+    } else if (typeof indexedDB !== 'undefined') {
+      this.db = this.db || await openDatabase(this.dbName);
+      const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+      transaction.objectStore(STORE_NAME).clear();
+      await transactionDone(transaction);
+    }
+  }
+
+  /**
+   * Write pending changes, one transaction at a time; changes made while a
+   * transaction runs go into the next one.
+   * @private
+   */
+  scheduleFlush() {
+    if (this.flushing) {
+      return;
+    }
+    this.flushing = (async () => {
+      await this.ready;
+      while (this.pendingPuts.size > 0 || this.pendingDeletes.length > 0) {
+        let puts = [...this.pendingPuts.values()].map(mutation => this.toRecord(mutation));
+        const deletes = this.pendingDeletes;
+        this.pendingPuts.clear();
+        this.pendingDeletes = [];
+        if (!this.db && !this.storage) continue;
+
+        try {
+          if (this.encryption) {
+            puts = await Promise.all(puts.map(record => this.sealRecord(record)));
+          }
+          await this.writeRecords(deletes, puts);
+        } catch (error) {
+          console.warn('MutationQueueStore: Failed to save queue changes:', error && error.message);
+        }
+      }
+    })().finally(() => {
+      this.flushing = null;
+    });
+  }
+
+  /**
+   * Every stored record, in seq order.
+   * @private
+   */
+  async readRecords() {
+    if (this.storage) {
+      const records = (await this.storage.get(this.storageKey)) || [];
+      this.storedRecords = new Map(records.map(record => [record.seq, record]));
+      return records;
+    }
+    if (typeof indexedDB === 'undefined') {
+      return [];
+    }
+    this.db = this.db || await openDatabase(this.dbName);
+    const transaction = this.db.transaction(STORE_NAME, 'readonly');
+    return requestToPromise(transaction.objectStore(STORE_NAME).getAll());
+  }
+
+  /**
+   * Delete the `[low, high]` seq ranges, then put the records, in one write.
+   * @private
+   */
+  async writeRecords(deletes, puts) {
+    if (this.storage) {
+      [...this.storedRecords.keys()]
+        .filter(seq => deletes.some(([low, high]) => seq >= low && seq <= high))
+        .forEach(seq => this.storedRecords.delete(seq));
+      puts.forEach(record => this.storedRecords.set(record.seq, record));
+      await this.storage.set(this.storageKey, [...this.storedRecords.values()].sort((a, b) => a.seq - b.seq));
+      return;
+    }
+    const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    deletes.forEach(([low, high]) => store.delete(IDBKeyRange.bound(low, high)));
+    puts.forEach(record => store.put(record));
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Read the stored queue. Mutations set before the first load finished are
+   * kept after the stored ones.
+   * @private
+   */
+  async load({ merge = true } = {}) {
+    if (this.encryption) {
+      await this.encryption.whenUnlocked();
+    }
+
+    const stored = await this.readUntilLoaded();
+    let records = stored;
+    let mutations;
+    if (this.encryption) {
+      const opened = await Promise.all(records.map(record => this.openRecord(record).catch(error => {
+        console.warn(`MutationQueueStore: Failed to open mutation ${record.id}:`, error && error.message);
+        return null;
+      })));
+      records = records.filter((record, index) => opened[index] !== null);
+      mutations = opened.filter(mutation => mutation !== null);
+    } else {
+      mutations = records.map(record => record.mutation);
+    }
+
+    const storedIds = new Set(records.map(record => record.id));
+    const unsaved = merge ? this._state.filter(mutation => !storedIds.has(mutation.id)) : [];
+    this.seqById = new Map(records.map(record => [record.id, record.seq]));
+    // Records that did not open keep their seqs, so new ones never overwrite them
+    this.unopenedSeqs = new Set(stored.filter(record => !storedIds.has(record.id)).map(record => record.seq));
+    this.maxSeq = stored.reduce((max, record) => Math.max(max, record.seq), 0);
+    unsaved.forEach(mutation => this.queuePut(mutation, this.maxSeq + 1));
+    // Stored before encryption was turned on: write them sealed
+    if (this.encryption && records.some(record => !record.sealed)) {
+      records.forEach((record, index) => {
+        if (!record.sealed) {
+          this.queuePut(mutations[index], record.seq);
+        }
+      });
+      this.scheduleFlush();
+    }
+
+    this._state = [...mutations, ...unsaved];
+    this._notify();
+  }
+
+  /**
+   * Read the stored records, retrying with backoff until a read succeeds.
+   * The seq tracking is only rebuilt from a successful read, so a failed
+   * one never lets new mutations reuse the seqs of stored ones.
+   * @private
+   */
+  async readUntilLoaded() {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        let records = await this.readRecords();
+        if (records.length === 0 && this.legacyKey && (this.db || this.storage)) {
+          records = await this.migrateLegacyQueue();
+        }
+        this.loadError = null;
+        return records;
+      } catch (error) {
+        this.loadError = error;
+        const delay = Math.min(this.loadRetryDelay * 2 ** attempt, MAX_LOAD_RETRY_DELAY);
+        console.warn(`MutationQueueStore: Failed to load queue, retrying in ${delay}ms:`, error && error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Import a queue saved as one array by earlier versions.
+   * @private
+   */
+  async migrateLegacyQueue() {
+    const legacy = new PersistentStore(this.legacyKey, null);
+    await legacy.reload();
+    const saved = legacy.get();
+    if (!Array.isArray(saved) || saved.length === 0) {
+      return [];
+    }
+
+    const records = saved.map((mutation, index) => ({
+      seq: index + 1,
+      id: mutation.id,
+      status: mutation.status || 'pending',
+      priority: mutation.priority || DEFAULT_PRIORITY,
+      mutation
+    }));
+
+    await this.writeRecords([], records);
+
+    legacy.set(null);
+    return records;
+  }
+}
@@ -0,0 +1,152 @@
+// src/sync/OptimisticUpdates.js
+
+/**
+ * Default merge of canonical server data: the record the mutation targets is
+ * found in the store state (an array of records, or a single record) by its
+ * id and updated with the server fields.
+ * @private
+ */
+function mergeServerRecord(state, data, mutation) {
+  const recordId = mutation.entityId !== undefined
+    ? mutation.entityId
+    : (mutation.payload && typeof mutation.payload === 'object' ? mutation.payload.id : undefined);
+
+  if (recordId === undefined || !data || typeof data !== 'object' || Array.isArray(data)) {
+    return state;
+  }
+
+  if (Array.isArray(state)) {
+    return state.map(item => (item && item.id === recordId ? { ...item, ...data } : item));
+  }
+
+  if (state && typeof state === 'object' && state.id === recordId) {
+    return { ...state, ...data };
+  }
+
+  return state;
+}
+
+/**
+ * @class OptimisticUpdates
+ * Tracks optimistic changes made to AetherStores on behalf of queued
+ * mutations. The change is applied as soon as the mutation is queued, merged
+ * with the canonical server data once the mutation syncs, and reverted if the
+ * mutation never makes it to the server.
+ *
+ * Handlers live in memory only; after a reload the store keeps whatever state
+ * it persisted, and the mutation syncs without optimistic bookkeeping.
+ */
+export class OptimisticUpdates {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Apply an optimistic change for a mutation.
+   * @param {object} mutation - The queued mutation (must have an id)
+   * @param {Object} handlers
+   * @param {AetherStore} handlers.store - Store the change is applied to
+   * @param {function} handlers.apply - `(state, mutation) => newState`
+   * @param {function} [handlers.revert] - `(state, mutation) => newState`. Without it the
+   * state from before the change is restored.
+   * @param {function} [handlers.merge] - `(state, serverData, mutation) => newState` for the
+   * canonical data returned by the server. Defaults to updating the record with the same id.
+   */
+  apply(mutation, handlers) {
+    const { store, apply } = handlers;
+    if (!store || typeof store.update !== 'function' || typeof apply !== 'function') {
+      throw new Error('Optimistic updates need a store and an apply(state, mutation) function');
+    }
+
+    const snapshot = store.get();
+    store.update(state => apply(state, mutation));
+    this.entries.set(mutation.id, {
+      mutation,
+      store,
+      revert: handlers.revert,
+      merge: handlers.merge || mergeServerRecord,
+      snapshot
+    });
+  }
+
+  /**
+   * @param {string} mutationId
+   * @returns {boolean} True if the mutation has an outstanding optimistic change
+   */
+  has(mutationId) {
+    return this.entries.has(mutationId);
+  }
+
+  /**
+   * Ids whose optimistic changes ride on a mutation: its own and those folded into it by compaction.
+   * @private
+   */
+  idsFor(mutation) {
+    return [mutation.id, ...(mutation.coalescedIds || [])].filter(id => this.entries.has(id));
+  }
+
+  /**
+   * The mutation was acknowledged: merge the server data and forget the change.
+   * @param {object} mutation
+   * @param {any} data - Canonical data returned by the server, if any
+   * @returns {boolean} True if there was an optimistic change to commit
+   */
+  commit(mutation, data) {
+    const ids = this.idsFor(mutation);
+    if (ids.length === 0) {
+      return false;
+    }
+
+    const entry = this.entries.get(ids[0]);
+    if (data !== undefined && data !== null && typeof data === 'object') {
+      entry.store.update(state => entry.merge(state, data, entry.mutation));
+    }
+
+    ids.forEach(id => this.entries.delete(id));
+    return true;
+  }
+
+  /**
+   * The mutation will not reach the server: undo its change, and those of
+   * any mutations folded into it, newest first.
+   * @param {object} mutation
+   * @returns {boolean} True if a change was reverted
+   */
+  rollback(mutation) {
+    const ids = this.idsFor(mutation);
+
+    ids.reverse().forEach(id => {
+      const entry = this.entries.get(id);
+      this.entries.delete(id);
+      try {
+        entry.store.update(state =>
+          (typeof entry.revert === 'function' ? entry.revert(state, entry.mutation) : entry.snapshot)
+        );
+      } catch (error) {
+        console.error('Failed to revert optimistic update:', error);
+      }
+    });
+
+    return ids.length > 0;
+  }
+
+  /**
+   * Forget changes whose mutations left the queue without being sent (for
+   * example a create and a delete that compaction cancelled out). Their net
+   * effect on the store is already right, so nothing is reverted.
+   * @param {Array<object>} queue - The current queue
+   */
+  prune(queue) {
+    if (this.entries.size === 0) return;
+
+    const queued = new Set();
+    queue.forEach(mutation => {
+      queued.add(mutation.id);
+      (mutation.coalescedIds || []).forEach(id => queued.add(id));
+    });
+
+    [...this.entries.keys()].forEach(id => {
+      if (!queued.has(id)) this.entries.delete(id);
+    });
+  }
+}
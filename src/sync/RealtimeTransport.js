@@ -0,0 +1,381 @@
+// src/sync/RealtimeTransport.js
+
+/**
+ * Connection states reported by realtime transports.
+ */
+export const REALTIME_STATUS = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+// Control messages handled by the transport itself
+const HEARTBEAT_TYPES = ['ping', 'pong', 'heartbeat'];
+
+/**
+ * @class RealtimeTransport
+ * Base class for live server push channels. Handles the connection
+ * lifecycle shared by every channel:
+ * - reconnecting with exponential backoff and jitter after the connection drops
+ * - a heartbeat that tears down connections that went silent
+ * - resuming from the last cursors: every (re)connect URL carries the
+ *   cursors returned by `getCursors()` as a JSON `cursors` query parameter
+ *
+ * Subclasses implement `openConnection(url)`, `closeConnection()` and
+ * `sendHeartbeat()`. Messages are JSON objects; `{ type: 'changes', collection,
+ * changes, cursor }` is applied by the SyncEngine like a pulled page.
+ */
+export class RealtimeTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Channel URL
+   * @param {number} [options.initialDelay=1000] - First reconnect delay in milliseconds
+   * @param {number} [options.maxDelay=30000] - Upper bound on reconnect delays
+   * @param {number} [options.backoffFactor=2] - Delay multiplier per failed attempt
+   * @param {number} [options.jitter=0.2] - Random spread applied to delays (0.2 = ±20%)
+   * @param {number} [options.maxAttempts=Infinity] - Reconnect attempts before giving up
+   * @param {number} [options.heartbeatInterval=25000] - How often the connection is checked
+   * @param {number} [options.heartbeatTimeout=10000] - Silence beyond one interval after which
+   * the connection is considered dead
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('Realtime transport needs a url');
+    }
+    this.url = options.url;
+    this.initialDelay = options.initialDelay !== undefined ? options.initialDelay : 1000;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000;
+    this.backoffFactor = options.backoffFactor || 2;
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.2;
+    this.maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : Infinity;
+    this.heartbeatInterval = options.heartbeatInterval || 25000;
+    this.heartbeatTimeout = options.heartbeatTimeout || 10000;
+
+    this.status = REALTIME_STATUS.CLOSED;
+    this.handlers = null;
+    this.attempts = 0;
+    this.shouldReconnect = false;
+    this.lastMessageAt = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Open the channel.
+   * @param {Object} handlers
+   * @param {function} handlers.onMessage - Called with every parsed message
+   * @param {function} [handlers.onStatus] - `(status, info)` on connection state changes
+   * @param {function} [handlers.getCursors] - Returns `{ [collection]: cursor }` to resume from
+   */
+  connect(handlers) {
+    this.handlers = handlers;
+    this.shouldReconnect = true;
+    this.attempts = 0;
+    this.open();
+  }
+
+  /**
+   * Close the channel and stop reconnecting.
+   */
+  disconnect() {
+    this.shouldReconnect = false;
+    this.clearTimers();
+    this.closeConnection();
+    this.setStatus(REALTIME_STATUS.CLOSED);
+  }
+
+  /**
+   * @private
+   */
+  open() {
+    this.setStatus(this.attempts > 0 ? REALTIME_STATUS.RECONNECTING : REALTIME_STATUS.CONNECTING, { attempt: this.attempts });
+    try {
+      this.openConnection(this.buildUrl());
+    } catch (error) {
+      this.handleClose(error.message);
+    }
+  }
+
+  /**
+   * The channel URL with the cursors to resume from.
+   * @returns {string}
+   */
+  buildUrl() {
+    const cursors = this.handlers && typeof this.handlers.getCursors === 'function'
+      ? this.handlers.getCursors()
+      : null;
+    if (!cursors || Object.keys(cursors).length === 0) {
+      return this.url;
+    }
+    const separator = this.url.includes('?') ? '&' : '?';
+    return `${this.url}${separator}cursors=${encodeURIComponent(JSON.stringify(cursors))}`;
+  }
+
+  /**
+   * Reconnect delay for an attempt: exponential backoff capped at maxDelay, with jitter.
+   * @param {number} attempt - 1 for the first reconnect
+   * @returns {number} Delay in milliseconds
+   */
+  getReconnectDelay(attempt) {
+    const base = Math.min(this.maxDelay, this.initialDelay * Math.pow(this.backoffFactor, attempt - 1));
+    const spread = this.jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(base * (1 + spread)));
+  }
+
+  /**
+   * Called by subclasses once the connection is established.
+   * @protected
+   */
+  handleOpen() {
+    this.attempts = 0;
+    this.lastMessageAt = Date.now();
+    this.setStatus(REALTIME_STATUS.OPEN);
+    this.startHeartbeat();
+  }
+
+  /**
+   * Called by subclasses with every raw message.
+   * @protected
+   */
+  handleMessage(raw) {
+    this.lastMessageAt = Date.now();
+
+    let message = raw;
+    if (typeof raw === 'string') {
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        console.warn('Ignoring malformed realtime message:', raw);
+        return;
+      }
+    }
+
+    if (!message || typeof message !== 'object' || HEARTBEAT_TYPES.includes(message.type)) {
+      return;
+    }
+    if (this.handlers && typeof this.handlers.onMessage === 'function') {
+      this.handlers.onMessage(message);
+    }
+  }
+
+  /**
+   * Called by subclasses when the connection closed or failed.
+   * @protected
+   */
+  handleClose(reason) {
+    this.stopHeartbeat();
+    if (!this.shouldReconnect || this.reconnectTimer) {
+      return;
+    }
+
+    this.attempts += 1;
+    if (this.attempts > this.maxAttempts) {
+      this.shouldReconnect = false;
+      this.setStatus(REALTIME_STATUS.CLOSED, { reason, gaveUp: true });
+      return;
+    }
+
+    const delay = this.getReconnectDelay(this.attempts);
+    this.setStatus(REALTIME_STATUS.RECONNECTING, { reason, attempt: this.attempts, delay });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.shouldReconnect) {
+        this.open();
+      }
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt > this.heartbeatInterval + this.heartbeatTimeout) {
+        this.closeConnection();
+        this.handleClose('heartbeat_timeout');
+        return;
+      }
+      this.sendHeartbeat();
+    }, this.heartbeatInterval);
+  }
+
+  /**
+   * @private
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  clearTimers() {
+    this.stopHeartbeat();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  setStatus(status, info = {}) {
+    this.status = status;
+    if (this.handlers && typeof this.handlers.onStatus === 'function') {
+      this.handlers.onStatus(status, info);
+    }
+  }
+
+  /**
+   * Open the underlying connection.
+   * @abstract
+   * @param {string} url
+   */
+  openConnection(url) {
+    throw new Error('openConnection() must be implemented by realtime transports');
+  }
+
+  /**
+   * Close the underlying connection without triggering a reconnect.
+   * @abstract
+   */
+  closeConnection() {}
+
+  /**
+   * Prove the connection is alive; the server is expected to answer or keep sending.
+   * @abstract
+   */
+  sendHeartbeat() {}
+}
+
+/**
+ * @class WebSocketTransport
+ * Realtime channel over a WebSocket. Sends `{ type: 'ping' }` every
+ * heartbeat interval; the server answers with `{ type: 'pong' }` (or any
+ * other message).
+ *
+ * @example
+ * const realtime = new WebSocketTransport({ url: 'wss://api.example.com/live' });
+ * const engine = new SyncEngine({ realtime, collections: { todos: { store: todos } } });
+ * engine.connectRealtime();
+ */
+export class WebSocketTransport extends RealtimeTransport {
+  /**
+   * @param {Object} options - RealtimeTransport options plus:
+   * @param {function} [options.WebSocket] - WebSocket implementation (defaults to the global one)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.WebSocketImpl = options.WebSocket || null;
+    this.socket = null;
+  }
+
+  openConnection(url) {
+    const WebSocketImpl = this.WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    if (!WebSocketImpl) {
+      throw new Error('No WebSocket implementation available');
+    }
+
+    const socket = new WebSocketImpl(url);
+    this.socket = socket;
+    socket.onopen = () => this.handleOpen();
+    socket.onmessage = (event) => this.handleMessage(event.data);
+    socket.onclose = () => {
+      if (this.socket === socket) {
+        this.socket = null;
+        this.handleClose('closed');
+      }
+    };
+    // Errors are always followed by a close event
+    socket.onerror = () => {};
+  }
+
+  closeConnection() {
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      socket.onopen = socket.onmessage = socket.onclose = null;
+      socket.onerror = () => {};
+      try {
+        socket.close();
+      } catch (error) {
+        // Closing a socket that never opened may throw
+      }
+    }
+  }
+
+  sendHeartbeat() {
+    this.send({ type: 'ping' });
+  }
+
+  /**
+   * Send a message to the server.
+   * @param {Object} message
+   * @returns {boolean} False if the socket is not open
+   */
+  send(message) {
+    if (!this.socket || this.socket.readyState !== 1) {
+      return false;
+    }
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+}
+
+/**
+ * @class SSETransport
+ * Realtime channel over Server-Sent Events. The server is expected to send
+ * a `{ type: 'heartbeat' }` message at least once per heartbeat interval.
+ * EventSource's own reconnection is replaced by the transport's backoff so
+ * every reconnect resumes from the latest cursors.
+ */
+export class SSETransport extends RealtimeTransport {
+  /**
+   * @param {Object} options - RealtimeTransport options plus:
+   * @param {function} [options.EventSource] - EventSource implementation (defaults to the global one)
+   * @param {boolean} [options.withCredentials=false] - Send cookies with the request
+   */
+  constructor(options = {}) {
+    super(options);
+    this.EventSourceImpl = options.EventSource || null;
+    this.withCredentials = options.withCredentials === true;
+    this.source = null;
+  }
+
+  openConnection(url) {
+    const EventSourceImpl = this.EventSourceImpl || (typeof EventSource !== 'undefined' ? EventSource : null);
+    if (!EventSourceImpl) {
+      throw new Error('No EventSource implementation available');
+    }
+
+    const source = new EventSourceImpl(url, { withCredentials: this.withCredentials });
+    this.source = source;
+    source.onopen = () => this.handleOpen();
+    source.onmessage = (event) => this.handleMessage(event.data);
+    source.onerror = () => {
+      if (this.source === source) {
+        this.closeConnection();
+        this.handleClose('error');
+      }
+    };
+  }
+
+  closeConnection() {
+    const source = this.source;
+    this.source = null;
+    if (source) {
+      source.onopen = source.onmessage = source.onerror = null;
+      source.close();
+    }
+  }
+
+  sendHeartbeat() {
+    // The server drives SSE heartbeats; liveness is checked from lastMessageAt
+  }
+}
@@ -0,0 +1,143 @@
+// src/sync/RetryPolicy.js
+
+import { getErrorKind, SYNC_ERROR_KINDS } from './HttpTransport.js';
+
+/**
+ * How a backoff delay is randomised so clients that failed together do not
+ * retry together.
+ * - NONE: `base * 2^attempt`
+ * - FULL: random between 0 and `base * 2^attempt`
+ * - DECORRELATED: random between `base` and three times the previous delay
+ */
+export const JITTER = {
+  NONE: 'none',
+  FULL: 'full',
+  DECORRELATED: 'decorrelated'
+};
+
+// Statuses whose Retry-After header tells us when the server wants to hear from us again
+const RETRY_AFTER_STATUSES = [429, 503];
+
+/**
+ * Parse a Retry-After header value.
+ * @param {string|number} value - Delay in seconds or an HTTP date
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Delay in milliseconds, or null if the value is not valid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\s*\d+(\.\d+)?\s*$/.test(String(value))) {
+    return Math.round(Number(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * @class RetryPolicy
+ * Decides which failed mutations are retried, how long to wait before the
+ * next attempt and when a mutation has waited in the queue long enough.
+ *
+ * Any object with the same methods can be passed to SyncEngine as
+ * `retryPolicy` instead.
+ *
+ * @example
+ * const engine = new SyncEngine({
+ *   retryPolicy: new RetryPolicy({ jitter: JITTER.DECORRELATED, maxDelay: 60000, maxQueueAge: 24 * 60 * 60 * 1000 })
+ * });
+ */
+export class RetryPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.baseDelay] - First backoff step in milliseconds. Defaults to the
+   * engine's `retryDelay`.
+   * @param {number} [options.maxDelay=60000] - Upper bound on a computed backoff delay.
+   * @param {string} [options.jitter='full'] - One of JITTER.
+   * @param {boolean} [options.respectRetryAfter=true] - Wait as long as a 429/503 response's
+   * Retry-After header asks instead of the computed backoff.
+   * @param {number} [options.maxQueueAge=Infinity] - Milliseconds after `mutation.timestamp` from
+   * which a failed mutation is dead-lettered instead of retried.
+   * @param {function} [options.retryable] - `(error, mutation) => boolean`. Defaults to errors of
+   * kind RETRYABLE.
+   * @param {function} [options.random=Math.random] - Random source, for tests.
+   */
+  constructor(options = {}) {
+    this.baseDelay = options.baseDelay;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 60000;
+    this.jitter = options.jitter || JITTER.FULL;
+    this.respectRetryAfter = options.respectRetryAfter !== false;
+    this.maxQueueAge = options.maxQueueAge !== undefined ? options.maxQueueAge : Infinity;
+    this.retryable = options.retryable || null;
+    this.random = options.random || Math.random;
+
+    if (!Object.values(JITTER).includes(this.jitter)) {
+      throw new Error(`Unknown jitter "${this.jitter}"`);
+    }
+  }
+
+  /**
+   * @param {Error} error
+   * @param {object} [mutation]
+   * @returns {boolean} True if the mutation should be sent again
+   */
+  isRetryable(error, mutation) {
+    if (this.retryable) {
+      return Boolean(this.retryable(error, mutation));
+    }
+    return getErrorKind(error) === SYNC_ERROR_KINDS.RETRYABLE;
+  }
+
+  /**
+   * The delay a 429/503 response asked for.
+   * @param {Error} error
+   * @param {number} [now=Date.now()]
+   * @returns {number|null} Milliseconds, or null if the response did not say
+   */
+  getRetryAfter(error, now = Date.now()) {
+    if (!this.respectRetryAfter || !error || !RETRY_AFTER_STATUSES.includes(error.status)) {
+      return null;
+    }
+    return parseRetryAfter((error.headers || {})['retry-after'], now);
+  }
+
+  /**
+   * Milliseconds to wait before the next attempt.
+   * @param {number} attempt - Attempts that failed so far, minus one (0 for the first retry)
+   * @param {Object} [context]
+   * @param {Error} [context.error] - The error of the failed attempt
+   * @param {number} [context.previousDelay] - Delay before the failed attempt, for DECORRELATED
+   * @param {number} [context.baseDelay=1000] - Used when the policy has no `baseDelay` of its own
+   * @returns {number}
+   */
+  getDelay(attempt, context = {}) {
+    const retryAfter = this.getRetryAfter(context.error);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    const base = this.baseDelay !== undefined ? this.baseDelay : (context.baseDelay !== undefined ? context.baseDelay : 1000);
+    const ceiling = Math.min(this.maxDelay, base * Math.pow(2, attempt));
+
+    switch (this.jitter) {
+      case JITTER.FULL:
+        return Math.round(this.random() * ceiling);
+      case JITTER.DECORRELATED: {
+        const previous = context.previousDelay || base;
+        return Math.round(Math.min(this.maxDelay, base + this.random() * (previous * 3 - base)));
+      }
+      default:
+        return ceiling;
+    }
+  }
+
+  /**
+   * @param {object} mutation
+   * @param {number} [now=Date.now()]
+   * @returns {boolean} True if the mutation has been queued longer than `maxQueueAge`
+   */
+  isExpired(mutation, now = Date.now()) {
+    return Number.isFinite(this.maxQueueAge) && now - (mutation.timestamp || now) > this.maxQueueAge;
+  }
+}
@@ -5,8 +5,45 @@ import { PersistentStore } from '../data/PersistentStore.js';
 import { AetherStore } from '../data/AetherStore.js';
 import { CacheManager } from '../cache/CacheManager.js';
 import { CarbonAwareScheduler } from '../scheduler/CarbonAwareScheduler.js';
-
-const MUTATION_QUEUE_KEY = 'aether-mutation-queue';
+import { createFetchTransport, getErrorKind, SyncError, SYNC_ERROR_KINDS } from './HttpTransport.js';
+import { getEntityKey, compareRevisions, revisionsEqual, extractRevision } from './revisions.js';
+import { threeWayMerge, applyResolution } from './ThreeWayMerge.js';
+import { ConflictStore } from './ConflictStore.js';
+import { DeadLetterStore } from './DeadLetterStore.js';
+import { OptimisticUpdates } from './OptimisticUpdates.js';
+import { MutationQueueStore } from './MutationQueueStore.js';
+import {
+  compactQueue as applyCompactionRules,
+  appendCompacted,
+  indexCompactedQueue,
+  getCompactionKey,
+  getMutationOperation,
+  MUTATION_OPERATIONS
+} from './compaction.js';
+import {
+  buildDependencyGraph,
+  sortByDependencies,
+  findDependents,
+  replaceTempIds,
+  createTempId,
+  isTempId
+} from './dependencies.js';
+import { HybridLogicalClock, extractClock } from './HybridLogicalClock.js';
+import { CRDT_MUTATION_TYPE } from '../data/crdt/CRDTStore.js';
+import { normalizeChangesPage, isTombstone, applyChange } from './changes.js';
+import { TabCoordinator, createTabCoordinator } from './TabCoordinator.js';
+import { BlobStore } from './BlobStore.js';
+import { uploadBlob, createUploadMutation, isUploadMutation, DEFAULT_CHUNK_SIZE } from './uploads.js';
+import { defineMutationType, validateMutation, requestToRoute } from './mutationTypes.js';
+import { RetryPolicy } from './RetryPolicy.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { BACKGROUND_SYNC_MESSAGE, requestBackgroundSync } from './backgroundSync.js';
+import { runMigrations } from '../data/migrations.js';
+
+const TEMP_ID_MAPPINGS_KEY = 'aether-temp-id-mappings';
+const PULL_CURSORS_KEY = 'aether-pull-cursors';
+const TOMBSTONES_KEY = 'aether-tombstones';
+const PAUSE_STATE_KEY = 'aether-sync-paused';
 
 // Sync status constants
 export const SYNC_STATUS = {
@@ -14,7 +51,10 @@ export const SYNC_STATUS = {
   SYNCING: 'syncing',
   ERROR: 'error',
   SYNCED: 'synced',
-  OFFLINE: 'offline'
+  OFFLINE: 'offline',
+  AUTH_REQUIRED: 'auth-required',
+  PAUSED: 'paused',
+  LOCKED: 'locked'
 };
 
 // Sync event types
@@ -23,9 +63,52 @@ export const SYNC_EVENTS = {
   PROGRESS_UPDATE: 'sync-progress-update',
   MUTATION_SYNCED: 'mutation-synced',
   SYNC_ERROR: 'sync-error',
-  QUEUE_UPDATED: 'queue-updated'
+  QUEUE_UPDATED: 'queue-updated',
+  CONFLICT_DETECTED: 'conflict-detected',
+  CONFLICTS_UPDATED: 'conflicts-updated',
+  TEMP_ID_RESOLVED: 'temp-id-resolved',
+  DEAD_LETTERS_UPDATED: 'dead-letters-updated',
+  MUTATION_ROLLED_BACK: 'mutation-rolled-back',
+  CHANGES_PULLED: 'changes-pulled',
+  REALTIME_STATUS: 'realtime-status',
+  REALTIME_CHANGES: 'realtime-changes',
+  LEADERSHIP_CHANGE: 'leadership-change',
+  BACKGROUND_SYNC: 'background-sync'
 };
 
+// Upper bound on entities tracked for rebasing queued mutations onto our own writes
+const MAX_TRACKED_REVISIONS = 1000;
+
+// Upper bound on remembered temp id → server id mappings
+const MAX_TEMP_ID_MAPPINGS = 1000;
+
+// Upper bound on remembered tombstones per collection
+const MAX_TOMBSTONES = 1000;
+
+// Safety limit on changes pages fetched for one collection in a single pull
+const MAX_PULL_PAGES = 100;
+
+// Uploads at least this large wait for a low-carbon window on the carbon-aware path
+const DEFAULT_DEFER_UPLOADS_ABOVE = 5 * 1024 * 1024;
+
+// Throughput assumed when estimating how long a deferred upload takes
+const ESTIMATED_UPLOAD_BYTES_PER_MS = 128;
+
+/**
+ * The global that fires online/offline events: the window, or the scope of
+ * a dedicated or service worker.
+ * @private
+ */
+function getEventScope() {
+  if (typeof window !== 'undefined' && window && window.addEventListener) {
+    return window;
+  }
+  if (typeof WorkerGlobalScope !== 'undefined' && typeof self !== 'undefined' && self instanceof WorkerGlobalScope) {
+    return self;
+  }
+  return null;
+}
+
 /**
  * @class SyncEngine
  * Enhanced sync engine with real-time status updates, progress tracking,
@@ -35,22 +118,166 @@ export const SYNC_EVENTS = {
 export class SyncEngine {
   /**
    * @param {Object} [options]
-   * @param {'LastWriteWins'|'ServerWins'|function} [options.conflictStrategy] - Conflict resolution strategy.
+   * @param {'LastWriteWins'|'ServerWins'|'ThreeWayMerge'|function} [options.conflictStrategy] - Conflict resolution strategy.
    * @param {number} [options.retryAttempts=3] - Number of retry attempts for failed mutations.
    * @param {number} [options.retryDelay=1000] - Delay between retry attempts in milliseconds.
+   * The base of the retry policy's backoff unless the policy sets its own.
+   * @param {RetryPolicy|Object} [options.retryPolicy] - A RetryPolicy, its options, or any object with
+   * `isRetryable(error, mutation)`, `getDelay(attempt, { error, previousDelay, baseDelay })` and
+   * `isExpired(mutation)`. Defaults to full-jitter exponential backoff honouring Retry-After.
+   * @param {CircuitBreaker|Object|false} [options.circuitBreaker] - A CircuitBreaker, its options,
+   * or false to keep sending to endpoints that keep failing.
    * @param {boolean} [options.enableProgressTracking=true] - Enable detailed progress tracking.
    * @param {boolean} [options.enableAdvancedCaching=true] - Enable advanced caching strategies.
    * @param {boolean} [options.enableCarbonAware=true] - Enable carbon-aware scheduling.
+   * @param {Object} [options.transport] - Transport used to deliver mutations (any object with
+   * `send(mutation)`). Defaults to a fetch-based HttpTransport built from the options below.
+   * @param {string} [options.endpoint] - Base URL for the default transport.
+   * @param {Object} [options.routes] - Route map for the default transport, keyed by mutation type or entity.
+   * @param {Object|function} [options.headers] - Default request headers for the default transport.
+   * @param {function} [options.serialize] - Default body serializer for the default transport.
+   * @param {function} [options.extractRevision] - `(headers, body) => revision` used to read record
+   * revisions from server responses. Defaults to the ETag header, then `body.revision`.
+   * @param {HybridLogicalClock} [options.clock] - Clock used to stamp mutations. Defaults to a
+   * persisted HybridLogicalClock.
+   * @param {string} [options.nodeId] - Device id for the default clock.
+   * @param {number} [options.maxClockDrift] - How far ahead of the wall clock, in milliseconds, a
+   * server or peer timestamp may be before the default clock ignores it. Unlimited by default.
+   * @param {'enqueue'|'process'|false} [options.compaction='enqueue'] - When to compact the queue:
+   * as mutations are added, right before processQueue sends them, or never.
+   * @param {Object<string, function>} [options.coalescers] - Custom coalescers keyed by mutation type
+   * (see registerCoalescer()).
+   * @param {function} [options.isTempId] - `(value) => boolean` detecting temporary client ids.
+   * Defaults to ids created with createTempId() (`temp_` prefix).
+   * @param {function} [options.extractServerId] - `(data, mutation) => id` reading the id the
+   * server assigned to a created record. Defaults to `data.id`.
+   * @param {function} [options.changesSince] - `(collection, cursor) => Promise<{ changes, cursor, hasMore }>`
+   * used by the pull phase. Defaults to the transport's `changesSince`.
+   * @param {Object<string, Object>} [options.collections] - Collections to pull, keyed by name
+   * (see registerCollection()).
+   * @param {RealtimeTransport} [options.realtime] - Live push channel (WebSocketTransport or
+   * SSETransport) opened by connectRealtime().
+   * @param {number} [options.batchSize=0] - Send up to this many mutations per request to the
+   * transport's batch endpoint (`sendBatch`) when processing scheduled batches. 0 or 1 sends
+   * mutations one by one.
+   * @param {string} [options.batchPath] - Batch endpoint path for the default transport.
+   * @param {string} [options.uploadPath] - Upload endpoint path for the default transport.
+   * @param {boolean|Object|TabCoordinator} [options.crossTab] - Elect one tab to sync the
+   * shared queue (see TabCoordinator). Pass TabCoordinator options or an instance to configure it,
+   * or false to let every engine sync on its own. On by default in windows, off elsewhere.
+   * @param {Object} [options.uploads] - Blob uploads (see addBlob()).
+   * @param {number} [options.uploads.chunkSize=1048576] - Bytes sent per upload request.
+   * @param {'auto'|'opfs'|'indexeddb'|'memory'} [options.uploads.storage='auto'] - Where blobs wait for upload.
+   * @param {number} [options.uploads.deferAbove=5242880] - On the carbon-aware path, uploads of at least
+   * this many bytes are scheduled as deferrable tasks. Infinity sends them with the rest of the queue.
+   * @param {string} [options.uploads.deferPriority='low'] - Scheduler priority of deferred uploads; it
+   * bounds how long they may wait.
+   * @param {BlobStore} [options.blobStore] - Store for blobs waiting for upload.
+   * @param {Object<string, Object>} [options.mutationTypes] - Typed mutations keyed by type
+   * (see registerMutationType()).
+   * @param {Object} [options.auth] - Credentials for syncing.
+   * @param {function} [options.auth.getToken] - `() => token` (or a promise of it), read before every
+   * request and sent as a bearer token by transports with `setTokenProvider()`.
+   * @param {function} [options.auth.refreshToken] - `() => Promise` called once when requests are
+   * rejected with 401; they are replayed afterwards. Rejecting or resolving to false suspends
+   * syncing with SYNC_STATUS.AUTH_REQUIRED until onSignIn() is called.
+   * @param {CryptoVault} [options.encryption] - Seals the queue, dead letters and pending conflicts
+   * at rest. Nothing is synced while the vault is locked (SYNC_STATUS.LOCKED).
+   * @param {boolean} [options.backgroundSync=false] - Ask for a Background Sync when a mutation is
+   * queued offline, so the service worker sends it even if the page is closed by then. Turn it on
+   * once the app's service worker calls registerBackgroundSync(); nothing handles the sync before.
    */
   constructor(options = {}) {
-    this.queue = new PersistentStore(MUTATION_QUEUE_KEY, []);
+    // Queue, dead letters and pending conflicts are stored sealed when given a CryptoVault
+    this.encryption = options.encryption || null;
+    this.queue = new MutationQueueStore({ encryption: this.encryption });
     this.isSyncing = false;
     this.conflictStrategy = options.conflictStrategy || 'LastWriteWins';
     this.retryAttempts = options.retryAttempts || 3;
     this.retryDelay = options.retryDelay || 1000;
+
+    // When and whether to retry, and which endpoints to leave alone for a while
+    const retryPolicy = options.retryPolicy;
+    this.retryPolicy = retryPolicy && typeof retryPolicy.getDelay === 'function' ? retryPolicy : new RetryPolicy(retryPolicy);
+    this.circuitBreaker = options.circuitBreaker === false ? null :
+      (options.circuitBreaker instanceof CircuitBreaker ? options.circuitBreaker : new CircuitBreaker(options.circuitBreaker));
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    this.retryStats = { retries: 0, scheduledRetries: 0, heldByCircuit: 0, exhausted: 0, expired: 0 };
     this.enableProgressTracking = options.enableProgressTracking !== false;
     this.enableAdvancedCaching = options.enableAdvancedCaching !== false;
     this.enableCarbonAware = options.enableCarbonAware !== false;
+    this.transport = options.transport || createFetchTransport({
+      endpoint: options.endpoint,
+      routes: options.routes,
+      headers: options.headers,
+      serialize: options.serialize,
+      timeout: options.timeout,
+      batchPath: options.batchPath,
+      uploadPath: options.uploadPath
+    });
+    this.batchSize = options.batchSize || 0;
+
+    // Credentials: one token refresh at a time, shared by every request that hit a 401
+    this.auth = options.auth || null;
+    this.authRefresh = null;
+    this.authSuspended = false;
+    if (this.auth && this.auth.getToken && typeof this.transport.setTokenProvider === 'function') {
+      this.transport.setTokenProvider(this.auth.getToken);
+    }
+    this.extractRevision = options.extractRevision || extractRevision;
+
+    // Hybrid logical clock stamping mutations; merged with server clocks on every response
+    this.clock = options.clock || new HybridLogicalClock({ nodeId: options.nodeId, maxDrift: options.maxClockDrift });
+
+    // Revisions produced by our own acknowledged writes, keyed by entity,
+    // so later queued mutations made against the same base don't conflict with them
+    this.acknowledgedRevisions = new Map();
+
+    // Field collisions from ThreeWayMerge waiting for a manual decision
+    this.pendingConflicts = new ConflictStore(undefined, { encryption: this.encryption });
+
+    // Mutations that exhausted their retries or were rejected by the server
+    this.deadLetters = new DeadLetterStore(undefined, { encryption: this.encryption });
+
+    // Queue compaction; mutations being sent are locked so nothing is merged into them
+    this.compaction = options.compaction !== undefined ? options.compaction : 'enqueue';
+    this.coalescers = new Map(Object.entries(options.coalescers || {}));
+    this.mutationTypes = new Map();
+    this.lockedMutationIds = new Set();
+    this.unlockWaiters = [];
+    this.compactionIndex = null;
+
+    // Temp client ids → server ids, persisted until queued mutations are rewritten
+    this.isTempId = options.isTempId || isTempId;
+    this.extractServerId = options.extractServerId || (data => (data && typeof data === 'object' ? data.id : undefined));
+    this.tempIdMappings = new PersistentStore(TEMP_ID_MAPPINGS_KEY, {});
+
+    // Optimistic store changes waiting for their mutations to sync
+    this.optimisticUpdates = new OptimisticUpdates();
+
+    // Pull phase: registered collections, their persisted cursors and remembered deletions
+    this.changesSince = options.changesSince || null;
+    this.collections = new Map();
+    this.pullCursors = new PersistentStore(PULL_CURSORS_KEY, {});
+    this.tombstones = new PersistentStore(TOMBSTONES_KEY, {});
+    this.isPulling = false;
+    this.progressScope = null;
+
+    // Blobs waiting for upload, and mutations handed to the carbon scheduler to run later
+    const uploads = options.uploads || {};
+    this.blobs = options.blobStore || new BlobStore({ storage: uploads.storage });
+    this.uploadChunkSize = uploads.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.deferUploadsAbove = uploads.deferAbove !== undefined ? uploads.deferAbove : DEFAULT_DEFER_UPLOADS_ABOVE;
+    this.deferredUploadPriority = uploads.deferPriority || 'low';
+    this.deferredMutationIds = new Set();
+
+    // Live push channel; its messages are applied in arrival order
+    this.realtime = options.realtime || null;
+    this.realtimeRequested = false;
+    this.realtimeApplying = Promise.resolve();
+    Object.entries(options.collections || {}).forEach(([name, config]) => this.registerCollection(name, config));
+    Object.entries(options.mutationTypes || {}).forEach(([name, definition]) => this.registerMutationType(name, definition));
 
     // Enhanced sync state management
     this.syncState = new AetherStore({
@@ -68,9 +295,265 @@ export class SyncEngine {
     // Network state tracking
     this.isOnline = typeof navigator !== 'undefined' ? navigator.onLine : true;
 
+    // Store subscriptions and DOM listeners, removed by destroy()
+    this.unsubscribers = [];
+
+    // Paused by the app (e.g. on a metered connection), persisted across reloads and shared by tabs
+    this.pauseState = new PersistentStore(PAUSE_STATE_KEY, null);
+    this.unsubscribers.push(this.pauseState.subscribe(state => {
+      if (state && this.syncState.get().status !== SYNC_STATUS.PAUSED) {
+        this.updateSyncStatus(SYNC_STATUS.PAUSED);
+      }
+    }));
+    this.forcedMutationIds = new Set();
+
+    if (this.encryption) {
+      this.unsubscribers.push(this.encryption.subscribe(() => {
+        this.handleVaultChange().catch(error => console.error('SyncEngine: sync after unlock failed:', error));
+      }));
+    }
+
+    // Cross-tab coordination: only the leader tab syncs; others forward their mutations to it.
+    // On by default in windows only; Node has a BroadcastChannel too, but no other tabs
+    const crossTab = options.crossTab !== undefined ? options.crossTab : typeof window !== 'undefined';
+    this.tabs = crossTab instanceof TabCoordinator
+      ? crossTab
+      : (crossTab === false ? null : createTabCoordinator(crossTab === true ? {} : crossTab));
+    this.forwardedMutations = new Map();
+    // Force-sync requests sent to the leader, by request id
+    this.forcedSyncRequests = new Map();
+    this.sharedStateReload = null;
+    this.backgroundSync = options.backgroundSync === true;
+
     this.setupEventListeners();
-    this.initializeSyncState();
+    // Pulls wait for the persisted cursors and tombstones to load
+    this.storesLoaded = false;
+    this.storesReady = this.initializeSyncState();
     this.initializeAdvancedFeatures();
+    this.startTabCoordination();
+  }
+
+  /**
+   * True if this engine syncs the queue: it leads the other tabs, or there are none.
+   * @returns {boolean}
+   */
+  get isLeader() {
+    return !this.tabs || this.tabs.isLeader;
+  }
+
+  /**
+   * Join the tab election and ask the current leader for its sync state.
+   * @private
+   */
+  startTabCoordination() {
+    if (!this.tabs) return;
+
+    this.tabs.start({
+      onLeadershipChange: (isLeader) => this.handleLeadershipChange(isLeader),
+      onMessage: (message) => {
+        Promise.resolve(this.handleTabMessage(message))
+          .catch(error => console.error(`Failed to handle ${message.type} message from another tab:`, error));
+      }
+    });
+    this.tabs.post({ type: 'state-request' });
+  }
+
+  /**
+   * A new leader picks up the queue where the previous one left it: stores
+   * are reloaded from storage, mutations this tab forwarded without an
+   * acknowledgement are queued, and a sync cycle starts.
+   * @private
+   */
+  async handleLeadershipChange(isLeader) {
+    this.emitEvent(SYNC_EVENTS.LEADERSHIP_CHANGE, { isLeader, tabId: this.tabs.tabId });
+
+    if (!isLeader) {
+      if (this.realtime && this.realtimeRequested) {
+        this.realtime.disconnect();
+      }
+      return;
+    }
+
+    this.sharedStateReload = this.reloadSharedState();
+    await this.sharedStateReload;
+    const forwarded = [...this.forwardedMutations.values()];
+    this.forwardedMutations.clear();
+    for (const mutation of forwarded) {
+      await this.addMutation(mutation);
+    }
+    const forcedSyncs = [...this.forcedSyncRequests.values()];
+    this.forcedSyncRequests.clear();
+    forcedSyncs.forEach(request => this.forceSyncMutation(request.mutationId).then(request.resolve, request.reject));
+
+    this.postSyncState();
+    if (this.realtime && this.realtimeRequested) {
+      this.connectRealtime();
+    }
+    if (this.isOnline) {
+      this.sync();
+    }
+  }
+
+  /**
+   * Re-read the stores other tabs may have written while this one followed.
+   * @private
+   */
+  async reloadSharedState() {
+    const stores = [
+      this.queue,
+      this.pauseState,
+      this.tempIdMappings,
+      this.pullCursors,
+      this.tombstones,
+      this.deadLetters.store,
+      this.pendingConflicts.store
+    ];
+    await Promise.all(stores
+      .filter(store => store && typeof store.reload === 'function')
+      .map(store => store.reload()));
+
+    const queue = (await this.queue.get()) || [];
+    this.updateSyncState({ pending: queue.length });
+  }
+
+  /**
+   * Messages from other tabs. The leader takes mutations and sync requests;
+   * followers mirror the leader's sync state, pulled changes and settled
+   * optimistic updates.
+   * @private
+   */
+  async handleTabMessage(message) {
+    // Any tab may pause or resume syncing; every tab mirrors it
+    if (message.type === 'pause-state') {
+      this.applyPauseState(message.state);
+      return;
+    }
+
+    if (this.isLeader) {
+      switch (message.type) {
+        case 'mutation': {
+          const queue = (await this.queue.get()) || [];
+          if (!queue.some(queued => queued.id === message.mutation.id)) {
+            await this.addMutation(message.mutation);
+          }
+          this.tabs.post({ type: 'mutation-ack', id: message.mutation.id });
+          break;
+        }
+        case 'sync-request':
+          if (this.isOnline) this.sync();
+          break;
+        case 'force-sync':
+          this.forceSyncMutation(message.mutationId).then(
+            synced => this.tabs.post({ type: 'force-sync-result', requestId: message.requestId, synced }),
+            error => this.tabs.post({
+              type: 'force-sync-result',
+              requestId: message.requestId,
+              error: { message: error.message, kind: error.kind, status: error.status }
+            })
+          );
+          break;
+        case 'state-request':
+          this.postSyncState();
+          break;
+        default:
+          break;
+      }
+      return;
+    }
+
+    switch (message.type) {
+      case 'leader':
+        // Forwarded mutations may have been lost with the previous leader
+        this.forwardedMutations.forEach(mutation => this.tabs.post({ type: 'mutation', mutation }));
+        this.forcedSyncRequests.forEach((request, requestId) => (
+          this.tabs.post({ type: 'force-sync', requestId, mutationId: request.mutationId })
+        ));
+        break;
+      case 'force-sync-result': {
+        const request = this.forcedSyncRequests.get(message.requestId);
+        if (!request) break;
+        this.forcedSyncRequests.delete(message.requestId);
+        if (message.error) {
+          const { message: reason, kind, status } = message.error;
+          request.reject(kind ? new SyncError(reason, { kind, status }) : new Error(reason));
+        } else {
+          request.resolve(message.synced);
+        }
+        break;
+      }
+      case 'mutation-ack':
+        this.forwardedMutations.delete(message.id);
+        break;
+      case 'sync-state':
+        this.syncState.set(message.state);
+        this.emitEvent(SYNC_EVENTS.STATUS_CHANGE, message.state);
+        break;
+      case 'change': {
+        const collection = this.collections.get(message.collection);
+        if (collection) {
+          const apply = collection.apply || ((state, next) => applyChange(state, next, { idField: collection.idField }));
+          collection.store.update(state => apply(state, message.change));
+        }
+        break;
+      }
+      case 'mutation-synced':
+        this.optimisticUpdates.commit(message.mutation, message.data);
+        this.emitEvent(SYNC_EVENTS.MUTATION_SYNCED, { mutation: message.mutation, result: message.data });
+        break;
+      case 'mutation-rolled-back':
+        if (this.optimisticUpdates.rollback(message.mutation)) {
+          this.emitEvent(SYNC_EVENTS.MUTATION_ROLLED_BACK, { mutation: message.mutation, reason: message.reason });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Tell the other tabs about something the leader did.
+   * @private
+   */
+  postToFollowers(message) {
+    if (this.tabs && this.tabs.isLeader) {
+      this.tabs.post(message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  postSyncState() {
+    const { error, ...state } = this.syncState.get();
+    // Errors lose their kind and status when cloned, so send them as plain objects
+    this.postToFollowers({
+      type: 'sync-state',
+      state: { ...state, error: error ? { message: error.message, kind: error.kind, status: error.status } : null }
+    });
+  }
+
+  /**
+   * Hand a mutation to the leader tab; it is resent until the leader
+   * acknowledges it, and queued here if this tab becomes the leader first.
+   * @private
+   */
+  forwardMutation(mutation) {
+    this.forwardedMutations.set(mutation.id, mutation);
+    this.tabs.post({ type: 'mutation', mutation });
+  }
+
+  /**
+   * Have the leader tab force-sync a mutation and resolve with its answer.
+   * The request goes to a new leader if the current one closes first, and
+   * runs here if this tab becomes the leader.
+   * @private
+   */
+  forwardForceSync(mutationId) {
+    const requestId = `force_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return new Promise((resolve, reject) => {
+      this.forcedSyncRequests.set(requestId, { mutationId, resolve, reject });
+      this.tabs.post({ type: 'force-sync', requestId, mutationId });
+    });
   }
 
   /**
@@ -99,19 +582,35 @@ export class SyncEngine {
    * @private
    */
   setupEventListeners() {
-    // Only setup event listeners if we're in a browser environment with window object
-    if (typeof window !== 'undefined' && window && window.addEventListener) {
-      window.addEventListener('online', () => {
+    const listen = (target, type, listener) => {
+      target.addEventListener(type, listener);
+      this.unsubscribers.push(() => target.removeEventListener(type, listener));
+    };
+
+    // Windows and workers; there is nothing to listen to in Node
+    const scope = getEventScope();
+    if (scope) {
+      listen(scope, 'online', () => {
         this.isOnline = true;
         this.updateSyncStatus(SYNC_STATUS.IDLE);
-        this.processQueue();
+        this.sync();
       });
 
-      window.addEventListener('offline', () => {
+      listen(scope, 'offline', () => {
         this.isOnline = false;
         this.updateSyncStatus(SYNC_STATUS.OFFLINE);
       });
     }
+
+    // Results of Background Syncs run by the service worker kernel
+    if (typeof navigator !== 'undefined' && navigator.serviceWorker && navigator.serviceWorker.addEventListener) {
+      listen(navigator.serviceWorker, 'message', (event) => {
+        if (event.data && event.data.type === BACKGROUND_SYNC_MESSAGE) {
+          this.handleBackgroundSyncMessage(event.data)
+            .catch(error => console.error('Failed to handle Background Sync result:', error));
+        }
+      });
+    }
   }
 
   /**
@@ -119,10 +618,18 @@ export class SyncEngine {
    * @private
    */
   async initializeSyncState() {
+    // The engine's stores load asynchronously; encrypted ones only load once
+    // unlocked, and the state reports LOCKED until then
+    const stores = [this.pauseState, this.tempIdMappings, this.pullCursors, this.tombstones];
+    if (!this.encryption) {
+      stores.push(this.deadLetters.store, this.pendingConflicts.store);
+    }
+    await Promise.all([...stores.map(store => store.whenReady()), this.encryption ? null : this.queue.ready]);
+    this.storesLoaded = true;
     const queueLength = (await this.queue.get()).length;
     this.updateSyncState({
       pending: queueLength,
-      status: this.isOnline ? SYNC_STATUS.IDLE : SYNC_STATUS.OFFLINE
+      status: this.isOnline ? (this.haltedStatus() || SYNC_STATUS.IDLE) : SYNC_STATUS.OFFLINE
     });
   }
 
@@ -137,6 +644,7 @@ export class SyncEngine {
   updateSyncState(updates) {
     this.syncState.update(current => ({ ...current, ...updates }));
     this.emitEvent(SYNC_EVENTS.STATUS_CHANGE, this.syncState.get());
+    this.postSyncState();
   }
 
   /**
@@ -154,6 +662,12 @@ export class SyncEngine {
   updateProgress(current, total) {
     if (!this.enableProgressTracking) return;
 
+    // Inside sync(), push and pull report against the whole cycle
+    if (this.progressScope) {
+      total = this.progressScope.total;
+      current = Math.min(this.progressScope.offset + current, total);
+    }
+
     const percentage = total > 0 ? Math.round((current / total) * 100) : 0;
     const progress = { current, total, percentage };
 
@@ -229,19 +743,71 @@ export class SyncEngine {
    * @param {object} mutation - The mutation object to add.
    * It should contain all information needed to perform the action later.
    * e.g., { type: 'ADD_ITEM', payload: { id: 1, text: 'New item' } }
+   * Optional conflict-detection fields:
+   * - `baseRevision`: the record revision the change was made against (ETag, version number or vector clock)
+   * - `base`: the record as it was when the change was made
+   * Every queued mutation gets an `idempotencyKey` (its id unless one is given) that stays the
+   * same across retries, so a server that already applied it can answer with the original result.
+   * @param {Object} [optimistic] - Apply the change to a store right away. It is merged with the
+   * server's response once the mutation syncs and rolled back if the mutation is dead-lettered,
+   * loses a conflict or is removed from the queue.
+   * @param {AetherStore} optimistic.store - Store to update
+   * @param {function} optimistic.apply - `(state, mutation) => newState`
+   * @param {function} [optimistic.revert] - `(state, mutation) => newState`. Defaults to restoring
+   * the state from before the change.
+   * @param {function} [optimistic.merge] - `(state, serverData, mutation) => newState`. Defaults to
+   * updating the record with the mutation's id with the fields the server returned.
+   * For a registered mutation type, `apply` and `store` default to its `applyLocal` and `store`.
+   * @returns {Promise<object>} The queued mutation including its generated metadata
+   * @throws {MutationValidationError} If the payload does not match the registered type's schema
+   * @throws {MigrationError} If a mutation stamped with an older `schemaVersion` cannot be migrated
    */
-  async addMutation(mutation) {
-    // Add metadata to mutation
+  async addMutation(mutation, optimistic) {
+    const definition = this.mutationTypes.get(mutation.type);
+    if (definition) {
+      // New mutations have the current shape; forwarded or requeued ones may be older
+      if (definition.version) {
+        mutation = { ...mutation, payload: await this.migratePayload(definition, mutation), schemaVersion: definition.version };
+      }
+      validateMutation(definition, mutation);
+      if (definition.applyLocal && (optimistic || definition.store)) {
+        optimistic = { store: definition.store, apply: definition.applyLocal, ...optimistic };
+      }
+    }
+
+    // Add metadata to mutation, pointing it at server ids for records that already synced
+    const id = mutation.id || this.generateMutationId();
     const enhancedMutation = {
-      ...mutation,
-      id: mutation.id || this.generateMutationId(),
+      ...this.rewriteTempIds(mutation),
+      id,
+      idempotencyKey: mutation.idempotencyKey || id,
       timestamp: mutation.timestamp || Date.now(),
+      hlc: mutation.hlc || this.clock.now(),
       retryCount: 0,
       status: 'pending'
     };
 
+    if (optimistic) {
+      this.optimisticUpdates.apply(enhancedMutation, optimistic);
+    }
+
+    // Only the leader tab writes the queue, once it has read what the previous leader left
+    if (!this.isLeader) {
+      this.forwardMutation(enhancedMutation);
+      return enhancedMutation;
+    }
+    if (this.sharedStateReload) {
+      await this.sharedStateReload;
+    }
+
     const currentQueue = (await this.queue.get()) || [];
-    const newQueue = [...currentQueue, enhancedMutation];
+    let newQueue;
+    if (this.compaction === 'enqueue') {
+      newQueue = this.appendToCompactedQueue(currentQueue, enhancedMutation);
+      this.optimisticUpdates.prune(newQueue);
+    } else {
+      newQueue = [...currentQueue, enhancedMutation];
+    }
     await this.queue.set(newQueue);
 
     // Update sync state
@@ -255,6 +821,228 @@ export class SyncEngine {
     // Auto-process if online and not already syncing
     if (this.isOnline && !this.isSyncing) {
       setTimeout(() => this.processQueue(), 100);
+    } else if (!this.isOnline && this.backgroundSync) {
+      requestBackgroundSync();
+    }
+
+    return enhancedMutation;
+  }
+
+  /**
+   * Store a file or blob and queue its upload. Reference the returned id in
+   * later mutations, e.g. `{ photo: blobId }`: they are sent after the upload
+   * finished, with the id rewritten to the one the server gave the blob.
+   * Uploads go in chunks of `uploads.chunkSize` and resume from the last
+   * acknowledged chunk after a failure or reload.
+   * @param {Blob} blob - File or blob to upload
+   * @param {Object} [details]
+   * @param {string} [details.name] - File name (defaults to `blob.name`)
+   * @param {string} [details.type] - MIME type (defaults to `blob.type`)
+   * @returns {Promise<string>} The blob's temp id
+   */
+  async addBlob(blob, details = {}) {
+    const info = await this.blobs.put(createTempId(), blob, details);
+    await this.addMutation(createUploadMutation(info));
+    return info.id;
+  }
+
+  /**
+   * Register a coalescer for a mutation type. It receives `(previous, next)`
+   * for two queued mutations on the same record (or, for mutations without an
+   * entity id, two mutations of this type) and returns the combined mutation,
+   * `null` if both cancel out, or `undefined` to keep both.
+   * @param {string} type - Mutation type
+   * @param {function} coalescer
+   */
+  registerCoalescer(type, coalescer) {
+    this.coalescers.set(type, coalescer);
+  }
+
+  /**
+   * Register a mutation type. Mutations of this type are checked against
+   * `schema` when they are added, and rejected with a MutationValidationError
+   * before anything is queued. The rest of the definition is optional:
+   * `applyLocal` applies the mutation optimistically (to `store`, or to the
+   * store passed to addMutation()), `toRequest` becomes the transport route
+   * for the type and `fromResponse` maps the server's response before it is
+   * merged into the optimistic change and read for the new record's id.
+   *
+   * toRequest() is not used for batched sends (`batchSize` > 1); the batch
+   * endpoint receives mutation envelopes.
+   * @param {string} name - Mutation type
+   * @param {Object} definition
+   * @param {Object} [definition.schema] - JSON Schema for `mutation.payload`. Supports `type`,
+   * `enum`, `const`, `properties`, `required`, `additionalProperties`, `items`, `minItems`,
+   * `maxItems`, `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`, `exclusiveMinimum`,
+   * `exclusiveMaximum` and `anyOf`; other keywords throw.
+   * @param {function} [definition.applyLocal] - `(state, mutation) => newState`
+   * @param {AetherStore} [definition.store] - Store applyLocal updates for every mutation of this type
+   * @param {function} [definition.toRequest] - `(mutation) => ({ method, path, headers, body })`.
+   * `:params` in the path are filled from the payload; without a body the payload is sent.
+   * Needs a transport with `setRoute()`, such as HttpTransport.
+   * @param {function} [definition.fromResponse] - `(response, mutation) => data`, where response is
+   * `{ status, headers, data }`
+   * @param {number} [definition.version] - Payload schema version. Queued mutations are stamped
+   * with it as `schemaVersion`; those queued by an older version (or before versioning, as
+   * version 0) are migrated before they are sent, and dead-lettered if that fails.
+   * @param {Object<number, function>} [definition.migrations] - `(payload, mutation) => payload`
+   * (or a promise of it) keyed by the version it migrates to (see migrations.js)
+   * @throws {Error} On an invalid definition or unsupported schema keyword
+   */
+  registerMutationType(name, definition) {
+    const mutationType = defineMutationType(name, definition);
+    if (mutationType.toRequest) {
+      if (!this.transport || typeof this.transport.setRoute !== 'function') {
+        throw new Error(`${name}.toRequest needs a transport with setRoute()`);
+      }
+      this.transport.setRoute(name, mutation => requestToRoute(mutationType.toRequest(mutation)));
+    }
+    this.mutationTypes.set(name, mutationType);
+  }
+
+  /**
+   * @private
+   */
+  async migratePayload(definition, mutation) {
+    const from = mutation.schemaVersion !== undefined ? mutation.schemaVersion : definition.version;
+    if (from === definition.version) {
+      return mutation.payload;
+    }
+    return runMigrations(mutation.payload, {
+      from,
+      to: definition.version,
+      migrations: definition.migrations,
+      context: mutation
+    });
+  }
+
+  /**
+   * Bring queued mutations of versioned types up to their type's version.
+   * Mutations queued before the type had one count as version 0. A
+   * mutation whose migration fails goes to the dead letters as it was.
+   * @private
+   */
+  async migrateQueue() {
+    const queue = (await this.queue.get()) || [];
+    const outdated = queue.filter(mutation => {
+      const definition = this.mutationTypes.get(mutation.type);
+      return definition && definition.version && mutation.schemaVersion !== definition.version;
+    });
+    if (outdated.length === 0) {
+      return;
+    }
+
+    const migrated = new Map();
+    const failed = [];
+    for (const mutation of outdated) {
+      const definition = this.mutationTypes.get(mutation.type);
+      try {
+        const payload = await this.migratePayload(definition, { ...mutation, schemaVersion: mutation.schemaVersion || 0 });
+        migrated.set(mutation.id, { ...mutation, payload, schemaVersion: definition.version });
+      } catch (error) {
+        failed.push({ ...mutation, errorHistory: [...(mutation.errorHistory || []), this.describeError(error)] });
+      }
+    }
+
+    // Mutations added while the migrations ran stay as they are
+    const failedIds = new Set(failed.map(mutation => mutation.id));
+    const current = (await this.queue.get()) || [];
+    const updated = current
+      .filter(mutation => !failedIds.has(mutation.id))
+      .map(mutation => migrated.get(mutation.id) || mutation);
+    await this.queue.set(updated);
+
+    for (const mutation of failed) {
+      await this.addDeadLetter(mutation, true, 'migration_failed');
+    }
+    if (failed.length > 0) {
+      this.updateSyncState({ pending: updated.length });
+    }
+  }
+
+  /**
+   * Compact the stored queue now.
+   * @returns {Promise<Array>} The compacted queue
+   */
+  async compactQueue() {
+    const currentQueue = (await this.queue.get()) || [];
+    const compacted = this.compactMutations(currentQueue);
+
+    if (compacted.length !== currentQueue.length || compacted.some((mutation, i) => mutation !== currentQueue[i])) {
+      this.optimisticUpdates.prune(compacted);
+      await this.queue.set(compacted);
+      this.updateSyncState({ pending: compacted.length });
+      this.emitEvent(SYNC_EVENTS.QUEUE_UPDATED, {
+        action: 'compacted',
+        removed: currentQueue.length - compacted.length,
+        queueLength: compacted.length
+      });
+    }
+
+    return compacted;
+  }
+
+  /**
+   * Append a mutation to the queue with compaction. Consecutive additions
+   * only look at the record the new mutation targets; after any other queue
+   * change the whole queue is compacted once more.
+   * @private
+   */
+  appendToCompactedQueue(currentQueue, mutation) {
+    const options = {
+      coalescers: this.coalescers,
+      isLocked: queued => this.lockedMutationIds.has(queued.id)
+    };
+
+    const index = this.compactionIndex;
+    if (!index || index.queue !== currentQueue || index.length !== currentQueue.length) {
+      const queue = this.compactMutations([...currentQueue, mutation]);
+      this.compactionIndex = { queue, length: queue.length, positions: indexCompactedQueue(queue, options) };
+      return queue;
+    }
+
+    const appended = appendCompacted(currentQueue, mutation, index.positions, options);
+    const positions = appended.positions || indexCompactedQueue(appended.queue, options);
+    this.compactionIndex = { queue: appended.queue, length: appended.queue.length, positions };
+    return appended.queue;
+  }
+
+  /**
+   * Apply the compaction rules and registered coalescers to a list of mutations.
+   * @private
+   */
+  compactMutations(mutations) {
+    return applyCompactionRules(mutations, {
+      coalescers: this.coalescers,
+      isLocked: mutation => this.lockedMutationIds.has(mutation.id)
+    });
+  }
+
+  /**
+   * Protect mutations that are being sent from compaction.
+   * @private
+   */
+  lockMutations(mutations) {
+    mutations.forEach(mutation => this.lockedMutationIds.add(mutation.id));
+  }
+
+  /**
+   * @private
+   */
+  unlockMutations(mutations) {
+    mutations.forEach(mutation => this.lockedMutationIds.delete(mutation.id));
+    const waiters = this.unlockWaiters;
+    this.unlockWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Wait until no running sync is sending any of these mutations.
+   * @private
+   */
+  async waitForUnlock(mutations) {
+    while (mutations.some(mutation => this.lockedMutationIds.has(mutation.id))) {
+      await new Promise(resolve => this.unlockWaiters.push(resolve));
     }
   }
 
@@ -272,6 +1060,11 @@ export class SyncEngine {
    */
   async processQueue(options = {}) {
     // Guard clauses
+    if (!this.isLeader) {
+      this.tabs.post({ type: 'sync-request' });
+      return;
+    }
+
     if (this.isSyncing) {
       console.log('Sync already in progress, skipping...');
       return;
@@ -283,7 +1076,27 @@ export class SyncEngine {
       return;
     }
 
-    const mutations = (await this.queue.get()) || [];
+    const halted = this.haltedStatus();
+    if (halted) {
+      console.log(`Sync is halted (${halted})`);
+      this.updateSyncStatus(halted);
+      return;
+    }
+
+    await this.migrateQueue();
+
+    // Mutations being force-synced are sent by forceSyncMutation()
+    let mutations = ((await this.queue.get()) || []).filter(mutation => !this.forcedMutationIds.has(mutation.id));
+    if (this.compaction === 'process') {
+      mutations = await this.compactQueue();
+    }
+
+    // Mutations a scheduled batch is still sending are not sent again
+    const sendable = mutations.filter(mutation => !this.lockedMutationIds.has(mutation.id));
+    if (sendable.length === 0 && mutations.length > 0) {
+      return;
+    }
+    mutations = sendable;
 
     if (mutations.length === 0) {
       this.updateSyncState({
@@ -301,63 +1114,136 @@ export class SyncEngine {
 
     // Start sync process
     this.isSyncing = true;
-    this.updateSyncState({
-      status: SYNC_STATUS.SYNCING,
-      error: null,
-      retryCount: 0
-    });
+    this.lockMutations(mutations);
+    try {
+      this.updateSyncState({
+        status: SYNC_STATUS.SYNCING,
+        error: null,
+        retryCount: 0
+      });
 
-    const totalMutations = mutations.length;
-    let processedCount = 0;
-    const failedMutations = [];
-    const successfulMutations = [];
+      const totalMutations = mutations.length;
+      let processedCount = 0;
+      const failedMutations = [];
+      const successfulMutations = [];
 
-    this.updateProgress(0, totalMutations);
+      // Sync parents before the mutations that depend on them
+      const { ordered, graph } = this.orderByDependencies(mutations);
+      const unsentIds = new Set();
 
-    // Process mutations with enhanced error handling
-    for (let i = 0; i < mutations.length; i++) {
-      const mutation = mutations[i];
+      this.updateProgress(0, totalMutations);
 
-      try {
-        // Update progress
-        this.updateProgress(i, totalMutations);
+      // Process mutations with enhanced error handling
+      for (let i = 0; i < ordered.length; i++) {
+        const mutation = ordered[i];
 
-        // Process single mutation with retry logic
-        const result = await this.processSingleMutation(mutation);
+        // Hold back mutations whose dependencies did not make it to the server,
+        // and everything once syncing is paused or the user has to sign in again
+        if (this.isHalted() || [...graph.get(mutation.id)].some(id => unsentIds.has(id))) {
+          unsentIds.add(mutation.id);
+          processedCount++;
+          continue;
+        }
 
-        if (result.success) {
-          successfulMutations.push(mutation);
-          this.emitEvent(SYNC_EVENTS.MUTATION_SYNCED, {
-            mutation,
-            result: result.data
-          });
-        } else {
+        try {
+          // Update progress
+          this.updateProgress(i, totalMutations);
+
+          // Process single mutation with retry logic
+          const result = await this.processSingleMutation(mutation);
+
+          if (result.success) {
+            successfulMutations.push(mutation);
+            this.settleOptimisticUpdate(mutation, result);
+            this.emitEvent(SYNC_EVENTS.MUTATION_SYNCED, {
+              mutation,
+              result: result.data
+            });
+          } else if (result.held) {
+            // Stays queued as it was: waiting for sign-in or an endpoint's circuit to close
+            unsentIds.add(mutation.id);
+          } else {
+            unsentIds.add(mutation.id);
+            failedMutations.push({
+              mutation,
+              error: result.error,
+              retryCount: mutation.retryCount || 0,
+              errors: result.errors,
+              retriesExhausted: result.retriesExhausted,
+              permanent: result.permanent
+            });
+          }
+
+          processedCount++;
+
+        } catch (error) {
+          console.error('Failed to sync mutation:', mutation, error);
+          unsentIds.add(mutation.id);
           failedMutations.push({
             mutation,
-            error: result.error,
+            error,
             retryCount: mutation.retryCount || 0
           });
         }
+      }
 
-        processedCount++;
+      // Update final progress
+      this.updateProgress(totalMutations, totalMutations);
 
-      } catch (error) {
-        console.error('Failed to sync mutation:', mutation, error);
-        failedMutations.push({
-          mutation,
-          error,
-          retryCount: mutation.retryCount || 0
-        });
-      }
+      // Handle results
+      await this.handleSyncResults(successfulMutations, failedMutations);
+    } finally {
+      this.unlockMutations(mutations);
+      this.isSyncing = false;
     }
+  }
+
+  /**
+   * Send the queue once and report the outcome, for an engine without pages
+   * such as the service worker kernel handling Background Sync (see
+   * createBackgroundSyncHandler()). The stores are re-read first, since pages
+   * wrote them after this engine loaded. Nothing waits for the carbon
+   * scheduler: the browser only grants a short while.
+   * @returns {Promise<{synced: string[], failed: string[], pending: number, status: string, error: Object|null}>}
+   * Ids of the mutations sent and of those moved to the dead letters, and what is left
+   */
+  async drainQueue() {
+    await this.reloadSharedState();
+    const queuedIds = ((await this.queue.get()) || []).map(mutation => mutation.id);
+    const knownDeadLetters = new Set((await this.deadLetters.list()).map(entry => entry.id));
 
-    // Update final progress
-    this.updateProgress(totalMutations, totalMutations);
+    await this.processQueue({ force: true });
 
-    // Handle results
-    await this.handleSyncResults(successfulMutations, failedMutations);
+    const remaining = new Set(((await this.queue.get()) || []).map(mutation => mutation.id));
+    const failed = (await this.deadLetters.list())
+      .filter(entry => !knownDeadLetters.has(entry.id) && entry.mutation)
+      .map(entry => entry.mutation.id);
+    const { status, error } = this.syncState.get();
 
-    this.isSyncing = false;
+    return {
+      synced: queuedIds.filter(id => !remaining.has(id) && !failed.includes(id)),
+      failed,
+      pending: remaining.size,
+      status,
+      // Posted to the pages, so plain data only
+      error: error ? { message: error.message, kind: error.kind, status: error.status } : null
+    };
+  }
+
+  /**
+   * The service worker kernel ran a Background Sync, or left it to the
+   * leader tab because one was open. Stores are re-read so every tab shows
+   * what the worker sent.
+   * @private
+   */
+  async handleBackgroundSyncMessage(message) {
+    if (!message.ran) {
+      if (this.isLeader && this.isOnline) this.sync();
+      return;
+    }
+
+    await this.reloadSharedState();
+    this.emitEvent(SYNC_EVENTS.BACKGROUND_SYNC, message.result);
   }
 
   /**
@@ -367,10 +1253,21 @@ export class SyncEngine {
   async processQueueWithCarbonAwareness(mutations, options = {}) {
     const priority = options.priority || 'normal';
 
-    // Group mutations by type for batch processing
-    const mutationGroups = this.groupMutationsByType(mutations);
+    // Group mutations for batch processing, keeping dependency chains together.
+    // Mutations already waiting in the scheduler are not scheduled again.
+    const mutationGroups = this.groupMutationsForBatches(
+      mutations.filter(mutation => !this.deferredMutationIds.has(mutation.id))
+    );
+
+    for (const [group, groupMutations] of mutationGroups) {
+      const uploadBytes = groupMutations
+        .filter(isUploadMutation)
+        .reduce((total, mutation) => total + ((mutation.payload && mutation.payload.size) || 0), 0);
+      if (uploadBytes > 0 && uploadBytes >= this.deferUploadsAbove) {
+        await this.scheduleDeferredUpload(groupMutations, uploadBytes);
+        continue;
+      }
 
-    for (const [type, groupMutations] of mutationGroups) {
       const batchTask = {
         type: 'sync-batch',
         data: groupMutations,
@@ -390,343 +1287,1945 @@ export class SyncEngine {
   }
 
   /**
-   * Group mutations by type for efficient batch processing
+   * Hand a group holding a large upload to the carbon scheduler as a
+   * deferrable task, so it runs in a low-intensity window within the maximum
+   * delay of `uploads.deferPriority`. Its mutations stay queued until then.
    * @private
    */
-  groupMutationsByType(mutations) {
-    const groups = new Map();
-
-    for (const mutation of mutations) {
-      const type = mutation.type || 'default';
-      if (!groups.has(type)) {
-        groups.set(type, []);
+  async scheduleDeferredUpload(groupMutations, bytes) {
+    const ids = new Set(groupMutations.map(mutation => mutation.id));
+    ids.forEach(id => this.deferredMutationIds.add(id));
+    let started = false;
+
+    await this.carbonScheduler.scheduleTask({
+      type: 'upload',
+      data: groupMutations,
+      execute: async () => {
+        if (started) return [];
+        started = true;
+        ids.forEach(id => this.deferredMutationIds.delete(id));
+
+        // Run what is still queued, as it is queued now
+        const queued = ((await this.queue.get()) || [])
+          .filter(mutation => ids.has(mutation.id) && !this.forcedMutationIds.has(mutation.id));
+        return queued.length > 0 ? this.processMutationBatch(queued) : [];
       }
-      groups.get(type).push(mutation);
-    }
-
-    return groups;
+    }, this.deferredUploadPriority, {
+      carbonAware: true,
+      networkAware: true,
+      batteryAware: true,
+      estimatedDuration: Math.ceil(bytes / ESTIMATED_UPLOAD_BYTES_PER_MS)
+    });
+  }
+
+  /**
+   * Group mutations for efficient batch processing. Independent mutations are
+   * grouped by type; mutations linked by dependencies form one group per
+   * chain, in dependency order, so a child never runs before its parent.
+   * @private
+   */
+  groupMutationsForBatches(mutations) {
+    const { ordered, graph } = this.orderByDependencies(mutations);
+
+    // Union-find over dependency edges to name each chain by one of its members
+    const roots = new Map(ordered.map(mutation => [mutation.id, mutation.id]));
+    const findRoot = (id) => {
+      while (roots.get(id) !== id) id = roots.get(id);
+      return id;
+    };
+    const linked = new Set();
+    graph.forEach((dependencies, id) => {
+      dependencies.forEach(dependency => {
+        roots.set(findRoot(id), findRoot(dependency));
+        linked.add(id);
+        linked.add(dependency);
+      });
+    });
+
+    const groups = new Map();
+
+    for (const mutation of ordered) {
+      const group = linked.has(mutation.id)
+        ? `chain:${findRoot(mutation.id)}`
+        : (mutation.type || 'default');
+      if (!groups.has(group)) {
+        groups.set(group, []);
+      }
+      groups.get(group).push(mutation);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Build the dependency graph of a list of mutations and sort it topologically.
+   * @private
+   */
+  orderByDependencies(mutations) {
+    const graph = buildDependencyGraph(mutations, { isTempId: this.isTempId });
+    const { ordered, cyclic } = sortByDependencies(mutations, graph);
+
+    if (cyclic.length > 0) {
+      console.warn('SyncEngine: dependency cycle between mutations', cyclic);
+      // Break the cycle so the mutations are at least attempted in queue order
+      cyclic.forEach(id => graph.set(id, new Set()));
+    }
+
+    return { ordered, graph };
   }
 
   /**
    * Process a batch of mutations
    * @private
    */
-  async processMutationBatch(mutations) {
-    const results = [];
-
-    for (const mutation of mutations) {
-      try {
-        const result = await this.processSingleMutation(mutation);
-        results.push({ mutation, result });
-      } catch (error) {
-        results.push({ mutation, error });
+  async processMutationBatch(mutations) {
+    this.lockMutations(mutations);
+    try {
+      return await this.sendMutationBatch(mutations);
+    } finally {
+      this.unlockMutations(mutations);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async sendMutationBatch(mutations) {
+    const results = [];
+
+    const { ordered, graph } = this.orderByDependencies(mutations);
+    const unsentIds = new Set();
+
+    if (this.usesBatchEndpoint()) {
+      for (const chunk of this.chunkForBatchRequests(ordered, graph)) {
+        const sendable = [];
+        chunk.forEach(mutation => {
+          if (this.isHalted() || [...graph.get(mutation.id)].some(id => unsentIds.has(id))) {
+            unsentIds.add(mutation.id);
+            results.push({ mutation, blocked: true });
+          } else {
+            sendable.push(mutation);
+          }
+        });
+        if (sendable.length === 0) continue;
+
+        const chunkResults = isUploadMutation(sendable[0])
+          ? [await this.processSingleMutation(sendable[0])]
+          : await this.processBatchRequest(sendable);
+        sendable.forEach((mutation, i) => {
+          const result = chunkResults[i];
+          results.push({ mutation, result });
+          if (result.success) {
+            this.settleOptimisticUpdate(mutation, result);
+          } else {
+            unsentIds.add(mutation.id);
+          }
+        });
+      }
+
+      await this.updateQueueAfterBatch(results);
+      return results;
+    }
+
+    for (const mutation of ordered) {
+      if (this.isHalted() || [...graph.get(mutation.id)].some(id => unsentIds.has(id))) {
+        unsentIds.add(mutation.id);
+        results.push({ mutation, blocked: true });
+        continue;
+      }
+
+      try {
+        const result = await this.processSingleMutation(mutation);
+        results.push({ mutation, result });
+        if (result.success) {
+          this.settleOptimisticUpdate(mutation, result);
+        } else {
+          unsentIds.add(mutation.id);
+        }
+      } catch (error) {
+        results.push({ mutation, error });
+        unsentIds.add(mutation.id);
+      }
+    }
+
+    // Update queue after batch processing
+    await this.updateQueueAfterBatch(results);
+
+    return results;
+  }
+
+  /**
+   * @private
+   * @returns {boolean} True if scheduled batches go to the transport's batch endpoint
+   */
+  usesBatchEndpoint() {
+    return this.batchSize > 1 && Boolean(this.transport) && typeof this.transport.sendBatch === 'function';
+  }
+
+  /**
+   * Split dependency-ordered mutations into batch requests of at most
+   * batchSize. A mutation that depends on one in the current request starts
+   * a new request, so it is sent after its parent was acknowledged and its
+   * temp ids rewritten. Uploads are not batched; each gets a chunk of its own.
+   * @private
+   */
+  chunkForBatchRequests(ordered, graph) {
+    const chunks = [];
+    let current = [];
+    let currentIds = new Set();
+
+    ordered.forEach(mutation => {
+      const dependsOnCurrent = [...graph.get(mutation.id)].some(id => currentIds.has(id));
+      const separate = isUploadMutation(mutation) || (current.length > 0 && isUploadMutation(current[0]));
+      if (current.length > 0 && (current.length >= this.batchSize || dependsOnCurrent || separate)) {
+        chunks.push(current);
+        current = [];
+        currentIds = new Set();
+      }
+      current.push(mutation);
+      currentIds.add(mutation.id);
+    });
+
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+  }
+
+  /**
+   * Send mutations in one batch request and turn each item's outcome into
+   * the result processSingleMutation() would have produced. Items the server
+   * rejected with a conflict are resolved and resent on their own.
+   * @private
+   * @returns {Promise<Array<object>>} One result per mutation, in order
+   */
+  async processBatchRequest(mutations) {
+    const resolved = mutations.map(mutation => this.rebaseOnAcknowledged(this.rewriteTempIds(mutation)));
+
+    const transport = this.transport;
+    const endpoint = `${transport.endpoint || ''}${transport.batchPath || ''}` || 'batch';
+    if (this.circuitBreaker && !this.circuitBreaker.canRequest(endpoint)) {
+      const held = this.circuitOpenResult(endpoint);
+      return mutations.map(() => held);
+    }
+
+    let response;
+    try {
+      response = await this.withAuthRefresh(() => transport.sendBatch(resolved));
+      this.recordEndpointOutcome(endpoint, null);
+    } catch (error) {
+      this.recordEndpointOutcome(endpoint, error);
+      return mutations.map(() => this.batchItemFailure(error));
+    }
+
+    if (response && response.headers) {
+      this.clock.observe(extractClock(response.headers, null));
+    }
+
+    const results = [];
+    for (let i = 0; i < resolved.length; i++) {
+      const mutation = resolved[i];
+      const item = response.results[i];
+
+      if (!item.error) {
+        results.push({ success: true, data: this.acknowledgeResponse(mutation, item) });
+        continue;
+      }
+
+      // Rejected credentials for this item alone: replay it on its own with the refreshed token
+      if (this.isAuthError(item.error) && await this.refreshAuth()) {
+        results.push(await this.processSingleMutation(mutations[i]));
+        continue;
+      }
+
+      try {
+        if (getErrorKind(item.error) !== SYNC_ERROR_KINDS.CONFLICT) {
+          throw item.error;
+        }
+        const resolution = await this.resolveConflict(mutation, this.serverStateFromError(item.error));
+        if (resolution.skipped) {
+          results.push({ success: true, data: resolution.data });
+        } else {
+          results.push({ success: true, data: await this.syncMutation(resolution.mutation) });
+        }
+      } catch (error) {
+        results.push(this.batchItemFailure(error));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Failed result for a batch item. Batches are not retried within a cycle;
+   * retryable failures stay queued for the next one.
+   * @private
+   */
+  batchItemFailure(error) {
+    if (this.isAuthError(error)) {
+      return { success: false, error, errors: [], authRequired: true, held: true };
+    }
+    const permanent = !this.retryPolicy.isRetryable(error);
+    return {
+      success: false,
+      error,
+      errors: [this.describeError(error)],
+      retriesExhausted: permanent,
+      permanent
+    };
+  }
+
+  /**
+   * Update queue after batch processing: each item's outcome goes through
+   * the same retry, dead-letter and status handling as processQueue().
+   * @private
+   */
+  async updateQueueAfterBatch(results) {
+    const successfulMutations = results
+      .filter(r => r.result && r.result.success)
+      .map(r => r.mutation);
+
+    const failedMutations = results
+      .filter(r => r.error || (r.result && !r.result.success && !r.result.held))
+      .map(r => (r.error
+        ? { mutation: r.mutation, error: r.error, retryCount: r.mutation.retryCount || 0 }
+        : {
+          mutation: r.mutation,
+          error: r.result.error,
+          retryCount: r.mutation.retryCount || 0,
+          errors: r.result.errors,
+          retriesExhausted: r.result.retriesExhausted,
+          permanent: r.result.permanent
+        }));
+
+    await this.handleSyncResults(successfulMutations, failedMutations);
+  }
+
+  /**
+   * Process a single mutation with retry logic. Attempts are spaced by the
+   * retry policy and skipped while the endpoint's circuit is open.
+   * @private
+   * @param {object} mutation
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Make one attempt, even if the circuit is open
+   */
+  async processSingleMutation(mutation, options = {}) {
+    let lastError = null;
+    let reauthenticated = false;
+    let previousDelay;
+    let retriesExhausted = true;
+    const errors = [];
+    const endpoint = this.endpointKey(mutation);
+    const maxRetries = !options.force && mutation.retryCount < this.retryAttempts ?
+      this.retryAttempts - mutation.retryCount : 0;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      // An endpoint that is down is left alone; the mutation waits without using up a retry
+      if (!options.force && this.circuitBreaker && !this.circuitBreaker.canRequest(endpoint)) {
+        if (attempt === 0) {
+          return this.circuitOpenResult(endpoint);
+        }
+        retriesExhausted = false;
+        break;
+      }
+
+      try {
+        // Let a token refresh started by another request finish first
+        if (this.authRefresh) {
+          await this.authRefresh;
+        }
+
+        const data = await this.deliverMutation(mutation);
+        this.recordEndpointOutcome(endpoint, null);
+        return { success: true, data };
+
+      } catch (error) {
+        this.recordEndpointOutcome(endpoint, error);
+
+        // Expired credentials: refresh once and replay without counting an attempt
+        if (this.isAuthError(error)) {
+          if (!reauthenticated && await this.refreshAuth()) {
+            reauthenticated = true;
+            attempt--;
+            continue;
+          }
+          return { success: false, error, errors, authRequired: true, held: true };
+        }
+
+        lastError = error;
+        errors.push(this.describeError(error));
+
+        // Fatal and conflict responses will not succeed on retry
+        if (!this.retryPolicy.isRetryable(error, mutation)) {
+          return {
+            success: false,
+            error,
+            errors,
+            retriesExhausted: true,
+            permanent: true
+          };
+        }
+
+        // A server asking for a pause, or an endpoint whose circuit just opened,
+        // gets its wait from the next sync cycle instead of blocking this one
+        if (this.getRetryAfter(error) !== null || (this.circuitBreaker && this.circuitBreaker.retryIn(endpoint) > 0)) {
+          retriesExhausted = attempt >= maxRetries;
+          break;
+        }
+
+        // If this isn't the last attempt, wait before retrying
+        if (attempt < maxRetries) {
+          const delay = this.retryPolicy.getDelay(attempt, { error, previousDelay, baseDelay: this.retryDelay });
+          previousDelay = delay;
+          this.retryStats.retries += 1;
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    return {
+      success: false,
+      error: lastError,
+      errors,
+      retriesExhausted
+    };
+  }
+
+  /**
+   * Send a mutation once, resolving conflicts with the server state first
+   * and, after a 409/412, once more against the state the server reported.
+   * @private
+   * @returns {Promise<any>} The acknowledged response data
+   */
+  async deliverMutation(mutation) {
+    let resolvedMutation = this.rebaseOnAcknowledged(this.rewriteTempIds(mutation));
+
+    // Fetch server state for conflict resolution
+    const serverState = await this.fetchServerState(resolvedMutation);
+
+    // Conflict resolution
+    if (serverState && this.hasConflict(resolvedMutation, serverState)) {
+      const resolution = await this.resolveConflict(resolvedMutation, serverState);
+      if (resolution.skipped) {
+        return resolution.data;
+      }
+      resolvedMutation = resolution.mutation;
+    }
+
+    try {
+      return await this.syncMutation(resolvedMutation);
+    } catch (error) {
+      if (getErrorKind(error) !== SYNC_ERROR_KINDS.CONFLICT) {
+        throw error;
+      }
+
+      // The server rejected our base revision (409/412): resolve against
+      // the state it reported and resend once. A second conflict is final.
+      const resolution = await this.resolveConflict(resolvedMutation, this.serverStateFromError(error));
+      if (resolution.skipped) {
+        return resolution.data;
+      }
+      return this.syncMutation(resolution.mutation);
+    }
+  }
+
+  /**
+   * Key of the endpoint a mutation goes to, for circuit breaking.
+   * @private
+   */
+  endpointKey(mutation) {
+    const transport = this.transport || {};
+    if (isUploadMutation(mutation) && transport.uploadPath) {
+      return `${transport.endpoint || ''}${transport.uploadPath}`;
+    }
+    if (typeof transport.endpointFor === 'function') {
+      return transport.endpointFor(mutation);
+    }
+    return 'default';
+  }
+
+  /**
+   * Tell the circuit breaker whether an endpoint answered. Only retryable
+   * failures count against it; any other response shows it is up.
+   * @private
+   */
+  recordEndpointOutcome(endpoint, error) {
+    if (!this.circuitBreaker) return;
+
+    if (error && getErrorKind(error) === SYNC_ERROR_KINDS.RETRYABLE) {
+      this.circuitBreaker.recordFailure(endpoint, { retryAfter: this.getRetryAfter(error) });
+    } else {
+      this.circuitBreaker.recordSuccess(endpoint);
+    }
+  }
+
+  /**
+   * Result for a mutation held back by an open circuit. It stays queued as
+   * it is, and a sync cycle is scheduled for when the circuit lets a probe through.
+   * @private
+   */
+  circuitOpenResult(endpoint) {
+    this.retryStats.heldByCircuit += 1;
+    this.scheduleRetry(Math.max(this.circuitBreaker.retryIn(endpoint), this.retryDelay));
+    return {
+      success: false,
+      error: new SyncError(`Circuit open for ${endpoint}`, { kind: SYNC_ERROR_KINDS.RETRYABLE }),
+      errors: [],
+      held: true,
+      circuitOpen: true
+    };
+  }
+
+  /**
+   * Retry-After delay from the retry policy, if it reads one.
+   * @private
+   * @returns {number|null}
+   */
+  getRetryAfter(error) {
+    return typeof this.retryPolicy.getRetryAfter === 'function' ? this.retryPolicy.getRetryAfter(error) : null;
+  }
+
+  /**
+   * Run processQueue() after a delay. Only the earliest requested run is
+   * kept; later requests are covered by it.
+   * @private
+   */
+  scheduleRetry(delay) {
+    const at = Date.now() + delay;
+    if (this.retryTimer && this.nextRetryAt <= at) {
+      return;
+    }
+
+    clearTimeout(this.retryTimer);
+    this.nextRetryAt = at;
+    this.retryStats.scheduledRetries += 1;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.nextRetryAt = null;
+      if (!this.isSyncing) {
+        this.processQueue();
+      }
+    }, delay);
+  }
+
+  /**
+   * Serializable record of a failed attempt for the mutation's error history.
+   * @private
+   */
+  describeError(error) {
+    return {
+      at: Date.now(),
+      message: error && error.message,
+      kind: getErrorKind(error),
+      status: error && error.status
+    };
+  }
+
+  /**
+   * Resume syncing after the user signed in again. Call it once
+   * `auth.getToken()` returns valid credentials; the mutations held back
+   * while the status was AUTH_REQUIRED are sent right away.
+   * @returns {Promise<Object|null>} Result of the sync() it starts
+   */
+  async onSignIn() {
+    this.authSuspended = false;
+    this.updateSyncStatus(this.isOnline ? (this.haltedStatus() || SYNC_STATUS.IDLE) : SYNC_STATUS.OFFLINE);
+    return this.isOnline && !this.isHalted() ? this.sync() : null;
+  }
+
+  /**
+   * @private
+   * @returns {boolean} True for a 401 while auth hooks are configured
+   */
+  isAuthError(error) {
+    return Boolean(this.auth) && getErrorKind(error) === SYNC_ERROR_KINDS.AUTH;
+  }
+
+  /**
+   * Refresh the token through `auth.refreshToken()`. Concurrent callers share
+   * one refresh. A failed refresh suspends syncing until onSignIn().
+   * @private
+   * @returns {Promise<boolean>} True if requests can be replayed
+   */
+  refreshAuth() {
+    if (this.authSuspended) {
+      return Promise.resolve(false);
+    }
+    if (!this.authRefresh) {
+      const refreshToken = this.auth.refreshToken || (() => false);
+      this.authRefresh = Promise.resolve()
+        .then(() => refreshToken())
+        .then(result => result !== false, error => {
+          console.warn('SyncEngine: Token refresh failed:', error && error.message);
+          return false;
+        })
+        .then(refreshed => {
+          this.authRefresh = null;
+          if (!refreshed) {
+            this.authSuspended = true;
+            this.updateSyncStatus(SYNC_STATUS.AUTH_REQUIRED);
+          }
+          return refreshed;
+        });
+    }
+    return this.authRefresh;
+  }
+
+  /**
+   * Run a request, refreshing the token and running it again after a 401.
+   * @private
+   */
+  async withAuthRefresh(request) {
+    if (this.authRefresh) {
+      await this.authRefresh;
+    }
+    try {
+      return await request();
+    } catch (error) {
+      if (!this.isAuthError(error) || !(await this.refreshAuth())) {
+        throw error;
+      }
+      return request();
+    }
+  }
+
+  /**
+   * Handle sync results and update queue
+   * @private
+   */
+  async handleSyncResults(successfulMutations, failedMutations) {
+    const currentQueue = await this.queue.get();
+
+    // Remove successful mutations from queue
+    const successfulIds = new Set(successfulMutations.map(successful => successful.id));
+    const remainingQueue = currentQueue.filter(queueMutation => !successfulIds.has(queueMutation.id));
+
+    // Update failed mutations with retry count and error history
+    const updatedFailedMutations = failedMutations.map(failed => ({
+      ...failed.mutation,
+      retryCount: (failed.mutation.retryCount || 0) + 1,
+      lastError: failed.error.message,
+      lastAttempt: Date.now(),
+      errorHistory: [
+        ...(failed.mutation.errorHistory || []),
+        ...(failed.errors && failed.errors.length > 0 ? failed.errors : [this.describeError(failed.error)])
+      ]
+    }));
+
+    // Keep failed mutations that haven't exceeded retry limit, were not
+    // rejected outright (fatal or conflict responses) and have not been queued too long
+    const permanentIds = new Set(
+      failedMutations.filter(failed => failed.permanent).map(failed => failed.mutation.id)
+    );
+    const expiredIds = new Set(
+      updatedFailedMutations
+        .filter(mutation => !permanentIds.has(mutation.id) && this.retryPolicy.isExpired(mutation))
+        .map(mutation => mutation.id)
+    );
+    const retriableMutations = updatedFailedMutations.filter(mutation =>
+      mutation.retryCount < this.retryAttempts && !permanentIds.has(mutation.id) && !expiredIds.has(mutation.id)
+    );
+    const retriableById = new Map(retriableMutations.map(mutation => [mutation.id, mutation]));
+    const droppedIds = new Set(
+      updatedFailedMutations
+        .filter(mutation => !retriableById.has(mutation.id))
+        .map(mutation => mutation.id)
+    );
+
+    // Move dropped mutations to the dead-letter store before they leave the queue
+    for (const mutation of updatedFailedMutations.filter(m => droppedIds.has(m.id))) {
+      if (expiredIds.has(mutation.id)) {
+        this.retryStats.expired += 1;
+      } else if (!permanentIds.has(mutation.id)) {
+        this.retryStats.exhausted += 1;
+      }
+      await this.addDeadLetter(mutation, permanentIds.has(mutation.id), expiredIds.has(mutation.id) ? 'expired' : undefined);
+    }
+
+    // Mutations depending on a dropped one can never be applied; dead-letter them too
+    if (droppedIds.size > 0) {
+      const graph = buildDependencyGraph(currentQueue, { isTempId: this.isTempId });
+      const orphanIds = findDependents(graph, droppedIds);
+      for (const mutation of currentQueue.filter(m => orphanIds.has(m.id))) {
+        await this.addDeadLetter(mutation, true, 'dependency_failed');
+        droppedIds.add(mutation.id);
+      }
+    }
+
+    // Final queue with only retriable mutations
+    const finalQueue = remainingQueue
+      .filter(queueMutation => !droppedIds.has(queueMutation.id))
+      .map(queueMutation => retriableById.get(queueMutation.id) || queueMutation);
+
+    await this.queue.set(finalQueue);
+
+    // Uploaded blobs are on the server now
+    await Promise.all(successfulMutations.filter(isUploadMutation).map(mutation =>
+      this.blobs.delete(mutation.entityId).catch(error => {
+        console.warn(`SyncEngine: Failed to remove uploaded blob ${mutation.entityId}:`, error && error.message);
+      })
+    ));
+
+    // Update sync state
+    const hasErrors = failedMutations.length > 0;
+    const allRetryExhausted = failedMutations.every(f => f.retriesExhausted);
+
+    const status = this.haltedStatus() || (hasErrors ? (allRetryExhausted ? SYNC_STATUS.ERROR : SYNC_STATUS.IDLE) :
+      (finalQueue.length > 0 ? SYNC_STATUS.IDLE : SYNC_STATUS.SYNCED));
+    this.updateSyncState({
+      status,
+      pending: finalQueue.length,
+      error: hasErrors ? failedMutations[0].error : null,
+      lastSync: Date.now()
+    });
+
+    // Emit error events for failed mutations
+    if (hasErrors) {
+      failedMutations.forEach(failed => {
+        this.emitEvent(SYNC_EVENTS.SYNC_ERROR, {
+          mutation: failed.mutation,
+          error: failed.error,
+          kind: getErrorKind(failed.error),
+          retryCount: failed.mutation.retryCount || 0,
+          retriesExhausted: failed.retriesExhausted || droppedIds.has(failed.mutation.id)
+        });
+      });
+    }
+
+    // Schedule the next cycle for retriable mutations, as soon as the first of them may go
+    if (retriableMutations.length > 0 && this.isOnline) {
+      const errorsById = new Map(failedMutations.map(failed => [failed.mutation.id, failed.error]));
+      const delays = retriableMutations.map(mutation => Math.max(
+        this.retryPolicy.getDelay(mutation.retryCount, { error: errorsById.get(mutation.id), baseDelay: this.retryDelay }),
+        this.circuitBreaker ? this.circuitBreaker.retryIn(this.endpointKey(mutation)) : 0
+      ));
+      this.scheduleRetry(Math.min(...delays));
+    }
+  }
+
+  /**
+   * Record a mutation the engine gave up on.
+   * @private
+   */
+  async addDeadLetter(mutation, permanent, reason) {
+    const { errorHistory = [], ...queuedMutation } = mutation;
+    const lastKind = errorHistory.length > 0 ? errorHistory[errorHistory.length - 1].kind : null;
+    const entry = await this.deadLetters.add({
+      mutation: queuedMutation,
+      errors: errorHistory,
+      attempts: errorHistory.map(error => error.at),
+      reason: reason || (permanent ? (lastKind || SYNC_ERROR_KINDS.FATAL) : 'retries_exhausted')
+    });
+    this.rollbackOptimisticUpdate(mutation, entry.reason);
+    this.emitEvent(SYNC_EVENTS.DEAD_LETTERS_UPDATED, { action: 'added', deadLetter: entry });
+    return entry;
+  }
+
+  /**
+   * Merge the server's response into the mutation's optimistic change, or
+   * roll the change back if the conflict strategy dropped the mutation.
+   * @private
+   */
+  settleOptimisticUpdate(mutation, result) {
+    const { data } = result;
+    if (data && data.skipped === true && typeof data.reason === 'string') {
+      this.rollbackOptimisticUpdate(mutation, data.reason);
+    } else {
+      this.optimisticUpdates.commit(mutation, result.data);
+      this.postToFollowers({ type: 'mutation-synced', mutation, data: result.data });
+    }
+  }
+
+  /**
+   * Revert a mutation's optimistic change, if it has one.
+   * @private
+   */
+  rollbackOptimisticUpdate(mutation, reason) {
+    this.postToFollowers({ type: 'mutation-rolled-back', mutation, reason });
+    if (this.optimisticUpdates.rollback(mutation)) {
+      this.emitEvent(SYNC_EVENTS.MUTATION_ROLLED_BACK, { mutation, reason });
+    }
+  }
+
+  /**
+   * Fetch the latest server state for the record a mutation targets.
+   * Delegates to the transport's `fetchState` when it has one; HttpTransport
+   * only checks routes that declare a `statePath`.
+   * @param {object} mutation
+   * @returns {Promise<{ data: any, revision: any }|null>} Server state, or null if unknown
+   */
+  async fetchServerState(mutation) {
+    if (this.transport && typeof this.transport.fetchState === 'function') {
+      const serverState = await this.transport.fetchState(mutation);
+      if (serverState && serverState.clock !== undefined) {
+        this.clock.observe(serverState.clock);
+      }
+      return serverState;
+    }
+    return null;
+  }
+
+  /**
+   * Determines if there is a conflict between the mutation and server state:
+   * the server holds a revision the mutation's base has not seen.
+   * Mutations without a `baseRevision` never conflict.
+   * @param {object} mutation
+   * @param {{ revision: any }} serverState
+   * @returns {boolean}
+   */
+  hasConflict(mutation, serverState) {
+    if (!serverState || serverState.revision === undefined || mutation.baseRevision === undefined) {
+      return false;
+    }
+
+    const order = compareRevisions(mutation.baseRevision, serverState.revision);
+    return order !== 0 && order !== 1;
+  }
+
+  /**
+   * Apply the configured conflict strategy.
+   * Custom strategies are called as `(localMutation, serverState, conflict)` where
+   * `conflict` is `{ local, base, baseRevision, server }`, and may return a
+   * (possibly async) replacement mutation or null to drop the local change.
+   * @private
+   * @returns {Promise<{ skipped: boolean, data?: object, mutation?: object }>}
+   */
+  async resolveConflict(mutation, serverState) {
+    if (mutation.type === CRDT_MUTATION_TYPE) {
+      // CRDT operations commute, so they are replayed as-is
+      return { skipped: false, mutation: this.rebaseOnServer(mutation, serverState) };
+    }
+
+    const conflict = {
+      local: mutation,
+      base: mutation.base,
+      baseRevision: mutation.baseRevision,
+      server: serverState
+    };
+    this.emitEvent(SYNC_EVENTS.CONFLICT_DETECTED, conflict);
+
+    if (typeof this.conflictStrategy === 'function') {
+      const resolved = await this.conflictStrategy(mutation, serverState, conflict);
+      if (!resolved) {
+        // Custom resolver decided to skip this mutation
+        return { skipped: true, data: { skipped: true, reason: 'conflict_resolved' } };
+      }
+      return { skipped: false, mutation: this.rebaseOnServer(resolved, serverState) };
+    }
+
+    if (this.conflictStrategy === 'ServerWins') {
+      // Discard local mutation
+      return { skipped: true, data: { skipped: true, reason: 'server_wins' } };
+    }
+
+    if (this.conflictStrategy === 'ThreeWayMerge') {
+      return this.resolveWithThreeWayMerge(mutation, serverState);
+    }
+
+    // LastWriteWins: keep the server record if it was written after the local
+    // change, otherwise apply the local mutation on top of it
+    if (this.isServerNewer(mutation, serverState)) {
+      return { skipped: true, data: { skipped: true, reason: 'server_newer' } };
+    }
+    return { skipped: false, mutation: this.rebaseOnServer(mutation, serverState) };
+  }
+
+  /**
+   * Compare the HLC timestamps of a local mutation and the server record.
+   * Without both timestamps the local write is treated as the latest.
+   * @private
+   */
+  isServerNewer(mutation, serverState) {
+    if (!mutation.hlc || !serverState || serverState.clock === undefined) {
+      return false;
+    }
+    return this.compareClocks(serverState.clock, mutation.hlc) > 0;
+  }
+
+  /**
+   * Order two HLC timestamps (as found on `mutation.hlc` and the server
+   * state's `clock`). Custom conflict strategies can use this to decide
+   * which write happened last without trusting device wall clocks.
+   * @param {string} a
+   * @param {string} b
+   * @returns {number} Negative if a happened before b, positive if after, 0 if equal
+   */
+  compareClocks(a, b) {
+    return this.clock.compare(a, b);
+  }
+
+  /**
+   * Merge base→local and base→server per field. Non-overlapping changes are
+   * resent as one merged record; true collisions park the mutation in the
+   * pending conflicts collection until resolvePendingConflict() is called.
+   * @private
+   */
+  async resolveWithThreeWayMerge(mutation, serverState) {
+    const local = mutation.payload && typeof mutation.payload === 'object' ? mutation.payload : {};
+    const { merged, conflicts } = threeWayMerge(mutation.base, local, serverState.data);
+
+    if (conflicts.length === 0) {
+      return {
+        skipped: false,
+        mutation: this.rebaseOnServer({ ...mutation, payload: merged, base: serverState.data }, serverState)
+      };
+    }
+
+    const entry = await this.pendingConflicts.add({
+      mutation,
+      base: mutation.base,
+      server: serverState,
+      merged,
+      conflicts
+    });
+    this.emitEvent(SYNC_EVENTS.CONFLICTS_UPDATED, { action: 'added', conflict: entry });
+
+    return {
+      skipped: true,
+      data: { skipped: true, reason: 'pending_conflict', conflictId: entry.id }
+    };
+  }
+
+  /**
+   * Build a server state object from a 409/412 SyncError.
+   * @private
+   */
+  serverStateFromError(error) {
+    const body = error.body !== undefined ? error.body : null;
+    const serverState = {
+      data: body,
+      revision: this.extractRevision(error.headers || {}, body)
+    };
+    const clock = extractClock(error.headers || {}, body);
+    if (clock !== undefined) {
+      serverState.clock = clock;
+      this.clock.observe(clock);
+    }
+    return serverState;
+  }
+
+  /**
+   * Point a resolved mutation at the server's current revision so the
+   * resend is accepted.
+   * @private
+   */
+  rebaseOnServer(mutation, serverState) {
+    if (!serverState || serverState.revision === undefined) {
+      return mutation;
+    }
+    return { ...mutation, baseRevision: serverState.revision };
+  }
+
+  /**
+   * If an earlier mutation in this session already moved the record past this
+   * mutation's base revision, rebase onto the revision our own write produced.
+   * @private
+   */
+  rebaseOnAcknowledged(mutation) {
+    const key = getEntityKey(mutation);
+    const tracked = key && this.acknowledgedRevisions.get(key);
+    if (!tracked || mutation.baseRevision === undefined) {
+      return mutation;
+    }
+
+    const superseded = tracked.superseded.some(revision => revisionsEqual(revision, mutation.baseRevision));
+    return superseded ? { ...mutation, baseRevision: tracked.revision } : mutation;
+  }
+
+  /**
+   * Remember the revision a successful write produced.
+   * @private
+   */
+  recordAcknowledgedRevision(mutation, response) {
+    const key = getEntityKey(mutation);
+    if (!key || !response) return;
+
+    const revision = this.extractRevision(response.headers || {}, response.data);
+    if (revision === undefined) return;
+
+    const tracked = this.acknowledgedRevisions.get(key) || { superseded: [], revision: undefined };
+    if (mutation.baseRevision !== undefined) {
+      tracked.superseded.push(mutation.baseRevision);
+    }
+    tracked.revision = revision;
+
+    this.acknowledgedRevisions.delete(key);
+    this.acknowledgedRevisions.set(key, tracked);
+    if (this.acknowledgedRevisions.size > MAX_TRACKED_REVISIONS) {
+      this.acknowledgedRevisions.delete(this.acknowledgedRevisions.keys().next().value);
+    }
+  }
+
+  /**
+   * Sends a single mutation to the server through the configured transport.
+   * Rejects with a classified SyncError for non-2xx responses.
+   * @param {object} mutation - The mutation to sync.
+   * @returns {Promise<any>} The parsed response body.
+   * @private
+   */
+  async syncMutation(mutation) {
+    const response = isUploadMutation(mutation)
+      ? await this.uploadBlob(mutation)
+      : await this.transport.send(mutation);
+    return this.acknowledgeResponse(mutation, response);
+  }
+
+  /**
+   * Upload the blob of an upload mutation, reporting its progress.
+   * @private
+   */
+  uploadBlob(mutation) {
+    return uploadBlob({
+      mutation,
+      blobs: this.blobs,
+      transport: this.transport,
+      chunkSize: this.uploadChunkSize,
+      onProgress: (loaded, total) => this.updateUploadProgress(mutation, loaded, total)
+    });
+  }
+
+  /**
+   * Report upload progress through PROGRESS_UPDATE, next to the progress of
+   * the sync cycle: `{ current, total, percentage, upload: { mutationId,
+   * blobId, loaded, total, percentage } }`.
+   * @private
+   */
+  updateUploadProgress(mutation, loaded, total) {
+    if (!this.enableProgressTracking) return;
+
+    const upload = {
+      mutationId: mutation.id,
+      blobId: mutation.entityId,
+      loaded,
+      total,
+      percentage: total > 0 ? Math.round((loaded / total) * 100) : 100
+    };
+    this.emitEvent(SYNC_EVENTS.PROGRESS_UPDATE, { ...this.syncState.get().progress, upload });
+  }
+
+  /**
+   * Record what an acknowledgement tells us: the server clock, the record's
+   * new revision and any id assigned to a temp id.
+   * @private
+   * @returns {any} The response body
+   */
+  acknowledgeResponse(mutation, response) {
+    const definition = this.mutationTypes.get(mutation.type);
+    if (response && definition && definition.fromResponse) {
+      response = { ...response, data: definition.fromResponse(response, mutation) };
+    }
+    if (response) {
+      this.clock.observe(extractClock(response.headers || {}, response.data));
+    }
+    this.recordAcknowledgedRevision(mutation, response);
+    this.recordServerId(mutation, response);
+    return response ? response.data : undefined;
+  }
+
+  /**
+   * When a mutation creating a record under a temp id is acknowledged,
+   * remember the id the server assigned so dependent mutations use it.
+   * @private
+   */
+  recordServerId(mutation, response) {
+    const tempId = mutation.entityId !== undefined
+      ? mutation.entityId
+      : (mutation.payload && typeof mutation.payload === 'object' ? mutation.payload.id : undefined);
+    if (!this.isTempId(tempId) || !response) {
+      return;
+    }
+
+    // Upload responses are normalized to carry the blob's id
+    const serverId = isUploadMutation(mutation) ? response.data.id : this.extractServerId(response.data, mutation);
+    if (serverId === undefined || serverId === null || serverId === tempId) {
+      return;
+    }
+
+    this.tempIdMappings.update(current => {
+      const mappings = { ...(current || {}), [tempId]: serverId };
+      const tempIds = Object.keys(mappings);
+      tempIds.slice(0, Math.max(0, tempIds.length - MAX_TEMP_ID_MAPPINGS)).forEach(id => delete mappings[id]);
+      return mappings;
+    });
+
+    this.emitEvent(SYNC_EVENTS.TEMP_ID_RESOLVED, { tempId, serverId, mutation });
+  }
+
+  /**
+   * Replace temp ids of records the server already created with their server ids.
+   * @param {object} mutation
+   * @returns {object} The rewritten mutation (the same object if nothing changed)
+   */
+  rewriteTempIds(mutation) {
+    const mappings = this.tempIdMappings.get() || {};
+    if (Object.keys(mappings).length === 0) {
+      return mutation;
+    }
+
+    const entityId = replaceTempIds(mutation.entityId, mappings);
+    const payload = replaceTempIds(mutation.payload, mappings);
+    if (entityId === mutation.entityId && payload === mutation.payload) {
+      return mutation;
+    }
+
+    const rewritten = { ...mutation, payload };
+    if (mutation.entityId !== undefined) {
+      rewritten.entityId = entityId;
+    }
+    return rewritten;
+  }
+
+  /**
+   * Look up the server id assigned to a temp id.
+   * @param {string} tempId
+   * @returns {any} The server id, or the given id if it has not been resolved
+   */
+  resolveTempId(tempId) {
+    const mappings = this.tempIdMappings.get() || {};
+    return Object.prototype.hasOwnProperty.call(mappings, tempId) ? mappings[tempId] : tempId;
+  }
+
+  /**
+   * Enhanced utility methods
+   */
+
+  /**
+   * Returns the current mutation queue with metadata.
+   * @returns {Promise<Array>} The current queue.
+   */
+  async getQueue() {
+    const queue = await this.queue.get();
+    return queue.map(mutation => ({
+      ...mutation,
+      age: Date.now() - (mutation.timestamp || 0),
+      canRetry: (mutation.retryCount || 0) < this.retryAttempts
+    }));
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Promise<object>} Queue statistics
+   */
+  async getQueueStats() {
+    const queue = await this.getQueue();
+    const now = Date.now();
+
+    return {
+      total: queue.length,
+      pending: queue.filter(m => m.status === 'pending').length,
+      failed: queue.filter(m => (m.retryCount || 0) >= this.retryAttempts).length,
+      retriable: queue.filter(m => m.canRetry).length,
+      oldestMutation: queue.reduce((oldest, m) => Math.max(oldest, now - (m.timestamp || 0)), 0),
+      averageAge: queue.length > 0 ?
+        queue.reduce((sum, m) => sum + (now - (m.timestamp || 0)), 0) / queue.length : 0
+    };
+  }
+
+  /**
+   * Clear all mutations from queue (use with caution)
+   * @returns {Promise<void>}
+   */
+  async clearQueue() {
+    const currentQueue = (await this.queue.get()) || [];
+    currentQueue.slice().reverse().forEach(mutation => this.rollbackOptimisticUpdate(mutation, 'cleared'));
+    await this.queue.set([]);
+    this.updateSyncState({
+      pending: 0,
+      status: SYNC_STATUS.IDLE,
+      error: null
+    });
+    this.emitEvent(SYNC_EVENTS.QUEUE_UPDATED, {
+      action: 'cleared',
+      queueLength: 0
+    });
+  }
+
+  /**
+   * Remove specific mutation from queue
+   * @param {string} mutationId - ID of mutation to remove
+   * @returns {Promise<boolean>} True if mutation was found and removed
+   */
+  async removeMutation(mutationId) {
+    const currentQueue = await this.queue.get();
+    const filteredQueue = currentQueue.filter(m => m.id !== mutationId);
+
+    if (filteredQueue.length !== currentQueue.length) {
+      this.rollbackOptimisticUpdate(currentQueue.find(m => m.id === mutationId), 'removed');
+      await this.queue.set(filteredQueue);
+      this.updateSyncState({ pending: filteredQueue.length });
+      this.emitEvent(SYNC_EVENTS.QUEUE_UPDATED, {
+        action: 'removed',
+        mutationId,
+        queueLength: filteredQueue.length
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Take a synced mutation off the queue. Unlike removeMutation(), its
+   * optimistic change stays, as settled by the server's response.
+   * @private
+   */
+  async removeSyncedMutation(mutation) {
+    const filteredQueue = (await this.queue.get()).filter(m => m.id !== mutation.id);
+    await this.queue.set(filteredQueue);
+    if (isUploadMutation(mutation)) {
+      await this.blobs.delete(mutation.entityId).catch(error => {
+        console.warn(`SyncEngine: Failed to remove uploaded blob ${mutation.entityId}:`, error && error.message);
+      });
+    }
+    this.updateSyncState({ pending: filteredQueue.length });
+    this.emitEvent(SYNC_EVENTS.QUEUE_UPDATED, {
+      action: 'removed',
+      mutationId: mutation.id,
+      queueLength: filteredQueue.length
+    });
+  }
+
+  /**
+   * List conflicts parked by the ThreeWayMerge strategy.
+   * @returns {Promise<Array<{ id: string, mutation: object, base: object, server: object, merged: object, conflicts: Array }>>}
+   */
+  async getPendingConflicts() {
+    return this.pendingConflicts.list();
+  }
+
+  /**
+   * Resolve a pending conflict by hand and feed the result back into the queue.
+   * @param {string} conflictId - ID of the pending conflict
+   * @param {'local'|'server'|Object} resolution - A side for every colliding
+   * field, or a map of field → `'local'`, `'server'` or `{ value }`
+   * @returns {Promise<object|null>} The re-queued mutation, or null if the conflict was not found
+   */
+  async resolvePendingConflict(conflictId, resolution) {
+    const entry = await this.pendingConflicts.get(conflictId);
+    if (!entry) {
+      return null;
+    }
+
+    const payload = applyResolution(entry.merged, entry.conflicts, resolution);
+
+    const requeued = await this.addMutation({
+      ...this.stripQueueMetadata(entry.mutation),
+      payload,
+      base: entry.server.data,
+      baseRevision: entry.server.revision,
+      resolvedConflictId: conflictId
+    });
+
+    await this.pendingConflicts.remove(conflictId);
+    this.emitEvent(SYNC_EVENTS.CONFLICTS_UPDATED, { action: 'resolved', conflictId, mutation: requeued });
+
+    return requeued;
+  }
+
+  /**
+   * Drop a pending conflict, keeping the server version.
+   * @param {string} conflictId - ID of the pending conflict
+   * @returns {Promise<boolean>} True if the conflict was found and removed
+   */
+  async discardPendingConflict(conflictId) {
+    const removed = await this.pendingConflicts.remove(conflictId);
+    if (removed) {
+      this.emitEvent(SYNC_EVENTS.CONFLICTS_UPDATED, { action: 'discarded', conflictId });
+    }
+    return removed;
+  }
+
+  /**
+   * Remove the metadata addMutation() attaches, so a mutation can be queued again.
+   * @private
+   */
+  stripQueueMetadata(mutation) {
+    const { id, idempotencyKey, timestamp, hlc, retryCount, status, lastError, lastAttempt, errorHistory, ...original } = mutation;
+    return original;
+  }
+
+  /**
+   * List mutations that exhausted their retries or were rejected by the server.
+   * @returns {Promise<Array<{ id: string, mutation: object, errors: Array, attempts: Array<number>, reason: string, failedAt: number }>>}
+   */
+  async getDeadLetters() {
+    return this.deadLetters.list();
+  }
+
+  /**
+   * Inspect a single dead letter.
+   * @param {string} deadLetterId - ID of the dead letter
+   * @returns {Promise<object|null>}
+   */
+  async getDeadLetter(deadLetterId) {
+    return this.deadLetters.get(deadLetterId);
+  }
+
+  /**
+   * Put a dead-lettered mutation back in the queue, optionally edited first.
+   * @param {string} deadLetterId - ID of the dead letter
+   * @param {Object|function} [edit] - Fields to overwrite on the mutation, or
+   * a function receiving the mutation and returning the one to queue
+   * @returns {Promise<object|null>} The re-queued mutation, or null if the dead letter was not found
+   */
+  async requeueDeadLetter(deadLetterId, edit) {
+    const entry = await this.deadLetters.get(deadLetterId);
+    if (!entry) {
+      return null;
+    }
+
+    const original = this.stripQueueMetadata(entry.mutation);
+    const edited = typeof edit === 'function' ? edit(original) : { ...original, ...(edit || {}) };
+
+    const requeued = await this.addMutation({
+      ...edited,
+      requeuedDeadLetterId: deadLetterId
+    });
+
+    await this.deadLetters.remove(deadLetterId);
+    this.emitEvent(SYNC_EVENTS.DEAD_LETTERS_UPDATED, { action: 'requeued', deadLetterId, mutation: requeued });
+
+    return requeued;
+  }
+
+  /**
+   * Permanently drop a dead letter.
+   * @param {string} deadLetterId - ID of the dead letter
+   * @returns {Promise<boolean>} True if the dead letter was found and removed
+   */
+  async discardDeadLetter(deadLetterId) {
+    const removed = await this.deadLetters.remove(deadLetterId);
+    if (removed) {
+      this.emitEvent(SYNC_EVENTS.DEAD_LETTERS_UPDATED, { action: 'discarded', deadLetterId });
+    }
+    return removed;
+  }
+
+  /**
+   * Send one queued mutation now, with a single attempt: carbon-aware
+   * deferral, retry backoff, an open circuit and pause() are skipped. Queued
+   * mutations it depends on are sent first. A failure leaves it queued as it was.
+   * In a follower tab the leader sends it. A sync that is sending it already
+   * is waited for, and it is only sent if it is still queued then.
+   * @param {string} mutationId - ID of mutation to sync
+   * @returns {Promise<boolean>} True if the mutation was found and synced, false if it is not queued
+   * @throws {Error} When offline, or the error the mutation (or one it depends on) failed with
+   */
+  async forceSyncMutation(mutationId) {
+    if (!this.isLeader) {
+      return this.forwardForceSync(mutationId);
+    }
+
+    await this.migrateQueue();
+    const currentQueue = (await this.queue.get()) || [];
+    const mutation = currentQueue.find(m => m.id === mutationId);
+
+    if (!mutation) {
+      return false;
+    }
+
+    if (!this.isOnline) {
+      throw new Error('Cannot force sync while offline');
+    }
+
+    // The mutation and the queued parents it needs, parents first
+    const { ordered, graph } = this.orderByDependencies(currentQueue);
+    const needed = new Set([mutationId]);
+    for (let i = ordered.length - 1; i >= 0; i--) {
+      if (needed.has(ordered[i].id)) {
+        graph.get(ordered[i].id).forEach(id => needed.add(id));
+      }
+    }
+    const mutations = ordered.filter(queued => needed.has(queued.id));
+
+    if (mutations.some(queued => this.lockedMutationIds.has(queued.id))) {
+      await this.waitForUnlock(mutations);
+      return this.forceSyncMutation(mutationId);
+    }
+
+    this.lockMutations(mutations);
+    mutations.forEach(queued => this.forcedMutationIds.add(queued.id));
+    let current = mutation;
+    try {
+      for (const queued of mutations) {
+        current = queued;
+        const result = await this.processSingleMutation(queued, { force: true });
+        if (!result.success) {
+          throw result.error;
+        }
+
+        this.settleOptimisticUpdate(queued, result);
+        this.deferredMutationIds.delete(queued.id);
+        await this.removeSyncedMutation(queued);
+        this.emitEvent(SYNC_EVENTS.MUTATION_SYNCED, {
+          mutation: queued,
+          result: result.data,
+          forced: true
+        });
+      }
+      return true;
+    } catch (error) {
+      this.emitEvent(SYNC_EVENTS.SYNC_ERROR, {
+        mutation: current,
+        error,
+        forced: true
+      });
+      throw error;
+    } finally {
+      mutations.forEach(queued => this.forcedMutationIds.delete(queued.id));
+      this.unlockMutations(mutations);
+    }
+  }
+
+  /**
+   * Put a dead-lettered mutation back in the queue unchanged, with a fresh
+   * retry budget, and send it right away like forceSyncMutation(). If that
+   * attempt fails (or the device is offline or paused) it stays queued and
+   * is retried like any other mutation.
+   * @param {string} deadLetterId - ID of the dead letter
+   * @returns {Promise<boolean|null>} True if it synced, false if it is queued again, null if the
+   * dead letter was not found
+   */
+  async retryDeadLetter(deadLetterId) {
+    const requeued = await this.requeueDeadLetter(deadLetterId);
+    if (!requeued) {
+      return null;
+    }
+    if (!this.isOnline || !this.isLeader || this.isHalted()) {
+      return false;
+    }
+
+    try {
+      return await this.forceSyncMutation(requeued.id);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Stop syncing until resume(), e.g. while on a metered connection.
+   * Mutations are still queued and applied optimistically. The paused state
+   * is persisted and shared with other tabs; the status is SYNC_STATUS.PAUSED.
+   * @param {string} [reason] - Why syncing is paused, kept in getPauseState()
+   */
+  pause(reason) {
+    const state = { reason: reason || null, pausedAt: Date.now() };
+    this.applyPauseState(state);
+    if (this.tabs) {
+      this.tabs.post({ type: 'pause-state', state });
+    }
+  }
+
+  /**
+   * Start syncing again after pause(). The queue is processed right away
+   * when online.
+   * @returns {Promise<Object|null>} Result of the sync() it starts
+   */
+  async resume() {
+    this.applyPauseState(null);
+    if (this.tabs) {
+      this.tabs.post({ type: 'pause-state', state: null });
+    }
+    return this.isOnline ? this.sync() : null;
+  }
+
+  /**
+   * @returns {boolean} True while syncing is paused
+   */
+  isPaused() {
+    return Boolean(this.pauseState.get());
+  }
+
+  /**
+   * @returns {{ reason: string|null, pausedAt: number }|null} Why and since when syncing is paused
+   */
+  getPauseState() {
+    return this.pauseState.get() || null;
+  }
+
+  /**
+   * Store a paused state set by this or another tab and reflect it in the status.
+   * @private
+   */
+  applyPauseState(state) {
+    this.pauseState.set(state);
+    if (state) {
+      this.updateSyncStatus(SYNC_STATUS.PAUSED);
+    } else if (this.syncState.get().status === SYNC_STATUS.PAUSED) {
+      this.updateSyncStatus(this.isOnline ? (this.haltedStatus() || SYNC_STATUS.IDLE) : SYNC_STATUS.OFFLINE);
+    }
+  }
+
+  /**
+   * @private
+   * @returns {boolean} True while nothing may be sent: locked, waiting for sign-in, or paused
+   */
+  isHalted() {
+    return this.haltedStatus() !== null;
+  }
+
+  /**
+   * @private
+   * @returns {string|null} The status explaining why nothing is sent, or null if syncing may go on
+   */
+  haltedStatus() {
+    if (this.isLocked()) {
+      return SYNC_STATUS.LOCKED;
+    }
+    if (this.authSuspended) {
+      return SYNC_STATUS.AUTH_REQUIRED;
+    }
+    if (this.isPaused()) {
+      return SYNC_STATUS.PAUSED;
+    }
+    return null;
+  }
+
+  /**
+   * @returns {boolean} True while the `encryption` vault is locked and the queue cannot be read
+   */
+  isLocked() {
+    return Boolean(this.encryption) && !this.encryption.isUnlocked();
+  }
+
+  /**
+   * Follow the vault: hold everything while it is locked and sync once the
+   * queue has loaded after an unlock.
+   * @private
+   */
+  async handleVaultChange() {
+    const { status } = this.syncState.get();
+    if (this.isLocked()) {
+      if (status !== SYNC_STATUS.LOCKED) {
+        this.updateSyncStatus(SYNC_STATUS.LOCKED);
       }
+      return;
+    }
+    if (status !== SYNC_STATUS.LOCKED) {
+      return;
     }
 
-    // Update queue after batch processing
-    await this.updateQueueAfterBatch(results);
-
-    return results;
+    this.updateSyncStatus(this.isOnline ? SYNC_STATUS.IDLE : SYNC_STATUS.OFFLINE);
+    await this.queue.ready;
+    if (this.isOnline && !this.isHalted()) {
+      await this.sync();
+    }
   }
 
   /**
-   * Update queue after batch processing
-   * @private
+   * Register a collection for the pull phase. Changes fetched from the
+   * collection's feed are applied to its store.
+   * @param {string} name - Collection name, passed to `changesSince`
+   * @param {Object} config
+   * @param {AetherStore} config.store - Store holding the collection (an array of records or a map keyed by id)
+   * @param {string} [config.entity=name] - Entity matched against queued mutations (`mutation.entity`,
+   * or the mutation type without its operation prefix) to detect conflicts with local changes
+   * @param {string} [config.idField='id'] - Record id field for array stores
+   * @param {function} [config.apply] - `(state, change) => newState` replacing the default upsert/delete
+   * @param {function} [config.changesSince] - `(cursor, name) => Promise<page>` for this collection only
+   * @param {string} [config.path] - Changes feed path for the default transport
    */
-  async updateQueueAfterBatch(results) {
-    const currentQueue = await this.queue.get();
-    const successfulMutations = results
-      .filter(r => r.result && r.result.success)
-      .map(r => r.mutation);
-
-    // Remove successful mutations from queue
-    const updatedQueue = currentQueue.filter(queueMutation =>
-      !successfulMutations.some(successful =>
-        successful.id === queueMutation.id
-      )
-    );
+  registerCollection(name, config) {
+    if (!config || !config.store || typeof config.store.update !== 'function') {
+      throw new Error(`Collection "${name}" needs a store`);
+    }
+    this.collections.set(name, {
+      entity: name,
+      idField: 'id',
+      ...config
+    });
+  }
 
-    await this.queue.set(updatedQueue);
+  /**
+   * Stop pulling a collection. Its cursor is kept.
+   * @param {string} name
+   */
+  unregisterCollection(name) {
+    this.collections.delete(name);
+  }
 
-    // Update sync state
-    this.updateSyncState({
-      pending: updatedQueue.length,
-      status: updatedQueue.length === 0 ? SYNC_STATUS.SYNCED : SYNC_STATUS.IDLE
-    });
+  /**
+   * @param {string} name - Collection name
+   * @returns {any} The cursor the next pull continues from, or null before the first pull
+   */
+  getPullCursor(name) {
+    const cursors = this.pullCursors.get() || {};
+    return cursors[name] !== undefined ? cursors[name] : null;
   }
 
   /**
-   * Process a single mutation with retry logic
-   * @private
+   * Forget a collection's cursor (and its tombstones) so the next pull starts from scratch.
+   * @param {string} name
    */
-  async processSingleMutation(mutation) {
-    let lastError = null;
-    const maxRetries = mutation.retryCount < this.retryAttempts ?
-      this.retryAttempts - mutation.retryCount : 0;
+  resetPullCursor(name) {
+    this.pullCursors.update(({ [name]: cursor, ...cursors } = {}) => cursors);
+    this.tombstones.update(({ [name]: tombstones, ...rest } = {}) => rest);
+  }
 
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        // Fetch server state for conflict resolution
-        const serverState = await this.fetchServerState(mutation);
-        let resolvedMutation = mutation;
-
-        // Conflict resolution
-        if (serverState && this.hasConflict(mutation, serverState)) {
-          if (typeof this.conflictStrategy === 'function') {
-            resolvedMutation = this.conflictStrategy(mutation, serverState);
-            if (!resolvedMutation) {
-              // Custom resolver decided to skip this mutation
-              return { success: true, data: { skipped: true, reason: 'conflict_resolved' } };
-            }
-          } else if (this.conflictStrategy === 'ServerWins') {
-            // Discard local mutation
-            return { success: true, data: { skipped: true, reason: 'server_wins' } };
-          } else if (this.conflictStrategy === 'LastWriteWins') {
-            // Default: apply local mutation
-          }
-        }
+  /**
+   * Run one sync cycle: push queued mutations, then pull changes for every
+   * registered collection. Progress covers both phases.
+   * @param {Object} [options] - processQueue() options
+   * @returns {Promise<Object|null>} Pull results per collection (see pullChanges())
+   */
+  async sync(options = {}) {
+    if (!this.isLeader) {
+      this.tabs.post({ type: 'sync-request' });
+      return null;
+    }
 
-        // Attempt to sync the mutation
-        const result = await this.syncMutation(resolvedMutation);
-        return { success: true, data: result };
+    const pushTotal = this.syncState.get().pending || 0;
+    const total = pushTotal + this.collections.size;
 
-      } catch (error) {
-        lastError = error;
+    this.progressScope = { offset: 0, total };
+    try {
+      await this.processQueue(options);
 
-        // If this isn't the last attempt, wait before retrying
-        if (attempt < maxRetries) {
-          const delay = this.retryDelay * Math.pow(2, attempt); // Exponential backoff
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
+      if (this.collections.size === 0) {
+        return null;
       }
+      this.progressScope = { offset: pushTotal, total };
+      return await this.pullChanges();
+    } finally {
+      this.progressScope = null;
     }
-
-    // All retries failed
-    return {
-      success: false,
-      error: lastError,
-      retriesExhausted: true
-    };
   }
 
   /**
-   * Handle sync results and update queue
-   * @private
+   * Pull changes made on the server since the last pull and apply them to
+   * the registered stores. Each collection's cursor is saved after every
+   * page, so an interrupted pull resumes where it stopped.
+   * @param {string|Array<string>} [names] - Collections to pull (defaults to all registered)
+   * @returns {Promise<Object|null>} `{ [name]: { applied, conflicts, ignored, cursor } | { error } }`,
+   * or null if offline, a pull is already running or another tab leads
    */
-  async handleSyncResults(successfulMutations, failedMutations) {
-    const currentQueue = await this.queue.get();
-
-    // Remove successful mutations from queue
-    const remainingQueue = currentQueue.filter(queueMutation =>
-      !successfulMutations.some(successful =>
-        successful.id === queueMutation.id
-      )
-    );
-
-    // Update failed mutations with retry count
-    const updatedFailedMutations = failedMutations.map(failed => ({
-      ...failed.mutation,
-      retryCount: (failed.mutation.retryCount || 0) + 1,
-      lastError: failed.error.message,
-      lastAttempt: Date.now()
-    }));
-
-    // Keep failed mutations that haven't exceeded retry limit
-    const retriableMutations = updatedFailedMutations.filter(mutation =>
-      mutation.retryCount < this.retryAttempts
-    );
+  async pullChanges(names) {
+    if (!this.isLeader) {
+      this.tabs.post({ type: 'sync-request' });
+      return null;
+    }
+    if (!this.isOnline) {
+      this.updateSyncStatus(SYNC_STATUS.OFFLINE);
+      return null;
+    }
+    if (this.isPulling) {
+      return null;
+    }
+    const halted = this.haltedStatus();
+    if (halted) {
+      this.updateSyncStatus(halted);
+      return null;
+    }
 
-    // Final queue with only retriable mutations
-    const finalQueue = remainingQueue.map(queueMutation => {
-      const failedUpdate = retriableMutations.find(failed =>
-        failed.id === queueMutation.id
-      );
-      return failedUpdate || queueMutation;
-    });
+    const targets = names ? [].concat(names) : [...this.collections.keys()];
+    const results = {};
+    let firstError = null;
 
-    await this.queue.set(finalQueue);
+    this.isPulling = true;
+    this.updateSyncState({ status: SYNC_STATUS.SYNCING });
+    this.updateProgress(0, targets.length);
 
-    // Update sync state
-    const hasErrors = failedMutations.length > 0;
-    const allRetryExhausted = failedMutations.every(f => f.retriesExhausted);
+    try {
+      for (let i = 0; i < targets.length; i++) {
+        const name = targets[i];
+        try {
+          results[name] = await this.pullCollection(name);
+          this.emitEvent(SYNC_EVENTS.CHANGES_PULLED, { collection: name, ...results[name] });
+        } catch (error) {
+          console.error(`Failed to pull changes for ${name}:`, error);
+          results[name] = { error };
+          firstError = firstError || error;
+          this.emitEvent(SYNC_EVENTS.SYNC_ERROR, {
+            collection: name,
+            error,
+            kind: getErrorKind(error),
+            phase: 'pull'
+          });
+        }
+        this.updateProgress(i + 1, targets.length);
+      }
+    } finally {
+      this.isPulling = false;
+    }
 
+    const { pending } = this.syncState.get();
+    const status = this.haltedStatus() || (firstError ? SYNC_STATUS.ERROR : (pending > 0 ? SYNC_STATUS.IDLE : SYNC_STATUS.SYNCED));
     this.updateSyncState({
-      status: hasErrors ?
-        (allRetryExhausted ? SYNC_STATUS.ERROR : SYNC_STATUS.IDLE) :
-        SYNC_STATUS.SYNCED,
-      pending: finalQueue.length,
-      error: hasErrors ? failedMutations[0].error : null,
+      status,
+      error: firstError,
       lastSync: Date.now()
     });
 
-    // Emit error events for failed mutations
-    if (hasErrors) {
-      failedMutations.forEach(failed => {
-        this.emitEvent(SYNC_EVENTS.SYNC_ERROR, {
-          mutation: failed.mutation,
-          error: failed.error,
-          retryCount: failed.mutation.retryCount || 0,
-          retriesExhausted: failed.retriesExhausted
-        });
-      });
+    return results;
+  }
+
+  /**
+   * Page through one collection's changes feed.
+   * @private
+   */
+  async pullCollection(name) {
+    const collection = this.collections.get(name);
+    if (!collection) {
+      throw new Error(`Unknown collection "${name}"`);
     }
 
-    // Schedule retry for retriable mutations
-    if (retriableMutations.length > 0 && this.isOnline) {
-      setTimeout(() => {
-        if (!this.isSyncing) {
-          this.processQueue();
-        }
-      }, this.retryDelay * 2);
+    if (!this.storesLoaded) {
+      await this.storesReady;
     }
+    const summary = { applied: 0, conflicts: 0, ignored: 0, cursor: this.getPullCursor(name) };
+
+    for (let pages = 0; pages < MAX_PULL_PAGES; pages++) {
+      const page = normalizeChangesPage(await this.fetchChanges(name, collection, summary.cursor), summary.cursor);
+      if (page.clock !== undefined) {
+        this.clock.observe(page.clock);
+      }
+
+      for (const change of page.changes) {
+        const outcome = await this.applyPulledChange(name, collection, change);
+        summary[outcome] += 1;
+      }
+
+      summary.cursor = page.cursor;
+      this.pullCursors.update(cursors => ({ ...(cursors || {}), [name]: page.cursor }));
+
+      if (!page.hasMore || page.changes.length === 0) {
+        break;
+      }
+    }
+
+    return summary;
   }
 
   /**
-   * Simulate fetching the latest server state for a resource.
-   * In a real implementation, this would fetch from the server.
+   * Call the collection's, the engine's or the transport's `changesSince`.
+   * @private
    */
-  async fetchServerState(mutation) {
-    // Placeholder: return null to indicate no conflict by default
-    return null;
+  async fetchChanges(name, collection, cursor) {
+    if (typeof collection.changesSince === 'function') {
+      return this.withAuthRefresh(() => collection.changesSince(cursor, name));
+    }
+    if (typeof this.changesSince === 'function') {
+      return this.withAuthRefresh(() => this.changesSince(name, cursor));
+    }
+    if (this.transport && typeof this.transport.changesSince === 'function') {
+      return this.withAuthRefresh(() => this.transport.changesSince(name, cursor, { path: collection.path }));
+    }
+    throw new Error('Pulling changes needs a changesSince option or a transport with changesSince()');
   }
 
   /**
-   * Determines if there is a conflict between the mutation and server state.
+   * Apply one pulled change, unless queued local mutations on the same record
+   * take precedence. Tombstones remove the record and make queued updates to
+   * it dead letters; a queued re-create keeps the local record. Other
+   * conflicts keep the local version unless the strategy is ServerWins; the
+   * push phase resolves them against the server.
    * @private
+   * @returns {Promise<'applied'|'conflicts'|'ignored'>}
    */
-  hasConflict(mutation, serverState) {
-    // Placeholder: always returns false (no conflict)
-    // In a real implementation, compare mutation and serverState
-    return false;
+  async applyPulledChange(name, collection, change) {
+    if (!change || change.id === undefined || change.id === null) {
+      return 'ignored';
+    }
+    if (change.hlc !== undefined) {
+      this.clock.observe(change.hlc);
+    }
+
+    const deleted = isTombstone(change);
+    if (!deleted && this.isStaleUpsert(name, change)) {
+      return 'ignored';
+    }
+
+    const recordKey = `${collection.entity}:${change.id}`;
+    const queue = (await this.queue.get()) || [];
+    const pending = queue.filter(mutation => getCompactionKey(mutation) === recordKey);
+
+    if (pending.length > 0) {
+      this.emitEvent(SYNC_EVENTS.CONFLICT_DETECTED, {
+        local: pending[pending.length - 1],
+        pending,
+        server: { data: deleted ? null : change.data, revision: change.revision, clock: change.hlc, deleted },
+        collection: name,
+        source: 'pull'
+      });
+
+      const inFlight = pending.some(mutation => this.lockedMutationIds.has(mutation.id));
+      if (inFlight) {
+        return 'conflicts';
+      }
+
+      if (deleted) {
+        const orphaned = pending.filter(mutation => getMutationOperation(mutation) !== MUTATION_OPERATIONS.CREATE);
+        await this.dropPendingMutations(orphaned, 'deleted_remotely');
+        if (orphaned.length < pending.length) {
+          return 'conflicts';
+        }
+      } else if (this.conflictStrategy === 'ServerWins') {
+        await this.dropPendingMutations(pending, 'server_wins');
+      } else {
+        return 'conflicts';
+      }
+    }
+
+    const apply = collection.apply || ((state, next) => applyChange(state, next, { idField: collection.idField }));
+    collection.store.update(state => apply(state, change));
+    this.recordTombstone(name, change, deleted);
+    this.postToFollowers({ type: 'change', collection: name, change });
+
+    return pending.length > 0 ? 'conflicts' : 'applied';
   }
 
   /**
-   * Simulates syncing a single mutation to a server.
-   * @param {object} mutation - The mutation to sync.
+   * Remove queued mutations overtaken by a pulled change. Mutations whose
+   * record was deleted become dead letters so the edit can be recovered;
+   * ServerWins discards them like it does during push.
    * @private
    */
-  async syncMutation(mutation) {
-    // In a real implementation, this would be a fetch() call to your API.
-    console.log('Syncing mutation:', mutation);
-    return new Promise(resolve => setTimeout(resolve, 500)); // Simulate network latency
+  async dropPendingMutations(mutations, reason) {
+    if (mutations.length === 0) return;
+
+    for (const mutation of mutations) {
+      if (reason === 'server_wins') {
+        this.rollbackOptimisticUpdate(mutation, reason);
+      } else {
+        await this.addDeadLetter(mutation, true, reason);
+      }
+    }
+
+    const ids = new Set(mutations.map(mutation => mutation.id));
+    const currentQueue = (await this.queue.get()) || [];
+    const remainingQueue = currentQueue.filter(mutation => !ids.has(mutation.id));
+    await this.queue.set(remainingQueue);
+
+    this.updateSyncState({ pending: remainingQueue.length });
+    this.emitEvent(SYNC_EVENTS.QUEUE_UPDATED, {
+      action: 'removed',
+      mutationIds: [...ids],
+      reason,
+      queueLength: remainingQueue.length
+    });
   }
 
   /**
-   * Enhanced utility methods
+   * Remember deleted records so an older upsert arriving later does not
+   * bring them back; a newer upsert (a re-create) clears the tombstone.
+   * @private
    */
+  recordTombstone(name, change, deleted) {
+    if (deleted) {
+      this.tombstones.update(all => {
+        const next = { ...((all || {})[name] || {}), [change.id]: { at: Date.now(), hlc: change.hlc } };
+        const ids = Object.keys(next);
+        ids.slice(0, Math.max(0, ids.length - MAX_TOMBSTONES)).forEach(id => delete next[id]);
+        return { ...all, [name]: next };
+      });
+    } else if (this.isDeletedRemotely(name, change.id)) {
+      this.tombstones.update(all => {
+        const { [change.id]: cleared, ...rest } = (all || {})[name] || {};
+        return { ...all, [name]: rest };
+      });
+    }
+  }
 
   /**
-   * Returns the current mutation queue with metadata.
-   * @returns {Promise<Array>} The current queue.
+   * An upsert is stale when the record was deleted by a later write.
+   * @private
    */
-  async getQueue() {
-    const queue = await this.queue.get();
-    return queue.map(mutation => ({
-      ...mutation,
-      age: Date.now() - (mutation.timestamp || 0),
-      canRetry: (mutation.retryCount || 0) < this.retryAttempts
-    }));
+  isStaleUpsert(name, change) {
+    const tombstone = ((this.tombstones.get() || {})[name] || {})[change.id];
+    if (!tombstone || tombstone.hlc === undefined || change.hlc === undefined) {
+      return false;
+    }
+    return this.compareClocks(change.hlc, tombstone.hlc) < 0;
   }
 
   /**
-   * Get queue statistics
-   * @returns {Promise<object>} Queue statistics
+   * @param {string} name - Collection name
+   * @param {any} id - Record id
+   * @returns {boolean} True if a pull saw the record deleted on the server
    */
-  async getQueueStats() {
-    const queue = await this.getQueue();
-    const now = Date.now();
-
-    return {
-      total: queue.length,
-      pending: queue.filter(m => m.status === 'pending').length,
-      failed: queue.filter(m => (m.retryCount || 0) >= this.retryAttempts).length,
-      retriable: queue.filter(m => m.canRetry).length,
-      oldestMutation: queue.length > 0 ?
-        Math.max(...queue.map(m => now - (m.timestamp || 0))) : 0,
-      averageAge: queue.length > 0 ?
-        queue.reduce((sum, m) => sum + (now - (m.timestamp || 0)), 0) / queue.length : 0
-    };
+  isDeletedRemotely(name, id) {
+    const tombstones = (this.tombstones.get() || {})[name] || {};
+    return Object.prototype.hasOwnProperty.call(tombstones, id);
   }
 
   /**
-   * Clear all mutations from queue (use with caution)
-   * @returns {Promise<void>}
+   * Open the realtime channel. Changes it pushes go through the same
+   * apply and conflict handling as pulled changes and advance the same
+   * cursors, so a reconnect (or the next pull) resumes where it left off.
+   * With several tabs open only the leader holds the channel; the others
+   * receive the changes it applies.
+   * @param {RealtimeTransport} [transport] - Replaces the `realtime` option
    */
-  async clearQueue() {
-    await this.queue.set([]);
-    this.updateSyncState({
-      pending: 0,
-      status: SYNC_STATUS.IDLE,
-      error: null
-    });
-    this.emitEvent(SYNC_EVENTS.QUEUE_UPDATED, {
-      action: 'cleared',
-      queueLength: 0
+  connectRealtime(transport) {
+    if (transport) {
+      this.disconnectRealtime();
+      this.realtime = transport;
+    }
+    if (!this.realtime) {
+      throw new Error('No realtime transport configured');
+    }
+    this.realtimeRequested = true;
+    if (!this.isLeader) {
+      return;
+    }
+
+    this.realtime.connect({
+      getCursors: () => {
+        const cursors = this.pullCursors.get() || {};
+        return [...this.collections.keys()].reduce((registered, name) => {
+          if (cursors[name] !== undefined && cursors[name] !== null) registered[name] = cursors[name];
+          return registered;
+        }, {});
+      },
+      onMessage: (message) => {
+        this.realtimeApplying = this.realtimeApplying
+          .then(() => this.applyRealtimeMessage(message))
+          .catch(error => console.error('Failed to apply realtime message:', error));
+      },
+      onStatus: (status, info) => {
+        this.emitEvent(SYNC_EVENTS.REALTIME_STATUS, { status, ...info });
+      }
     });
   }
 
   /**
-   * Remove specific mutation from queue
-   * @param {string} mutationId - ID of mutation to remove
-   * @returns {Promise<boolean>} True if mutation was found and removed
+   * Close the realtime channel.
    */
-  async removeMutation(mutationId) {
-    const currentQueue = await this.queue.get();
-    const filteredQueue = currentQueue.filter(m => m.id !== mutationId);
-
-    if (filteredQueue.length !== currentQueue.length) {
-      await this.queue.set(filteredQueue);
-      this.updateSyncState({ pending: filteredQueue.length });
-      this.emitEvent(SYNC_EVENTS.QUEUE_UPDATED, {
-        action: 'removed',
-        mutationId,
-        queueLength: filteredQueue.length
-      });
-      return true;
+  disconnectRealtime() {
+    this.realtimeRequested = false;
+    if (this.realtime) {
+      this.realtime.disconnect();
     }
-
-    return false;
   }
 
   /**
-   * Force sync of specific mutation
-   * @param {string} mutationId - ID of mutation to sync
-   * @returns {Promise<boolean>} True if mutation was found and synced
+   * Apply a `{ type: 'changes', collection, changes, cursor }` message.
+   * Other message types are ignored.
+   * @private
    */
-  async forceSyncMutation(mutationId) {
-    const currentQueue = await this.queue.get();
-    const mutation = currentQueue.find(m => m.id === mutationId);
-
-    if (!mutation) {
-      return false;
+  async applyRealtimeMessage(message) {
+    const collection = this.collections.get(message.collection);
+    if (message.type !== 'changes' || !collection) {
+      return null;
     }
 
-    if (!this.isOnline) {
-      throw new Error('Cannot force sync while offline');
+    if (!this.storesLoaded) {
+      await this.storesReady;
+    }
+    const summary = { applied: 0, conflicts: 0, ignored: 0, cursor: this.getPullCursor(message.collection) };
+    if (message.clock !== undefined) {
+      this.clock.observe(message.clock);
+    }
+    for (const change of message.changes || []) {
+      const outcome = await this.applyPulledChange(message.collection, collection, change);
+      summary[outcome] += 1;
     }
 
-    try {
-      const result = await this.processSingleMutation(mutation);
-
-      if (result.success) {
-        await this.removeMutation(mutationId);
-        this.emitEvent(SYNC_EVENTS.MUTATION_SYNCED, {
-          mutation,
-          result: result.data,
-          forced: true
-        });
-        return true;
-      } else {
-        throw result.error;
-      }
-    } catch (error) {
-      this.emitEvent(SYNC_EVENTS.SYNC_ERROR, {
-        mutation,
-        error,
-        forced: true
-      });
-      throw error;
+    if (message.cursor !== undefined) {
+      summary.cursor = message.cursor;
+      this.pullCursors.update(cursors => ({ ...(cursors || {}), [message.collection]: message.cursor }));
     }
+
+    this.emitEvent(SYNC_EVENTS.REALTIME_CHANGES, { collection: message.collection, ...summary });
+    return summary;
   }
 
   /**
@@ -785,7 +3284,9 @@ export class SyncEngine {
       features: {
         advancedCaching: this.enableAdvancedCaching,
         carbonAware: this.enableCarbonAware
-      }
+      },
+      retries: { ...this.retryStats, nextRetryAt: this.nextRetryAt },
+      circuits: this.circuitBreaker ? this.circuitBreaker.getStats() : {}
     };
 
     if (this.cacheManager) {
@@ -839,6 +3340,17 @@ export class SyncEngine {
    * Destroy sync engine and clean up resources
    */
   destroy() {
+    this.disconnectRealtime();
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    if (this.tabs) {
+      this.tabs.stop();
+    }
+    // Save a clock state still waiting on its throttle interval
+    if (typeof this.clock.flush === 'function') {
+      this.clock.flush();
+    }
+
     // Clear all event listeners
     this.eventListeners.clear();
 
@@ -851,12 +3363,9 @@ export class SyncEngine {
       // CarbonScheduler cleanup would go here
     }
 
-    // Remove window event listeners
-    if (typeof window !== 'undefined') {
-      // Note: We can't remove specific listeners without references
-      // This is a limitation of the current implementation
-      console.warn('Window event listeners for SyncEngine cannot be automatically removed');
-    }
+    // Remove network, service worker and store listeners
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
 
     // Reset state
     this.isSyncing = false;
@@ -0,0 +1,266 @@
+// src/sync/TabCoordinator.js
+
+// Election messages handled by the coordinator itself
+const ELECTION_TYPES = ['hello', 'heartbeat', 'resign'];
+
+/**
+ * @private
+ */
+function createTabId() {
+  return `tab_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * @class TabCoordinator
+ * Elects one leader among the tabs (and windows) of an origin that share a
+ * sync queue, and carries messages between them over a BroadcastChannel.
+ *
+ * - With the Web Locks API the leader is whoever holds an exclusive lock;
+ *   the browser hands it to the next waiting tab when the leader closes.
+ * - Without it, the leader sends a heartbeat every `heartbeatInterval`. A
+ *   tab that hears none for `leaderTimeout` claims leadership; if two tabs
+ *   claim at once, the one with the lower tab id keeps it.
+ *
+ * Messages are objects with a `type`; every message carries the sender's `tabId`.
+ */
+export class TabCoordinator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name='aether-sync'] - Lock and channel name
+   * @param {string} [options.tabId] - This tab's id (random by default)
+   * @param {Object} [options.locks] - Web Locks implementation (defaults to `navigator.locks`);
+   * `null` forces the heartbeat election
+   * @param {function} [options.BroadcastChannel] - BroadcastChannel implementation (defaults to the global one)
+   * @param {number} [options.heartbeatInterval=1000] - Heartbeat period of the fallback election
+   * @param {number} [options.leaderTimeout=3000] - Silence after which the fallback election picks a new leader
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'aether-sync';
+    this.tabId = options.tabId || createTabId();
+    this.locks = options.locks !== undefined
+      ? options.locks
+      : (typeof navigator !== 'undefined' && navigator.locks ? navigator.locks : null);
+    this.BroadcastChannelImpl = options.BroadcastChannel
+      || (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+    this.heartbeatInterval = options.heartbeatInterval || 1000;
+    this.leaderTimeout = options.leaderTimeout || 3000;
+
+    this.isLeader = false;
+    this.leaderId = null;
+    this.handlers = null;
+    this.channel = null;
+    this.lastLeaderSeen = 0;
+    this.heartbeatTimer = null;
+    this.lockAbort = null;
+    this.releaseLock = null;
+  }
+
+  /**
+   * How the leader is elected.
+   * @returns {'locks'|'heartbeat'|'single'} `single` when no other tab can be reached,
+   * in which case this tab always leads
+   */
+  get mode() {
+    if (this.locks && typeof this.locks.request === 'function') return 'locks';
+    if (this.BroadcastChannelImpl) return 'heartbeat';
+    return 'single';
+  }
+
+  /**
+   * Join the election.
+   * @param {Object} handlers
+   * @param {function} [handlers.onLeadershipChange] - `(isLeader) => void`
+   * @param {function} [handlers.onMessage] - Called with messages posted by other tabs
+   */
+  start(handlers = {}) {
+    this.handlers = handlers;
+
+    if (this.BroadcastChannelImpl) {
+      this.channel = new this.BroadcastChannelImpl(this.name);
+      this.channel.onmessage = (event) => this.handleMessage(event.data);
+      // Node's channels and timers would otherwise keep the process alive
+      if (typeof this.channel.unref === 'function') {
+        this.channel.unref();
+      }
+    }
+
+    const mode = this.mode;
+    if (mode === 'locks') {
+      this.requestLock();
+    } else if (mode === 'heartbeat') {
+      this.lastLeaderSeen = Date.now();
+      this.heartbeatTimer = setInterval(() => this.checkLeader(), this.heartbeatInterval);
+      if (typeof this.heartbeatTimer.unref === 'function') {
+        this.heartbeatTimer.unref();
+      }
+      this.post({ type: 'hello' });
+    } else {
+      this.setLeader(true);
+    }
+  }
+
+  /**
+   * Leave the election, handing leadership to another tab.
+   */
+  stop() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    if (this.lockAbort) {
+      this.lockAbort.abort();
+      this.lockAbort = null;
+    }
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+    if (this.isLeader && this.mode === 'heartbeat') {
+      this.post({ type: 'resign' });
+    }
+    this.setLeader(false);
+
+    if (this.channel) {
+      this.channel.onmessage = null;
+      this.channel.close();
+      this.channel = null;
+    }
+    this.handlers = null;
+  }
+
+  /**
+   * Send a message to every other tab.
+   * @param {Object} message - Structured-cloneable object with a `type`
+   * @returns {boolean} False if there is no channel or the message could not be sent
+   */
+  post(message) {
+    if (!this.channel) {
+      return false;
+    }
+    try {
+      this.channel.postMessage({ ...message, tabId: this.tabId });
+      return true;
+    } catch (error) {
+      console.warn(`Failed to post ${message.type} message to other tabs:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Run a task holding the leader lock, from a context that does not join
+   * the election (a service worker). Skipped while a tab leads; tabs that
+   * start meanwhile wait for the task. Without Web Locks the task just runs.
+   * @param {function} task - Returns a promise
+   * @returns {Promise<{ran: boolean, value: any}>}
+   */
+  async runExclusive(task) {
+    if (this.mode !== 'locks') {
+      return { ran: true, value: await task() };
+    }
+    return this.locks.request(`${this.name}-leader`, { ifAvailable: true }, async (lock) => (
+      lock ? { ran: true, value: await task() } : { ran: false }
+    ));
+  }
+
+  /**
+   * @private
+   */
+  requestLock() {
+    this.lockAbort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const options = this.lockAbort ? { signal: this.lockAbort.signal } : {};
+
+    this.locks.request(`${this.name}-leader`, options, () => {
+      this.lockAbort = null;
+      this.setLeader(true);
+      // Hold the lock until stop() or the tab closes
+      return new Promise(resolve => { this.releaseLock = resolve; });
+    }).catch(error => {
+      if (error && error.name !== 'AbortError') {
+        console.warn('Leader lock request failed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Fallback election tick.
+   * @private
+   */
+  checkLeader() {
+    if (this.isLeader) {
+      this.post({ type: 'heartbeat' });
+    } else if (Date.now() - this.lastLeaderSeen > this.leaderTimeout) {
+      this.setLeader(true);
+      this.post({ type: 'heartbeat' });
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleMessage(message) {
+    if (!message || typeof message !== 'object' || message.tabId === this.tabId) {
+      return;
+    }
+
+    if (message.type === 'heartbeat' || message.type === 'leader') {
+      this.observeLeader(message.tabId);
+    } else if (message.type === 'hello' && this.isLeader) {
+      this.post({ type: this.mode === 'heartbeat' ? 'heartbeat' : 'leader' });
+    } else if (message.type === 'resign' && message.tabId === this.leaderId) {
+      this.leaderId = null;
+      this.lastLeaderSeen = 0;
+    }
+
+    if (!ELECTION_TYPES.includes(message.type) && this.handlers && typeof this.handlers.onMessage === 'function') {
+      this.handlers.onMessage(message);
+    }
+  }
+
+  /**
+   * Another tab says it leads. In the heartbeat election two leaders can
+   * briefly coexist; the lower tab id wins.
+   * @private
+   */
+  observeLeader(tabId) {
+    if (this.isLeader) {
+      if (this.mode !== 'heartbeat') return;
+      if (tabId < this.tabId) {
+        this.setLeader(false);
+      } else {
+        this.post({ type: 'heartbeat' });
+        return;
+      }
+    }
+    this.leaderId = tabId;
+    this.lastLeaderSeen = Date.now();
+  }
+
+  /**
+   * @private
+   */
+  setLeader(isLeader) {
+    if (this.isLeader === isLeader) {
+      return;
+    }
+    this.isLeader = isLeader;
+    this.leaderId = isLeader ? this.tabId : null;
+
+    if (isLeader) {
+      this.post({ type: 'leader' });
+    }
+    if (this.handlers && typeof this.handlers.onLeadershipChange === 'function') {
+      this.handlers.onLeadershipChange(isLeader);
+    }
+  }
+}
+
+/**
+ * Create a coordinator if other tabs can be reached (Web Locks or
+ * BroadcastChannel are available); otherwise the caller is the only tab.
+ * @param {Object} [options] - TabCoordinator options
+ * @returns {TabCoordinator|null}
+ */
+export function createTabCoordinator(options = {}) {
+  const coordinator = new TabCoordinator(options);
+  return coordinator.mode === 'single' ? null : coordinator;
+}
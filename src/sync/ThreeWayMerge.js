@@ -0,0 +1,121 @@
+// src/sync/ThreeWayMerge.js
+
+/**
+ * Structural equality for JSON-like values.
+ * @private
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  if (aKeys.length !== bKeys.length) return false;
+
+  return aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Field-level three-way merge of a record.
+ *
+ * Each top-level field is diffed base→local and base→server. Fields changed
+ * on one side only take that side's value; fields changed identically on
+ * both sides are kept; fields changed differently on both sides are
+ * reported as collisions and left at the server value in `merged`.
+ *
+ * When no base is known every field where local and server disagree is
+ * reported as a collision, since there is no way to tell who changed it.
+ *
+ * @param {Object|null|undefined} base - The record both sides started from
+ * @param {Object} local - The locally edited record (or patch applied over base)
+ * @param {Object} server - The current server record
+ * @returns {{ merged: Object, conflicts: Array<{ field: string, base: any, local: any, server: any }> }}
+ */
+export function threeWayMerge(base, local, server) {
+  const serverRecord = server || {};
+  const merged = { ...serverRecord };
+  const conflicts = [];
+
+  if (!base) {
+    Object.keys(local || {}).forEach(field => {
+      if (!isEqual(local[field], serverRecord[field])) {
+        conflicts.push({ field, base: undefined, local: local[field], server: serverRecord[field] });
+      }
+    });
+    return { merged, conflicts };
+  }
+
+  const localRecord = { ...base, ...local };
+  const fields = new Set([
+    ...Object.keys(base),
+    ...Object.keys(localRecord),
+    ...Object.keys(serverRecord)
+  ]);
+
+  fields.forEach(field => {
+    const localChanged = has(localRecord, field) !== has(base, field) || !isEqual(localRecord[field], base[field]);
+    const serverChanged = has(serverRecord, field) !== has(base, field) || !isEqual(serverRecord[field], base[field]);
+
+    if (localChanged && !serverChanged) {
+      if (has(localRecord, field)) {
+        merged[field] = localRecord[field];
+      } else {
+        delete merged[field];
+      }
+    } else if (localChanged && serverChanged && !isEqual(localRecord[field], serverRecord[field])) {
+      conflicts.push({
+        field,
+        base: base[field],
+        local: localRecord[field],
+        server: serverRecord[field]
+      });
+    }
+  });
+
+  return { merged, conflicts };
+}
+
+/**
+ * Apply a manual resolution to the collisions of a three-way merge.
+ * @param {Object} merged - The merged record returned by threeWayMerge
+ * @param {Array} conflicts - The collisions returned by threeWayMerge
+ * @param {'local'|'server'|Object} resolution - Either a side for every
+ * field, or a map of field → `'local'`, `'server'` or `{ value }`
+ * @returns {Object} The fully resolved record
+ * @throws {Error} If a colliding field has no resolution
+ */
+export function applyResolution(merged, conflicts, resolution) {
+  const resolved = { ...merged };
+  const unresolved = [];
+
+  conflicts.forEach(conflict => {
+    const choice = typeof resolution === 'string' ? resolution : (resolution || {})[conflict.field];
+
+    if (choice === 'local') {
+      resolved[conflict.field] = conflict.local;
+    } else if (choice === 'server') {
+      resolved[conflict.field] = conflict.server;
+    } else if (choice && typeof choice === 'object' && has(choice, 'value')) {
+      resolved[conflict.field] = choice.value;
+    } else {
+      unresolved.push(conflict.field);
+    }
+  });
+
+  if (unresolved.length > 0) {
+    throw new Error(`Unresolved conflicting fields: ${unresolved.join(', ')}`);
+  }
+
+  Object.keys(resolved).forEach(field => {
+    if (resolved[field] === undefined) {
+      delete resolved[field];
+    }
+  });
+
+  return resolved;
+}
@@ -0,0 +1,99 @@
+// src/sync/backgroundSync.js
+
+import { TabCoordinator } from './TabCoordinator.js';
+
+// Background Sync tag the service worker kernel drains the queue for
+export const BACKGROUND_SYNC_TAG = 'aether-sync';
+
+// Type of the message the kernel posts to its pages after a Background Sync
+export const BACKGROUND_SYNC_MESSAGE = 'aether-background-sync';
+
+/**
+ * Ask the browser for a Background Sync, so the service worker sends the
+ * queue once the network is back even if every page has been closed by then.
+ * @param {string} [tag='aether-sync']
+ * @returns {Promise<boolean>} False where no service worker controls the page
+ * or Background Sync is not supported
+ */
+export async function requestBackgroundSync(tag = BACKGROUND_SYNC_TAG) {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker || !navigator.serviceWorker.controller) {
+    return false;
+  }
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.sync) {
+      return false;
+    }
+    await registration.sync.register(tag);
+    return true;
+  } catch (error) {
+    console.warn('Background Sync registration failed:', error && error.message);
+    return false;
+  }
+}
+
+/**
+ * Create the `sync` event listener of a service worker. It drains the queue
+ * the pages wrote with `syncEngine.drainQueue()` and posts the result to
+ * every page as `{ type: 'aether-background-sync', ran: true, result }`.
+ *
+ * The engine must be created with `crossTab: false`: the worker does not
+ * join the tab election, it only syncs while no page leads. If one does,
+ * the pages get `{ type: 'aether-background-sync', ran: false }` and the
+ * leader syncs itself. The event fails, so the browser tries it again
+ * later, when mutations are left that failed to send.
+ *
+ * @param {SyncEngine} syncEngine
+ * @param {Object} [options]
+ * @param {string} [options.tag='aether-sync'] - Background Sync tag to handle
+ * @param {TabCoordinator} [options.tabs] - Coordinator named like the pages' one, used for its leader lock
+ * @param {Clients} [options.clients=self.clients] - The worker's clients, to post results to
+ * @returns {function} `(event) => void`
+ */
+export function createBackgroundSyncHandler(syncEngine, options = {}) {
+  const tag = options.tag || BACKGROUND_SYNC_TAG;
+  const tabs = options.tabs || new TabCoordinator();
+
+  const notifyPages = async (message) => {
+    const clients = options.clients || self.clients;
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage({ type: BACKGROUND_SYNC_MESSAGE, ...message }));
+  };
+
+  const run = async () => {
+    const { ran, value: result } = await tabs.runExclusive(() => syncEngine.drainQueue());
+    await notifyPages(ran ? { ran, result } : { ran });
+
+    if (ran && result.pending > 0 && result.error) {
+      throw new Error(`${result.pending} mutations are still waiting to be sent`);
+    }
+  };
+
+  return (event) => {
+    if (event.tag === tag) {
+      event.waitUntil(run());
+    }
+  };
+}
+
+/**
+ * Drain the queue with the app's own engine when a Background Sync fires.
+ * Call it in the service worker script with an engine configured like the
+ * pages' one (endpoint or transport, routes, mutation types, encryption),
+ * created with `crossTab: false`; the queue is sent with that config.
+ *
+ * @param {SyncEngine} syncEngine
+ * @param {Object} [options] - createBackgroundSyncHandler() options, and:
+ * @param {EventTarget} [options.scope=self] - The worker's global scope
+ * @returns {function} Removes the `sync` listener again
+ * @throws {Error} Without an engine
+ */
+export function registerBackgroundSync(syncEngine, options = {}) {
+  if (!syncEngine || typeof syncEngine.drainQueue !== 'function') {
+    throw new Error('registerBackgroundSync() needs the SyncEngine to send the queue with');
+  }
+  const scope = options.scope || self;
+  const handler = createBackgroundSyncHandler(syncEngine, options);
+  scope.addEventListener('sync', handler);
+  return () => scope.removeEventListener('sync', handler);
+}
@@ -0,0 +1,91 @@
+// src/sync/changes.js
+
+/**
+ * Helpers for the pull phase: reading pages returned by a `changesSince`
+ * endpoint and applying the changes they contain to local store state.
+ *
+ * A page looks like `{ changes: [...], cursor, hasMore }`. Each change is
+ * either an upsert `{ id, data, revision?, hlc? }` or a tombstone for a
+ * deleted record, `{ id, deleted: true }` (or `op: 'delete'`).
+ */
+
+/**
+ * @param {object} change
+ * @returns {boolean} True if the change records a deletion
+ */
+export function isTombstone(change) {
+  return Boolean(change) && (change.deleted === true || change.op === 'delete');
+}
+
+/**
+ * Normalise whatever a `changesSince` implementation returned into a page.
+ * @param {any} response - `{ changes, cursor, hasMore, clock }`; a bare array is treated as a
+ * final page of changes without a new cursor
+ * @param {any} cursor - The cursor the page was requested with
+ * @returns {{ changes: Array<object>, cursor: any, hasMore: boolean, clock: string|undefined }}
+ */
+export function normalizeChangesPage(response, cursor) {
+  if (Array.isArray(response)) {
+    return { changes: response, cursor, hasMore: false, clock: undefined };
+  }
+
+  const page = response && typeof response === 'object' ? response : {};
+  return {
+    changes: Array.isArray(page.changes) ? page.changes : [],
+    cursor: page.cursor !== undefined ? page.cursor : cursor,
+    hasMore: page.hasMore === true,
+    clock: page.clock !== undefined ? page.clock : page.hlc
+  };
+}
+
+/**
+ * The record carried by an upsert: `change.data`, or the change itself
+ * without its bookkeeping fields.
+ * @private
+ */
+function changeRecord(change) {
+  if (change.data !== undefined) {
+    return change.data;
+  }
+  const { op, deleted, revision, hlc, ...record } = change;
+  return record;
+}
+
+/**
+ * Apply one change to a store state. Arrays of records are matched by
+ * `idField`; plain objects are treated as maps keyed by record id.
+ * @param {Array|Object} state - Current store state
+ * @param {object} change - Upsert or tombstone
+ * @param {Object} [options]
+ * @param {string} [options.idField='id'] - Record id field for array states
+ * @returns {Array|Object} The new state
+ */
+export function applyChange(state, change, options = {}) {
+  const idField = options.idField || 'id';
+  const deleted = isTombstone(change);
+
+  if (Array.isArray(state)) {
+    const index = state.findIndex(item => item && item[idField] === change.id);
+    if (deleted) {
+      return index === -1 ? state : state.filter((item, i) => i !== index);
+    }
+
+    const record = changeRecord(change);
+    if (index === -1) {
+      return [...state, record];
+    }
+    const next = state.slice();
+    next[index] = record;
+    return next;
+  }
+
+  const map = state && typeof state === 'object' ? state : {};
+  if (deleted) {
+    if (!Object.prototype.hasOwnProperty.call(map, change.id)) {
+      return map;
+    }
+    const { [change.id]: removed, ...rest } = map;
+    return rest;
+  }
+  return { ...map, [change.id]: changeRecord(change) };
+}
@@ -0,0 +1,264 @@
+// src/sync/compaction.js
+
+/**
+ * Queue compaction: folds mutations that target the same record into as few
+ * requests as possible before they are sent.
+ *
+ * Default rules, applied per record:
+ * - update + update → one update with the patches merged
+ * - create + update → one create with the patch merged in
+ * - create + delete → both removed (unless the create may already have reached the server)
+ * - update + delete → the delete
+ * - delete + update → the update is dropped
+ *
+ * Coalescers registered per mutation type run before the default rules.
+ */
+
+/**
+ * Operation kinds understood by the default compaction rules.
+ */
+export const MUTATION_OPERATIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+const OPERATION_PREFIXES = [
+  [MUTATION_OPERATIONS.CREATE, /^(ADD|CREATE|INSERT)_/i],
+  [MUTATION_OPERATIONS.UPDATE, /^(UPDATE|EDIT|PATCH|SET)_/i],
+  [MUTATION_OPERATIONS.DELETE, /^(DELETE|REMOVE)_/i]
+];
+
+/**
+ * Work out whether a mutation creates, updates or deletes a record.
+ * Uses `mutation.operation` when set, otherwise the type prefix
+ * (`ADD_`/`CREATE_`/`INSERT_`, `UPDATE_`/`EDIT_`/`PATCH_`/`SET_`, `DELETE_`/`REMOVE_`).
+ * @param {object} mutation
+ * @returns {'create'|'update'|'delete'|null}
+ */
+export function getMutationOperation(mutation) {
+  if (!mutation) return null;
+  if (Object.values(MUTATION_OPERATIONS).includes(mutation.operation)) {
+    return mutation.operation;
+  }
+
+  const type = mutation.type || '';
+  const match = OPERATION_PREFIXES.find(([, pattern]) => pattern.test(type));
+  return match ? match[0] : null;
+}
+
+/**
+ * Key identifying the record a mutation targets, shared by its create,
+ * update and delete mutations: `mutation.entity` (or the type without its
+ * operation prefix, so `ADD_TODO` and `DELETE_TODO` match) plus the entity id.
+ * @param {object} mutation
+ * @returns {string|null} Null if the mutation has no entity id
+ */
+export function getCompactionKey(mutation) {
+  if (!mutation) return null;
+  const id = mutation.entityId !== undefined
+    ? mutation.entityId
+    : (mutation.payload && typeof mutation.payload === 'object' ? mutation.payload.id : undefined);
+
+  if (id === undefined || id === null) {
+    return null;
+  }
+
+  const entity = mutation.entity ||
+    OPERATION_PREFIXES.reduce((type, [, pattern]) => type.replace(pattern, ''), mutation.type || '');
+
+  return `${entity}:${id}`;
+}
+
+const mergePayloads = (previous, next) => {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  return isObject(previous) && isObject(next) ? { ...previous, ...next } : next;
+};
+
+/**
+ * Combine `next` into `previous`, keeping the identity, queue position and
+ * conflict base of `previous` and the latest payload and clock of `next`.
+ * A previous mutation that was already attempted may have been applied under
+ * its idempotency key, so the merged request takes the key of `next`.
+ * @private
+ */
+function mergeInto(previous, next) {
+  const merged = {
+    ...previous,
+    payload: mergePayloads(previous.payload, next.payload),
+    hlc: next.hlc !== undefined ? next.hlc : previous.hlc,
+    coalescedIds: [...(previous.coalescedIds || []), next.id]
+  };
+  if (previous.lastAttempt && next.idempotencyKey !== undefined) {
+    merged.idempotencyKey = next.idempotencyKey;
+  }
+  if (next.dependsOn) {
+    merged.dependsOn = [...new Set([...(previous.dependsOn || []), ...next.dependsOn])];
+  }
+  return merged;
+}
+
+/**
+ * Apply the default rules to two mutations on the same record.
+ * @private
+ * @returns {object|null|undefined} The combined mutation, null if both cancel
+ * out, or undefined to keep both
+ */
+function defaultCoalesce(previous, next) {
+  const before = getMutationOperation(previous);
+  const after = getMutationOperation(next);
+
+  if (before === MUTATION_OPERATIONS.DELETE) {
+    // Updates to a deleted record can only fail; a re-create is kept
+    return after === MUTATION_OPERATIONS.CREATE ? undefined : previous;
+  }
+
+  if (after === MUTATION_OPERATIONS.UPDATE && (before === MUTATION_OPERATIONS.UPDATE || before === MUTATION_OPERATIONS.CREATE)) {
+    return mergeInto(previous, next);
+  }
+
+  if (after === MUTATION_OPERATIONS.DELETE) {
+    if (before === MUTATION_OPERATIONS.CREATE) {
+      // A create that was already attempted may exist on the server
+      return previous.lastAttempt ? undefined : null;
+    }
+    if (before === MUTATION_OPERATIONS.UPDATE) {
+      // The delete takes the update's place and the base it was made against
+      const replaced = { ...next, coalescedIds: [...(previous.coalescedIds || []), previous.id] };
+      ['baseRevision', 'base'].forEach(field => {
+        if (previous[field] !== undefined) replaced[field] = previous[field];
+      });
+      return replaced;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Key under which a mutation can be combined with earlier ones: its record
+ * key, or its type when only a registered coalescer can combine it.
+ * @private
+ */
+function queueKey(mutation, coalescers) {
+  const recordKey = getCompactionKey(mutation);
+  return recordKey || (coalescers.has(mutation.type) ? `type:${mutation.type}` : null);
+}
+
+/**
+ * @private
+ */
+function normalizeOptions(options) {
+  return {
+    coalescers: options.coalescers instanceof Map
+      ? options.coalescers
+      : new Map(Object.entries(options.coalescers || {})),
+    isLocked: options.isLocked || (() => false)
+  };
+}
+
+/**
+ * Add one mutation to a partly built result, combining it with the last
+ * mutation on the same key. Cancelled mutations are left as null.
+ * @private
+ * @returns {boolean} True if a mutation was cancelled
+ */
+function compactStep(result, lastIndexByKey, mutation, { coalescers, isLocked }) {
+  // Mutations without an entity id are only combined by their own type's coalescer
+  const recordKey = getCompactionKey(mutation);
+  const key = queueKey(mutation, coalescers);
+
+  if (!key) {
+    result.push(mutation);
+    return false;
+  }
+
+  const previousIndex = lastIndexByKey.get(key);
+  const previous = previousIndex !== undefined ? result[previousIndex] : null;
+
+  if (isLocked(mutation) || !previous || isLocked(previous)) {
+    result.push(mutation);
+    lastIndexByKey.set(key, result.length - 1);
+    return false;
+  }
+
+  const coalescer = coalescers.get(mutation.type) || coalescers.get(previous.type);
+  let outcome = coalescer ? coalescer(previous, mutation) : undefined;
+  if (outcome === undefined && recordKey) {
+    outcome = defaultCoalesce(previous, mutation);
+  }
+
+  if (outcome === undefined) {
+    result.push(mutation);
+    lastIndexByKey.set(key, result.length - 1);
+  } else if (outcome === null) {
+    result[previousIndex] = null;
+    lastIndexByKey.delete(key);
+    return true;
+  } else {
+    result[previousIndex] = outcome;
+  }
+  return false;
+}
+
+/**
+ * Compact a mutation queue.
+ * @param {Array<object>} queue - Mutations in queue order
+ * @param {Object} [options]
+ * @param {Map<string, function>|Object} [options.coalescers] - Custom coalescers keyed by mutation type.
+ * A coalescer receives `(previous, next)` for two mutations on the same record and returns the
+ * combined mutation, `null` if both cancel out, or `undefined` to keep both (and fall back to the
+ * default rules).
+ * @param {function} [options.isLocked] - `(mutation) => boolean`; locked mutations (e.g. in flight)
+ * are never changed and nothing queued after them is merged into them.
+ * @returns {Array<object>} The compacted queue
+ */
+export function compactQueue(queue, options = {}) {
+  const normalized = normalizeOptions(options);
+  const result = [];
+  const lastIndexByKey = new Map();
+
+  for (const mutation of queue) {
+    compactStep(result, lastIndexByKey, mutation, normalized);
+  }
+
+  return result.filter(mutation => mutation !== null);
+}
+
+/**
+ * Positions of the last mutation per compaction key in a compacted queue,
+ * for appendCompacted().
+ * @param {Array<object>} queue - A compacted queue
+ * @param {Object} [options] - compactQueue() options
+ * @returns {Map<string, number>}
+ */
+export function indexCompactedQueue(queue, options = {}) {
+  const { coalescers } = normalizeOptions(options);
+  const positions = new Map();
+  queue.forEach((mutation, index) => {
+    const key = queueKey(mutation, coalescers);
+    if (key) positions.set(key, index);
+  });
+  return positions;
+}
+
+/**
+ * Append a mutation to a compacted queue, combining it with the last
+ * mutation on the same record like compactQueue() would, without walking
+ * the whole queue.
+ * @param {Array<object>} queue - A compacted queue (not modified)
+ * @param {object} mutation - Mutation to append
+ * @param {Map<string, number>} positions - From indexCompactedQueue(); updated in place
+ * @param {Object} [options] - compactQueue() options
+ * @returns {{ queue: Array<object>, positions: Map<string, number>|null }} The new queue, and
+ * the positions for it (null when a cancelled mutation shifted them; rebuild with indexCompactedQueue())
+ */
+export function appendCompacted(queue, mutation, positions, options = {}) {
+  const result = queue.slice();
+  const cancelled = compactStep(result, positions, mutation, normalizeOptions(options));
+
+  if (cancelled) {
+    return { queue: result.filter(queued => queued !== null), positions: null };
+  }
+  return { queue: result, positions };
+}
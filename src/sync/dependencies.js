@@ -0,0 +1,198 @@
+// src/sync/dependencies.js
+
+/**
+ * Causal ordering of queued mutations.
+ *
+ * A mutation depends on another when it lists that mutation's id in
+ * `dependsOn`, or when it references a temporary client id that the other
+ * mutation introduced (the first queued mutation whose own entity id is the
+ * temp id). Dependencies form a DAG that is synced in topological order.
+ */
+
+const TEMP_ID_PREFIX = 'temp_';
+
+/**
+ * Generate a temporary client id for a record that does not exist on the
+ * server yet. Mutations referencing it are held back until the record is
+ * created, and then rewritten to the id the server assigned.
+ * @returns {string}
+ */
+export function createTempId() {
+  return `${TEMP_ID_PREFIX}${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} True if the value is a temporary client id
+ */
+export function isTempId(value) {
+  return typeof value === 'string' && value.startsWith(TEMP_ID_PREFIX);
+}
+
+/**
+ * Id of the record a mutation targets (`entityId`, falling back to `payload.id`).
+ * @private
+ */
+function getRecordId(mutation) {
+  if (mutation.entityId !== undefined) return mutation.entityId;
+  return mutation.payload && typeof mutation.payload === 'object' ? mutation.payload.id : undefined;
+}
+
+/**
+ * Collect every temp id found anywhere in a value.
+ * @private
+ */
+function collectTempIds(value, isTemp, found = new Set()) {
+  if (isTemp(value)) {
+    found.add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectTempIds(item, isTemp, found));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => collectTempIds(value[key], isTemp, found));
+  }
+  return found;
+}
+
+/**
+ * Build the dependency graph of a queue. Only dependencies on mutations that
+ * are still queued are kept; anything else is considered already synced.
+ * @param {Array<object>} queue - Mutations in queue order
+ * @param {Object} [options]
+ * @param {function} [options.isTempId] - Temp id detector (defaults to the `temp_` prefix)
+ * @returns {Map<string, Set<string>>} Mutation id → ids of the mutations it depends on
+ */
+export function buildDependencyGraph(queue, options = {}) {
+  const isTemp = options.isTempId || isTempId;
+  const queuedIds = new Map();
+  const tempIdOwners = new Map();
+
+  queue.forEach(mutation => {
+    queuedIds.set(mutation.id, mutation.id);
+    // Ids folded into this mutation by compaction still resolve to it
+    (mutation.coalescedIds || []).forEach(id => queuedIds.set(id, mutation.id));
+
+    const recordId = getRecordId(mutation);
+    if (isTemp(recordId) && !tempIdOwners.has(recordId)) {
+      tempIdOwners.set(recordId, mutation.id);
+    }
+  });
+
+  const graph = new Map();
+  queue.forEach(mutation => {
+    const dependencies = new Set();
+
+    (mutation.dependsOn || []).forEach(id => {
+      if (queuedIds.has(id)) dependencies.add(queuedIds.get(id));
+    });
+
+    collectTempIds([mutation.entityId, mutation.payload], isTemp).forEach(tempId => {
+      if (tempIdOwners.has(tempId)) dependencies.add(tempIdOwners.get(tempId));
+    });
+
+    dependencies.delete(mutation.id);
+    graph.set(mutation.id, dependencies);
+  });
+
+  return graph;
+}
+
+/**
+ * Order a queue so every mutation comes after the mutations it depends on.
+ * Independent mutations keep their queue order. Mutations caught in a
+ * dependency cycle are appended in queue order and reported.
+ * @param {Array<object>} queue - Mutations in queue order
+ * @param {Map<string, Set<string>>} graph - From buildDependencyGraph()
+ * @returns {{ ordered: Array<object>, cyclic: Array<string> }}
+ */
+export function sortByDependencies(queue, graph) {
+  const position = new Map(queue.map((mutation, i) => [mutation.id, i]));
+  const pendingCount = new Map();
+  const dependents = new Map();
+
+  queue.forEach(mutation => {
+    const dependencies = [...(graph.get(mutation.id) || [])].filter(id => position.has(id));
+    pendingCount.set(mutation.id, dependencies.length);
+    dependencies.forEach(id => {
+      if (!dependents.has(id)) dependents.set(id, []);
+      dependents.get(id).push(mutation);
+    });
+  });
+
+  // Kahn's algorithm, always taking the earliest queued mutation that is ready
+  const ready = queue.filter(mutation => pendingCount.get(mutation.id) === 0);
+  const ordered = [];
+
+  while (ready.length > 0) {
+    const next = ready.shift();
+    ordered.push(next);
+
+    (dependents.get(next.id) || []).forEach(dependent => {
+      const count = pendingCount.get(dependent.id) - 1;
+      pendingCount.set(dependent.id, count);
+      if (count === 0) {
+        const at = ready.findIndex(mutation => position.get(mutation.id) > position.get(dependent.id));
+        ready.splice(at === -1 ? ready.length : at, 0, dependent);
+      }
+    });
+  }
+
+  const placed = new Set(ordered);
+  const cyclic = queue.filter(mutation => !placed.has(mutation));
+
+  return {
+    ordered: [...ordered, ...cyclic],
+    cyclic: cyclic.map(mutation => mutation.id)
+  };
+}
+
+/**
+ * Find every queued mutation that depends, directly or transitively, on the given ids.
+ * @param {Map<string, Set<string>>} graph - From buildDependencyGraph()
+ * @param {Iterable<string>} ids - Ids of the failed or removed mutations
+ * @returns {Set<string>} Ids of the dependents (not including `ids` themselves)
+ */
+export function findDependents(graph, ids) {
+  const affected = new Set(ids);
+  const dependents = new Set();
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    graph.forEach((dependencies, id) => {
+      if (affected.has(id)) return;
+      if ([...dependencies].some(dependency => affected.has(dependency))) {
+        affected.add(id);
+        dependents.add(id);
+        changed = true;
+      }
+    });
+  }
+
+  return dependents;
+}
+
+/**
+ * Replace temp ids with server ids anywhere in a value.
+ * @param {any} value
+ * @param {Object<string, any>} mappings - Temp id → server id
+ * @returns {any} A copy with the ids replaced (the same value if nothing changed)
+ */
+export function replaceTempIds(value, mappings) {
+  if (typeof value === 'string') {
+    return Object.prototype.hasOwnProperty.call(mappings, value) ? mappings[value] : value;
+  }
+  if (Array.isArray(value)) {
+    const replaced = value.map(item => replaceTempIds(item, mappings));
+    return replaced.some((item, i) => item !== value[i]) ? replaced : value;
+  }
+  if (value && typeof value === 'object') {
+    let changed = false;
+    const replaced = {};
+    Object.keys(value).forEach(key => {
+      replaced[key] = replaceTempIds(value[key], mappings);
+      if (replaced[key] !== value[key]) changed = true;
+    });
+    return changed ? replaced : value;
+  }
+  return value;
+}
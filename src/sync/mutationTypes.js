@@ -0,0 +1,93 @@
+// src/sync/mutationTypes.js
+
+import { assertSchema, validateSchema } from './schema.js';
+import { assertMigrations } from '../data/migrations.js';
+
+/**
+ * Thrown by SyncEngine#addMutation() when a mutation of a registered type
+ * does not match its schema. Nothing is queued or applied.
+ */
+export class MutationValidationError extends Error {
+  /**
+   * @param {string} type - Mutation type
+   * @param {Array<{ path: string, keyword: string, message: string }>} errors - Schema violations
+   */
+  constructor(type, errors) {
+    const first = errors[0];
+    super(`Invalid ${type} mutation: ${first.path} ${first.message}` +
+      (errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''));
+    this.name = 'MutationValidationError';
+    this.type = type;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check and normalise a mutation type definition.
+ * @param {string} name - Mutation type
+ * @param {Object} definition
+ * @param {Object} [definition.schema] - JSON Schema (subset, see schema.js) for `mutation.payload`
+ * @param {function} [definition.applyLocal] - `(state, mutation) => newState`, the optimistic change
+ * @param {AetherStore} [definition.store] - Store applyLocal updates when addMutation() gets no store
+ * @param {function} [definition.toRequest] - `(mutation) => ({ method, path, headers, body })`
+ * @param {function} [definition.fromResponse] - `(response, mutation) => data`, where response is
+ * `{ status, headers, data }`
+ * @param {number} [definition.version] - Payload schema version, stamped on queued mutations
+ * @param {Object<number, function>} [definition.migrations] - `(payload, mutation) => payload`
+ * keyed by the version it migrates to
+ * @returns {Object} The definition including its name
+ * @throws {Error} On an invalid definition
+ */
+export function defineMutationType(name, definition = {}) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Mutation type name must be a non-empty string');
+  }
+  ['applyLocal', 'toRequest', 'fromResponse'].forEach(hook => {
+    if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+      throw new Error(`${name}.${hook} must be a function`);
+    }
+  });
+  if (definition.schema !== undefined) {
+    assertSchema(definition.schema, `${name}.schema`);
+  }
+  if (definition.store !== undefined && !definition.applyLocal) {
+    throw new Error(`${name}.store needs applyLocal`);
+  }
+  if (definition.version !== undefined || definition.migrations !== undefined) {
+    try {
+      assertMigrations(definition.version, definition.migrations);
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+
+  return { ...definition, name };
+}
+
+/**
+ * Validate a mutation's payload against its type's schema.
+ * @param {Object} definition - From defineMutationType()
+ * @param {object} mutation
+ * @throws {MutationValidationError}
+ */
+export function validateMutation(definition, mutation) {
+  if (definition.schema === undefined) return;
+  const errors = validateSchema(definition.schema, mutation.payload, 'payload');
+  if (errors.length > 0) {
+    throw new MutationValidationError(definition.name, errors);
+  }
+}
+
+/**
+ * Turn a toRequest() result into an HttpTransport route. An object body is
+ * sent as JSON; without a body the payload is sent as usual.
+ * @param {{ method?: string, path?: string, headers?: Object, body?: any }} request
+ * @returns {Object} Route `{ method, path, headers, serialize }`
+ */
+export function requestToRoute(request) {
+  const { body, ...route } = request || {};
+  if (body !== undefined) {
+    route.serialize = () => (typeof body === 'string' ? body : JSON.stringify(body));
+  }
+  return route;
+}
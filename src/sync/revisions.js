@@ -0,0 +1,137 @@
+// src/sync/revisions.js
+
+/**
+ * Helpers for working with record revisions. A revision is whatever the
+ * server uses to version a record:
+ * - an ETag string (`"abc"` or weak `W/"abc"`)
+ * - a monotonically increasing version number
+ * - a vector clock object (`{ deviceA: 3, deviceB: 1 }`)
+ */
+
+/**
+ * Build a stable key identifying the record a mutation targets.
+ * Uses `mutation.entity` (falling back to the mutation type) and
+ * `mutation.entityId` (falling back to `payload.id`).
+ * @param {object} mutation
+ * @returns {string|null} Entity key, or null if the mutation has no id
+ */
+export function getEntityKey(mutation) {
+  if (!mutation) return null;
+  const id = mutation.entityId !== undefined
+    ? mutation.entityId
+    : (mutation.payload && typeof mutation.payload === 'object' ? mutation.payload.id : undefined);
+
+  if (id === undefined || id === null) {
+    return null;
+  }
+
+  return `${mutation.entity || mutation.type}:${id}`;
+}
+
+/**
+ * @param {any} revision
+ * @returns {boolean} True if the revision is a vector clock object
+ */
+export function isVectorClock(revision) {
+  return revision !== null && typeof revision === 'object' && !Array.isArray(revision);
+}
+
+/**
+ * Compare two vector clocks.
+ * @param {Object<string, number>} a
+ * @param {Object<string, number>} b
+ * @returns {number|null} -1 if a happened before b, 1 if after, 0 if equal,
+ * null if the clocks are concurrent
+ */
+export function compareVectorClocks(a, b) {
+  let aAhead = false;
+  let bAhead = false;
+  const nodes = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+  for (const node of nodes) {
+    const aValue = a[node] || 0;
+    const bValue = b[node] || 0;
+    if (aValue > bValue) aAhead = true;
+    if (bValue > aValue) bAhead = true;
+  }
+
+  if (aAhead && bAhead) return null;
+  if (aAhead) return 1;
+  if (bAhead) return -1;
+  return 0;
+}
+
+/**
+ * Merge two vector clocks by taking the per-node maximum.
+ * @param {Object<string, number>} a
+ * @param {Object<string, number>} b
+ * @returns {Object<string, number>}
+ */
+export function mergeVectorClocks(a = {}, b = {}) {
+  const merged = { ...a };
+  Object.keys(b).forEach(node => {
+    merged[node] = Math.max(merged[node] || 0, b[node]);
+  });
+  return merged;
+}
+
+const normalizeETag = (etag) => String(etag).replace(/^W\//, '');
+
+/**
+ * Compare two revisions of the same record.
+ * ETags can only be compared for equality; numbers and vector clocks are ordered.
+ * @param {any} a
+ * @param {any} b
+ * @returns {number|null} -1, 0, 1, or null when the revisions cannot be ordered
+ */
+export function compareRevisions(a, b) {
+  if (isVectorClock(a) && isVectorClock(b)) {
+    return compareVectorClocks(a, b);
+  }
+
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a === b ? 0 : (a < b ? -1 : 1);
+  }
+
+  return normalizeETag(a) === normalizeETag(b) ? 0 : null;
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean} True if both revisions identify the same record version
+ */
+export function revisionsEqual(a, b) {
+  if (a === undefined || b === undefined) return a === b;
+  return compareRevisions(a, b) === 0;
+}
+
+/**
+ * Default revision extractor for server responses: the `ETag` header wins,
+ * otherwise a `revision` field in the response body.
+ * @param {Object} headers - Response headers with lower-cased keys
+ * @param {any} body - Parsed response body
+ * @returns {any} The revision, or undefined
+ */
+export function extractRevision(headers = {}, body = null) {
+  if (headers && headers.etag !== undefined) {
+    return headers.etag;
+  }
+  if (body && typeof body === 'object' && body.revision !== undefined) {
+    return body.revision;
+  }
+  return undefined;
+}
+
+/**
+ * Encode a revision for use as an `If-Match` request header.
+ * Version numbers are sent as strong ETags; vector clocks are not valid
+ * ETags and are returned as null (they travel in `X-Base-Revision` instead).
+ * @param {any} revision
+ * @returns {string|null}
+ */
+export function toIfMatch(revision) {
+  if (typeof revision === 'number') return `"${revision}"`;
+  if (typeof revision === 'string') return revision;
+  return null;
+}
@@ -0,0 +1,200 @@
+// src/sync/schema.js
+
+/**
+ * A JSON Schema subset for checking mutation payloads on the client.
+ *
+ * Supported keywords: `type` (a name or a list of names: object, array,
+ * string, number, integer, boolean, null), `enum`, `const`, `properties`,
+ * `required`, `additionalProperties`, `items`, `minItems`, `maxItems`,
+ * `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`,
+ * `exclusiveMinimum`, `exclusiveMaximum` and `anyOf`. The annotations
+ * `title`, `description`, `default`, `examples`, `$schema`, `$id` and
+ * `$comment` are allowed and ignored. Any other keyword is rejected by
+ * assertSchema(), so a misspelt keyword does not silently check nothing.
+ */
+
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  null: value => value === null
+};
+
+const KEYWORDS = [
+  'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items',
+  'minItems', 'maxItems', 'minLength', 'maxLength', 'pattern',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'anyOf'
+];
+
+const ANNOTATIONS = ['title', 'description', 'default', 'examples', '$schema', '$id', '$comment'];
+
+/**
+ * @private
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * @private
+ */
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * @private
+ */
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+/**
+ * Check that a schema only uses the supported subset.
+ * @param {Object|boolean} schema
+ * @param {string} [path='schema'] - Where the schema sits, for the error message
+ * @throws {Error} On unsupported keywords or malformed keyword values
+ */
+export function assertSchema(schema, path = 'schema') {
+  if (typeof schema === 'boolean') return;
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`${path} must be an object or a boolean`);
+  }
+
+  Object.keys(schema).forEach(keyword => {
+    if (!KEYWORDS.includes(keyword) && !ANNOTATIONS.includes(keyword)) {
+      throw new Error(`Unsupported schema keyword "${keyword}" at ${path}`);
+    }
+  });
+
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  types.forEach(type => {
+    if (!TYPE_CHECKS[type]) {
+      throw new Error(`Unknown type ${describe(type)} at ${path}.type`);
+    }
+  });
+  if (schema.required !== undefined &&
+    (!Array.isArray(schema.required) || schema.required.some(name => typeof name !== 'string'))) {
+    throw new Error(`${path}.required must be an array of property names`);
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    throw new Error(`${path}.enum must be an array`);
+  }
+  if (schema.pattern !== undefined) {
+    new RegExp(schema.pattern, 'u');
+  }
+
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    assertSchema(property, `${path}.properties.${name}`);
+  });
+  if (schema.additionalProperties !== undefined) {
+    assertSchema(schema.additionalProperties, `${path}.additionalProperties`);
+  }
+  if (schema.items !== undefined) {
+    assertSchema(schema.items, `${path}.items`);
+  }
+  if (schema.anyOf !== undefined) {
+    if (!Array.isArray(schema.anyOf) || schema.anyOf.length === 0) {
+      throw new Error(`${path}.anyOf must be a non-empty array`);
+    }
+    schema.anyOf.forEach((option, i) => assertSchema(option, `${path}.anyOf[${i}]`));
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {Object|boolean} schema - A schema accepted by assertSchema()
+ * @param {any} value
+ * @param {string} [path=''] - Path of the value, prefixed to error paths
+ * @returns {Array<{ path: string, keyword: string, message: string }>} Every violation; empty if valid
+ */
+export function validateSchema(schema, value, path = '') {
+  if (schema === true) return [];
+  if (schema === false) return [{ path, keyword: 'false', message: 'is not allowed' }];
+
+  const errors = [];
+  const fail = (keyword, message) => errors.push({ path, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      fail('type', `must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(option => isEqual(option, value))) {
+    fail('enum', `must be one of ${schema.enum.map(describe).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    fail('const', `must be ${describe(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, childPath(path, i))));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ path: childPath(path, name), keyword: 'required', message: 'is required' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(name => {
+      if (value[name] === undefined) return;
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        errors.push(...validateSchema(properties[name], value[name], childPath(path, name)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, name), keyword: 'additionalProperties', message: 'is not a known property' });
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(...validateSchema(schema.additionalProperties, value[name], childPath(path, name)));
+      }
+    });
+  }
+
+  if (schema.anyOf !== undefined && !schema.anyOf.some(option => validateSchema(option, value, path).length === 0)) {
+    fail('anyOf', 'must match one of the allowed schemas');
+  }
+
+  return errors;
+}
@@ -0,0 +1,120 @@
+// src/sync/uploads.js
+
+import { SyncError, SYNC_ERROR_KINDS } from './HttpTransport.js';
+
+/**
+ * Resumable blob uploads through the mutation queue.
+ *
+ * A blob is stored in a BlobStore under a temp id and queued as an upload
+ * mutation that creates the `blobs` record with that id. Mutations that
+ * reference the temp id depend on the upload like on any other created
+ * record: they are held back until it finishes and then rewritten to the id
+ * the server gave the blob.
+ */
+
+export const BLOB_UPLOAD_TYPE = 'UPLOAD_BLOB';
+
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * @param {object} mutation
+ * @returns {boolean} True if the mutation uploads a blob
+ */
+export function isUploadMutation(mutation) {
+  return Boolean(mutation) && mutation.type === BLOB_UPLOAD_TYPE;
+}
+
+/**
+ * Build the queued mutation that uploads a stored blob.
+ * @param {{ id: string, name: string, type: string, size: number }} info - BlobStore info record
+ * @returns {object}
+ */
+export function createUploadMutation(info) {
+  return {
+    type: BLOB_UPLOAD_TYPE,
+    operation: 'create',
+    entity: 'blobs',
+    entityId: info.id,
+    payload: { id: info.id, name: info.name, type: info.type, size: info.size }
+  };
+}
+
+/**
+ * Upload a stored blob in chunks, continuing from the last chunk the server
+ * acknowledged. The server-side upload id and offset are saved after every
+ * chunk, so a failed attempt, a closed tab or a reload resume instead of
+ * starting over.
+ * @param {Object} options
+ * @param {object} options.mutation - The upload mutation
+ * @param {BlobStore} options.blobs - Where the blob is stored
+ * @param {Object} options.transport - Transport with startUpload(), getUploadOffset() and uploadChunk()
+ * @param {number} [options.chunkSize=1048576] - Bytes per request
+ * @param {function} [options.onProgress] - `(loaded, total) => void`, called as chunks are acknowledged
+ * @returns {Promise<{ status: number, headers: Object, data: object }>} A response whose `data.id`
+ * is the id the server gave the blob
+ * @throws {SyncError} When a request fails; the upload resumes on the next attempt
+ */
+export async function uploadBlob({ mutation, blobs, transport, chunkSize = DEFAULT_CHUNK_SIZE, onProgress = () => {} }) {
+  if (!transport || typeof transport.uploadChunk !== 'function' || typeof transport.startUpload !== 'function') {
+    throw new SyncError('Transport does not support blob uploads', { kind: SYNC_ERROR_KINDS.FATAL });
+  }
+
+  const blobId = mutation.entityId;
+  let info = await blobs.getInfo(blobId);
+  if (!info) {
+    throw new SyncError(`Blob ${blobId} is not stored`, { kind: SYNC_ERROR_KINDS.FATAL });
+  }
+
+  // Finished in an earlier attempt whose mutation was not settled yet
+  if (info.remoteId !== null && info.remoteId !== undefined) {
+    onProgress(info.size, info.size);
+    return { status: 200, headers: {}, data: { id: info.remoteId } };
+  }
+
+  let { uploadId, offset } = info;
+  if (uploadId) {
+    const serverOffset = typeof transport.getUploadOffset === 'function'
+      ? await transport.getUploadOffset(uploadId, mutation)
+      : offset;
+    if (serverOffset === null) {
+      uploadId = null;
+    } else {
+      offset = serverOffset;
+    }
+  }
+  if (!uploadId) {
+    ({ uploadId, offset } = await transport.startUpload(info, mutation));
+  }
+  info = await blobs.update(blobId, { uploadId, offset });
+  onProgress(offset, info.size);
+
+  // An empty blob is still sent once, to complete the upload
+  let response = null;
+  while (offset < info.size || (info.size === 0 && !response)) {
+    const end = Math.min(offset + chunkSize, info.size);
+    const chunk = await blobs.read(blobId, offset, end);
+    if (!chunk) {
+      throw new SyncError(`Blob ${blobId} is not stored`, { kind: SYNC_ERROR_KINDS.FATAL });
+    }
+
+    response = await transport.uploadChunk(uploadId, chunk, { offset, size: info.size, type: info.type }, mutation);
+    const acknowledged = response.data && typeof response.data.offset === 'number' ? response.data.offset : end;
+    if (acknowledged <= offset && info.size > 0) {
+      throw new SyncError(`Upload ${uploadId} did not advance past byte ${offset}`, { kind: SYNC_ERROR_KINDS.RETRYABLE });
+    }
+    offset = Math.min(acknowledged, info.size);
+    await blobs.update(blobId, { offset });
+    onProgress(offset, info.size);
+  }
+
+  // Without a last response (the server had every byte already) the upload id names the blob
+  const data = response && response.data && typeof response.data === 'object' ? response.data : {};
+  const remoteId = data.id !== undefined && data.id !== null ? data.id : uploadId;
+  await blobs.update(blobId, { remoteId });
+
+  return {
+    status: response ? response.status : 200,
+    headers: response ? response.headers : {},
+    data: { ...data, id: remoteId }
+  };
+}